@@ -0,0 +1,159 @@
+// API route: /api/attributes
+// The catalog of product attributes (fabric, weave, region, ...) products hold values for
+//   GET    /api/attributes            - [{ key, label, type, options, filterable, description }]
+//   POST   /api/attributes            - add an attribute
+//   PUT    /api/attributes?key=fabric - replace an attribute's definition; its key stays
+//   DELETE /api/attributes?key=fabric
+// Changes that would leave products holding values the catalog no longer allows are refused
+// with 409 ATTRIBUTE_IN_USE: deleting an attribute products hold a value for, changing its
+// type, or removing options products have
+
+import { can, forbidden } from './auth/permissions.js';
+import { recordAudit, diffFields } from './audit/log.js';
+import { commitMessage, commitAuthor } from './audit/commit.js';
+import { ATTRIBUTES_FILE, OPTION_TYPES, productsUsing } from './catalog/attributes.js';
+import { BadRequestError, ConflictError, MethodNotAllowedError, NotFoundError, PreconditionRequiredError, ValidationError } from './http/errors.js';
+import { createHandler, requireUser } from './http/pipeline.js';
+import { requireStorage } from './storage/index.js';
+import { VersionConflictError, toETag, parseIfMatch, ifMatchSatisfied, versionConflict, staleWriteConflict, pickRecords } from './storage/versions.js';
+import { validate } from './validation/schema.js';
+import { attributeSchema } from './validation/schemas.js';
+
+const PRODUCTS_FILE = 'data/products.json';
+
+export default createHandler({
+    methods: ['GET', 'POST', 'PUT', 'DELETE'],
+    allowHeaders: ['Content-Type', 'Authorization', 'If-Match'],
+    exposeHeaders: ['ETag']
+}, handleAttributes);
+
+async function handleAttributes(req, res) {
+    // The catalog is public, the site builds its filters from it
+    let actor = null;
+    if (req.method !== 'GET') {
+        actor = requireUser(req);
+        if (!(await can(actor, 'catalog:manage'))) {
+            throw forbidden('catalog:manage');
+        }
+    }
+
+    const { method, query, body } = req;
+    const storage = requireStorage();
+
+    const ifMatch = parseIfMatch(req.headers['if-match']);
+    if (method !== 'GET' && !ifMatch) {
+        throw new PreconditionRequiredError('If-Match header required. Reload the attributes and try again.');
+    }
+    if ((method === 'PUT' || method === 'DELETE') && !query.key) {
+        throw new BadRequestError('Attribute key is required');
+    }
+
+    let record = body;
+    if (method === 'POST' || method === 'PUT') {
+        const checked = validate(attributeSchema, method === 'PUT' ? { ...body, key: query.key } : body);
+        if (!checked.valid) {
+            throw new ValidationError(checked.errors.map(error => ({ entity: 'attributes', id: query.key || body.key, ...error })));
+        }
+        record = normalizeAttribute(checked.value);
+    }
+
+    try {
+        if (method === 'GET') {
+            const { data: attributes, sha } = await storage.readJSON(ATTRIBUTES_FILE, []);
+            res.setHeader('ETag', toETag(sha));
+            return res.status(200).json(attributes);
+        }
+
+        if (!['POST', 'PUT', 'DELETE'].includes(method)) {
+            throw new MethodNotAllowedError(['GET', 'POST', 'PUT', 'DELETE']);
+        }
+
+        const { data: attributes, sha } = await storage.readJSON(ATTRIBUTES_FILE, []);
+        const key = method === 'POST' ? record.key : query.key;
+        if (!ifMatchSatisfied(ifMatch, sha)) {
+            throw versionConflict('attributes', sha, pickRecords(attributes, [key], 'key'));
+        }
+        const index = attributes.findIndex(attribute => attribute.key === key);
+        const author = await commitAuthor(actor);
+
+        if (method === 'POST') {
+            if (index !== -1) {
+                throw new ConflictError(`An attribute with key ${key} already exists`, { code: 'ATTRIBUTE_EXISTS' });
+            }
+            const after = [...attributes, record];
+            const message = commitMessage([{ entity: 'attributes', key: 'key', before: attributes, after }]);
+            const saved = await storage.writeJSON(ATTRIBUTES_FILE, after, message, sha, author);
+            res.setHeader('ETag', toETag(saved.sha));
+            await recordAudit(req, actor, [{ action: 'create', entity: 'attributes', entityId: key, changes: diffFields(null, record) }]);
+            return res.status(201).json(record);
+        }
+
+        if (index === -1) {
+            throw new NotFoundError('Attribute not found');
+        }
+        const previous = attributes[index];
+        const { data: products } = await storage.readJSON(PRODUCTS_FILE, []);
+        assertCatalogChangeAllowed(previous, method === 'PUT' ? record : null, products);
+
+        const after = method === 'PUT'
+            ? attributes.map(attribute => attribute.key === key ? record : attribute)
+            : attributes.filter(attribute => attribute.key !== key);
+        const message = commitMessage([{ entity: 'attributes', key: 'key', before: attributes, after }]);
+        const saved = await storage.writeJSON(ATTRIBUTES_FILE, after, message, sha, author);
+        res.setHeader('ETag', toETag(saved.sha));
+
+        if (method === 'PUT') {
+            await recordAudit(req, actor, [{ action: 'update', entity: 'attributes', entityId: key, changes: diffFields(previous, record) }]);
+            return res.status(200).json(record);
+        }
+        await recordAudit(req, actor, [{ action: 'delete', entity: 'attributes', entityId: key, changes: diffFields(previous, null) }]);
+        return res.status(200).json({ success: true });
+    } catch (error) {
+        if (error instanceof VersionConflictError) {
+            throw await staleWriteConflict(storage, 'attributes', ATTRIBUTES_FILE, [method === 'POST' ? record.key : query.key], 'key');
+        }
+        throw error;
+    }
+}
+
+/**
+ * Stored form of a validated attribute: options only for the types that take them
+ */
+function normalizeAttribute({ key, label, type, options, filterable, description }) {
+    return {
+        key,
+        label,
+        type,
+        ...(OPTION_TYPES.includes(type) ? { options } : {}),
+        filterable: !!filterable,
+        description: description || ''
+    };
+}
+
+/**
+ * Refuse an update (next) or delete (next null) that products holding values for the attribute rely on
+ */
+function assertCatalogChangeAllowed(previous, next, products) {
+    const names = list => list.map(product => product.name || product.id);
+    const using = productsUsing(products, previous.key);
+    if (using.length === 0) {
+        return;
+    }
+    if (!next) {
+        throw new ConflictError(`${previous.label} is still set on: ${names(using).join(', ')}`, { code: 'ATTRIBUTE_IN_USE', products: names(using) });
+    }
+    if (next.type !== previous.type) {
+        throw new ConflictError(`${previous.label} cannot change type while products have it set: ${names(using).join(', ')}`, { code: 'ATTRIBUTE_IN_USE', products: names(using) });
+    }
+    const kept = (next.options || []).map(option => option.value);
+    const removed = (previous.options || []).map(option => option.value).filter(value => !kept.includes(value));
+    const inUse = removed.filter(value => productsUsing(using, previous.key, value).length > 0);
+    if (inUse.length > 0) {
+        const affected = [...new Set(names(inUse.flatMap(value => productsUsing(using, previous.key, value))))];
+        throw new ConflictError(`${previous.label} options ${inUse.join(', ')} are still set on: ${affected.join(', ')}`, {
+            code: 'ATTRIBUTE_IN_USE',
+            products: affected,
+            options: inUse
+        });
+    }
+}
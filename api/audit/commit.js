@@ -0,0 +1,122 @@
+// Commit attribution for saves made through the admin panel
+// Commits are authored by the signed-in user (the GitHub token's owner stays the committer)
+// and their message summarizes what changed, e.g. "Add 2 products, update hero slide 3",
+// followed by the editor's optional change note
+
+import { findUser } from '../auth/users.js';
+import { collectionEvents, diffFields } from './log.js';
+
+// How records of each entity are named in a summary; label picks out a single record
+const ENTITY_NAMES = {
+    products: { one: 'product', many: 'products', label: (record) => record.name && `"${record.name}"` },
+    gallery: { one: 'gallery image', many: 'gallery images' },
+    hero: { one: 'hero slide', many: 'hero slides' },
+    users: { one: 'user', many: 'users', label: (record) => record.username },
+    roles: { one: 'role', many: 'roles', label: (record) => record.name },
+    attributes: { one: 'attribute', many: 'attributes', label: (record) => record.label && `"${record.label}"` },
+    categories: { one: 'category', many: 'categories', label: (record) => record.name && `"${record.name}"` }
+};
+
+const VERBS = { create: 'add', update: 'update', delete: 'delete' };
+// Content fields named in the summary before the rest are counted
+const MAX_CONTENT_FIELDS = 3;
+// Git tools show about this much of the first line
+const MAX_SUBJECT_LENGTH = 72;
+const MAX_NOTE_LENGTH = 1000;
+
+function describeRecords(entity, key, before, after) {
+    const names = ENTITY_NAMES[entity] || { one: entity, many: entity };
+    const events = collectionEvents(entity, before, after, { key });
+    const phrases = [];
+
+    for (const action of ['create', 'update', 'delete']) {
+        const matching = events.filter(event => event.action === action);
+        if (matching.length === 0) {
+            continue;
+        }
+        if (matching.length > 1) {
+            phrases.push(`${VERBS[action]} ${matching.length} ${names.many}`);
+            continue;
+        }
+        // A single record is named, or numbered by its position in the list
+        const list = (action === 'delete' ? before : after) || [];
+        const index = list.findIndex(record => String(record[key]) === String(matching[0].entityId));
+        const label = (index !== -1 && names.label && names.label(list[index])) || (index !== -1 ? String(index + 1) : '');
+        phrases.push(`${VERBS[action]} ${names.one}${label ? ` ${label}` : ''}`);
+    }
+    return phrases;
+}
+
+function describeContent(before, after) {
+    const fields = diffFields(before, after).map(change => change.field);
+    if (fields.length === 0) {
+        return [];
+    }
+    const named = fields.slice(0, MAX_CONTENT_FIELDS).join(', ');
+    const more = fields.length > MAX_CONTENT_FIELDS ? ` +${fields.length - MAX_CONTENT_FIELDS} more` : '';
+    return [`update site content (${named}${more})`];
+}
+
+/**
+ * One-line summary of the changes made to each file
+ * changes: [{ entity, key, before, after }]; key is the record identifier of list entities
+ * and is left out for single objects such as content
+ */
+export function summarizeChanges(changes) {
+    const phrases = changes.flatMap(({ entity, key, before, after }) => (
+        key ? describeRecords(entity, key, before, after) : describeContent(before, after)
+    ));
+    if (phrases.length === 0) {
+        return '';
+    }
+    const summary = phrases.join(', ');
+    return summary.charAt(0).toUpperCase() + summary.slice(1);
+}
+
+/**
+ * Trim a change note as entered in the preview modal; returns '' when there is none
+ */
+export function cleanChangeNote(note) {
+    if (typeof note !== 'string') {
+        return '';
+    }
+    // Control characters other than line breaks and tabs would garble the commit message
+    return note.replace(/\r\n?/g, '\n').replace(/[\u0000-\u0008\u000b-\u001f\u007f]/g, '').trim().slice(0, MAX_NOTE_LENGTH);
+}
+
+/**
+ * Commit message for a save: the generated summary (or fallback when nothing
+ * could be summarized) as the subject line, then the change note as the body
+ */
+export function commitMessage(changes, note, fallback = 'Update via admin panel') {
+    const summary = summarizeChanges(changes) || fallback;
+    const paragraphs = [];
+    // A long summary is shortened on the subject line and kept whole in the body
+    if (summary.length > MAX_SUBJECT_LENGTH) {
+        paragraphs.push(`${summary.slice(0, MAX_SUBJECT_LENGTH - 3)}...`, summary);
+    } else {
+        paragraphs.push(summary);
+    }
+    const body = cleanChangeNote(note);
+    if (body) {
+        paragraphs.push(body);
+    }
+    return paragraphs.join('\n\n');
+}
+
+/**
+ * Git author for a commit made by the signed-in user ({ username } from the access token)
+ * Returns { name, email }, or undefined without a user so the token's owner is used
+ */
+export async function commitAuthor(user) {
+    if (!user?.username) {
+        return undefined;
+    }
+    let email = null;
+    try {
+        email = (await findUser(user.username))?.email || null;
+    } catch (error) {
+        console.error('Could not look up commit author:', error);
+    }
+    return { name: user.username, email: email || `${user.username}@shreeadvaya.com` };
+}
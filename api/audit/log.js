@@ -0,0 +1,195 @@
+// Audit log of admin actions
+// Events are appended to one list per month (audit:YYYY-MM) in the key-value store (see
+// ../kv/index.js); appends never rewrite earlier events, so concurrent saves cannot lose any.
+// The log is not part of the content repository: it is only readable through ?action=audit
+// (audit:read), and client IPs and field values are never published
+// Each event names the actor from the access token, the client IP, the request ID (X-Request-Id),
+// the entity touched and the field-level before/after values; secrets such as password hashes
+// are redacted
+
+import crypto from 'crypto';
+import { getClientIp } from '../auth/lockout.js';
+import { getKV, getKVConfigError } from '../kv/index.js';
+
+// Fields whose values never appear in the log, only the fact that they changed
+const REDACTED_FIELDS = ['password', 'passwordHash', 'encryptedPassword', 'totp', 'totpPending'];
+// Bookkeeping fields that change on every save
+const IGNORED_FIELDS = ['createdAt', 'updatedAt'];
+const DEFAULT_RANGE_DAYS = 30;
+const MAX_EVENTS = 1000;
+
+function monthKey(date) {
+    return `audit:${date.toISOString().slice(0, 7)}`;
+}
+
+function redact(field, value) {
+    return value !== undefined && REDACTED_FIELDS.includes(field) ? '[redacted]' : value;
+}
+
+/**
+ * Field-level differences between two versions of a record
+ * Returns [{ field, before, after }]; a missing side is null
+ */
+export function diffFields(before, after) {
+    const previous = before || {};
+    const next = after || {};
+    const fields = new Set([...Object.keys(previous), ...Object.keys(next)]);
+    const changes = [];
+    for (const field of fields) {
+        if (IGNORED_FIELDS.includes(field)) {
+            continue;
+        }
+        if (JSON.stringify(previous[field]) === JSON.stringify(next[field])) {
+            continue;
+        }
+        changes.push({
+            field,
+            before: redact(field, previous[field]) ?? null,
+            after: redact(field, next[field]) ?? null
+        });
+    }
+    return changes;
+}
+
+/**
+ * Audit events for the records that differ between two versions of a collection
+ * key: record identifier ('id', or 'username' for users); action overrides create/update/delete
+ */
+export function collectionEvents(entity, before, after, { key = 'id', action } = {}) {
+    const idOf = record => String(record[key]).toLowerCase();
+    const previous = new Map((Array.isArray(before) ? before : []).map(record => [idOf(record), record]));
+    const next = new Map((Array.isArray(after) ? after : []).map(record => [idOf(record), record]));
+    const events = [];
+
+    for (const [id, record] of next) {
+        const old = previous.get(id);
+        const changes = diffFields(old, record);
+        if (changes.length > 0) {
+            events.push({ action: action || (old ? 'update' : 'create'), entity, entityId: record[key], changes });
+        }
+    }
+    for (const [id, record] of previous) {
+        if (!next.has(id)) {
+            events.push({ action: action || 'delete', entity, entityId: record[key], changes: diffFields(record, null) });
+        }
+    }
+    return events;
+}
+
+/**
+ * Append events for an action performed by actor ({ username, role } from the access token)
+ * Each event: { action, entity, entityId, changes?, details? }
+ *
+ * The change itself is already saved when this runs, so a failed append is logged
+ * rather than reported to the client
+ */
+export async function recordAudit(req, actor, events) {
+    if (!events || events.length === 0) {
+        return;
+    }
+    if (getKVConfigError()) {
+        console.error('Audit log not configured, events dropped:', getKVConfigError(), events);
+        return;
+    }
+
+    const now = new Date();
+    const ip = getClientIp(req);
+    const entries = events.map(event => ({
+        id: `${now.getTime().toString(36)}-${crypto.randomBytes(4).toString('hex')}`,
+        timestamp: now.toISOString(),
+        actor: actor?.username || 'anonymous',
+        role: actor?.role || null,
+        ip,
+        requestId: req.id || null,
+        action: event.action,
+        entity: event.entity,
+        entityId: event.entityId ?? null,
+        changes: event.changes || [],
+        ...(event.details ? { details: event.details } : {})
+    }));
+
+    try {
+        await getKV().push(monthKey(now), entries);
+    } catch (error) {
+        console.error('Audit log write failed:', error, entries);
+    }
+}
+
+/**
+ * Events matching the filters, newest first
+ * filters: { from, to (ISO dates), actor, entity, action, entityId, ip, limit }
+ * Without from, the last 30 days are searched
+ */
+export async function readAudit(filters = {}) {
+    const kv = getKV();
+
+    const to = filters.to ? new Date(filters.to) : new Date();
+    const from = filters.from ? new Date(filters.from) : new Date(to.getTime() - DEFAULT_RANGE_DAYS * 24 * 60 * 60 * 1000);
+    if (Number.isNaN(from.getTime()) || Number.isNaN(to.getTime())) {
+        throw new RangeError('from and to must be dates');
+    }
+    // A date without a time covers that whole day
+    if (filters.to && /^\d{4}-\d{2}-\d{2}$/.test(filters.to)) {
+        to.setUTCHours(23, 59, 59, 999);
+    }
+
+    const months = [];
+    const cursor = new Date(Date.UTC(from.getUTCFullYear(), from.getUTCMonth(), 1));
+    while (cursor <= to) {
+        months.push(monthKey(cursor));
+        cursor.setUTCMonth(cursor.getUTCMonth() + 1);
+    }
+
+    const matches = text => value => !text || String(value ?? '').toLowerCase() === String(text).toLowerCase();
+    const byActor = matches(filters.actor);
+    const byEntity = matches(filters.entity);
+    const byAction = matches(filters.action);
+    const byEntityId = matches(filters.entityId);
+    const byIp = matches(filters.ip);
+
+    const events = [];
+    for (const key of months) {
+        for (const event of await kv.range(key)) {
+            const time = Date.parse(event.timestamp);
+            if (time < from.getTime() || time > to.getTime()) {
+                continue;
+            }
+            if (byActor(event.actor) && byEntity(event.entity) && byAction(event.action) && byEntityId(event.entityId) && byIp(event.ip)) {
+                events.push(event);
+            }
+        }
+    }
+
+    const limit = Math.min(Math.max(parseInt(filters.limit, 10) || MAX_EVENTS, 1), MAX_EVENTS);
+    return events.sort((a, b) => b.timestamp.localeCompare(a.timestamp)).slice(0, limit);
+}
+
+function csvCell(value) {
+    if (value === null || value === undefined) {
+        return '';
+    }
+    const text = typeof value === 'string' ? value : JSON.stringify(value);
+    // Leading =, +, - or @ would be run as a formula by spreadsheet apps
+    const safe = /^[=+\-@]/.test(text) ? `'${text}` : text;
+    return /[",\n\r]/.test(safe) ? `"${safe.replace(/"/g, '""')}"` : safe;
+}
+
+/**
+ * CSV with one row per changed field (events without field changes get one row)
+ */
+export function auditToCsv(events) {
+    const header = ['timestamp', 'actor', 'role', 'ip', 'requestId', 'action', 'entity', 'entityId', 'field', 'before', 'after', 'details'];
+    const rows = [header];
+    for (const event of events) {
+        const base = [event.timestamp, event.actor, event.role, event.ip, event.requestId, event.action, event.entity, event.entityId];
+        const details = event.details || null;
+        if (!event.changes || event.changes.length === 0) {
+            rows.push([...base, null, null, null, details]);
+            continue;
+        }
+        for (const change of event.changes) {
+            rows.push([...base, change.field, change.before, change.after, details]);
+        }
+    }
+    return rows.map(row => row.map(csvCell).join(',')).join('\r\n') + '\r\n';
+}
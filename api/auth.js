@@ -1,111 +1,70 @@
 // Consolidated API route: /api/auth
-// Handles all authentication operations via query parameter ?action=login|register|verify|users
-// Uses ADMIN_PASSWORD as JWT secret and for password decryption
-
-import { authenticateUser, loadUsers, encryptPassword } from './auth/users.js';
-import { generateToken, verifyToken } from './auth/jwt.js';
-
-// Helper function to get file SHA from GitHub
-async function getFileSHA(token, owner, repo, path) {
-    try {
-        const response = await fetch(
-            `https://api.github.com/repos/${owner}/${repo}/contents/${path}`,
-            {
-                headers: {
-                    'Authorization': `Bearer ${token}`,
-                    'Accept': 'application/vnd.github.v3+json',
-                    'X-GitHub-Api-Version': '2022-11-28'
-                }
-            }
-        );
-        if (response.ok) {
-            const fileData = await response.json();
-            return fileData.sha;
-        }
-    } catch (error) {
-        // File doesn't exist yet
-    }
-    return null;
-}
-
-async function saveFileToGitHub(token, owner, repo, path, data, message) {
-    const sha = await getFileSHA(token, owner, repo, path);
-    
-    const content = JSON.stringify(data, null, 2);
-    const encodedContent = Buffer.from(content).toString('base64');
-
-    const response = await fetch(
-        `https://api.github.com/repos/${owner}/${repo}/contents/${path}`,
-        {
-            method: 'PUT',
-            headers: {
-                'Authorization': `Bearer ${token}`,
-                'Accept': 'application/vnd.github.v3+json',
-                'Content-Type': 'application/json',
-                'X-GitHub-Api-Version': '2022-11-28'
-            },
-            body: JSON.stringify({
-                message: message || `Auth operation - ${new Date().toISOString()}`,
-                content: encodedContent,
-                sha: sha
-            })
-        }
-    );
-
-    if (!response.ok) {
-        const error = await response.json();
-        throw new Error(`GitHub API error: ${error.message || response.statusText}`);
-    }
-
-    return await response.json();
-}
-
-export default async function handler(req, res) {
-    // Security headers
-    res.setHeader('X-Content-Type-Options', 'nosniff');
-    res.setHeader('X-Frame-Options', 'DENY');
-    res.setHeader('X-XSS-Protection', '1; mode=block');
-    
-    // CORS - restrict to your domain only
-    const allowedOrigin = process.env.ALLOWED_ORIGIN || 'https://shreeadvaya.vercel.app';
-    const origin = req.headers.origin;
-    
-    if (origin && (origin === allowedOrigin || origin.includes('localhost'))) {
-        res.setHeader('Access-Control-Allow-Origin', origin);
-    } else {
-        res.setHeader('Access-Control-Allow-Origin', allowedOrigin);
-    }
-    
-    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
-    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
-    res.setHeader('Access-Control-Allow-Credentials', 'true');
-
-    if (req.method === 'OPTIONS') {
-        return res.status(200).end();
-    }
-
+// Handles all authentication operations via query parameter ?action=login|refresh|logout|register|verify|users|roles|unlock|settings
+// and the two-factor steps ?action=2fa-verify|2fa-status|2fa-setup|2fa-enable|2fa-disable
+// Login starts a session: a short-lived access token in the response and a refresh token in an httpOnly cookie
+
+import { authenticateUser, loadUsers, setUserPassword, createDefaultAdminRecord, safeEqual } from './auth/users.js';
+import { generateToken, generateRefreshToken, generateChallengeToken, verifyToken, verifyRefreshToken, verifyChallengeToken, ACCESS_TOKEN_TTL } from './auth/jwt.js';
+import { generateTotpSecret, verifyTotp, provisioningUri, sealSecret, openSecret, generateRecoveryCodes, findRecoveryCode, loadTwoFactor, saveTwoFactor, deleteTwoFactor, loadTwoFactorSetup, saveTwoFactorSetup, deleteTwoFactorSetup } from './auth/totp.js';
+import { loadAuthSettings, saveAuthSettings } from './auth/settings.js';
+import { PERMISSIONS, BUILT_IN_ROLE_NAMES, can, forbidden, loadRoles, loadCustomRoles, saveCustomRoles, roleExists, getRolePermissions } from './auth/permissions.js';
+import { checkLoginAllowed, recordLoginFailure, recordLoginSuccess, getLockoutStatus, unlockUser } from './auth/lockout.js';
+import { createSessionId, createTokenId, readRefreshCookie, refreshCookie, clearRefreshCookie, isSessionRevoked, revokeSession, recordRefreshToken, consumeRefreshToken } from './auth/sessions.js';
+import { accountLink, createAccountToken, lastIssuedAt, findAccountToken, consumeAccountToken, sendInvitationMail, sendPasswordResetMail } from './auth/invitations.js';
+import { getMailConfigError } from './auth/mail/index.js';
+import { recordAudit, diffFields } from './audit/log.js';
+import { ApiError, AuthError, BadRequestError, ConflictError, GoneError, MethodNotAllowedError, NotFoundError, RateLimitError, ValidationError } from './http/errors.js';
+import { createHandler, requireUser, bearerToken } from './http/pipeline.js';
+import { requireStorage } from './storage/index.js';
+import { validate } from './validation/schema.js';
+import { userSchema, roleSchema, invitationSchema, setPasswordSchema } from './validation/schemas.js';
+
+export default createHandler({ methods: ['GET', 'POST', 'PUT', 'DELETE'] }, routeAction);
+
+function routeAction(req, res) {
     // Get action from query parameter
     const { action } = req.query;
 
     // Route to appropriate handler
     if (action === 'login') {
         return handleLogin(req, res);
+    } else if (action === 'refresh') {
+        return handleRefresh(req, res);
+    } else if (action === 'logout') {
+        return handleLogout(req, res);
     } else if (action === 'register') {
         return handleRegister(req, res);
     } else if (action === 'verify') {
         return handleVerify(req, res);
     } else if (action === 'users') {
         return handleUsers(req, res);
+    } else if (action === 'roles') {
+        return handleRoles(req, res);
+    } else if (action === 'unlock') {
+        return handleUnlock(req, res);
+    } else if (action === 'settings') {
+        return handleSettings(req, res);
+    } else if (action === '2fa-verify') {
+        return handleTwoFactorVerify(req, res);
+    } else if (action === '2fa-status') {
+        return handleTwoFactorStatus(req, res);
+    } else if (action === '2fa-setup') {
+        return handleTwoFactorSetup(req, res);
+    } else if (action === '2fa-enable') {
+        return handleTwoFactorEnable(req, res);
+    } else if (action === '2fa-disable') {
+        return handleTwoFactorDisable(req, res);
+    } else if (action === 'invite') {
+        return handleInvite(req, res);
+    } else if (action === 'password-reset-request') {
+        return handlePasswordResetRequest(req, res);
+    } else if (action === 'set-password') {
+        return handleSetPassword(req, res);
     } else {
         // Default: try to infer from method (backward compatibility)
         if (req.method === 'POST') {
             // Could be login or register - check body
-            let body = {};
-            try {
-                body = typeof req.body === 'string' ? JSON.parse(req.body) : req.body;
-            } catch (e) {
-                return res.status(400).json({ error: 'Invalid JSON body' });
-            }
+            const { body } = req;
             
             // If has username/password, assume login; if has username/password/role, assume register
             if (body.username && body.password && body.role !== undefined) {
@@ -117,445 +76,1012 @@ export default async function handler(req, res) {
             return handleUsers(req, res);
         }
         
-        return res.status(400).json({ error: 'Invalid action. Use ?action=login|register|verify|users' });
+        throw new BadRequestError('Invalid action. Use ?action=login|refresh|logout|register|verify|users|roles|unlock|settings|2fa-verify|2fa-status|2fa-setup|2fa-enable|2fa-disable|invite|password-reset-request|set-password', { code: 'INVALID_ACTION' });
     }
 }
 
 // Login handler
 async function handleLogin(req, res) {
     if (req.method !== 'POST') {
-        return res.status(405).json({ error: 'Method not allowed' });
+        throw new MethodNotAllowedError(['POST']);
     }
 
-    let body = {};
-    try {
-        body = typeof req.body === 'string' ? JSON.parse(req.body) : req.body;
-    } catch (e) {
-        return res.status(400).json({ error: 'Invalid JSON body' });
-    }
+    const { body } = req;
 
     const { username, password } = body;
     
     if (!password || typeof password !== 'string') {
-        return res.status(400).json({ error: 'Password required' });
+        throw new BadRequestError('Password required');
+    }
+
+    // The single-password fallback signs in as admin, so it shares admin's counter
+    const attemptName = username && typeof username === 'string' ? username : 'admin';
+    const throttle = await checkLoginAllowed(req, attemptName);
+    if (!throttle.allowed) {
+        throw throttled(throttle);
     }
 
     // If username provided, use multi-user authentication
     if (username && typeof username === 'string') {
         const user = await authenticateUser(username, password);
         if (!user) {
-            return res.status(401).json({ error: 'Invalid credentials' });
+            await recordLoginFailure(req, attemptName);
+            throw new AuthError('Invalid credentials', { code: 'INVALID_CREDENTIALS' });
         }
         
-        const token = generateToken(user);
-        return res.status(200).json({ 
-            success: true, 
-            token: token,
-            user: {
-                username: user.username,
-                role: user.role
-            },
-            expiresIn: 3600
-        });
+        return finishLogin(req, res, user, attemptName);
     }
 
     // Fallback: Single password authentication
     const ADMIN_PASSWORD = process.env.ADMIN_PASSWORD;
     if (!ADMIN_PASSWORD) {
-        return res.status(500).json({ error: 'Admin password not configured' });
+        throw new ApiError(503, 'AUTH_NOT_CONFIGURED', 'Admin password not configured');
     }
 
-    if (password === ADMIN_PASSWORD) {
-        const token = generateToken({ username: 'admin', role: 'admin' });
-        return res.status(200).json({ 
-            success: true, 
-            token: token,
-            expiresIn: 3600
-        });
+    if (typeof password === 'string' && safeEqual(password, ADMIN_PASSWORD)) {
+        return finishLogin(req, res, { username: 'admin', role: 'admin' }, attemptName);
     } else {
-        return res.status(401).json({ error: 'Invalid credentials' });
+        await recordLoginFailure(req, attemptName);
+        throw new AuthError('Invalid credentials', { code: 'INVALID_CREDENTIALS' });
+    }
+}
+
+function throttled(throttle) {
+    const message = throttle.locked
+        ? `Too many failed attempts. Login is locked for ${formatWait(throttle.retryAfter)}.`
+        : `Too many attempts. Try again in ${formatWait(throttle.retryAfter)}.`;
+    return new RateLimitError(message, throttle.retryAfter, { locked: !!throttle.locked });
+}
+
+/**
+ * Complete a login after the password was accepted
+ * Users with 2FA get a challenge to answer at ?action=2fa-verify; admins who must use 2FA
+ * but have not set it up get an enrollment challenge instead of a session
+ */
+async function finishLogin(req, res, user, attemptName) {
+    const stored = findStoredUser(await loadUsers(), user.username);
+    if (stored?.totp) {
+        return res.status(200).json({
+            success: false,
+            twoFactorRequired: true,
+            challenge: generateChallengeToken(user, 'verify')
+        });
+    }
+
+    const settings = await loadAuthSettings();
+    if (settings.requireAdminTwoFactor && user.role === 'admin') {
+        return res.status(200).json({
+            success: false,
+            twoFactorSetupRequired: true,
+            challenge: generateChallengeToken(user, 'enroll')
+        });
+    }
+
+    await recordLoginSuccess(attemptName);
+    return sendSession(req, res, user);
+}
+
+async function sendSession(req, res, user, extra = {}) {
+    const token = await startSession(req, res, user);
+    return res.status(200).json({ 
+        success: true, 
+        token: token,
+        user: {
+            username: user.username,
+            role: user.role,
+            permissions: await getRolePermissions(user.role)
+        },
+        expiresIn: ACCESS_TOKEN_TTL,
+        ...extra
+    });
+}
+
+function formatWait(seconds) {
+    if (seconds < 60) {
+        return seconds === 1 ? '1 second' : `${seconds} seconds`;
     }
+    const minutes = Math.ceil(seconds / 60);
+    return minutes === 1 ? '1 minute' : `${minutes} minutes`;
+}
+
+/**
+ * Issue an access token and set the refresh cookie for a new or continuing session
+ */
+async function startSession(req, res, user, sessionId = createSessionId()) {
+    const tokenId = createTokenId();
+    await recordRefreshToken(sessionId, tokenId);
+    res.setHeader('Set-Cookie', refreshCookie(req, generateRefreshToken(user, sessionId, tokenId)));
+    return generateToken(user, sessionId);
+}
+
+// Refresh handler - trades the refresh cookie for a new access token and a new refresh cookie
+async function handleRefresh(req, res) {
+    if (req.method !== 'POST') {
+        throw new MethodNotAllowedError(['POST']);
+    }
+
+    const refreshToken = readRefreshCookie(req);
+    if (!refreshToken) {
+        throw new AuthError('No session', { code: 'SESSION_MISSING' });
+    }
+
+    const verification = verifyRefreshToken(refreshToken);
+    if (!verification.valid) {
+        res.setHeader('Set-Cookie', clearRefreshCookie(req));
+        throw new AuthError('Session expired', { code: 'SESSION_EXPIRED' });
+    }
+
+    // Each refresh token works once. A replaced one coming back means it was copied, so the
+    // session ends for whoever holds its current token too
+    if (!(await consumeRefreshToken(verification.sessionId, verification.tokenId))) {
+        await revokeSession(verification.sessionId);
+        res.setHeader('Set-Cookie', clearRefreshCookie(req));
+        throw new AuthError('Session ended', { code: 'SESSION_ENDED' });
+    }
+
+    if (await isSessionRevoked(verification.sessionId)) {
+        res.setHeader('Set-Cookie', clearRefreshCookie(req));
+        throw new AuthError('Session ended', { code: 'SESSION_ENDED' });
+    }
+
+    // Re-read the user so role changes apply and deleted users lose access
+    const users = await loadUsers();
+    const stored = users.find(u => u.username.toLowerCase() === verification.username.toLowerCase());
+    // Sessions from before a password reset end here too
+    if (!stored || (stored.passwordChangedAt && verification.issuedAt < Date.parse(stored.passwordChangedAt))) {
+        res.setHeader('Set-Cookie', clearRefreshCookie(req));
+        throw new AuthError('Session ended', { code: 'SESSION_ENDED' });
+    }
+
+    const user = { username: verification.username, role: stored.role || 'admin' };
+    const token = await startSession(req, res, user, verification.sessionId);
+    return res.status(200).json({
+        success: true,
+        token: token,
+        user: { ...user, permissions: await getRolePermissions(user.role) },
+        expiresIn: ACCESS_TOKEN_TTL
+    });
+}
+
+// Logout handler - revokes the session behind the refresh cookie and clears it
+async function handleLogout(req, res) {
+    if (req.method !== 'POST') {
+        throw new MethodNotAllowedError(['POST']);
+    }
+
+    res.setHeader('Set-Cookie', clearRefreshCookie(req));
+
+    const refreshToken = readRefreshCookie(req);
+    const verification = refreshToken ? verifyRefreshToken(refreshToken) : { valid: false };
+    if (verification.valid) {
+        await revokeSession(verification.sessionId);
+    }
+
+    return res.status(200).json({ success: true });
 }
 
 // Register handler
 async function handleRegister(req, res) {
     if (req.method !== 'POST') {
-        return res.status(405).json({ error: 'Method not allowed' });
+        throw new MethodNotAllowedError(['POST']);
     }
 
     const existingUsers = await loadUsers();
     const isFirstUser = existingUsers.length === 0;
+    let actor = null;
     
     if (!isFirstUser) {
-        const authHeader = req.headers.authorization;
-        const token = authHeader?.replace('Bearer ', '') || req.body?.token;
+        const token = bearerToken(req) || req.body.token;
         
         if (!token) {
-            return res.status(401).json({ error: 'Authentication required' });
+            throw new AuthError('Authentication required');
         }
 
         const verification = verifyToken(token);
         if (!verification.valid) {
-            return res.status(401).json({ error: 'Invalid or expired token' });
+            throw new AuthError('Invalid or expired token');
         }
 
-        if (verification.user.role !== 'admin') {
-            return res.status(403).json({ error: 'Admin access required' });
+        if (!(await can(verification.user, 'users:manage'))) {
+            throw forbidden('users:manage');
         }
+        actor = verification.user;
     }
 
-    let body = {};
-    try {
-        body = typeof req.body === 'string' ? JSON.parse(req.body) : req.body;
-    } catch (e) {
-        return res.status(400).json({ error: 'Invalid JSON body' });
-    }
-
-    const { username, password, role = 'editor', email } = body;
+    const { body } = req;
 
-    if (!username || typeof username !== 'string' || username.trim().length === 0) {
-        return res.status(400).json({ error: 'Username is required' });
+    // The token may also travel in the body; it is not part of the user record
+    const { token: _token, ...fields } = body;
+    const checked = validate(userSchema, fields);
+    if (!checked.valid) {
+        throw new ValidationError(checked.errors.map(error => ({ entity: 'users', ...error })));
     }
 
-    if (!password || typeof password !== 'string' || password.length < 6) {
-        return res.status(400).json({ error: 'Password must be at least 6 characters' });
+    const { username, password, role = 'editor', email } = checked.value;
+    if (!(await roleExists(role))) {
+        throw new ValidationError([{ entity: 'users', field: 'role', message: 'is not a defined role' }]);
     }
 
-    if (!/^[a-zA-Z0-9_]{3,20}$/.test(username)) {
-        return res.status(400).json({ error: 'Username must be 3-20 characters and contain only letters, numbers, and underscores' });
-    }
+    const users = await loadUsers();
 
-    const validRoles = ['admin', 'editor', 'viewer'];
-    if (!validRoles.includes(role)) {
-        return res.status(400).json({ error: `Role must be one of: ${validRoles.join(', ')}` });
+    if (users.find(u => u.username.toLowerCase() === username.toLowerCase())) {
+        throw new ConflictError('Username already exists', { code: 'USERNAME_TAKEN' });
     }
 
-    try {
-        const users = await loadUsers();
-
-        if (users.find(u => u.username.toLowerCase() === username.toLowerCase())) {
-            return res.status(409).json({ error: 'Username already exists' });
-        }
-
-        const encryptedPassword = encryptPassword(password);
-        const finalRole = isFirstUser ? 'admin' : role;
-
-        const newUser = {
-            username: username.trim(),
-            encryptedPassword: encryptedPassword,
-            role: finalRole,
-            email: email || `${username}@shreeadvaya.com`,
-            createdAt: new Date().toISOString()
-        };
-
-        users.push(newUser);
-
-        // Ensure Admin user is always included
-        const adminPassword = process.env.ADMIN_PASSWORD;
-        if (adminPassword) {
-            const adminExists = users.some(u => u.username.toLowerCase() === 'admin');
-            if (!adminExists) {
-                const encryptedPassword = encryptPassword(adminPassword);
-                users.unshift({
-                    username: 'Admin',
-                    encryptedPassword: encryptedPassword,
-                    role: 'admin',
-                    email: 'admin@shreeadvaya.com',
-                    createdAt: new Date().toISOString(),
-                    isDefault: true
-                });
-            } else {
-                const adminIndex = users.findIndex(u => u.username.toLowerCase() === 'admin');
-                if (adminIndex !== -1) {
-                    users[adminIndex].isDefault = true;
-                }
+    const finalRole = isFirstUser ? 'admin' : role;
+
+    const newUser = setUserPassword({
+        username: username.trim(),
+        role: finalRole,
+        email: email || `${username}@shreeadvaya.com`,
+        createdAt: new Date().toISOString()
+    }, password);
+
+    users.push(newUser);
+
+    // Ensure Admin user is always included
+    const adminPassword = process.env.ADMIN_PASSWORD;
+    if (adminPassword) {
+        const adminExists = users.some(u => u.username.toLowerCase() === 'admin');
+        if (!adminExists) {
+            users.unshift(createDefaultAdminRecord());
+        } else {
+            const adminIndex = users.findIndex(u => u.username.toLowerCase() === 'admin');
+            if (adminIndex !== -1) {
+                users[adminIndex].isDefault = true;
             }
         }
+    }
 
-        const githubToken = process.env.GITHUB_TOKEN;
-        const owner = process.env.GITHUB_OWNER || process.env.VERCEL_GIT_REPO_OWNER;
-        const repo = process.env.GITHUB_REPO || process.env.VERCEL_GIT_REPO_SLUG;
-
-        if (!githubToken || !owner || !repo) {
-            return res.status(500).json({ error: 'GitHub configuration missing' });
-        }
+    const storage = requireStorage();
 
-        await saveFileToGitHub(githubToken, owner, repo, 'data/users.json', users);
+    await storage.writeJSON('data/users.json', users, `Auth operation - ${new Date().toISOString()}`);
+    // The first user registers themselves
+    await recordAudit(req, actor || newUser, [{ action: 'create', entity: 'users', entityId: newUser.username, changes: diffFields(null, newUser) }]);
 
-        return res.status(201).json({
-            success: true,
-            message: 'User registered successfully',
-            user: {
-                username: newUser.username,
-                role: newUser.role,
-                email: newUser.email
-            }
-        });
+    return res.status(201).json({
+        success: true,
+        message: 'User registered successfully',
+        user: {
+            username: newUser.username,
+            role: newUser.role,
+            email: newUser.email
+        }
+    });
 
-    } catch (error) {
-        console.error('Registration error:', error);
-        return res.status(500).json({ 
-            error: 'Failed to register user: ' + error.message 
-        });
-    }
 }
 
 // Verify handler
 async function handleVerify(req, res) {
     if (req.method !== 'POST') {
-        return res.status(405).json({ error: 'Method not allowed' });
+        throw new MethodNotAllowedError(['POST']);
     }
 
-    const authHeader = req.headers.authorization;
-    const token = authHeader?.replace('Bearer ', '') || req.body?.token;
+    const token = bearerToken(req) || req.body.token;
 
     if (!token) {
-        return res.status(401).json({ error: 'No token provided' });
+        throw new AuthError('No token provided');
     }
 
     const verification = verifyToken(token);
     
     if (!verification.valid) {
-        return res.status(401).json({ 
-            error: verification.error || 'Invalid token' 
-        });
+        throw new AuthError(verification.error || 'Invalid token');
     }
     
     return res.status(200).json({ 
         success: true, 
         valid: true,
-        user: verification.user
+        user: { ...verification.user, permissions: await getRolePermissions(verification.user.role) }
     });
 }
 
-// Users management handler
-async function handleUsers(req, res) {
-    const authHeader = req.headers.authorization;
-    const token = authHeader?.replace('Bearer ', '');
-    
-    if (!token) {
-        return res.status(401).json({ error: 'Authentication required' });
+// Roles handler - anyone signed in can list roles; changing custom roles requires users:manage
+async function handleRoles(req, res) {
+    const currentUser = requireUser(req);
+
+    if (req.method === 'GET') {
+        return res.status(200).json({
+            success: true,
+            roles: await loadRoles(),
+            permissions: PERMISSIONS
+        });
     }
 
-    const verification = verifyToken(token);
-    if (!verification.valid) {
-        return res.status(401).json({ error: 'Invalid or expired token' });
+    if (!(await can(currentUser, 'users:manage'))) {
+        throw forbidden('users:manage');
+    }
+
+    const { body } = req;
+
+    if (!['POST', 'PUT', 'DELETE'].includes(req.method)) {
+        throw new MethodNotAllowedError(['GET', 'POST', 'PUT', 'DELETE']);
+    }
+
+    if (BUILT_IN_ROLE_NAMES.includes(body.name)) {
+        throw new BadRequestError(`The built-in ${body.name} role cannot be changed`, { code: 'BUILT_IN_ROLE' });
+    }
+
+    const roles = await loadCustomRoles();
+    const index = roles.findIndex(role => role.name === body.name);
+
+    if (req.method === 'DELETE') {
+        if (index === -1) {
+            throw new NotFoundError('Role not found');
+        }
+        const assigned = (await loadUsers()).filter(user => user.role === body.name).map(user => user.username);
+        if (assigned.length > 0) {
+            throw new ConflictError(`Role is still assigned to: ${assigned.join(', ')}`, { code: 'ROLE_IN_USE', users: assigned });
+        }
+        const [removed] = roles.splice(index, 1);
+        await saveCustomRoles(roles, `Delete role: ${body.name}`);
+        await recordAudit(req, currentUser, [{ action: 'delete', entity: 'roles', entityId: removed.name, changes: diffFields(removed, null) }]);
+        return res.status(200).json({ success: true, message: 'Role deleted successfully' });
+    }
+
+    const checked = validate(roleSchema, body);
+    if (!checked.valid) {
+        throw new ValidationError(checked.errors.map(error => ({ entity: 'roles', id: body.name, ...error })));
+    }
+    const role = {
+        name: checked.value.name,
+        description: checked.value.description || '',
+        permissions: [...new Set(checked.value.permissions)]
+    };
+
+    if (req.method === 'POST') {
+        if (index !== -1) {
+            throw new ConflictError('Role already exists', { code: 'ROLE_EXISTS' });
+        }
+        roles.push(role);
+        await saveCustomRoles(roles, `Create role: ${role.name}`);
+        await recordAudit(req, currentUser, [{ action: 'create', entity: 'roles', entityId: role.name, changes: diffFields(null, role) }]);
+        return res.status(201).json({ success: true, role });
     }
 
-    if (verification.user.role !== 'admin') {
-        return res.status(403).json({ error: 'Admin access required' });
+    if (index === -1) {
+        throw new NotFoundError('Role not found');
+    }
+    const before = roles[index];
+    roles[index] = role;
+    await saveCustomRoles(roles, `Update role: ${role.name}`);
+    await recordAudit(req, currentUser, [{ action: 'update', entity: 'roles', entityId: role.name, changes: diffFields(before, role) }]);
+    return res.status(200).json({ success: true, role });
+}
+
+// Unlock handler - clears a username's failed login attempts (requires users:manage)
+async function handleUnlock(req, res) {
+    if (req.method !== 'POST') {
+        throw new MethodNotAllowedError(['POST']);
+    }
+
+    const currentUser = requireUser(req);
+
+    if (!(await can(currentUser, 'users:manage'))) {
+        throw forbidden('users:manage');
+    }
+
+    const { body } = req;
+
+    const { username } = body;
+    if (!username || typeof username !== 'string') {
+        throw new BadRequestError('Username is required');
+    }
+
+    await unlockUser(username);
+    await recordAudit(req, currentUser, [{ action: 'unlock', entity: 'users', entityId: username }]);
+    return res.status(200).json({
+        success: true,
+        message: `Login unlocked for ${username}`
+    });
+}
+
+// Users management handler
+async function handleUsers(req, res) {
+    const currentUser = requireUser(req);
+
+    if (!(await can(currentUser, 'users:manage'))) {
+        throw forbidden('users:manage');
     }
 
     // GET - List users
     if (req.method === 'GET') {
-        try {
-            const users = await loadUsers();
-            const safeUsers = users.map(user => ({
-                username: user.username,
-                role: user.role,
-                email: user.email || `${user.username}@shreeadvaya.com`,
-                createdAt: user.createdAt,
-                isDefault: user.isDefault || false
-            }));
-
-            return res.status(200).json({
-                success: true,
-                users: safeUsers
-            });
-        } catch (error) {
-            console.error('Error listing users:', error);
-            return res.status(500).json({ 
-                error: 'Failed to list users: ' + error.message 
-            });
-        }
+        const users = await loadUsers();
+        const lockouts = await getLockoutStatus();
+        const safeUsers = users.map(user => ({
+            username: user.username,
+            role: user.role,
+            email: user.email || `${user.username}@shreeadvaya.com`,
+            createdAt: user.createdAt,
+            isDefault: user.isDefault || false,
+            twoFactorEnabled: !!user.totp,
+            invited: !!user.invitedAt && !user.passwordHash,
+            lockout: lockouts[user.username.toLowerCase()] || null
+        }));
+
+        return res.status(200).json({
+            success: true,
+            users: safeUsers
+        });
     }
 
     // PUT - Update user
     if (req.method === 'PUT') {
-        let body = {};
-        try {
-            body = typeof req.body === 'string' ? JSON.parse(req.body) : req.body;
-        } catch (e) {
-            return res.status(400).json({ error: 'Invalid JSON body' });
-        }
+        const { body } = req;
 
-        const { username, password, role, email } = body;
+        if (!body || !body.username || typeof body.username !== 'string') {
+            throw new BadRequestError('Username is required');
+        }
 
-        if (!username || typeof username !== 'string') {
-            return res.status(400).json({ error: 'Username is required' });
+        const checked = validate(userSchema, body, { partial: true });
+        if (!checked.valid) {
+            throw new ValidationError(checked.errors.map(error => ({ entity: 'users', id: body.username, ...error })));
         }
 
-        if (role !== undefined) {
-            const validRoles = ['admin', 'editor', 'viewer'];
-            if (!validRoles.includes(role)) {
-                return res.status(400).json({ error: `Role must be one of: ${validRoles.join(', ')}` });
-            }
+        const { username, password, role, email } = checked.value;
+        if (role && !(await roleExists(role))) {
+            throw new ValidationError([{ entity: 'users', id: username, field: 'role', message: 'is not a defined role' }]);
         }
 
-        if (password !== undefined && (typeof password !== 'string' || password.length < 6)) {
-            return res.status(400).json({ error: 'Password must be at least 6 characters' });
+        const users = await loadUsers();
+        const userIndex = users.findIndex(u => u.username.toLowerCase() === username.toLowerCase());
+        
+        if (userIndex === -1) {
+            throw new NotFoundError('User not found');
         }
 
-        try {
-            const users = await loadUsers();
-            const userIndex = users.findIndex(u => u.username.toLowerCase() === username.toLowerCase());
-            
-            if (userIndex === -1) {
-                return res.status(404).json({ error: 'User not found' });
+        if (users[userIndex].isDefault) {
+            if (role && role !== 'admin') {
+                throw new BadRequestError('Cannot change default admin user role');
             }
-
-            if (users[userIndex].isDefault) {
-                if (role && role !== 'admin') {
-                    return res.status(400).json({ error: 'Cannot change default admin user role' });
-                }
-                if (username.toLowerCase() !== 'admin') {
-                    return res.status(400).json({ error: 'Cannot change default admin username' });
-                }
+            if (username.toLowerCase() !== 'admin') {
+                throw new BadRequestError('Cannot change default admin username');
             }
+        }
 
-            if (password) {
-                users[userIndex].encryptedPassword = encryptPassword(password);
-            }
-            if (role && !users[userIndex].isDefault) {
-                users[userIndex].role = role;
-            }
-            if (email !== undefined) {
-                users[userIndex].email = email || `${username}@shreeadvaya.com`;
-            }
-            
-            if (users[userIndex].username.toLowerCase() === 'admin') {
-                users[userIndex].isDefault = true;
-            }
+        const before = { ...users[userIndex] };
+        if (password) {
+            // Ends the user's other sessions at their next refresh, like a reset
+            setUserPassword(users[userIndex], password);
+            users[userIndex].passwordChangedAt = new Date().toISOString();
+        }
+        if (role && !users[userIndex].isDefault) {
+            users[userIndex].role = role;
+        }
+        if (email !== undefined) {
+            users[userIndex].email = email || `${username}@shreeadvaya.com`;
+        }
+        
+        if (users[userIndex].username.toLowerCase() === 'admin') {
+            users[userIndex].isDefault = true;
+        }
 
-            const adminPassword = process.env.ADMIN_PASSWORD;
-            if (adminPassword) {
-                const adminExists = users.some(u => u.username.toLowerCase() === 'admin');
-                if (!adminExists) {
-                    const encryptedPassword = encryptPassword(adminPassword);
-                    users.unshift({
-                        username: 'Admin',
-                        encryptedPassword: encryptedPassword,
-                        role: 'admin',
-                        email: 'admin@shreeadvaya.com',
-                        createdAt: new Date().toISOString(),
-                        isDefault: true
-                    });
-                }
+        const adminPassword = process.env.ADMIN_PASSWORD;
+        if (adminPassword) {
+            const adminExists = users.some(u => u.username.toLowerCase() === 'admin');
+            if (!adminExists) {
+                users.unshift(createDefaultAdminRecord());
             }
+        }
+
+        const storage = requireStorage();
 
-            const githubToken = process.env.GITHUB_TOKEN;
-            const owner = process.env.GITHUB_OWNER || process.env.VERCEL_GIT_REPO_OWNER;
-            const repo = process.env.GITHUB_REPO || process.env.VERCEL_GIT_REPO_SLUG;
+        await storage.writeJSON('data/users.json', users, `Update user: ${username} - ${new Date().toISOString()}`);
+        await recordAudit(req, currentUser, [{ action: 'update', entity: 'users', entityId: users[userIndex].username, changes: diffFields(before, users[userIndex]) }]);
 
-            if (!githubToken || !owner || !repo) {
-                return res.status(500).json({ error: 'GitHub configuration missing' });
+        return res.status(200).json({
+            success: true,
+            message: 'User updated successfully',
+            user: {
+                username: users[userIndex].username,
+                role: users[userIndex].role,
+                email: users[userIndex].email
             }
+        });
 
-            await saveFileToGitHub(
-                githubToken, 
-                owner, 
-                repo, 
-                'data/users.json', 
-                users,
-                `Update user: ${username} - ${new Date().toISOString()}`
-            );
-
-            return res.status(200).json({
-                success: true,
-                message: 'User updated successfully',
-                user: {
-                    username: users[userIndex].username,
-                    role: users[userIndex].role,
-                    email: users[userIndex].email
-                }
-            });
-
-        } catch (error) {
-            console.error('Error updating user:', error);
-            return res.status(500).json({ 
-                error: 'Failed to update user: ' + error.message 
-            });
-        }
     }
 
     // DELETE - Delete user
     if (req.method === 'DELETE') {
-        let body = {};
-        try {
-            body = typeof req.body === 'string' ? JSON.parse(req.body) : req.body;
-        } catch (e) {
-            return res.status(400).json({ error: 'Invalid JSON body' });
-        }
+        const { body } = req;
 
         const { username } = body;
 
         if (!username || typeof username !== 'string') {
-            return res.status(400).json({ error: 'Username is required' });
+            throw new BadRequestError('Username is required');
         }
 
-        try {
-            const users = await loadUsers();
-            const userIndex = users.findIndex(u => u.username.toLowerCase() === username.toLowerCase());
-            
-            if (userIndex === -1) {
-                return res.status(404).json({ error: 'User not found' });
-            }
+        const users = await loadUsers();
+        const userIndex = users.findIndex(u => u.username.toLowerCase() === username.toLowerCase());
+        
+        if (userIndex === -1) {
+            throw new NotFoundError('User not found');
+        }
 
-            if (users[userIndex].isDefault) {
-                return res.status(400).json({ error: 'Cannot delete default admin user' });
-            }
+        if (users[userIndex].isDefault) {
+            throw new BadRequestError('Cannot delete default admin user');
+        }
 
-            if (users[userIndex].username.toLowerCase() === verification.user.username.toLowerCase()) {
-                return res.status(400).json({ error: 'Cannot delete your own account' });
-            }
+        if (users[userIndex].username.toLowerCase() === currentUser.username.toLowerCase()) {
+            throw new BadRequestError('Cannot delete your own account');
+        }
 
-            users.splice(userIndex, 1);
-
-            const adminPassword = process.env.ADMIN_PASSWORD;
-            if (adminPassword) {
-                const adminExists = users.some(u => u.username.toLowerCase() === 'admin');
-                if (!adminExists) {
-                    const encryptedPassword = encryptPassword(adminPassword);
-                    users.unshift({
-                        username: 'Admin',
-                        encryptedPassword: encryptedPassword,
-                        role: 'admin',
-                        email: 'admin@shreeadvaya.com',
-                        createdAt: new Date().toISOString(),
-                        isDefault: true
-                    });
-                }
+        const [removed] = users.splice(userIndex, 1);
+
+        const adminPassword = process.env.ADMIN_PASSWORD;
+        if (adminPassword) {
+            const adminExists = users.some(u => u.username.toLowerCase() === 'admin');
+            if (!adminExists) {
+                users.unshift(createDefaultAdminRecord());
             }
+        }
 
-            const githubToken = process.env.GITHUB_TOKEN;
-            const owner = process.env.GITHUB_OWNER || process.env.VERCEL_GIT_REPO_OWNER;
-            const repo = process.env.GITHUB_REPO || process.env.VERCEL_GIT_REPO_SLUG;
+        const storage = requireStorage();
 
-            if (!githubToken || !owner || !repo) {
-                return res.status(500).json({ error: 'GitHub configuration missing' });
-            }
+        await storage.writeJSON('data/users.json', users, `Delete user: ${username} - ${new Date().toISOString()}`);
+        await recordAudit(req, currentUser, [{ action: 'delete', entity: 'users', entityId: removed.username, changes: diffFields(removed, null) }]);
 
-            await saveFileToGitHub(
-                githubToken, 
-                owner, 
-                repo, 
-                'data/users.json', 
-                users,
-                `Delete user: ${username} - ${new Date().toISOString()}`
-            );
+        return res.status(200).json({
+            success: true,
+            message: 'User deleted successfully'
+        });
+
+    }
+
+    throw new MethodNotAllowedError(['GET', 'PUT', 'DELETE']);
+}
+
+// Two-factor authentication
+
+function findStoredUser(users, username) {
+    return users.find(u => u.username.toLowerCase() === String(username).toLowerCase());
+}
+
+async function saveUsers(users, message) {
+    const storage = requireStorage();
+    await storage.writeJSON('data/users.json', users, `${message} - ${new Date().toISOString()}`);
+}
+
+/**
+ * Resolve the user for a 2FA management request
+ * Signed-in users use their access token; during a required enrollment the
+ * enrollment challenge from login stands in for it
+ */
+function twoFactorRequester(req, body) {
+    if (body.challenge) {
+        const verification = verifyChallengeToken(body.challenge, 'enroll');
+        if (!verification.valid) {
+            throw new AuthError('Two-factor setup expired. Please login again.', { code: 'CHALLENGE_EXPIRED' });
+        }
+        return { ...verification.user, enrolling: true };
+    }
+
+    return requireUser(req);
+}
+
+// Second login step - check a TOTP or recovery code against the challenge from login
+async function handleTwoFactorVerify(req, res) {
+    if (req.method !== 'POST') {
+        throw new MethodNotAllowedError(['POST']);
+    }
+
+    const { body } = req;
+
+    const verification = verifyChallengeToken(body.challenge, 'verify');
+    if (!verification.valid) {
+        throw new AuthError('Login expired. Please enter your password again.', { code: 'CHALLENGE_EXPIRED' });
+    }
+    const { user } = verification;
+
+    const throttle = await checkLoginAllowed(req, user.username);
+    if (!throttle.allowed) {
+        throw throttled(throttle);
+    }
 
-            return res.status(200).json({
-                success: true,
-                message: 'User deleted successfully'
-            });
+    const stored = findStoredUser(await loadUsers(), user.username);
+    if (!stored?.totp) {
+        throw new AuthError('Two-factor authentication is not set up for this account', { code: 'TWO_FACTOR_NOT_ENABLED' });
+    }
+    // users.json says 2FA is on; without its record nobody can sign in as this user
+    const twoFactor = await loadTwoFactor(stored.username);
+    if (!twoFactor) {
+        console.error('No two-factor record for user:', stored.username);
+        throw new ApiError(500, 'TWO_FACTOR_UNREADABLE', 'Two-factor settings could not be read. Ask an admin to reset 2FA.');
+    }
 
-        } catch (error) {
-            console.error('Error deleting user:', error);
-            return res.status(500).json({ 
-                error: 'Failed to delete user: ' + error.message 
-            });
+    if (body.recoveryCode) {
+        const index = findRecoveryCode(twoFactor.recoveryCodes, body.recoveryCode);
+        if (index === -1) {
+            await recordLoginFailure(req, user.username);
+            throw new AuthError('Invalid recovery code', { code: 'INVALID_TWO_FACTOR_CODE' });
         }
+        // Each recovery code works once
+        twoFactor.recoveryCodes.splice(index, 1);
+        await saveTwoFactor(stored.username, twoFactor);
+        await recordLoginSuccess(user.username);
+        return sendSession(req, res, user, { recoveryCodesLeft: twoFactor.recoveryCodes.length });
+    }
+
+    const secret = openSecret(twoFactor.secret);
+    if (!secret) {
+        console.error('Failed to decrypt TOTP secret for user:', stored.username);
+        throw new ApiError(500, 'TWO_FACTOR_UNREADABLE', 'Two-factor secret could not be read. Use a recovery code or ask an admin to reset 2FA.');
+    }
+    const step = verifyTotp(secret, body.code, twoFactor.lastStep ?? null);
+    if (step === null) {
+        await recordLoginFailure(req, user.username);
+        throw new AuthError('Invalid authentication code', { code: 'INVALID_TWO_FACTOR_CODE' });
+    }
+    // The code just used, and any earlier one, is refused from now on
+    await saveTwoFactor(stored.username, { ...twoFactor, lastStep: step });
+
+    await recordLoginSuccess(user.username);
+    return sendSession(req, res, user);
+}
+
+// 2FA status for the signed-in user
+async function handleTwoFactorStatus(req, res) {
+    if (req.method !== 'GET') {
+        throw new MethodNotAllowedError(['GET']);
     }
 
-    return res.status(405).json({ error: 'Method not allowed' });
+    const requester = twoFactorRequester(req, {});
+
+    const stored = findStoredUser(await loadUsers(), requester.username);
+    const twoFactor = stored?.totp ? await loadTwoFactor(stored.username) : null;
+    const settings = await loadAuthSettings();
+    return res.status(200).json({
+        success: true,
+        enabled: !!stored?.totp,
+        required: settings.requireAdminTwoFactor && requester.role === 'admin',
+        recoveryCodesLeft: twoFactor ? twoFactor.recoveryCodes.length : 0
+    });
+}
+
+// Start enrollment - new secret kept as pending until a code from it is confirmed
+async function handleTwoFactorSetup(req, res) {
+    if (req.method !== 'POST') {
+        throw new MethodNotAllowedError(['POST']);
+    }
+
+    const { body } = req;
+    const requester = twoFactorRequester(req, body);
+
+    const stored = findStoredUser(await loadUsers(), requester.username);
+    if (!stored) {
+        throw new NotFoundError('User not found');
+    }
+    if (stored.totp) {
+        throw new ConflictError('Two-factor authentication is already enabled', { code: 'TWO_FACTOR_ALREADY_ENABLED' });
+    }
+
+    const secret = generateTotpSecret();
+    await saveTwoFactorSetup(stored.username, { secret: sealSecret(secret), createdAt: new Date().toISOString() });
+
+    return res.status(200).json({
+        success: true,
+        secret: secret,
+        uri: provisioningUri(stored.username, secret)
+    });
+}
+
+// Finish enrollment - confirm a code, enable 2FA and hand out recovery codes once
+async function handleTwoFactorEnable(req, res) {
+    if (req.method !== 'POST') {
+        throw new MethodNotAllowedError(['POST']);
+    }
+
+    const { body } = req;
+    const requester = twoFactorRequester(req, body);
+
+    const users = await loadUsers();
+    const stored = findStoredUser(users, requester.username);
+    const setup = stored ? await loadTwoFactorSetup(stored.username) : null;
+    if (!setup) {
+        throw new BadRequestError('Start two-factor setup first', { code: 'TWO_FACTOR_SETUP_MISSING' });
+    }
+
+    const secret = openSecret(setup.secret);
+    const step = secret ? verifyTotp(secret, body.code) : null;
+    if (step === null) {
+        throw new BadRequestError('Invalid authentication code. Check your device clock and try again.', { code: 'INVALID_TWO_FACTOR_CODE' });
+    }
+
+    const { codes, hashes } = generateRecoveryCodes();
+    await saveTwoFactor(stored.username, { secret: setup.secret, recoveryCodes: hashes, lastStep: step });
+    await deleteTwoFactorSetup(stored.username);
+    stored.totp = { enabledAt: new Date().toISOString() };
+    await saveUsers(users, `Enable two-factor authentication for ${stored.username}`);
+    await recordAudit(req, requester, [{ action: 'enable-2fa', entity: 'users', entityId: stored.username }]);
+
+    const { enrolling, ...user } = requester;
+    if (enrolling) {
+        // Required enrollment during login ends with a session
+        await recordLoginSuccess(user.username);
+        return sendSession(req, res, user, { recoveryCodes: codes });
+    }
+    return res.status(200).json({ success: true, recoveryCodes: codes });
+}
+
+// Turn 2FA off - users confirm with a current code; admins may reset another user by username
+async function handleTwoFactorDisable(req, res) {
+    if (req.method !== 'POST') {
+        throw new MethodNotAllowedError(['POST']);
+    }
+
+    const { body } = req;
+    const requester = twoFactorRequester(req, {});
+
+    const targetName = body.username || requester.username;
+    const isSelf = targetName.toLowerCase() === requester.username.toLowerCase();
+    if (!isSelf && !(await can(requester, 'users:manage'))) {
+        throw forbidden('users:manage');
+    }
+
+    const users = await loadUsers();
+    const stored = findStoredUser(users, targetName);
+    if (!stored) {
+        throw new NotFoundError('User not found');
+    }
+    if (!stored.totp && !(await loadTwoFactorSetup(stored.username))) {
+        throw new BadRequestError('Two-factor authentication is not enabled');
+    }
+
+    if (isSelf) {
+        const settings = await loadAuthSettings();
+        if (settings.requireAdminTwoFactor && requester.role === 'admin') {
+            throw new BadRequestError('Two-factor authentication is required for admin accounts', { code: 'TWO_FACTOR_REQUIRED' });
+        }
+        const twoFactor = stored.totp ? await loadTwoFactor(stored.username) : null;
+        const secret = twoFactor ? openSecret(twoFactor.secret) : null;
+        const step = secret ? verifyTotp(secret, body.code, twoFactor.lastStep ?? null) : null;
+        if (stored.totp && step === null && findRecoveryCode(twoFactor?.recoveryCodes, body.code) === -1) {
+            throw new BadRequestError('Enter a current authentication code or a recovery code to turn off 2FA', { code: 'INVALID_TWO_FACTOR_CODE' });
+        }
+    }
+
+    await deleteTwoFactor(stored.username);
+    if (stored.totp) {
+        delete stored.totp;
+        await saveUsers(users, `Disable two-factor authentication for ${stored.username}`);
+    }
+    await recordAudit(req, requester, [{ action: isSelf ? 'disable-2fa' : 'reset-2fa', entity: 'users', entityId: stored.username }]);
+
+    return res.status(200).json({
+        success: true,
+        message: isSelf ? 'Two-factor authentication turned off' : `Two-factor authentication reset for ${stored.username}`
+    });
+}
+
+// Security settings handler (requires users:manage)
+async function handleSettings(req, res) {
+    const currentUser = requireUser(req);
+
+    if (!(await can(currentUser, 'users:manage'))) {
+        throw forbidden('users:manage');
+    }
+
+    if (req.method === 'GET') {
+        return res.status(200).json({ success: true, settings: await loadAuthSettings() });
+    }
+
+    if (req.method === 'PUT') {
+        const { body } = req;
+        if (typeof body.requireAdminTwoFactor !== 'boolean') {
+            throw new ValidationError([{ entity: 'settings', field: 'requireAdminTwoFactor', message: 'must be a boolean' }]);
+        }
+
+        const before = await loadAuthSettings();
+        const settings = { ...before, requireAdminTwoFactor: body.requireAdminTwoFactor };
+        await saveAuthSettings(settings);
+        await recordAudit(req, currentUser, [{ action: 'update', entity: 'settings', entityId: 'auth', changes: diffFields(before, settings) }]);
+        return res.status(200).json({ success: true, settings });
+    }
+
+    throw new MethodNotAllowedError(['GET', 'PUT']);
+}
+
+// Invitations and password reset
+
+// Invite handler - adds a user without a password and emails them a link to choose one (requires users:manage)
+// Inviting a username whose invitation is still pending sends a fresh link
+async function handleInvite(req, res) {
+    if (req.method !== 'POST') {
+        throw new MethodNotAllowedError(['POST']);
+    }
+
+    const currentUser = requireUser(req);
+
+    if (!(await can(currentUser, 'users:manage'))) {
+        throw forbidden('users:manage');
+    }
+
+    const { body } = req;
+
+    const users = await loadUsers();
+    let user = findStoredUser(users, body.username || '');
+    let created = false;
+
+    if (user && !(user.invitedAt && !user.passwordHash)) {
+        throw new ConflictError('Username already exists', { code: 'USERNAME_TAKEN' });
+    }
+
+    if (!user) {
+        const checked = validate(invitationSchema, body);
+        if (!checked.valid) {
+            throw new ValidationError(checked.errors.map(error => ({ entity: 'users', ...error })));
+        }
+
+        const { username, email, role = 'editor' } = checked.value;
+        if (!(await roleExists(role))) {
+            throw new ValidationError([{ entity: 'users', field: 'role', message: 'is not a defined role' }]);
+        }
+
+        user = {
+            username: username.trim(),
+            role,
+            email,
+            createdAt: new Date().toISOString(),
+            invitedAt: new Date().toISOString(),
+            invitedBy: currentUser.username
+        };
+        users.push(user);
+        await saveUsers(users, `Invite user: ${user.username}`);
+        created = true;
+    }
+
+    const { token: inviteToken, expiresAt } = await createAccountToken('invite', user.username, currentUser.username);
+    const inviteUrl = accountLink(inviteToken);
+
+    // The invitation stands even if the mail fails; the admin can pass the link on instead
+    let emailSent = true;
+    try {
+        await sendInvitationMail(user, inviteUrl, expiresAt, currentUser.username);
+    } catch (error) {
+        console.error('Invitation mail error:', error);
+        emailSent = false;
+    }
+
+    await recordAudit(req, currentUser, [{
+        action: created ? 'invite' : 'resend-invite',
+        entity: 'users',
+        entityId: user.username,
+        changes: created ? diffFields(null, user) : [],
+        details: { email: user.email, emailSent }
+    }]);
+
+    return res.status(201).json({
+        success: true,
+        message: emailSent
+            ? `Invitation sent to ${user.email}`
+            : 'Invitation created, but the email could not be sent. Share the link with the user yourself.',
+        user: {
+            username: user.username,
+            role: user.role,
+            email: user.email
+        },
+        inviteUrl,
+        expiresAt: new Date(expiresAt).toISOString(),
+        emailSent
+    });
+}
+
+// Time before another reset email can be sent for the same user
+const RESET_REQUEST_INTERVAL = 60 * 1000; // 1 minute
+
+// Password reset request handler - emails a reset link to the account's address
+// Always answers the same way so it cannot be used to find out which usernames exist
+async function handlePasswordResetRequest(req, res) {
+    if (req.method !== 'POST') {
+        throw new MethodNotAllowedError(['POST']);
+    }
+
+    const { body } = req;
+
+    const { username } = body;
+    if (!username || typeof username !== 'string') {
+        throw new BadRequestError('Username is required');
+    }
+
+    const response = {
+        success: true,
+        message: 'If that account has an email address, a reset link is on its way.'
+    };
+
+    try {
+        const user = findStoredUser(await loadUsers(), username);
+        // Invited users finish setup from their invitation instead
+        if (!user || !user.email || (user.invitedAt && !user.passwordHash)) {
+            return res.status(200).json(response);
+        }
+
+        const lastSent = await lastIssuedAt('reset', user.username);
+        if (lastSent && Date.now() - lastSent < RESET_REQUEST_INTERVAL) {
+            return res.status(200).json(response);
+        }
+
+        // A link that cannot be mailed is not issued
+        const mailError = getMailConfigError();
+        if (mailError) {
+            throw new Error(mailError);
+        }
+
+        const { token, expiresAt } = await createAccountToken('reset', user.username);
+        await sendPasswordResetMail(user, accountLink(token), expiresAt);
+        await recordAudit(req, null, [{ action: 'request-reset', entity: 'users', entityId: user.username }]);
+    } catch (error) {
+        // Logged only; the answer must not differ from the success case
+        console.error('Password reset request error:', error);
+    }
+
+    return res.status(200).json(response);
+}
+
+// Set-password handler - GET checks a link, POST sets the password and uses the link up
+async function handleSetPassword(req, res) {
+    if (req.method === 'GET') {
+        const entry = await findAccountToken(req.query.token);
+        if (!entry) {
+            throw new GoneError('This link is invalid, has already been used or has expired.', { code: 'LINK_EXPIRED' });
+        }
+        return res.status(200).json({
+            success: true,
+            type: entry.type,
+            username: entry.username,
+            expiresAt: new Date(entry.expiresAt).toISOString()
+        });
+    }
+
+    if (req.method !== 'POST') {
+        throw new MethodNotAllowedError(['POST']);
+    }
+
+    const { body } = req;
+
+    const checked = validate(setPasswordSchema, body);
+    if (!checked.valid) {
+        throw new ValidationError(checked.errors.map(error => ({ entity: 'users', ...error })));
+    }
+
+    const { token, password } = checked.value;
+
+    // Used up before the password is written, so two requests with the same link cannot both set it
+    const entry = await consumeAccountToken(token);
+    if (!entry) {
+        throw new GoneError('This link is invalid, has already been used or has expired.', { code: 'LINK_EXPIRED' });
+    }
+
+    const users = await loadUsers();
+    const index = users.findIndex(u => u.username.toLowerCase() === entry.username.toLowerCase());
+    if (index === -1) {
+        throw new GoneError('This account no longer exists.', { code: 'ACCOUNT_GONE' });
+    }
+
+    // The default admin may only exist in memory; store it as a regular record from now on
+    const before = users[index];
+    const { usesAdminPassword, isPlainText, invitedAt, invitedBy, ...record } = before;
+    users[index] = setUserPassword({ ...record, passwordChangedAt: new Date().toISOString() }, password);
+    try {
+        await saveUsers(users, `${entry.type === 'invite' ? 'Accept invitation' : 'Reset password'}: ${entry.username}`);
+    } catch (error) {
+        // Nothing changed, so the link still works for another try
+        await entry.restore();
+        throw error;
+    }
+    // Whoever holds the link acts as its user
+    await recordAudit(req, users[index], [{
+        action: entry.type === 'invite' ? 'accept-invite' : 'reset-password',
+        entity: 'users',
+        entityId: users[index].username,
+        changes: diffFields(before, users[index])
+    }]);
+
+    // A forgotten password often comes after failed attempts; start the count over
+    await unlockUser(entry.username);
+
+    return res.status(200).json({
+        success: true,
+        message: entry.type === 'invite' ? 'Your account is ready. You can now log in.' : 'Password changed. You can now log in.',
+        username: users[index].username
+    });
 }
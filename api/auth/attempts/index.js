@@ -0,0 +1,44 @@
+// Login attempt counter store selection
+// LOGIN_ATTEMPT_STORE=kv (default) keeps counters in the key-value store (see ../../kv/index.js),
+// shared by every instance when a database is connected; memory keeps them in the running process.
+// Counters never go to the content repository: they are keyed by client IPs and by whatever
+// usernames are typed at the login form
+
+import { getKV } from '../../kv/index.js';
+import { createMemoryStore } from '../../kv/memory.js';
+
+const PREFIX = 'login-attempts:';
+// Kept apart from the sessions in the key-value store's own fallback
+const processStore = createMemoryStore();
+
+const stores = {
+    kv: () => getKV(),
+    memory: () => processStore
+};
+
+/**
+ * Get the configured attempt counter store
+ *
+ * Every store implements:
+ *   get(key)                 -> record | null
+ *   set(key, record, ttlMs)  -> forget the record after ttlMs
+ *   delete(key)
+ *   list(prefix)             -> [{ key, record }] for live keys starting with prefix
+ */
+export function getAttemptStore() {
+    const name = (process.env.LOGIN_ATTEMPT_STORE || 'kv').toLowerCase();
+    const store = stores[name];
+    if (!store) {
+        throw new Error(`Unknown LOGIN_ATTEMPT_STORE "${name}". Use one of: ${Object.keys(stores).join(', ')}`);
+    }
+    const kv = store();
+    return {
+        get: key => kv.get(PREFIX + key),
+        set: (key, record, ttlMs) => kv.set(PREFIX + key, record, ttlMs),
+        delete: key => kv.delete(PREFIX + key),
+        async list(prefix) {
+            const entries = await kv.list(PREFIX + prefix);
+            return entries.map(({ key, value }) => ({ key: key.slice(PREFIX.length), record: value }));
+        }
+    };
+}
@@ -0,0 +1,162 @@
+// Invitation and password reset links
+// Each link carries a random single-use token. Only its SHA-256 hash is kept, in the key-value
+// store (see ../kv/index.js), so neither the published site nor the content history reveals
+// usable links. A token is removed in the same step it is used, so it works exactly once
+
+import crypto from 'crypto';
+import { getKV } from '../kv/index.js';
+import { sendMail } from './mail/index.js';
+
+const TOKEN_TYPES = {
+    invite: { ttl: 7 * 24 * 60 * 60 * 1000 }, // 7 days
+    reset: { ttl: 60 * 60 * 1000 } // 1 hour
+};
+
+function hashToken(token) {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+function tokenKey(hash) {
+    return `account-token:${hash}`;
+}
+
+// Hash of the user's latest token of a type, so issuing a new one can drop the old one
+function latestKey(type, username) {
+    return `account-token-latest:${type}:${String(username).toLowerCase()}`;
+}
+
+/**
+ * Link to the set-password step of the admin panel
+ * The token travels in the fragment so it never reaches server logs or Referer headers
+ */
+export function accountLink(token) {
+    const origin = process.env.ALLOWED_ORIGIN || 'https://shreeadvaya.vercel.app';
+    return `${origin.replace(/\/$/, '')}/admin#set-password=${encodeURIComponent(token)}`;
+}
+
+/**
+ * Issue a new token of the given type ('invite' or 'reset') for a user
+ * Earlier unused tokens of the same type for that user stop working
+ * Returns { token, expiresAt }
+ */
+export async function createAccountToken(type, username, createdBy = null) {
+    const kv = getKV();
+    const token = crypto.randomBytes(32).toString('base64url');
+    const hash = hashToken(token);
+    const now = Date.now();
+    const { ttl } = TOKEN_TYPES[type];
+
+    const previous = await kv.get(latestKey(type, username));
+    if (previous) {
+        await kv.delete(tokenKey(previous));
+    }
+    await kv.set(tokenKey(hash), { type, username, createdAt: now, expiresAt: now + ttl, createdBy }, ttl);
+    await kv.set(latestKey(type, username), hash, ttl);
+
+    return { token, expiresAt: now + ttl };
+}
+
+/**
+ * When the user's latest unexpired token of this type was issued, or null
+ */
+export async function lastIssuedAt(type, username) {
+    const kv = getKV();
+    const hash = await kv.get(latestKey(type, username));
+    const entry = hash ? await kv.get(tokenKey(hash)) : null;
+    return entry ? entry.createdAt : null;
+}
+
+/**
+ * Look up a token without using it
+ * Returns { type, username, expiresAt } or null when unknown, used or expired
+ */
+export async function findAccountToken(token) {
+    if (!token || typeof token !== 'string') {
+        return null;
+    }
+    const entry = await getKV().get(tokenKey(hashToken(token)));
+    return entry ? { type: entry.type, username: entry.username, expiresAt: entry.expiresAt } : null;
+}
+
+/**
+ * Use up a token; of two requests presenting the same one, only the first gets its entry
+ * Every other outstanding invitation or reset link for the same user is dropped as well
+ * Returns { type, username, expiresAt, restore } or null when unknown, used or expired;
+ * restore() puts the token back when the password could not be saved after all
+ */
+export async function consumeAccountToken(token) {
+    if (!token || typeof token !== 'string') {
+        return null;
+    }
+    const kv = getKV();
+    const hash = hashToken(token);
+    const entry = await kv.take(tokenKey(hash));
+    if (!entry) {
+        return null;
+    }
+
+    for (const type of Object.keys(TOKEN_TYPES)) {
+        const latest = await kv.take(latestKey(type, entry.username));
+        if (latest && latest !== hash) {
+            await kv.delete(tokenKey(latest));
+        }
+    }
+
+    return {
+        type: entry.type,
+        username: entry.username,
+        expiresAt: entry.expiresAt,
+        async restore() {
+            const ttl = entry.expiresAt - Date.now();
+            if (ttl > 0) {
+                await kv.set(tokenKey(hash), entry, ttl);
+                await kv.set(latestKey(entry.type, entry.username), hash, ttl);
+            }
+        }
+    };
+}
+
+function formatExpiry(expiresAt) {
+    return new Date(expiresAt).toUTCString();
+}
+
+/**
+ * Email an invitation link
+ */
+export async function sendInvitationMail(user, link, expiresAt, invitedBy) {
+    return sendMail({
+        to: user.email,
+        subject: 'You have been invited to the ShreeAdvaya admin panel',
+        text: [
+            `Hello ${user.username},`,
+            '',
+            `${invitedBy} has invited you to the ShreeAdvaya admin panel as ${user.role}.`,
+            'Choose your password here to activate your account:',
+            '',
+            link,
+            '',
+            `This link can be used once and expires on ${formatExpiry(expiresAt)}.`
+        ].join('\n')
+    });
+}
+
+/**
+ * Email a password reset link
+ */
+export async function sendPasswordResetMail(user, link, expiresAt) {
+    return sendMail({
+        to: user.email,
+        subject: 'Reset your ShreeAdvaya admin password',
+        text: [
+            `Hello ${user.username},`,
+            '',
+            'Someone asked to reset the password for your ShreeAdvaya admin account.',
+            'Choose a new password here:',
+            '',
+            link,
+            '',
+            `This link can be used once and expires on ${formatExpiry(expiresAt)}.`,
+            'If you did not ask for this, ignore this email; your password stays the same.'
+        ].join('\n')
+    });
+}
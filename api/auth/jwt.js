@@ -1,38 +1,118 @@
-// JWT utilities using ADMIN_PASSWORD as secret
-// Provides JWT token generation and verification
+// JWT utilities
+// Tokens are signed with the current key from the signing key set (see keys.js) and carry its
+// kid in the header, so tokens signed by previous keys keep verifying after a rotation
 
 import jwt from 'jsonwebtoken';
-import { getJWTSecret } from './users.js';
+import { getSigningKeys, LEGACY_KID } from './keys.js';
+
+// Access tokens are short-lived; the admin panel renews them with the refresh token
+export const ACCESS_TOKEN_TTL = 15 * 60; // 15 minutes
+// A refresh token is replaced on every use, so a session only ends after this long idle
+export const REFRESH_TOKEN_TTL = 24 * 60 * 60; // 24 hours
+
+function sign(payload, expiresIn) {
+    const { current } = getSigningKeys();
+    return jwt.sign(payload, current.secret, {
+        expiresIn,
+        algorithm: 'HS256',
+        keyid: current.kid
+    });
+}
+
+function decodeWithKeySet(token) {
+    const decodedHeader = jwt.decode(token, { complete: true });
+    const kid = decodedHeader?.header?.kid || LEGACY_KID;
+    const secret = getSigningKeys().keys.get(kid);
+    if (!secret) {
+        const error = new Error('Unknown signing key');
+        error.name = 'JsonWebTokenError';
+        throw error;
+    }
+    return jwt.verify(token, secret, { algorithms: ['HS256'] });
+}
+
+function verificationError(error) {
+    if (error.name === 'TokenExpiredError') {
+        return { valid: false, error: 'Token expired' };
+    } else if (error.name === 'JsonWebTokenError') {
+        return { valid: false, error: 'Invalid token' };
+    }
+    return { valid: false, error: 'Token verification failed' };
+}
 
 /**
- * Generate JWT token for user
- * Uses ADMIN_PASSWORD as the secret key
+ * Generate JWT access token for user
+ * Signed with the current signing key; sid ties it to the login session it belongs to
  */
-export function generateToken(user) {
-    const secret = getJWTSecret();
-    
+export function generateToken(user, sessionId) {
     const payload = {
         username: user.username,
         role: user.role || 'admin',
         iat: Math.floor(Date.now() / 1000) // Issued at
     };
+    if (sessionId) {
+        payload.sid = sessionId;
+    }
     
-    return jwt.sign(payload, secret, {
-        expiresIn: '1h', // Token expires in 1 hour
-        algorithm: 'HS256'
-    });
+    return sign(payload, ACCESS_TOKEN_TTL);
+}
+
+/**
+ * Generate refresh token for a login session
+ * Only accepted by ?action=refresh, never as an access token; jti tells the session's
+ * successive tokens apart so a replaced one can be refused (see sessions.js)
+ */
+export function generateRefreshToken(user, sessionId, tokenId) {
+    return sign({
+        typ: 'refresh',
+        username: user.username,
+        sid: sessionId,
+        jti: tokenId
+    }, REFRESH_TOKEN_TTL);
+}
+
+// Time allowed between the password step and the second factor
+const CHALLENGE_TTL = 5 * 60; // 5 minutes
+
+/**
+ * Generate a two-factor challenge token after a correct password
+ * purpose: 'verify' (enter a code) or 'enroll' (set up 2FA before the first session)
+ */
+export function generateChallengeToken(user, purpose) {
+    return sign({
+        typ: `mfa-${purpose}`,
+        username: user.username,
+        role: user.role || 'admin'
+    }, CHALLENGE_TTL);
+}
+
+/**
+ * Verify a two-factor challenge token for the given purpose
+ * Returns { valid, user } like verifyToken
+ */
+export function verifyChallengeToken(token, purpose) {
+    try {
+        const decoded = decodeWithKeySet(token);
+        if (decoded.typ !== `mfa-${purpose}`) {
+            return { valid: false, error: 'Invalid token' };
+        }
+        return { valid: true, user: { username: decoded.username, role: decoded.role } };
+    } catch (error) {
+        return verificationError(error);
+    }
 }
 
 /**
  * Verify JWT token
- * Uses ADMIN_PASSWORD as the secret key
+ * Looks up the key named by the token's kid among the current and previous keys
  */
 export function verifyToken(token) {
     try {
-        const secret = getJWTSecret();
-        const decoded = jwt.verify(token, secret, {
-            algorithms: ['HS256']
-        });
+        const decoded = decodeWithKeySet(token);
+        // Only access tokens carry no typ; refresh and challenge tokens are not accepted here
+        if (decoded.typ) {
+            return { valid: false, error: 'Invalid token' };
+        }
         
         return {
             valid: true,
@@ -42,12 +122,30 @@ export function verifyToken(token) {
             }
         };
     } catch (error) {
-        if (error.name === 'TokenExpiredError') {
-            return { valid: false, error: 'Token expired' };
-        } else if (error.name === 'JsonWebTokenError') {
+        return verificationError(error);
+    }
+}
+
+/**
+ * Verify refresh token
+ * Returns { valid, username, sessionId, issuedAt, expiresAt } - revocation is checked by the caller
+ */
+export function verifyRefreshToken(token) {
+    try {
+        const decoded = decodeWithKeySet(token);
+        if (decoded.typ !== 'refresh' || !decoded.sid) {
             return { valid: false, error: 'Invalid token' };
-        } else {
-            return { valid: false, error: 'Token verification failed' };
         }
+        
+        return {
+            valid: true,
+            username: decoded.username,
+            sessionId: decoded.sid,
+            tokenId: decoded.jti || null,
+            issuedAt: decoded.iat * 1000,
+            expiresAt: decoded.exp * 1000
+        };
+    } catch (error) {
+        return verificationError(error);
     }
 }
@@ -0,0 +1,68 @@
+// JWT signing key set
+// Keys come from JWT_SIGNING_KEYS as "kid:secret,kid:secret,..." - the first key signs new
+// tokens, the rest are previous keys still accepted until the tokens they signed expire
+
+import crypto from 'crypto';
+
+// Tokens issued before signing keys existed carry no kid and were signed with ADMIN_PASSWORD.
+// To keep those sessions while switching, list "legacy:<ADMIN_PASSWORD>" as a previous key
+export const LEGACY_KID = 'legacy';
+
+/**
+ * Generate a new random signing key
+ * kid is the UTC date plus a random suffix so keys sort by age and never collide
+ */
+export function generateKey() {
+    const date = new Date().toISOString().slice(0, 10).replace(/-/g, '');
+    return {
+        kid: `${date}-${crypto.randomBytes(3).toString('hex')}`,
+        secret: crypto.randomBytes(48).toString('base64url')
+    };
+}
+
+/**
+ * Parse a JWT_SIGNING_KEYS value into [{ kid, secret }], newest first
+ */
+export function parseKeySet(value) {
+    if (!value || typeof value !== 'string') {
+        return [];
+    }
+    return value
+        .split(',')
+        .map(entry => entry.trim())
+        .filter(Boolean)
+        .map(entry => {
+            const separator = entry.indexOf(':');
+            if (separator <= 0 || separator === entry.length - 1) {
+                throw new Error('JWT_SIGNING_KEYS entries must look like kid:secret');
+            }
+            return { kid: entry.slice(0, separator), secret: entry.slice(separator + 1) };
+        });
+}
+
+/**
+ * Format keys back into a JWT_SIGNING_KEYS value
+ */
+export function formatKeySet(keys) {
+    return keys.map(key => `${key.kid}:${key.secret}`).join(',');
+}
+
+/**
+ * Get the configured key set
+ * Returns { current, keys } where current signs new tokens and keys maps kid -> secret for verification
+ * Without JWT_SIGNING_KEYS, falls back to ADMIN_PASSWORD so existing deployments keep working
+ */
+export function getSigningKeys() {
+    const configured = parseKeySet(process.env.JWT_SIGNING_KEYS);
+    if (configured.length > 0) {
+        return { current: configured[0], keys: new Map(configured.map(key => [key.kid, key.secret])) };
+    }
+
+    const adminPassword = process.env.ADMIN_PASSWORD;
+    if (!adminPassword) {
+        throw new Error('JWT_SIGNING_KEYS (or ADMIN_PASSWORD) environment variable is required for JWT');
+    }
+    console.warn('JWT_SIGNING_KEYS not set. Signing tokens with ADMIN_PASSWORD (not recommended).');
+    const legacy = { kid: LEGACY_KID, secret: adminPassword };
+    return { current: legacy, keys: new Map([[LEGACY_KID, adminPassword]]) };
+}
@@ -0,0 +1,139 @@
+// Login throttling and temporary lockout
+// Failed logins are counted per client IP and per username. After a few free attempts each
+// further failure doubles the wait before the next try; too many failures lock the key for a while
+
+import { getAttemptStore } from './attempts/index.js';
+
+const RULES = {
+    user: { freeAttempts: 3, lockAfter: 10 },
+    // Offices and mobile networks share addresses, so IPs get more room
+    ip: { freeAttempts: 10, lockAfter: 50 }
+};
+const MAX_BACKOFF = 5 * 60 * 1000; // 5 minutes
+const LOCK_DURATION = 15 * 60 * 1000; // 15 minutes
+// Counters are forgotten this long after the last failure
+const ATTEMPT_WINDOW = 60 * 60 * 1000; // 1 hour
+
+/**
+ * Client address as seen by the platform proxy
+ * Clients can send their own X-Forwarded-For, so only the address the proxy added is used:
+ * Vercel's X-Real-IP, or else the last X-Forwarded-For hop
+ */
+export function getClientIp(req) {
+    const realIp = req.headers['x-real-ip'];
+    if (realIp) {
+        return String(realIp).trim();
+    }
+    const forwarded = req.headers['x-forwarded-for'];
+    if (forwarded) {
+        const hops = String(forwarded).split(',').map(hop => hop.trim()).filter(Boolean);
+        if (hops.length > 0) {
+            return hops[hops.length - 1];
+        }
+    }
+    return req.socket?.remoteAddress || 'unknown';
+}
+
+function userKey(username) {
+    return `user:${String(username).toLowerCase()}`;
+}
+
+/**
+ * When the key may try again, or null if it may try now
+ */
+function blockedUntil(record, rule, now) {
+    if (!record) {
+        return null;
+    }
+    if (record.lockedUntil && record.lockedUntil > now) {
+        return { until: record.lockedUntil, locked: true };
+    }
+    if (record.failures >= rule.freeAttempts) {
+        const backoff = Math.min(1000 * Math.pow(2, record.failures - rule.freeAttempts), MAX_BACKOFF);
+        const until = record.lastFailure + backoff;
+        if (until > now) {
+            return { until, locked: false };
+        }
+    }
+    return null;
+}
+
+/**
+ * Whether a login attempt may proceed
+ * Returns { allowed: true } or { allowed: false, locked, retryAfter } with retryAfter in seconds
+ */
+export async function checkLoginAllowed(req, username) {
+    const store = getAttemptStore();
+    const now = Date.now();
+    const [ipRecord, userRecord] = await Promise.all([
+        store.get(`ip:${getClientIp(req)}`),
+        store.get(userKey(username))
+    ]);
+
+    const blocks = [blockedUntil(ipRecord, RULES.ip, now), blockedUntil(userRecord, RULES.user, now)].filter(Boolean);
+    if (blocks.length === 0) {
+        return { allowed: true };
+    }
+    const until = Math.max(...blocks.map(block => block.until));
+    return {
+        allowed: false,
+        locked: blocks.some(block => block.locked),
+        retryAfter: Math.ceil((until - now) / 1000)
+    };
+}
+
+async function countFailure(store, key, rule, now) {
+    const record = (await store.get(key)) || { failures: 0 };
+    record.failures += 1;
+    record.lastFailure = now;
+    if (record.failures >= rule.lockAfter) {
+        record.lockedUntil = now + LOCK_DURATION;
+    }
+    await store.set(key, record, Math.max(ATTEMPT_WINDOW, (record.lockedUntil || 0) - now));
+}
+
+/**
+ * Count a failed login against the client IP and the username
+ */
+export async function recordLoginFailure(req, username) {
+    const store = getAttemptStore();
+    const now = Date.now();
+    await Promise.all([
+        countFailure(store, `ip:${getClientIp(req)}`, RULES.ip, now),
+        countFailure(store, userKey(username), RULES.user, now)
+    ]);
+}
+
+/**
+ * Reset the username's counter after a successful login
+ * The IP counter is left alone so one valid account cannot be used to keep guessing others
+ */
+export async function recordLoginSuccess(username) {
+    await getAttemptStore().delete(userKey(username));
+}
+
+/**
+ * Failed-attempt status per username, for the Users tab
+ * Returns { username: { failures, lockedUntil, retryAt } }
+ */
+export async function getLockoutStatus() {
+    const now = Date.now();
+    const entries = await getAttemptStore().list('user:');
+    const status = {};
+    for (const { key, record } of entries) {
+        const block = blockedUntil(record, RULES.user, now);
+        status[key.slice('user:'.length)] = {
+            failures: record.failures,
+            lockedUntil: block?.locked ? new Date(block.until).toISOString() : null,
+            retryAt: block ? new Date(block.until).toISOString() : null
+        };
+    }
+    return status;
+}
+
+/**
+ * Clear a username's failed attempts and any lock
+ */
+export async function unlockUser(username) {
+    await getAttemptStore().delete(userKey(username));
+}
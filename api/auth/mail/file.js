@@ -0,0 +1,31 @@
+// File mail transport
+// Writes each message as a .txt file to MAIL_OUTBOX_DIR (default .mail-outbox/) instead of
+// sending it, so invitation and reset links can be followed without a mail provider
+
+import crypto from 'crypto';
+import { promises as fs } from 'fs';
+import path from 'path';
+
+function getOutboxDir() {
+    return path.resolve(process.env.MAIL_OUTBOX_DIR || '.mail-outbox');
+}
+
+export const fileMailTransport = {
+    async send({ from, to, subject, text }) {
+        const dir = getOutboxDir();
+        await fs.mkdir(dir, { recursive: true });
+
+        const id = `${new Date().toISOString().replace(/[:.]/g, '-')}-${crypto.randomBytes(4).toString('hex')}`;
+        const message = [
+            `From: ${from}`,
+            `To: ${to}`,
+            `Subject: ${subject}`,
+            `Date: ${new Date().toUTCString()}`,
+            '',
+            text
+        ].join('\n');
+
+        await fs.writeFile(path.join(dir, `${id}.txt`), message);
+        return { id };
+    }
+};
@@ -0,0 +1,55 @@
+// Outgoing mail transport selection
+// MAIL_TRANSPORT=file (default outside production) writes messages to disk instead of sending them,
+// MAIL_TRANSPORT=resend sends them through the Resend HTTP API.
+// With NODE_ENV=production the transport must be chosen explicitly: the file default would write
+// into the deployment's read-only directory and every email would be lost
+
+import { fileMailTransport } from './file.js';
+import { resendMailTransport } from './resend.js';
+
+const transports = {
+    file: fileMailTransport,
+    resend: resendMailTransport
+};
+
+/**
+ * Why mail cannot be sent with the current settings, or null
+ */
+export function getMailConfigError() {
+    if (!process.env.MAIL_TRANSPORT && process.env.NODE_ENV === 'production') {
+        return `MAIL_TRANSPORT is not set. Set it to one of: ${Object.keys(transports).join(', ')}`;
+    }
+    return null;
+}
+
+// Reported when the function starts, not first when someone asks for a reset link
+if (getMailConfigError()) {
+    console.error(`Mail is not configured: ${getMailConfigError()}. Invitations and password reset emails will fail.`);
+}
+
+/**
+ * Get the configured mail transport
+ *
+ * Every transport implements:
+ *   send({ from, to, subject, text })  -> { id } once the message is handed off; throws on failure
+ */
+export function getMailTransport() {
+    const configError = getMailConfigError();
+    if (configError) {
+        throw new Error(configError);
+    }
+    const name = (process.env.MAIL_TRANSPORT || 'file').toLowerCase();
+    const transport = transports[name];
+    if (!transport) {
+        throw new Error(`Unknown MAIL_TRANSPORT "${name}". Use one of: ${Object.keys(transports).join(', ')}`);
+    }
+    return transport;
+}
+
+/**
+ * Send a plain-text message from MAIL_FROM through the configured transport
+ */
+export async function sendMail({ to, subject, text }) {
+    const from = process.env.MAIL_FROM || 'ShreeAdvaya Admin <no-reply@shreeadvaya.com>';
+    return getMailTransport().send({ from, to, subject, text });
+}
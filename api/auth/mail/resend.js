@@ -0,0 +1,30 @@
+// Resend mail transport (https://resend.com)
+// Needs RESEND_API_KEY and a MAIL_FROM address on a domain verified with Resend
+
+const RESEND_API = 'https://api.resend.com/emails';
+
+export const resendMailTransport = {
+    async send({ from, to, subject, text }) {
+        const apiKey = process.env.RESEND_API_KEY;
+        if (!apiKey) {
+            throw new Error('RESEND_API_KEY environment variable is required for MAIL_TRANSPORT=resend');
+        }
+
+        const response = await fetch(RESEND_API, {
+            method: 'POST',
+            headers: {
+                'Authorization': `Bearer ${apiKey}`,
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({ from, to: [to], subject, text })
+        });
+
+        if (!response.ok) {
+            const detail = await response.text();
+            throw new Error(`Resend API error: ${response.status} ${detail}`);
+        }
+
+        const { id } = await response.json();
+        return { id };
+    }
+};
@@ -0,0 +1,96 @@
+// Role and permission model
+// Every write route checks a permission from PERMISSIONS. Roles map to sets of permissions:
+// admin, editor and viewer are built in; custom roles are stored in data/roles.json
+
+import { ForbiddenError } from '../http/errors.js';
+import { getStorage, requireStorage } from '../storage/index.js';
+
+const ROLES_PATH = 'data/roles.json';
+
+export const PERMISSIONS = {
+    'products:write': 'Add, edit and delete products',
+    'inventory:write': 'Adjust stock levels',
+    'catalog:manage': 'Manage product attributes and categories',
+    'gallery:write': 'Add, edit and delete gallery images',
+    'hero:write': 'Add, edit and delete hero slides',
+    'content:write': 'Edit site content',
+    'media:upload': 'Upload images',
+    'users:manage': 'Manage users, roles and security settings',
+    'audit:read': 'View and export the activity log'
+};
+
+const ALL_PERMISSIONS = Object.keys(PERMISSIONS);
+
+const BUILT_IN_ROLES = [
+    { name: 'admin', description: 'Full access', permissions: ALL_PERMISSIONS },
+    { name: 'editor', description: 'Can edit all content but not manage users', permissions: ALL_PERMISSIONS.filter(p => p !== 'users:manage' && p !== 'audit:read') },
+    { name: 'viewer', description: 'Read-only', permissions: [] }
+];
+
+export const BUILT_IN_ROLE_NAMES = BUILT_IN_ROLES.map(role => role.name);
+
+/**
+ * Custom roles as stored, [{ name, description, permissions }]
+ */
+export async function loadCustomRoles() {
+    const storage = getStorage();
+    if (storage.getConfigError()) {
+        return [];
+    }
+    const { data } = await storage.readJSON(ROLES_PATH, []);
+    return Array.isArray(data) ? data : [];
+}
+
+/**
+ * Save custom roles
+ */
+export async function saveCustomRoles(roles, message) {
+    const storage = requireStorage();
+    await storage.writeJSON(ROLES_PATH, roles, `${message} - ${new Date().toISOString()}`);
+}
+
+/**
+ * All roles, built-in first: [{ name, description, permissions, builtIn }]
+ */
+export async function loadRoles() {
+    const custom = await loadCustomRoles();
+    return [
+        ...BUILT_IN_ROLES.map(role => ({ ...role, builtIn: true })),
+        ...custom
+            .filter(role => !BUILT_IN_ROLE_NAMES.includes(role.name))
+            .map(role => ({ ...role, builtIn: false }))
+    ];
+}
+
+/**
+ * Whether a role name is defined
+ */
+export async function roleExists(name) {
+    return (await loadRoles()).some(role => role.name === name);
+}
+
+/**
+ * Permissions granted to a role; unknown roles get none
+ */
+export async function getRolePermissions(roleName) {
+    const role = (await loadRoles()).find(r => r.name === roleName);
+    // Ignore permissions that no longer exist
+    return role ? role.permissions.filter(p => ALL_PERMISSIONS.includes(p)) : [];
+}
+
+/**
+ * Whether a verified user (from verifyToken) holds a permission
+ */
+export async function can(user, permission) {
+    if (!user) {
+        return false;
+    }
+    return (await getRolePermissions(user.role)).includes(permission);
+}
+
+/**
+ * 403 error naming the missing permission, for routes to throw
+ */
+export function forbidden(permission) {
+    return new ForbiddenError(`Permission required: ${permission} (${PERMISSIONS[permission]})`, { permission });
+}
@@ -0,0 +1,115 @@
+// Login sessions backed by refresh tokens
+// The refresh token lives in an httpOnly cookie scoped to /api/auth. Sessions and the id (jti)
+// of the one refresh token each may use next are kept in the key-value store (see ../kv/index.js),
+// never in the content repository. Every renewal replaces the refresh token; logging out, or
+// presenting a token that was already replaced, deletes the session
+
+import crypto from 'crypto';
+import { getKV } from '../kv/index.js';
+import { REFRESH_TOKEN_TTL } from './jwt.js';
+
+export const REFRESH_COOKIE = 'admin_refresh';
+
+/**
+ * New random session id
+ */
+export function createSessionId() {
+    return crypto.randomBytes(16).toString('hex');
+}
+
+/**
+ * New random refresh token id
+ */
+export function createTokenId() {
+    return crypto.randomBytes(16).toString('hex');
+}
+
+/**
+ * Read the refresh token from the request cookies
+ */
+export function readRefreshCookie(req) {
+    const header = req.headers.cookie;
+    if (!header) {
+        return null;
+    }
+    for (const part of header.split(';')) {
+        const [name, ...valueParts] = part.trim().split('=');
+        if (name === REFRESH_COOKIE) {
+            return decodeURIComponent(valueParts.join('='));
+        }
+    }
+    return null;
+}
+
+/**
+ * Set-Cookie value carrying a refresh token
+ * Secure is left off for plain-http localhost so `vercel dev` keeps working
+ */
+export function refreshCookie(req, token) {
+    return serializeCookie(req, encodeURIComponent(token), REFRESH_TOKEN_TTL);
+}
+
+/**
+ * Set-Cookie value that removes the refresh token
+ */
+export function clearRefreshCookie(req) {
+    return serializeCookie(req, '', 0);
+}
+
+function serializeCookie(req, value, maxAge) {
+    const host = req.headers.host || '';
+    const isLocal = host.startsWith('localhost') || host.startsWith('127.0.0.1');
+    return [
+        `${REFRESH_COOKIE}=${value}`,
+        'Path=/api/auth',
+        `Max-Age=${maxAge}`,
+        'HttpOnly',
+        'SameSite=Strict',
+        ...(isLocal ? [] : ['Secure'])
+    ].join('; ');
+}
+
+function sessionKey(sessionId) {
+    return `session:${sessionId}`;
+}
+
+function refreshTokenKey(tokenId) {
+    return `refresh-token:${tokenId}`;
+}
+
+/**
+ * Whether a session has ended: logged out, ended for a reused token, or idle past its last token
+ */
+export async function isSessionRevoked(sessionId) {
+    return (await getKV().get(sessionKey(sessionId))) === null;
+}
+
+/**
+ * End a session; refresh tokens it was given stop working
+ */
+export async function revokeSession(sessionId) {
+    await getKV().delete(sessionKey(sessionId));
+}
+
+/**
+ * Record the refresh token a session may use next, starting the session or keeping it alive
+ * for another refresh token lifetime
+ */
+export async function recordRefreshToken(sessionId, tokenId) {
+    const kv = getKV();
+    const ttl = REFRESH_TOKEN_TTL * 1000;
+    await kv.set(sessionKey(sessionId), { renewedAt: new Date().toISOString() }, ttl);
+    await kv.set(refreshTokenKey(tokenId), sessionId, ttl);
+}
+
+/**
+ * Use up a refresh token; true when it was its session's current one
+ * The token is removed in the same step it is read, so of two requests presenting it only one
+ * gets true. A token with no entry was used already, or was never recorded, and is refused
+ */
+export async function consumeRefreshToken(sessionId, tokenId) {
+    if (!tokenId) {
+        return false;
+    }
+    return (await getKV().take(refreshTokenKey(tokenId))) === sessionId;
+}
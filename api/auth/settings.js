@@ -0,0 +1,30 @@
+// Account security settings shared by all users, stored in data/auth-settings.json
+
+import { getStorage, requireStorage } from '../storage/index.js';
+
+const SETTINGS_PATH = 'data/auth-settings.json';
+
+const DEFAULT_SETTINGS = {
+    // Admins without two-factor authentication must enroll at their next login
+    requireAdminTwoFactor: false
+};
+
+/**
+ * Load settings, filling in defaults for anything not stored
+ */
+export async function loadAuthSettings() {
+    const storage = getStorage();
+    if (storage.getConfigError()) {
+        return { ...DEFAULT_SETTINGS };
+    }
+    const { data } = await storage.readJSON(SETTINGS_PATH, {});
+    return { ...DEFAULT_SETTINGS, ...(data && typeof data === 'object' ? data : {}) };
+}
+
+/**
+ * Save settings
+ */
+export async function saveAuthSettings(settings) {
+    const storage = requireStorage();
+    await storage.writeJSON(SETTINGS_PATH, settings, `Update security settings - ${new Date().toISOString()}`);
+}
@@ -0,0 +1,213 @@
+// TOTP two-factor authentication (RFC 6238, SHA-1, 6 digits, 30 second steps)
+// users.json, which is published with the site, only says that a user has 2FA on. The secret
+// (encrypted with TOTP_ENCRYPTION_KEY), the recovery codes (as salted scrypt hashes) and the last
+// time step a code was accepted for are kept in the key-value store (see ../kv/index.js)
+
+import crypto from 'crypto';
+import { ApiError } from '../http/errors.js';
+import { getKV } from '../kv/index.js';
+import { hashPassword, verifyPassword } from './users.js';
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+// Accept the previous and next step to allow for clock drift
+const DRIFT_STEPS = 1;
+const ISSUER = 'ShreeAdvaya Admin';
+const RECOVERY_CODE_COUNT = 10;
+// A started setup is forgotten if no code confirms it within this time
+const SETUP_TTL = 60 * 60 * 1000; // 1 hour
+
+function base32Encode(buffer) {
+    let bits = 0;
+    let value = 0;
+    let output = '';
+    for (const byte of buffer) {
+        value = (value << 8) | byte;
+        bits += 8;
+        while (bits >= 5) {
+            output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+            bits -= 5;
+        }
+    }
+    if (bits > 0) {
+        output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    }
+    return output;
+}
+
+function base32Decode(text) {
+    const clean = text.replace(/[\s=-]/g, '').toUpperCase();
+    let bits = 0;
+    let value = 0;
+    const bytes = [];
+    for (const char of clean) {
+        const index = BASE32_ALPHABET.indexOf(char);
+        if (index === -1) {
+            throw new Error('Invalid base32 secret');
+        }
+        value = (value << 5) | index;
+        bits += 5;
+        if (bits >= 8) {
+            bytes.push((value >>> (bits - 8)) & 255);
+            bits -= 8;
+        }
+    }
+    return Buffer.from(bytes);
+}
+
+/**
+ * New random secret, base32 encoded as authenticator apps expect
+ */
+export function generateTotpSecret() {
+    return base32Encode(crypto.randomBytes(20));
+}
+
+/**
+ * Code for a given time step (RFC 4226 HOTP with the step as counter)
+ */
+function codeAt(secret, step) {
+    const counter = Buffer.alloc(8);
+    counter.writeBigUInt64BE(BigInt(step));
+    const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+    const offset = hmac[hmac.length - 1] & 0x0f;
+    const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+    return String(binary % Math.pow(10, DIGITS)).padStart(DIGITS, '0');
+}
+
+/**
+ * Check a 6-digit code against the secret
+ * Returns the time step the code belongs to, or null. Codes for lastStep or earlier are refused,
+ * so a code that was accepted once cannot be used again while it is still within the drift window
+ */
+export function verifyTotp(secret, code, lastStep = null, now = Date.now()) {
+    const digits = String(code || '').replace(/\s/g, '');
+    if (!/^\d{6}$/.test(digits)) {
+        return null;
+    }
+    const step = Math.floor(now / 1000 / STEP_SECONDS);
+    for (let drift = -DRIFT_STEPS; drift <= DRIFT_STEPS; drift++) {
+        const expected = Buffer.from(codeAt(secret, step + drift));
+        if (crypto.timingSafeEqual(expected, Buffer.from(digits))) {
+            return lastStep !== null && step + drift <= lastStep ? null : step + drift;
+        }
+    }
+    return null;
+}
+
+/**
+ * otpauth:// URI for authenticator apps (what the enrollment QR code encodes)
+ */
+export function provisioningUri(username, secret) {
+    const label = encodeURIComponent(`${ISSUER}:${username}`);
+    const params = new URLSearchParams({ secret, issuer: ISSUER, algorithm: 'SHA1', digits: String(DIGITS), period: String(STEP_SECONDS) });
+    return `otpauth://totp/${label}?${params.toString()}`;
+}
+
+/**
+ * Encryption key for stored secrets, derived from TOTP_ENCRYPTION_KEY
+ * A key of its own, so knowing the admin password does not decrypt the secrets
+ */
+function getSealKey() {
+    const keyMaterial = process.env.TOTP_ENCRYPTION_KEY;
+    if (!keyMaterial) {
+        throw new ApiError(503, 'TWO_FACTOR_NOT_CONFIGURED', 'TOTP_ENCRYPTION_KEY is not set, so two-factor authentication is unavailable');
+    }
+    return crypto.createHash('sha256').update(`totp:${keyMaterial}`).digest();
+}
+
+/**
+ * Encrypt a secret for users.json (AES-256-GCM, "iv:authTag:ciphertext" in hex)
+ */
+export function sealSecret(secret) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', getSealKey(), iv);
+    const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+    return `${iv.toString('hex')}:${cipher.getAuthTag().toString('hex')}:${encrypted.toString('hex')}`;
+}
+
+/**
+ * Decrypt a stored secret; null if it cannot be read (e.g. the key changed)
+ */
+export function openSecret(sealed) {
+    const key = getSealKey();
+    try {
+        const [ivHex, authTagHex, encryptedHex] = String(sealed).split(':');
+        const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(ivHex, 'hex'));
+        decipher.setAuthTag(Buffer.from(authTagHex, 'hex'));
+        return Buffer.concat([decipher.update(Buffer.from(encryptedHex, 'hex')), decipher.final()]).toString('utf8');
+    } catch (error) {
+        return null;
+    }
+}
+
+function normalizeRecoveryCode(code) {
+    return String(code).replace(/[\s-]/g, '').toUpperCase();
+}
+
+/**
+ * New set of one-time recovery codes
+ * Returns { codes, hashes } - show codes to the user once, store only the scrypt hashes
+ */
+export function generateRecoveryCodes() {
+    const codes = [];
+    for (let i = 0; i < RECOVERY_CODE_COUNT; i++) {
+        const raw = base32Encode(crypto.randomBytes(7)).slice(0, 10);
+        codes.push(`${raw.slice(0, 5)}-${raw.slice(5)}`);
+    }
+    return { codes, hashes: codes.map(code => hashPassword(normalizeRecoveryCode(code))) };
+}
+
+/**
+ * Index of the stored hash a recovery code matches, or -1
+ */
+export function findRecoveryCode(hashes, code) {
+    if (!Array.isArray(hashes) || !code) {
+        return -1;
+    }
+    const normalized = normalizeRecoveryCode(code);
+    return hashes.findIndex(stored => verifyPassword(normalized, stored));
+}
+
+function twoFactorKey(username) {
+    return `totp:${String(username).toLowerCase()}`;
+}
+
+function setupKey(username) {
+    return `totp-setup:${String(username).toLowerCase()}`;
+}
+
+/**
+ * A user's 2FA record { secret, recoveryCodes, lastStep }, or null
+ */
+export async function loadTwoFactor(username) {
+    return getKV().get(twoFactorKey(username));
+}
+
+export async function saveTwoFactor(username, record) {
+    await getKV().set(twoFactorKey(username), record);
+}
+
+/**
+ * Forget a user's 2FA record and any setup in progress
+ */
+export async function deleteTwoFactor(username) {
+    const kv = getKV();
+    await kv.delete(twoFactorKey(username));
+    await kv.delete(setupKey(username));
+}
+
+/**
+ * Setup in progress { secret, createdAt }, or null once it was confirmed or expired
+ */
+export async function loadTwoFactorSetup(username) {
+    return getKV().get(setupKey(username));
+}
+
+export async function saveTwoFactorSetup(username, setup) {
+    await getKV().set(setupKey(username), setup, SETUP_TTL);
+}
+
+export async function deleteTwoFactorSetup(username) {
+    await getKV().delete(setupKey(username));
+}
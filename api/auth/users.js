@@ -1,59 +1,92 @@
-// User management utilities with encrypted password storage
-// Passwords are encrypted in JSON using ADMIN_PASSWORD as the encryption key
-// ADMIN_PASSWORD is also used as JWT secret
+// User management utilities with hashed password storage
+// Passwords are stored as salted scrypt hashes; older AES-encrypted records are migrated on login
 
 import crypto from 'crypto';
+import { getStorage } from '../storage/index.js';
+
+// scrypt cost parameters; stored with each hash so they can be raised later
+const SCRYPT_N = 16384;
+const SCRYPT_R = 8;
+const SCRYPT_P = 1;
+const SCRYPT_KEYLEN = 64;
 
 /**
- * Get encryption key from ADMIN_PASSWORD
- * Derives a consistent key from ADMIN_PASSWORD for AES-256 encryption
+ * Hash a password with scrypt and a random salt
+ * Returns "scrypt$N$r$p$salt$hash" (hex salt and hash)
  */
-function getEncryptionKey() {
-    const adminPassword = process.env.ADMIN_PASSWORD;
-    if (!adminPassword) {
-        throw new Error('ADMIN_PASSWORD environment variable is required');
+export function hashPassword(password) {
+    const salt = crypto.randomBytes(16);
+    const hash = crypto.scryptSync(password, salt, SCRYPT_KEYLEN, { N: SCRYPT_N, r: SCRYPT_R, p: SCRYPT_P });
+    return `scrypt$${SCRYPT_N}$${SCRYPT_R}$${SCRYPT_P}$${salt.toString('hex')}$${hash.toString('hex')}`;
+}
+
+/**
+ * Compare two strings without leaking where they differ
+ */
+export function safeEqual(a, b) {
+    const digestA = crypto.createHash('sha256').update(String(a)).digest();
+    const digestB = crypto.createHash('sha256').update(String(b)).digest();
+    return crypto.timingSafeEqual(digestA, digestB);
+}
+
+/**
+ * Check a password against a stored hash
+ * Accepts scrypt hashes and the older pbkdf2 "salt:hash" format from generate-password-hash.js
+ */
+export function verifyPassword(password, passwordHash) {
+    if (typeof passwordHash !== 'string') {
+        return false;
     }
-    // Derive a 32-byte key from ADMIN_PASSWORD using SHA-256
-    return crypto.createHash('sha256').update(adminPassword).digest();
+
+    const parts = passwordHash.split('$');
+    if (parts[0] === 'scrypt' && parts.length === 6) {
+        const [, N, r, p, saltHex, hashHex] = parts;
+        const expected = Buffer.from(hashHex, 'hex');
+        const actual = crypto.scryptSync(password, Buffer.from(saltHex, 'hex'), expected.length, {
+            N: parseInt(N, 10),
+            r: parseInt(r, 10),
+            p: parseInt(p, 10)
+        });
+        return crypto.timingSafeEqual(actual, expected);
+    }
+
+    const [salt, hashHex] = passwordHash.split(':');
+    if (salt && hashHex) {
+        const expected = Buffer.from(hashHex, 'hex');
+        const actual = crypto.pbkdf2Sync(password, salt, 10000, expected.length, 'sha512');
+        return crypto.timingSafeEqual(actual, expected);
+    }
+
+    return false;
 }
 
 /**
- * Encrypt password using AES-256-GCM
- * Uses ADMIN_PASSWORD as the encryption key
+ * Whether a stored hash should be replaced by a fresh one with the current parameters
  */
-export function encryptPassword(password) {
-    const key = getEncryptionKey();
-    const iv = crypto.randomBytes(16); // Initialization vector
-    
-    const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
-    let encrypted = cipher.update(password, 'utf8', 'hex');
-    encrypted += cipher.final('hex');
-    
-    const authTag = cipher.getAuthTag(); // For authentication
-    
-    // Return: iv:authTag:encrypted
-    return `${iv.toString('hex')}:${authTag.toString('hex')}:${encrypted}`;
+function needsRehash(passwordHash) {
+    return !passwordHash.startsWith(`scrypt$${SCRYPT_N}$${SCRYPT_R}$${SCRYPT_P}$`);
 }
 
 /**
- * Decrypt password using AES-256-GCM
- * Uses ADMIN_PASSWORD as the decryption key
+ * Decrypt a legacy AES-256-GCM encryptedPassword (iv:authTag:encrypted)
+ * The key was derived from ADMIN_PASSWORD; only used to migrate old records on login
  */
-export function decryptPassword(encryptedPassword) {
+function decryptLegacyPassword(encryptedPassword) {
     try {
-        const key = getEncryptionKey();
+        const adminPassword = process.env.ADMIN_PASSWORD;
+        if (!adminPassword) {
+            return null;
+        }
+        const key = crypto.createHash('sha256').update(adminPassword).digest();
         const parts = encryptedPassword.split(':');
         
         if (parts.length !== 3) {
-            throw new Error('Invalid encrypted password format');
+            return null;
         }
         
         const [ivHex, authTagHex, encrypted] = parts;
-        const iv = Buffer.from(ivHex, 'hex');
-        const authTag = Buffer.from(authTagHex, 'hex');
-        
-        const decipher = crypto.createDecipheriv('aes-256-gcm', key, iv);
-        decipher.setAuthTag(authTag);
+        const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(ivHex, 'hex'));
+        decipher.setAuthTag(Buffer.from(authTagHex, 'hex'));
         
         let decrypted = decipher.update(encrypted, 'hex', 'utf8');
         decrypted += decipher.final('utf8');
@@ -65,8 +98,18 @@ export function decryptPassword(encryptedPassword) {
     }
 }
 
+/**
+ * Set a user's password, dropping any legacy encrypted copy
+ */
+export function setUserPassword(user, password) {
+    user.passwordHash = hashPassword(password);
+    delete user.encryptedPassword;
+    return user;
+}
+
 /**
  * Get default Admin user object
+ * Without a stored hash, the default admin signs in with ADMIN_PASSWORD itself
  */
 function getDefaultAdminUser() {
     const adminPassword = process.env.ADMIN_PASSWORD;
@@ -75,7 +118,6 @@ function getDefaultAdminUser() {
         console.warn('ADMIN_PASSWORD not set. Using plain text password (not recommended).');
         return {
             username: 'Admin',
-            encryptedPassword: 'admin', // Plain text for backward compat
             role: 'admin',
             email: 'admin@shreeadvaya.com',
             createdAt: new Date().toISOString(),
@@ -84,67 +126,47 @@ function getDefaultAdminUser() {
         };
     }
     
-    // Create default Admin user with encrypted password
-    const encryptedPassword = encryptPassword(adminPassword);
     return {
         username: 'Admin',
-        encryptedPassword: encryptedPassword,
         role: 'admin',
         email: 'admin@shreeadvaya.com',
         createdAt: new Date().toISOString(),
+        usesAdminPassword: true,
         isDefault: true // Flag to indicate this is the default admin
     };
 }
 
 /**
- * Load users from GitHub (or fallback to environment variable)
+ * Default Admin record as written to users.json, with ADMIN_PASSWORD hashed
+ */
+export function createDefaultAdminRecord() {
+    const { usesAdminPassword, isPlainText, ...admin } = getDefaultAdminUser();
+    return setUserPassword(admin, process.env.ADMIN_PASSWORD || 'admin');
+}
+
+/**
+ * Load users from storage (or fallback to environment variable)
  * Always ensures default "Admin" user exists
  */
 export async function loadUsers() {
     let users = [];
     
-    try {
-        // Try to load from GitHub
-        const githubToken = process.env.GITHUB_TOKEN;
-        const owner = process.env.GITHUB_OWNER || process.env.VERCEL_GIT_REPO_OWNER;
-        const repo = process.env.GITHUB_REPO || process.env.VERCEL_GIT_REPO_SLUG;
-        
-        if (githubToken && owner && repo) {
-            const response = await fetch(
-                `https://api.github.com/repos/${owner}/${repo}/contents/data/users.json`,
-                {
-                    headers: {
-                        'Authorization': `Bearer ${githubToken}`,
-                        'Accept': 'application/vnd.github.v3+json',
-                        'X-GitHub-Api-Version': '2022-11-28'
-                    }
-                }
-            );
-            
-            if (response.ok) {
-                const data = await response.json();
-                // Handle base64 encoded content from GitHub API
-                if (data.content) {
-                    const content = Buffer.from(data.content, 'base64').toString('utf-8');
-                    const loadedUsers = JSON.parse(content);
-                    users = Array.isArray(loadedUsers) ? loadedUsers : [];
-                } else {
-                    // Direct JSON response (shouldn't happen with contents API, but handle gracefully)
-                    users = Array.isArray(data) ? data : [];
-                }
-            }
-        }
-    } catch (error) {
-        console.error('Error loading users from GitHub:', error);
+    // Load from the configured storage backend; a failed read must not look like an empty
+    // user list, or the first registration would be open to anyone
+    const storage = getStorage();
+    if (!storage.getConfigError()) {
+        const { data } = await storage.readJSON('data/users.json', []);
+        users = data;
     }
     
     // Fallback: Load from environment variable (for initial setup)
     if (users.length === 0) {
         const usersEnv = process.env.ADMIN_USERS;
         if (usersEnv) {
+            // username:passwordHash:role (scrypt hashes use $ separators, so they split cleanly)
             users = usersEnv.split(',').map(userStr => {
-                const [username, encryptedPassword, role = 'admin'] = userStr.split(':');
-                return { username, encryptedPassword, role };
+                const [username, passwordHash, role = 'admin'] = userStr.split(':');
+                return { username, passwordHash, role };
             });
         }
     }
@@ -160,11 +182,16 @@ export async function loadUsers() {
         // Update existing Admin user to ensure it has isDefault flag and correct properties
         const adminIndex = users.findIndex(u => u.username.toLowerCase() === 'admin');
         if (adminIndex !== -1) {
+            const stored = users[adminIndex];
+            const hasStoredPassword = !!(stored.passwordHash || stored.encryptedPassword);
+            // Stored fields (createdAt, email, 2FA) win; the default only fills in what is missing
             users[adminIndex] = {
-                ...users[adminIndex],
                 ...defaultAdmin,
-                // Preserve existing encryptedPassword if it's different from default
-                encryptedPassword: users[adminIndex].encryptedPassword || defaultAdmin.encryptedPassword,
+                ...stored,
+                // A stored password takes precedence over ADMIN_PASSWORD
+                usesAdminPassword: hasStoredPassword ? undefined : defaultAdmin.usesAdminPassword,
+                isPlainText: hasStoredPassword ? undefined : defaultAdmin.isPlainText,
+                role: 'admin',
                 isDefault: true
             };
         }
@@ -173,54 +200,92 @@ export async function loadUsers() {
     return users;
 }
 
+/**
+ * Usernames are matched case-insensitively, as the admin panel and lockout counters treat them
+ */
+function sameUsername(a, b) {
+    return typeof a === 'string' && typeof b === 'string' && a.toLowerCase() === b.toLowerCase();
+}
+
 /**
  * Find user by username
  */
 export async function findUser(username) {
     const users = await loadUsers();
-    return users.find(u => u.username === username);
+    return users.find(u => sameUsername(u.username, username));
 }
 
 /**
- * Authenticate user
- * Decrypts password from JSON and compares with provided password
+ * Check a password against a user record
+ * Returns { valid, migrate } where migrate is true when the record should be re-hashed
  */
-export async function authenticateUser(username, password) {
-    const user = await findUser(username);
-    if (!user) {
-        return null; // Don't reveal if user exists
-    }
-    
+function checkUserPassword(user, password) {
     // Handle backward compatibility with plain text passwords
     if (user.isPlainText) {
-        if (password === user.encryptedPassword) {
-            return { username: user.username, role: user.role || 'admin' };
-        }
-        return null;
+        return { valid: safeEqual(password, 'admin'), migrate: false };
     }
     
-    // Decrypt password from JSON
-    const decryptedPassword = decryptPassword(user.encryptedPassword);
-    if (!decryptedPassword) {
-        console.error('Failed to decrypt password for user:', username);
-        return null;
+    if (user.usesAdminPassword) {
+        return { valid: safeEqual(password, process.env.ADMIN_PASSWORD), migrate: false };
     }
     
-    // Compare decrypted password with provided password
-    if (password === decryptedPassword) {
-        return { username: user.username, role: user.role || 'admin' };
+    if (user.passwordHash) {
+        const valid = verifyPassword(password, user.passwordHash);
+        return { valid, migrate: valid && needsRehash(user.passwordHash) };
+    }
+    
+    if (user.encryptedPassword) {
+        const decryptedPassword = decryptLegacyPassword(user.encryptedPassword);
+        if (decryptedPassword === null) {
+            console.error('Failed to decrypt legacy password for user:', user.username);
+            return { valid: false, migrate: false };
+        }
+        const valid = safeEqual(password, decryptedPassword);
+        return { valid, migrate: valid };
     }
     
-    return null;
+    return { valid: false, migrate: false };
 }
 
 /**
- * Get JWT secret from ADMIN_PASSWORD
+ * Replace a user's legacy or outdated password record with a fresh scrypt hash
+ * Best effort: a failed write only means migration is retried on the next login
  */
-export function getJWTSecret() {
-    const adminPassword = process.env.ADMIN_PASSWORD;
-    if (!adminPassword) {
-        throw new Error('ADMIN_PASSWORD environment variable is required for JWT');
+async function migratePassword(users, user, password) {
+    try {
+        const storage = getStorage();
+        if (storage.getConfigError()) {
+            return;
+        }
+        const { usesAdminPassword, isPlainText, ...record } = user;
+        const index = users.indexOf(user);
+        users[index] = setUserPassword(record, password);
+        await storage.writeJSON('data/users.json', users, `Upgrade password hash for ${user.username} - ${new Date().toISOString()}`);
+    } catch (error) {
+        console.error('Failed to migrate password for user:', user.username, error);
     }
-    return adminPassword;
+}
+
+/**
+ * Authenticate user
+ * Verifies the password against the stored hash in constant time; legacy
+ * encryptedPassword records are converted to hashes on the first successful login
+ */
+export async function authenticateUser(username, password) {
+    const users = await loadUsers();
+    const user = users.find(u => sameUsername(u.username, username));
+    if (!user) {
+        return null; // Don't reveal if user exists
+    }
+    
+    const { valid, migrate } = checkUserPassword(user, password);
+    if (!valid) {
+        return null;
+    }
+    
+    if (migrate) {
+        await migratePassword(users, user, password);
+    }
+    
+    return { username: user.username, role: user.role || 'admin' };
 }
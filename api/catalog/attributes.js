@@ -0,0 +1,51 @@
+// Catalog of product attributes
+// Attributes such as fabric, weave or region are defined once, in data/attributes.json, and
+// products hold values for them by key: attributes: { fabric: 'silk', occasion: ['wedding'] }.
+// An attribute's type decides the values it takes:
+//   text, textarea - free text
+//   select         - one of its options
+//   multiselect    - any number of its options
+//   boolean        - true or false
+// Filterable attributes are offered as filters on the site
+
+import { getStorage } from '../storage/index.js';
+
+export const ATTRIBUTES_FILE = 'data/attributes.json';
+
+export const ATTRIBUTE_TYPES = ['text', 'textarea', 'select', 'multiselect', 'boolean'];
+
+// Types whose values must be one of the attribute's options
+export const OPTION_TYPES = ['select', 'multiselect'];
+
+/**
+ * Attributes as stored, [{ key, label, type, options, filterable, description }]
+ */
+export async function loadAttributes() {
+    const storage = getStorage();
+    if (storage.getConfigError()) {
+        return [];
+    }
+    const { data } = await storage.readJSON(ATTRIBUTES_FILE, []);
+    return Array.isArray(data) ? data : [];
+}
+
+/**
+ * Option values a product holds for an attribute, [] when it holds none
+ */
+function optionValues(product, key) {
+    const value = product.attributes ? product.attributes[key] : undefined;
+    if (value === undefined || value === null) {
+        return [];
+    }
+    return Array.isArray(value) ? value : [value];
+}
+
+/**
+ * Products holding a value for an attribute; with option, only those holding that option
+ */
+export function productsUsing(products, key, option) {
+    return products.filter(product => {
+        const values = optionValues(product, key);
+        return option === undefined ? values.length > 0 : values.includes(option);
+    });
+}
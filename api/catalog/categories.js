@@ -0,0 +1,64 @@
+// Category taxonomy
+// Categories are defined in data/categories.json and products name theirs by slug:
+//   { slug, name, description, image, parent, sortOrder }
+// A category is either top level (parent null) or a subcategory of a top-level one, so the
+// site can show subcategories under the category buttons. Categories are listed by sortOrder,
+// then by name, with subcategories after their parent. While no categories are defined,
+// products may name any category
+
+import { getStorage } from '../storage/index.js';
+
+export const CATEGORIES_FILE = 'data/categories.json';
+
+/**
+ * Categories as stored, [{ slug, name, description, image, parent, sortOrder }]
+ */
+export async function loadCategories() {
+    const storage = getStorage();
+    if (storage.getConfigError()) {
+        return [];
+    }
+    const { data } = await storage.readJSON(CATEGORIES_FILE, []);
+    return Array.isArray(data) ? data : [];
+}
+
+/**
+ * Categories in display order: each top-level category followed by its subcategories, both
+ * by sortOrder, then by name. Subcategories whose parent is missing come last
+ */
+export function sortCategories(categories) {
+    const sorted = [...categories].sort((a, b) => (a.sortOrder || 0) - (b.sortOrder || 0) || a.name.localeCompare(b.name));
+    const topLevel = sorted.filter(category => !category.parent);
+    const placed = topLevel.flatMap(category => [category, ...sorted.filter(child => child.parent === category.slug)]);
+    return [...placed, ...sorted.filter(category => !placed.includes(category))];
+}
+
+/**
+ * Slugs of a category's subcategories
+ */
+export function childSlugs(categories, slug) {
+    return categories.filter(category => category.parent === slug).map(category => category.slug);
+}
+
+/**
+ * Why a category cannot sit under parent in the taxonomy, or null when it can
+ */
+export function parentProblem(categories, slug, parent) {
+    if (!parent) {
+        return null;
+    }
+    if (parent === slug) {
+        return 'cannot be the category itself';
+    }
+    const found = categories.find(category => category.slug === parent);
+    if (!found) {
+        return 'must be an existing category';
+    }
+    if (found.parent) {
+        return 'must be a top-level category';
+    }
+    if (childSlugs(categories, slug).length > 0) {
+        return 'cannot be set on a category that has subcategories';
+    }
+    return null;
+}
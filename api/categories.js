@@ -0,0 +1,153 @@
+// API route: /api/categories
+// The category taxonomy products are filed under, with display names and nesting
+//   GET    /api/categories            - [{ slug, name, description, image, parent, sortOrder }] in display order
+//   POST   /api/categories            - add a category
+//   PUT    /api/categories?slug=silk  - replace a category's details; its slug stays
+//   DELETE /api/categories?slug=silk
+// A category with subcategories or products cannot be deleted (409 CATEGORY_HAS_CHILDREN,
+// CATEGORY_IN_USE), so no product is left in a category that does not exist
+
+import { can, forbidden } from './auth/permissions.js';
+import { recordAudit, diffFields } from './audit/log.js';
+import { commitMessage, commitAuthor } from './audit/commit.js';
+import { CATEGORIES_FILE, childSlugs, parentProblem, sortCategories } from './catalog/categories.js';
+import { BadRequestError, ConflictError, MethodNotAllowedError, NotFoundError, PreconditionRequiredError, ValidationError } from './http/errors.js';
+import { createHandler, requireUser } from './http/pipeline.js';
+import { requireStorage } from './storage/index.js';
+import { VersionConflictError, toETag, parseIfMatch, ifMatchSatisfied, versionConflict, staleWriteConflict, pickRecords } from './storage/versions.js';
+import { validate } from './validation/schema.js';
+import { categorySchema } from './validation/schemas.js';
+
+const PRODUCTS_FILE = 'data/products.json';
+
+export default createHandler({
+    methods: ['GET', 'POST', 'PUT', 'DELETE'],
+    allowHeaders: ['Content-Type', 'Authorization', 'If-Match'],
+    exposeHeaders: ['ETag']
+}, handleCategories);
+
+async function handleCategories(req, res) {
+    // The taxonomy is public, the site builds its category buttons from it
+    let actor = null;
+    if (req.method !== 'GET') {
+        actor = requireUser(req);
+        if (!(await can(actor, 'catalog:manage'))) {
+            throw forbidden('catalog:manage');
+        }
+    }
+
+    const { method, query, body } = req;
+    const storage = requireStorage();
+
+    const ifMatch = parseIfMatch(req.headers['if-match']);
+    if (method !== 'GET' && !ifMatch) {
+        throw new PreconditionRequiredError('If-Match header required. Reload the categories and try again.');
+    }
+    if ((method === 'PUT' || method === 'DELETE') && !query.slug) {
+        throw new BadRequestError('Category slug is required');
+    }
+
+    let record = body;
+    if (method === 'POST' || method === 'PUT') {
+        const checked = validate(categorySchema, method === 'PUT' ? { ...body, slug: query.slug } : body);
+        if (!checked.valid) {
+            throw new ValidationError(checked.errors.map(error => ({ entity: 'categories', id: query.slug || body.slug, ...error })));
+        }
+        record = normalizeCategory(checked.value);
+    }
+
+    try {
+        if (method === 'GET') {
+            const { data: categories, sha } = await storage.readJSON(CATEGORIES_FILE, []);
+            res.setHeader('ETag', toETag(sha));
+            return res.status(200).json(sortCategories(categories));
+        }
+
+        if (!['POST', 'PUT', 'DELETE'].includes(method)) {
+            throw new MethodNotAllowedError(['GET', 'POST', 'PUT', 'DELETE']);
+        }
+
+        const { data: categories, sha } = await storage.readJSON(CATEGORIES_FILE, []);
+        const slug = method === 'POST' ? record.slug : query.slug;
+        if (!ifMatchSatisfied(ifMatch, sha)) {
+            throw versionConflict('categories', sha, pickRecords(categories, [slug], 'slug'));
+        }
+        const index = categories.findIndex(category => category.slug === slug);
+        const author = await commitAuthor(actor);
+
+        if (method === 'POST' && index !== -1) {
+            throw new ConflictError(`A category with slug ${slug} already exists`, { code: 'CATEGORY_EXISTS' });
+        }
+        if (method !== 'POST' && index === -1) {
+            throw new NotFoundError('Category not found');
+        }
+        if (method !== 'DELETE') {
+            const problem = parentProblem(categories, slug, record.parent);
+            if (problem) {
+                throw new ValidationError([{ entity: 'categories', id: slug, field: 'parent', message: problem }]);
+            }
+        }
+
+        if (method === 'POST') {
+            const after = [...categories, record];
+            const message = commitMessage([{ entity: 'categories', key: 'slug', before: categories, after }]);
+            const saved = await storage.writeJSON(CATEGORIES_FILE, after, message, sha, author);
+            res.setHeader('ETag', toETag(saved.sha));
+            await recordAudit(req, actor, [{ action: 'create', entity: 'categories', entityId: slug, changes: diffFields(null, record) }]);
+            return res.status(201).json(record);
+        }
+
+        const previous = categories[index];
+        if (method === 'DELETE') {
+            await assertCategoryUnused(storage, categories, previous);
+        }
+
+        const after = method === 'PUT'
+            ? categories.map(category => category.slug === slug ? record : category)
+            : categories.filter(category => category.slug !== slug);
+        const message = commitMessage([{ entity: 'categories', key: 'slug', before: categories, after }]);
+        const saved = await storage.writeJSON(CATEGORIES_FILE, after, message, sha, author);
+        res.setHeader('ETag', toETag(saved.sha));
+
+        if (method === 'PUT') {
+            await recordAudit(req, actor, [{ action: 'update', entity: 'categories', entityId: slug, changes: diffFields(previous, record) }]);
+            return res.status(200).json(record);
+        }
+        await recordAudit(req, actor, [{ action: 'delete', entity: 'categories', entityId: slug, changes: diffFields(previous, null) }]);
+        return res.status(200).json({ success: true });
+    } catch (error) {
+        if (error instanceof VersionConflictError) {
+            throw await staleWriteConflict(storage, 'categories', CATEGORIES_FILE, [method === 'POST' ? record.slug : query.slug], 'slug');
+        }
+        throw error;
+    }
+}
+
+/**
+ * Stored form of a validated category, with every field present
+ */
+function normalizeCategory({ slug, name, description, image, parent, sortOrder }) {
+    return {
+        slug,
+        name,
+        description: description || '',
+        image: image || '',
+        parent: parent || null,
+        sortOrder: sortOrder || 0
+    };
+}
+
+/**
+ * Refuse to delete a category that has subcategories or products
+ */
+async function assertCategoryUnused(storage, categories, category) {
+    const children = childSlugs(categories, category.slug);
+    if (children.length > 0) {
+        throw new ConflictError(`${category.name} still has subcategories: ${children.join(', ')}`, { code: 'CATEGORY_HAS_CHILDREN', categories: children });
+    }
+    const { data: products } = await storage.readJSON(PRODUCTS_FILE, []);
+    const filed = products.filter(product => product.category === category.slug).map(product => product.name || product.id);
+    if (filed.length > 0) {
+        throw new ConflictError(`${category.name} still has products: ${filed.join(', ')}`, { code: 'CATEGORY_IN_USE', products: filed });
+    }
+}
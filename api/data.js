@@ -1,33 +1,69 @@
 // Consolidated API route: /api/data
-// Handles content and batch operations via query parameter ?action=content|batch
-
-import { verifyToken } from './auth/jwt.js';
-import { encryptPassword } from './auth/users.js';
-
-export default async function handler(req, res) {
-    // Security headers
-    res.setHeader('X-Content-Type-Options', 'nosniff');
-    res.setHeader('X-Frame-Options', 'DENY');
-    res.setHeader('X-XSS-Protection', '1; mode=block');
-    
-    // CORS - restrict to your domain only
-    const allowedOrigin = process.env.ALLOWED_ORIGIN || 'https://shreeadvaya.vercel.app';
-    const origin = req.headers.origin;
-    
-    if (origin && (origin === allowedOrigin || origin.includes('localhost'))) {
-        res.setHeader('Access-Control-Allow-Origin', origin);
-    } else {
-        res.setHeader('Access-Control-Allow-Origin', allowedOrigin);
-    }
-    
-    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, OPTIONS');
-    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
-    res.setHeader('Access-Control-Allow-Credentials', 'true');
-
-    if (req.method === 'OPTIONS') {
-        return res.status(200).end();
-    }
-
+// Handles content, batch, history, revert and audit operations via query parameter ?action=content|batch|history|revert|audit
+
+import { can, forbidden, loadRoles } from './auth/permissions.js';
+import { setUserPassword, createDefaultAdminRecord } from './auth/users.js';
+import { recordAudit, collectionEvents, diffFields, readAudit, auditToCsv } from './audit/log.js';
+import { commitMessage, commitAuthor, cleanChangeNote } from './audit/commit.js';
+import { loadAttributes } from './catalog/attributes.js';
+import { loadCategories } from './catalog/categories.js';
+import { BadRequestError, MethodNotAllowedError, NotFoundError, PreconditionRequiredError, ValidationError } from './http/errors.js';
+import { createHandler, requireUser } from './http/pipeline.js';
+import { withStockStatus } from './inventory/stock.js';
+import { withPricing } from './pricing/price.js';
+import { requireStorage } from './storage/index.js';
+import { isTempId } from './storage/ids.js';
+import { applyCollectionChanges, createdIds, failed, rejectedBatch } from './storage/operations.js';
+import { assertShrinkConfirmed } from './storage/shrink.js';
+import { VersionConflictError, toETag, parseIfMatch, ifMatchSatisfied, versionConflict, conflictError, conflictEntry, pickRecords } from './storage/versions.js';
+import { validate } from './validation/schema.js';
+import { schemas, changeNoteSchema, productSchemaFor } from './validation/schemas.js';
+
+// Permission each batch section requires
+const SECTION_PERMISSIONS = {
+    products: 'products:write',
+    gallery: 'gallery:write',
+    hero: 'hero:write',
+    content: 'content:write',
+    users: 'users:manage'
+};
+
+// Entity and record key logged and summarized for each file the batch and revert handlers write
+const AUDITED_FILES = {
+    'data/products.json': { entity: 'products', key: 'id' },
+    'data/gallery.json': { entity: 'gallery', key: 'id' },
+    'data/hero.json': { entity: 'hero', key: 'id' },
+    'data/content.json': { entity: 'content' },
+    'data/users.json': { entity: 'users', key: 'username' }
+};
+
+// Files whose writes are guarded by If-Match, keyed by batch section
+const VERSIONED_FILES = {
+    products: 'data/products.json',
+    gallery: 'data/gallery.json',
+    hero: 'data/hero.json',
+    content: 'data/content.json'
+};
+
+const USERS_FILE = 'data/users.json';
+
+// Batch sections holding lists of records with an id
+const COLLECTION_SECTIONS = ['products', 'gallery', 'hero'];
+// A batch is committed again when only files it does not write moved the branch on meanwhile
+const WRITE_ATTEMPTS = 3;
+
+// Fields the server works out on the records a batch creates or updates, by section
+const PREPARE_RECORDS = {
+    products: product => withPricing(withStockStatus(product))
+};
+
+export default createHandler({
+    methods: ['GET', 'POST', 'PUT'],
+    allowHeaders: ['Content-Type', 'Authorization', 'If-Match'],
+    exposeHeaders: ['ETag']
+}, routeAction);
+
+function routeAction(req, res) {
     // Get action from query parameter
     const { action } = req.query;
 
@@ -36,6 +72,12 @@ export default async function handler(req, res) {
         return handleContent(req, res);
     } else if (action === 'batch') {
         return handleBatch(req, res);
+    } else if (action === 'history') {
+        return handleHistory(req, res);
+    } else if (action === 'revert') {
+        return handleRevert(req, res);
+    } else if (action === 'audit') {
+        return handleAudit(req, res);
     } else {
         // Default: content for GET, batch for POST
         if (req.method === 'GET') {
@@ -43,679 +85,658 @@ export default async function handler(req, res) {
         } else if (req.method === 'POST') {
             return handleBatch(req, res);
         }
-        return res.status(400).json({ error: 'Invalid action. Use ?action=content|batch' });
+        throw new BadRequestError('Invalid action. Use ?action=content|batch|history|revert|audit', { code: 'INVALID_ACTION' });
     }
 }
 
 // Content handler
 async function handleContent(req, res) {
-    // Parse request body for PUT requests
-    let body = {};
-    if (req.method === 'PUT') {
-        try {
-            body = typeof req.body === 'string' ? JSON.parse(req.body) : req.body;
-        } catch (e) {
-            return res.status(400).json({ error: 'Invalid JSON body' });
+    // Verify authentication for write operations
+    let user = null;
+    if (req.method !== 'GET') {
+        user = requireUser(req);
+        if (!(await can(user, 'content:write'))) {
+            throw forbidden('content:write');
         }
     }
 
-    const { method } = req;
-    const GITHUB_TOKEN = process.env.GITHUB_TOKEN;
-    const GITHUB_OWNER = process.env.VERCEL_GIT_REPO_OWNER || process.env.GITHUB_OWNER || 'your-username';
-    const GITHUB_REPO = process.env.VERCEL_GIT_REPO_SLUG || process.env.GITHUB_REPO || 'ShreeAdvaya';
+    const { method, body } = req;
+    const storage = requireStorage();
     const DATA_FILE = 'data/content.json';
 
-    if (!GITHUB_TOKEN) {
-        return res.status(500).json({ error: 'GitHub token not configured' });
+    const ifMatch = parseIfMatch(req.headers['if-match']);
+    if (method === 'PUT' && !ifMatch) {
+        throw new PreconditionRequiredError('If-Match header required. Reload the content and try again.');
+    }
+
+    let updates = body;
+    if (method === 'PUT') {
+        const checked = validate(schemas.content, body, { partial: true });
+        if (!checked.valid) {
+            throw new ValidationError(checked.errors.map(error => ({ entity: 'content', id: 'content', ...error })));
+        }
+        updates = checked.value;
     }
 
     try {
         if (method === 'GET') {
-            const content = await getFileFromGitHub(GITHUB_TOKEN, GITHUB_OWNER, GITHUB_REPO, DATA_FILE);
+            const { data: content, sha } = await storage.readJSON(DATA_FILE, {});
+            res.setHeader('ETag', toETag(sha));
             return res.status(200).json(content);
         }
 
         if (method === 'PUT') {
-            const content = await getFileFromGitHub(GITHUB_TOKEN, GITHUB_OWNER, GITHUB_REPO, DATA_FILE);
+            const { data: content, sha } = await storage.readJSON(DATA_FILE, {});
+            if (!ifMatchSatisfied(ifMatch, sha)) {
+                throw versionConflict('content', sha, [{ id: 'content', current: content }]);
+            }
             const updatedContent = {
                 ...content,
-                ...body,
+                ...updates,
                 updatedAt: new Date().toISOString()
             };
-            await saveFileToGitHub(GITHUB_TOKEN, GITHUB_OWNER, GITHUB_REPO, DATA_FILE, updatedContent);
+            const message = commitMessage([{ entity: 'content', before: content, after: updatedContent }]);
+            const saved = await storage.writeJSON(DATA_FILE, updatedContent, message, sha, await commitAuthor(user));
+            res.setHeader('ETag', toETag(saved.sha));
+            await recordAudit(req, user, [{ action: 'update', entity: 'content', entityId: 'content', changes: diffFields(content, updatedContent) }]);
             return res.status(200).json(updatedContent);
         }
 
-        return res.status(405).json({ error: 'Method not allowed' });
+        throw new MethodNotAllowedError(['GET', 'PUT']);
     } catch (error) {
-        return res.status(500).json({ error: error.message || 'Internal server error' });
+        if (error instanceof VersionConflictError) {
+            const { data: content, sha } = await storage.readJSON(DATA_FILE, {});
+            throw versionConflict('content', sha, conflictRecords('content', content));
+        }
+        throw error;
     }
 }
 
-// Batch handler
-async function handleBatch(req, res) {
-    // Verify authentication
-    const authHeader = req.headers.authorization;
-    const token = authHeader?.replace('Bearer ', '');
-    
-    if (!token) {
-        return res.status(401).json({ error: 'Unauthorized. Please login.' });
+// Batch handler, also served as POST /api/batch
+// ?dryRun=1 checks the batch and returns what it would change without saving it
+export async function handleBatch(req, res) {
+    const user = requireUser(req);
+    const { body } = req;
+    const dryRun = req.query.dryRun === '1' || req.query.dryRun === 'true';
+
+    // Each section needs its own permission; the whole batch is refused if any is missing
+    for (const [section, permission] of Object.entries(SECTION_PERMISSIONS)) {
+        if (body[section] && !(await can(user, permission))) {
+            throw forbidden(permission);
+        }
     }
 
-    const verification = verifyToken(token);
-    if (!verification.valid) {
-        return res.status(401).json({ error: 'Unauthorized. Invalid or expired token.' });
-    }
+    const storage = requireStorage();
 
-    // Parse request body
-    let body = {};
-    try {
-        body = typeof req.body === 'string' ? JSON.parse(req.body) : req.body;
-    } catch (e) {
-        return res.status(400).json({ error: 'Invalid JSON body' });
+    // Every section that touches a versioned file must be based on a version the client has seen
+    const ifMatch = parseIfMatch(req.headers['if-match']);
+    if (Object.keys(VERSIONED_FILES).some(section => body[section]) && !ifMatch) {
+        throw new PreconditionRequiredError('If-Match header required. Reload the data and try again.');
     }
 
-    const GITHUB_TOKEN = process.env.GITHUB_TOKEN;
-    const GITHUB_OWNER = process.env.VERCEL_GIT_REPO_OWNER || process.env.GITHUB_OWNER || 'your-username';
-    const GITHUB_REPO = process.env.VERCEL_GIT_REPO_SLUG || process.env.GITHUB_REPO || 'ShreeAdvaya';
-
-    if (!GITHUB_TOKEN) {
-        return res.status(500).json({ error: 'GitHub token not configured' });
+    // Validate every record before reading or writing anything; product attributes and categories against the catalog
+    const invalidFields = [];
+    const sectionSchemas = body.products ? { ...schemas, products: productSchemaFor(await loadAttributes(), await loadCategories()) } : schemas;
+    for (const section of ['products', 'gallery', 'hero', 'users']) {
+        if (body[section]) {
+            body[section] = validateSection(section, body[section], invalidFields, sectionSchemas[section]);
+        }
+    }
+    if (body.users) {
+        await checkUserRoles(body.users, invalidFields);
+    }
+    if (body.content && body.content.update) {
+        const checked = validate(schemas.content, body.content.update);
+        checked.errors.forEach(error => invalidFields.push({ entity: 'content', id: 'content', ...error }));
+        body.content.update = checked.value;
+    }
+    if (body.note !== undefined) {
+        const checked = validate(changeNoteSchema, { note: body.note });
+        checked.errors.forEach(error => invalidFields.push({ entity: 'batch', id: 'note', ...error }));
     }
+    if (invalidFields.length > 0) {
+        throw new ValidationError(invalidFields);
+    }
+
+    // Version of each file as read, checked again when the batch is committed
+    const expectedShas = {};
 
     try {
         const results = {};
         const filesToUpdate = {};
-
-        // Process Products
-        if (body.products) {
-            const products = await getFileFromGitHub(GITHUB_TOKEN, GITHUB_OWNER, GITHUB_REPO, 'data/products.json');
-            
-            if (body.products.update) {
-                body.products.update.forEach(update => {
-                    const index = products.findIndex(p => p.id === update.id);
-                    if (index !== -1) {
-                        products[index] = { ...products[index], ...update, updatedAt: new Date().toISOString() };
-                    }
-                });
-            }
-            
-            if (body.products.create) {
-                body.products.create.forEach(item => {
-                    const newProduct = {
-                        id: Date.now().toString() + Math.random().toString(36).substr(2, 9),
-                        ...item,
-                        createdAt: new Date().toISOString()
-                    };
-                    products.push(newProduct);
-                });
-            }
-            
-            // Apply deletions
-            if (body.products.delete && body.products.delete.length > 0) {
-                const deleteIds = body.products.delete.filter(id => !id.startsWith('temp_'));
-                products = products.filter(p => !deleteIds.includes(p.id));
-            }
-            
-            // Update file if there are any changes
-            const hasChanges = 
-                (body.products.create && body.products.create.length > 0) ||
-                (body.products.update && body.products.update.length > 0) ||
-                (body.products.delete && body.products.delete.length > 0);
-            
-            if (hasChanges) {
-                filesToUpdate['data/products.json'] = products;
-            }
-            
-            if (filesToUpdate['data/products.json']) {
-                results.products = { success: true, count: filesToUpdate['data/products.json'].length };
-            }
-        }
-
-        // Process Gallery
-        if (body.gallery) {
-            const gallery = await getFileFromGitHub(GITHUB_TOKEN, GITHUB_OWNER, GITHUB_REPO, 'data/gallery.json');
-            
-            if (body.gallery.update) {
-                body.gallery.update.forEach(update => {
-                    const index = gallery.findIndex(g => g.id === update.id);
-                    if (index !== -1) {
-                        gallery[index] = { ...gallery[index], ...update, updatedAt: new Date().toISOString() };
-                    }
-                });
-            }
-            
-            if (body.gallery.create) {
-                body.gallery.create.forEach(item => {
-                    const newItem = {
-                        id: Date.now().toString() + Math.random().toString(36).substr(2, 9),
-                        ...item,
-                        createdAt: new Date().toISOString()
-                    };
-                    gallery.push(newItem);
-                });
-            }
-            
-            // Apply deletions
-            if (body.gallery.delete && body.gallery.delete.length > 0) {
-                const deleteIds = body.gallery.delete.filter(id => !id.startsWith('temp_'));
-                gallery = gallery.filter(g => !deleteIds.includes(g.id));
-            }
-            
-            // Update file if there are any changes
-            const hasChanges = 
-                (body.gallery.create && body.gallery.create.length > 0) ||
-                (body.gallery.update && body.gallery.update.length > 0) ||
-                (body.gallery.delete && body.gallery.delete.length > 0);
-            
-            if (hasChanges) {
-                filesToUpdate['data/gallery.json'] = gallery;
-            }
-            
-            if (filesToUpdate['data/gallery.json']) {
-                results.gallery = { success: true, count: filesToUpdate['data/gallery.json'].length };
+        const conflicts = {};
+        // Result of every operation in the batch, in request order per section
+        const operations = [];
+        // Each file as read, for the audit log
+        const previous = {};
+
+        // Records a section touches, reported back when its file changed underneath the editor
+        const checkVersion = (section, sha, current, changes) => {
+            expectedShas[VERSIONED_FILES[section]] = sha;
+            if (ifMatchSatisfied(ifMatch, sha)) {
+                return;
             }
-        }
+            conflicts[section] = conflictEntry(sha, conflictRecords(section, current, touchedIds(changes)));
+        };
 
-        // Process Hero Images
-        if (body.hero) {
-            const heroes = await getFileFromGitHub(GITHUB_TOKEN, GITHUB_OWNER, GITHUB_REPO, 'data/hero.json');
-            
-            if (body.hero.update) {
-                body.hero.update.forEach(update => {
-                    const index = heroes.findIndex(h => h.id === update.id);
-                    if (index !== -1) {
-                        heroes[index] = { ...heroes[index], ...update, updatedAt: new Date().toISOString() };
-                    }
-                });
-            }
-            
-            if (body.hero.create) {
-                let counter = 0;
-                body.hero.create.forEach(item => {
-                    const newItem = {
-                        id: (Date.now() + counter++).toString(),
-                        ...item,
-                        createdAt: new Date().toISOString()
-                    };
-                    heroes.push(newItem);
-                });
-            }
-            
-            // Apply deletions
-            if (body.hero.delete && body.hero.delete.length > 0) {
-                const deleteIds = body.hero.delete.filter(id => !id.startsWith('temp_'));
-                heroes = heroes.filter(h => !deleteIds.includes(h.id));
-            }
-            
-            // Update file if there are any changes
-            const hasChanges = 
-                (body.hero.create && body.hero.create.length > 0) ||
-                (body.hero.update && body.hero.update.length > 0) ||
-                (body.hero.delete && body.hero.delete.length > 0);
-            
-            if (hasChanges) {
-                filesToUpdate['data/hero.json'] = heroes;
+        // Products, gallery and hero slides
+        for (const section of COLLECTION_SECTIONS) {
+            if (!body[section]) {
+                continue;
             }
-            
-            if (filesToUpdate['data/hero.json']) {
-                results.hero = { success: true, count: filesToUpdate['data/hero.json'].length };
+            const path = VERSIONED_FILES[section];
+            const { data: records, sha } = await storage.readJSON(path, []);
+            previous[path] = records;
+            checkVersion(section, sha, records, body[section]);
+
+            const applied = applyCollectionChanges(section, records, body[section], { prepare: PREPARE_RECORDS[section] });
+            operations.push(...applied.operations);
+            if (applied.operations.length > 0) {
+                filesToUpdate[path] = applied.records;
+                results[section] = { success: true, count: applied.records.length };
             }
         }
 
         // Process Content
         if (body.content && body.content.update) {
+            const { data: content, sha: contentSha } = await storage.readJSON('data/content.json', {});
+            previous['data/content.json'] = content;
+            expectedShas['data/content.json'] = contentSha;
+            if (!ifMatchSatisfied(ifMatch, contentSha)) {
+                conflicts.content = conflictEntry(contentSha, conflictRecords('content', content));
+            }
             filesToUpdate['data/content.json'] = body.content.update;
+            operations.push({ entity: 'content', op: 'update', id: 'content', ok: true });
             results.content = { success: true };
         }
 
         // Process Users
+        // The admin panel holds no version of the user list, so there is no If-Match to check,
+        // but the commit still fails if the list changed after this read
         if (body.users) {
-            // Only admins can modify users
-            if (verification.user.role !== 'admin') {
-                return res.status(403).json({ error: 'Admin access required to manage users' });
-            }
-            
-            let users = await getFileFromGitHub(GITHUB_TOKEN, GITHUB_OWNER, GITHUB_REPO, 'data/users.json');
-            
-            if (body.users.update) {
-                body.users.update.forEach(update => {
-                    const index = users.findIndex(u => u.username.toLowerCase() === update.username.toLowerCase());
-                    if (index !== -1) {
-                        // Don't allow changing default admin user role or username
-                        if (users[index].isDefault) {
-                            if (update.role && update.role !== 'admin') {
-                                return; // Skip this update
-                            }
-                        }
-                        
-                        // Update user fields
-                        if (update.password) {
-                            users[index].encryptedPassword = encryptPassword(update.password);
-                        }
-                        if (update.role && !users[index].isDefault) {
-                            users[index].role = update.role;
-                        }
-                        if (update.email !== undefined) {
-                            users[index].email = update.email || `${update.username}@shreeadvaya.com`;
-                        }
-                        users[index].updatedAt = new Date().toISOString();
-                    }
-                });
-            }
-            
-            if (body.users.create) {
-                body.users.create.forEach(item => {
-                    // Check if username already exists
-                    if (users.find(u => u.username.toLowerCase() === item.username.toLowerCase())) {
-                        return; // Skip duplicates
-                    }
-                    
-                    const newUser = {
-                        username: item.username.trim(),
-                        encryptedPassword: encryptPassword(item.password),
-                        role: item.role || 'editor',
-                        email: item.email || `${item.username}@shreeadvaya.com`,
-                        createdAt: new Date().toISOString()
-                    };
-                    users.push(newUser);
-                });
-            }
-            
-            // Apply deletions
-            if (body.users.delete && body.users.delete.length > 0) {
-                const deleteUsernames = body.users.delete.map(u => u.toLowerCase());
-                users = users.filter(u => {
-                    // Don't delete default admin or current user
-                    if (u.isDefault) return true;
-                    if (u.username.toLowerCase() === verification.user.username.toLowerCase()) return true;
-                    return !deleteUsernames.includes(u.username.toLowerCase());
-                });
-            }
-            
-            // Ensure default admin user always exists
-            const adminPassword = process.env.ADMIN_PASSWORD;
-            if (adminPassword) {
-                const adminExists = users.some(u => u.username.toLowerCase() === 'admin');
-                if (!adminExists) {
-                    users.unshift({
-                        username: 'Admin',
-                        encryptedPassword: encryptPassword(adminPassword),
-                        role: 'admin',
-                        email: 'admin@shreeadvaya.com',
-                        createdAt: new Date().toISOString(),
-                        isDefault: true
-                    });
-                } else {
-                    // Mark admin user as default
-                    const adminIndex = users.findIndex(u => u.username.toLowerCase() === 'admin');
-                    if (adminIndex !== -1) {
-                        users[adminIndex].isDefault = true;
-                    }
-                }
-            }
-            
-            // Update file if there are any changes
-            const hasChanges = 
-                (body.users.create && body.users.create.length > 0) ||
-                (body.users.update && body.users.update.length > 0) ||
-                (body.users.delete && body.users.delete.length > 0);
-            
-            if (hasChanges) {
-                filesToUpdate['data/users.json'] = users;
-            }
-            
-            if (filesToUpdate['data/users.json']) {
-                results.users = { success: true, count: filesToUpdate['data/users.json'].length };
+            const { data: users, sha: usersSha } = await storage.readJSON(USERS_FILE, []);
+            previous[USERS_FILE] = users;
+            expectedShas[USERS_FILE] = usersSha;
+
+            const applied = applyUserChanges(users, body.users, user);
+            operations.push(...applied.operations);
+            if (applied.operations.length > 0) {
+                filesToUpdate[USERS_FILE] = applied.users;
+                results.users = { success: true, count: applied.users.length };
             }
         }
 
-        // Save all files in a single commit using GitHub Git Data API
+        if (Object.keys(conflicts).length > 0) {
+            throw conflictError(conflicts);
+        }
+
+        // A batch is saved whole or not at all
+        const rejected = rejectedBatch(operations);
+        if (rejected) {
+            throw rejected;
+        }
+
+        // Save all files in a single commit
         if (Object.keys(filesToUpdate).length === 0) {
             return res.status(200).json({ 
                 success: true, 
                 message: 'No changes to save',
-                results 
+                results,
+                operations
             });
         }
         
-        const timestamp = new Date().toISOString();
-        const commitMessage = `Batch update via admin panel - ${timestamp}`;
+        // Removing most of a collection in one save needs the editor's confirmation
+        const changes = describeFiles(previous, filesToUpdate);
+        assertShrinkConfirmed(changes.filter(change => change.key), body.confirmShrink === true);
         
-        // Get current commit SHA
-        const currentCommit = await getCurrentCommit(GITHUB_TOKEN, GITHUB_OWNER, GITHUB_REPO);
-        const branch = currentCommit.branch || 'main';
+        // The commit is authored by the signed-in user and says what changed, followed by their note
+        const note = cleanChangeNote(body.note);
+        const message = commitMessage(changes, note, 'Batch update via admin panel');
         
-        // Create tree with all file updates
-        const tree = await createTree(GITHUB_TOKEN, GITHUB_OWNER, GITHUB_REPO, currentCommit.treeSha, filesToUpdate);
+        // A dry run stops here and reports what the save would change
+        if (dryRun) {
+            return res.status(200).json({
+                success: true,
+                dryRun: true,
+                message: 'Dry run: nothing was saved',
+                commitMessage: message,
+                results,
+                operations,
+                changes: auditEvents(previous, filesToUpdate)
+            });
+        }
         
-        // Create commit
-        const commit = await createCommit(GITHUB_TOKEN, GITHUB_OWNER, GITHUB_REPO, commitMessage, tree.sha, currentCommit.sha);
+        const author = await commitAuthor(user);
         
-        // Update reference (push commit)
-        await updateReference(GITHUB_TOKEN, GITHUB_OWNER, GITHUB_REPO, commit.sha, branch);
+        // Only files we are rewriting need to be unchanged at commit time
+        const writtenShas = {};
+        Object.keys(filesToUpdate).forEach(path => {
+            if (path in expectedShas) {
+                writtenShas[path] = expectedShas[path];
+            }
+        });
+
+        let written = null;
+        for (let attempt = 1; !written; attempt++) {
+            try {
+                written = await storage.writeFiles(filesToUpdate, message, writtenShas, author);
+            } catch (error) {
+                if (!(error instanceof VersionConflictError)) {
+                    throw error;
+                }
+                // A file this batch writes changed: the editor has to review it. Otherwise only
+                // other files moved the branch on, and the same changes can be committed on top
+                const conflicts = await batchConflicts(storage, body, writtenShas);
+                if (Object.keys(conflicts).length > 0 || attempt >= WRITE_ATTEMPTS) {
+                    throw conflictError(conflicts);
+                }
+            }
+        }
+        const { commitSha, shas } = written;
+        await recordAudit(req, user, auditEvents(previous, filesToUpdate, note ? { commitSha, note } : { commitSha }));
+
+        // New versions and contents of the saved sections, so the admin panel can keep editing
+        // without reloading; the records carry the fields the server works out (pricing, stock status)
+        const versions = {};
+        const records = {};
+        for (const [section, path] of Object.entries(VERSIONED_FILES)) {
+            if (shas[path]) {
+                versions[section] = toETag(shas[path]);
+                records[section] = filesToUpdate[path];
+            }
+        }
 
         return res.status(200).json({ 
             success: true, 
             message: 'All changes saved successfully in a single commit',
-            commitSha: commit.sha,
-            results 
+            commitSha,
+            results,
+            operations,
+            createdIds: createdIds(operations),
+            versions,
+            records
         });
     } catch (error) {
-        console.error('Batch API Error:', error);
-        return res.status(500).json({ error: error.message });
+        if (error instanceof VersionConflictError) {
+            throw conflictError(await batchConflicts(storage, body, expectedShas));
+        }
+        throw error;
     }
 }
 
-// Helper functions
-async function getFileFromGitHub(token, owner, repo, path) {
-    try {
-        const response = await fetch(
-            `https://api.github.com/repos/${owner}/${repo}/contents/${path}`,
-            {
-                headers: {
-                    'Authorization': `Bearer ${token}`,
-                    'Accept': 'application/vnd.github.v3+json',
-                    'X-GitHub-Api-Version': '2022-11-28'
-                }
-            }
-        );
+/**
+ * Ids of the records a batch section updates or deletes (usernames for users)
+ */
+function touchedIds(changes, key = 'id') {
+    return [
+        ...(changes.update || []).map(item => item && item[key]),
+        ...(changes.delete || [])
+    ];
+}
+
+/**
+ * Server copies of the given records for a 409 response
+ * Content is one record; users are listed without their password and 2FA fields
+ */
+function conflictRecords(section, data, ids = []) {
+    if (section === 'content') {
+        return [{ id: 'content', current: data }];
+    }
+    const records = Array.isArray(data) ? data : [];
+    if (section === 'users') {
+        const listed = records.map(({ username, role, email }) => ({ username, role, email }));
+        return pickRecords(listed, ids, 'username');
+    }
+    return pickRecords(records, ids);
+}
 
-        if (response.status === 404) {
-            return path.includes('content.json') ? {} : [];
+/**
+ * Conflicts for a batch whose files changed after they were read: { section: conflictEntry }
+ * Storage adapters cannot always say which file moved (GitHub refuses the branch update as a
+ * whole), so each file is read again and compared with the version the batch was based on
+ */
+async function batchConflicts(storage, body, expectedShas) {
+    const conflicts = {};
+    for (const [path, expectedSha] of Object.entries(expectedShas)) {
+        const { data, sha } = await storage.readJSON(path, null);
+        if (sha === expectedSha) {
+            continue;
         }
+        const { entity, key } = AUDITED_FILES[path];
+        conflicts[entity] = conflictEntry(sha, conflictRecords(entity, data, key ? touchedIds(body[entity] || {}, key) : []));
+    }
+    return conflicts;
+}
 
-        if (!response.ok) {
-            throw new Error(`GitHub API error: ${response.statusText}`);
+/**
+ * Roles assigned by a users batch must exist (custom roles are not known to the schema)
+ */
+async function checkUserRoles(changes, fields) {
+    const roleNames = (await loadRoles()).map(role => role.name);
+    const unknown = role => role !== undefined && !roleNames.includes(role);
+    // Sections that are not lists were already reported by validateSection
+    const list = op => Array.isArray(changes[op]) ? changes[op] : [];
+    list('create').forEach((item, index) => {
+        if (unknown(item.role)) {
+            fields.push({ entity: 'users', op: 'create', index, field: 'role', message: `must be one of: ${roleNames.join(', ')}` });
         }
+    });
+    list('update').forEach(item => {
+        if (unknown(item.role)) {
+            fields.push({ entity: 'users', op: 'update', id: item.username, field: 'role', message: `must be one of: ${roleNames.join(', ')}` });
+        }
+    });
+}
 
-        const data = await response.json();
-        const content = Buffer.from(data.content, 'base64').toString('utf-8');
-        return JSON.parse(content);
-    } catch (error) {
-        console.error('Error fetching from GitHub:', error);
-        return path.includes('content.json') ? {} : [];
+/**
+ * Apply a users batch to a copy of the user list
+ * Usernames must be free to create and exist to update or delete; the default admin keeps
+ * its role and cannot be deleted, and nobody can delete their own account
+ * Returns { users, operations } (see storage/operations.js)
+ */
+function applyUserChanges(records, changes, actor) {
+    const operations = [];
+    const now = new Date().toISOString();
+    const users = structuredClone(records);
+    const findUser = username => typeof username === 'string' && users.find(u => u.username.toLowerCase() === username.toLowerCase());
+
+    (changes.update || []).forEach(update => {
+        const target = { id: update.username };
+        const existing = findUser(update.username);
+        if (!existing) {
+            operations.push(failed('users', 'update', target, 'NOT_FOUND', `No user named ${update.username}`));
+            return;
+        }
+        if (existing.isDefault && update.role && update.role !== 'admin') {
+            operations.push(failed('users', 'update', target, 'DEFAULT_ADMIN_PROTECTED', 'The default admin must keep the admin role'));
+            return;
+        }
+        if (update.password) {
+            // Ends the user's other sessions at their next refresh, like a reset
+            setUserPassword(existing, update.password);
+            existing.passwordChangedAt = now;
+        }
+        if (update.role) {
+            existing.role = update.role;
+        }
+        if (update.email !== undefined) {
+            existing.email = update.email || `${update.username}@shreeadvaya.com`;
+        }
+        existing.updatedAt = now;
+        operations.push({ entity: 'users', op: 'update', ...target, ok: true });
+    });
+
+    (changes.create || []).forEach((item, index) => {
+        if (findUser(item.username)) {
+            operations.push(failed('users', 'create', { index, id: item.username }, 'USERNAME_TAKEN', `Username ${item.username} already exists`));
+            return;
+        }
+        users.push(setUserPassword({
+            username: item.username.trim(),
+            role: item.role || 'editor',
+            email: item.email || `${item.username}@shreeadvaya.com`,
+            createdAt: now
+        }, item.password));
+        operations.push({ entity: 'users', op: 'create', index, id: item.username, ok: true });
+    });
+
+    const deleted = [];
+    (changes.delete || []).forEach(username => {
+        const target = { id: username };
+        const existing = findUser(username);
+        if (!existing) {
+            operations.push(failed('users', 'delete', target, 'NOT_FOUND', `No user named ${username}`));
+        } else if (existing.isDefault) {
+            operations.push(failed('users', 'delete', target, 'DEFAULT_ADMIN_PROTECTED', 'The default admin cannot be deleted'));
+        } else if (existing.username.toLowerCase() === actor.username.toLowerCase()) {
+            operations.push(failed('users', 'delete', target, 'CANNOT_DELETE_SELF', 'You cannot delete your own account'));
+        } else {
+            deleted.push(existing);
+            operations.push({ entity: 'users', op: 'delete', ...target, ok: true });
+        }
+    });
+    let remaining = users.filter(u => !deleted.includes(u));
+
+    // Ensure default admin user always exists
+    if (process.env.ADMIN_PASSWORD) {
+        const admin = remaining.find(u => u.username.toLowerCase() === 'admin');
+        if (!admin) {
+            remaining = [createDefaultAdminRecord(), ...remaining];
+        } else {
+            admin.isDefault = true;
+        }
     }
+
+    return { users: remaining, operations };
 }
 
-async function saveFileToGitHub(token, owner, repo, path, data) {
-    let sha = null;
-    try {
-        const response = await fetch(
-            `https://api.github.com/repos/${owner}/${repo}/contents/${path}`,
-            {
-                headers: {
-                    'Authorization': `Bearer ${token}`,
-                    'Accept': 'application/vnd.github.v3+json',
-                    'X-GitHub-Api-Version': '2022-11-28'
-                }
-            }
-        );
-        if (response.ok) {
-            const fileData = await response.json();
-            sha = fileData.sha;
+/**
+ * Validate a batch section's creates (in full) and updates (as partial records)
+ * Errors are collected into fields with the record they belong to: creates by their
+ * position in the request, updates by id (username for users)
+ * Returns the section with cleaned values
+ */
+function validateSection(section, changes, fields, schema = schemas[section]) {
+    const key = section === 'users' ? 'username' : 'id';
+
+    const lists = ['create', 'update', 'delete'].filter(op => changes[op] !== undefined && !Array.isArray(changes[op]));
+    lists.forEach(op => fields.push({ entity: section, op, field: op, message: 'must be a list' }));
+    if (lists.length > 0) {
+        return changes;
+    }
+    (changes.delete || []).forEach((id, index) => {
+        if (typeof id !== 'string' || !id) {
+            fields.push({ entity: section, op: 'delete', index, field: key, message: 'must be a non-empty string' });
         }
-    } catch (error) {
-        // File doesn't exist yet
+    });
+
+    const create = (changes.create || []).map((item, index) => {
+        const { value, errors } = validate(schema, item);
+        errors.forEach(error => fields.push({ entity: section, op: 'create', index, ...error }));
+        // The admin panel's temp_ id is kept to report the record's real id back
+        return key === 'id' && isTempId(item && item.id) ? { ...value, id: item.id } : value;
+    });
+
+    const update = (changes.update || []).map(item => {
+        const { value, errors } = validate(schema, item, { partial: true });
+        errors.forEach(error => fields.push({ entity: section, op: 'update', id: item && item[key], ...error }));
+        // id is read-only in the schema but still identifies the record being updated
+        return key === 'id' ? { ...value, id: item.id } : value;
+    });
+
+    return { ...changes, create, update };
+}
+
+/**
+ * Audit events for written files, from each file's contents before and after the write
+ * Collections are compared record by record; content is one record
+ */
+function auditEvents(previous, files, details, action) {
+    return Object.entries(files).flatMap(([path, data]) => {
+        const { entity, key } = AUDITED_FILES[path];
+        const events = key
+            ? collectionEvents(entity, previous[path], data, { key, action })
+            : [{ action: action || 'update', entity, entityId: entity, changes: diffFields(previous[path], data) }].filter(event => event.changes.length > 0);
+        return events.map(event => ({ ...event, details }));
+    });
+}
+
+// Each written file with its contents before and after, for the commit message summary
+function describeFiles(previous, files) {
+    return Object.entries(files).map(([path, data]) => ({ ...AUDITED_FILES[path], before: previous[path], after: data }));
+}
+
+// History handler: past saves touching the versioned data files, newest first
+async function handleHistory(req, res) {
+    if (req.method !== 'GET') {
+        throw new MethodNotAllowedError(['GET']);
     }
 
-    const content = JSON.stringify(data, null, 2);
-    const encodedContent = Buffer.from(content).toString('base64');
+    requireUser(req);
 
-    const response = await fetch(
-        `https://api.github.com/repos/${owner}/${repo}/contents/${path}`,
-        {
-            method: 'PUT',
-            headers: {
-                'Authorization': `Bearer ${token}`,
-                'Accept': 'application/vnd.github.v3+json',
-                'Content-Type': 'application/json',
-                'X-GitHub-Api-Version': '2022-11-28'
-            },
-            body: JSON.stringify({
-                message: `Update ${path} via admin panel - ${new Date().toISOString()}`,
-                content: encodedContent,
-                sha: sha
-            })
-        }
-    );
+    const storage = requireStorage();
+
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 50);
+    const sectionByPath = Object.fromEntries(Object.entries(VERSIONED_FILES).map(([section, path]) => [path, section]));
 
-    if (!response.ok) {
-        const error = await response.json();
-        throw new Error(`GitHub API error: ${error.message || response.statusText}`);
+    const history = await storage.listHistory(Object.values(VERSIONED_FILES), limit);
+
+    // Current versions, sent back as If-Match when reverting
+    const versions = {};
+    for (const [section, path] of Object.entries(VERSIONED_FILES)) {
+        const { sha } = await storage.readJSON(path, null);
+        versions[section] = sha || 'none';
     }
 
-    return await response.json();
+    const entries = history.map(entry => ({
+        id: entry.id,
+        message: entry.message,
+        author: entry.author,
+        date: entry.date,
+        changes: Object.fromEntries(entry.files.map(file => [
+            sectionByPath[file.path],
+            { additions: file.additions, deletions: file.deletions }
+        ]))
+    }));
+
+    return res.status(200).json({ versions, entries });
 }
 
-async function getCurrentCommit(token, owner, repo) {
-    // Try to get default branch from repo info, fallback to main/master
-    let branch = 'main';
+// Revert handler: restore one section to an earlier version as a new save
+async function handleRevert(req, res) {
+    if (req.method !== 'POST') {
+        throw new MethodNotAllowedError(['POST']);
+    }
+
+    const user = requireUser(req);
+
+    const { entity, version } = req.body;
+    if (version !== undefined && (typeof version !== 'string' || version.trim() === '')) {
+        throw new ValidationError([{ entity: 'revert', id: entity, field: 'version', message: 'must be a non-empty string' }]);
+    }
+    const path = VERSIONED_FILES[entity];
+    if (!path || !version) {
+        throw new BadRequestError(`entity (${Object.keys(VERSIONED_FILES).join(', ')}) and version are required`);
+    }
+
+    // Reverting is a write to that section
+    if (!(await can(user, SECTION_PERMISSIONS[entity]))) {
+        throw forbidden(SECTION_PERMISSIONS[entity]);
+    }
+
+    const ifMatch = parseIfMatch(req.headers['if-match']);
+    if (!ifMatch) {
+        throw new PreconditionRequiredError('If-Match header required. Reload the history and try again.');
+    }
+
+    const storage = requireStorage();
+
+    // Records the revert changes, listed when the section changed meanwhile
+    let revertedIds = [];
+
     try {
-        const repoResponse = await fetch(
-            `https://api.github.com/repos/${owner}/${repo}`,
-            {
-                headers: {
-                    'Authorization': `Bearer ${token}`,
-                    'Accept': 'application/vnd.github.v3+json',
-                    'X-GitHub-Api-Version': '2022-11-28'
-                }
-            }
-        );
-        if (repoResponse.ok) {
-            const repoData = await repoResponse.json();
-            branch = repoData.default_branch || 'main';
-        }
-    } catch (e) {
-        // Fallback to main if repo info fetch fails
-        branch = 'main';
-    }
-    
-    const response = await fetch(
-        `https://api.github.com/repos/${owner}/${repo}/git/refs/heads/${branch}`,
-        {
-            headers: {
-                'Authorization': `Bearer ${token}`,
-                'Accept': 'application/vnd.github.v3+json',
-                'X-GitHub-Api-Version': '2022-11-28'
-            }
+        const { data: current, sha } = await storage.readJSON(path, null);
+        const restored = await storage.readJSONAt(path, version, undefined);
+        if (restored === undefined) {
+            throw new NotFoundError(`${entity} did not exist at version ${version}`, { code: 'VERSION_NOT_FOUND' });
         }
-    );
-    
-    if (!response.ok) {
-        // Try master branch as fallback
-        if (branch === 'main') {
-            const masterResponse = await fetch(
-                `https://api.github.com/repos/${owner}/${repo}/git/refs/heads/master`,
-                {
-                    headers: {
-                        'Authorization': `Bearer ${token}`,
-                        'Accept': 'application/vnd.github.v3+json',
-                        'X-GitHub-Api-Version': '2022-11-28'
-                    }
-                }
-            );
-            if (masterResponse.ok) {
-                const ref = await masterResponse.json();
-                const commitSha = ref.object.sha;
-                const commitResponse = await fetch(
-                    `https://api.github.com/repos/${owner}/${repo}/git/commits/${commitSha}`,
-                    {
-                        headers: {
-                            'Authorization': `Bearer ${token}`,
-                            'Accept': 'application/vnd.github.v3+json',
-                            'X-GitHub-Api-Version': '2022-11-28'
-                        }
-                    }
-                );
-                if (commitResponse.ok) {
-                    const commit = await commitResponse.json();
-                    return { sha: commitSha, treeSha: commit.tree.sha, branch: 'master' };
-                }
-            }
+        revertedIds = auditEvents({ [path]: current }, { [path]: restored }).map(event => event.entityId);
+        if (!ifMatchSatisfied(ifMatch, sha)) {
+            throw versionConflict(entity, sha, conflictRecords(entity, current, revertedIds));
         }
-        throw new Error('Failed to get current commit reference');
-    }
-    
-    const ref = await response.json();
-    const commitSha = ref.object.sha;
-    
-    const commitResponse = await fetch(
-        `https://api.github.com/repos/${owner}/${repo}/git/commits/${commitSha}`,
-        {
-            headers: {
-                'Authorization': `Bearer ${token}`,
-                'Accept': 'application/vnd.github.v3+json',
-                'X-GitHub-Api-Version': '2022-11-28'
-            }
+
+        // The old version is saved like any other: checked against today's schemas and catalog,
+        // with server-worked fields recomputed and the same guard against emptying a collection
+        const reverted = await prepareRestored(entity, restored, revertedIds);
+        const changes = describeFiles({ [path]: current }, { [path]: reverted });
+        assertShrinkConfirmed(changes.filter(change => change.key), req.body.confirmShrink === true);
+
+        const message = `Revert ${entity} to ${version.slice(0, 7)} via admin panel - ${new Date().toISOString()}`;
+        const { commitSha } = await storage.writeFiles({ [path]: reverted }, message, { [path]: sha }, await commitAuthor(user));
+        await recordAudit(req, user, auditEvents({ [path]: current }, { [path]: reverted }, { commitSha, version }, 'revert'));
+
+        return res.status(200).json({
+            success: true,
+            message: `${entity} restored to version ${version.slice(0, 7)}`,
+            commitSha
+        });
+    } catch (error) {
+        if (error instanceof VersionConflictError) {
+            const { data: current, sha } = await storage.readJSON(path, null);
+            throw versionConflict(entity, sha, conflictRecords(entity, current, revertedIds));
         }
-    );
-    
-    if (!commitResponse.ok) {
-        throw new Error('Failed to get current commit');
+        throw error;
     }
-    
-    const commit = await commitResponse.json();
-    return { sha: commitSha, treeSha: commit.tree.sha, branch: branch };
 }
 
-async function createTree(token, owner, repo, baseTreeSha, files) {
-    const tree = [];
-    
-    const baseTreeResponse = await fetch(
-        `https://api.github.com/repos/${owner}/${repo}/git/trees/${baseTreeSha}?recursive=1`,
-        {
-            headers: {
-                'Authorization': `Bearer ${token}`,
-                'Accept': 'application/vnd.github.v3+json',
-                'X-GitHub-Api-Version': '2022-11-28'
-            }
+/**
+ * A section as restored from an earlier version, validated and ready to save
+ * Only the records the revert brings back or changes are checked, as a batch checks only
+ * what it writes; the rest are already saved as they are
+ * Throws ValidationError listing every record the current schemas refuse
+ */
+async function prepareRestored(entity, restored, changedIds) {
+    const invalidFields = [];
+
+    if (entity === 'content') {
+        const checked = validate(schemas.content, restored);
+        checked.errors.forEach(error => invalidFields.push({ entity, op: 'revert', id: 'content', ...error }));
+        if (invalidFields.length > 0) {
+            throw new ValidationError(invalidFields);
         }
-    );
-    
-    if (baseTreeResponse.ok) {
-        const baseTree = await baseTreeResponse.json();
-        const filesToUpdate = Object.keys(files);
-        baseTree.tree.forEach(item => {
-            if (!filesToUpdate.includes(item.path) && item.type === 'blob') {
-                tree.push({
-                    path: item.path,
-                    mode: item.mode,
-                    type: item.type,
-                    sha: item.sha
-                });
-            }
-        });
+        return checked.value;
     }
-    
-    for (const [path, data] of Object.entries(files)) {
-        const content = JSON.stringify(data, null, 2);
-        const encodedContent = Buffer.from(content).toString('base64');
-        
-        const blobResponse = await fetch(
-            `https://api.github.com/repos/${owner}/${repo}/git/blobs`,
-            {
-                method: 'POST',
-                headers: {
-                    'Authorization': `Bearer ${token}`,
-                    'Accept': 'application/vnd.github.v3+json',
-                    'Content-Type': 'application/json',
-                    'X-GitHub-Api-Version': '2022-11-28'
-                },
-                body: JSON.stringify({
-                    content: encodedContent,
-                    encoding: 'base64'
-                })
-            }
-        );
-        
-        if (!blobResponse.ok) {
-            throw new Error(`Failed to create blob for ${path}`);
+
+    if (!Array.isArray(restored)) {
+        throw new ValidationError([{ entity, op: 'revert', field: entity, message: 'must be a list' }]);
+    }
+    const schema = entity === 'products' ? productSchemaFor(await loadAttributes(), await loadCategories()) : schemas[entity];
+    const prepare = PREPARE_RECORDS[entity] || (record => record);
+    const changed = new Set(changedIds);
+    const records = restored.map(record => {
+        if (!changed.has(record && record.id)) {
+            return record;
         }
-        
-        const blob = await blobResponse.json();
-        tree.push({
-            path: path,
-            mode: '100644',
-            type: 'blob',
-            sha: blob.sha
-        });
+        const { value, errors } = validate(schema, record);
+        errors.forEach(error => invalidFields.push({ entity, op: 'revert', id: record && record.id, ...error }));
+        // Read-only fields (id, timestamps) are dropped by validate but belong to the stored record
+        return prepare({ ...record, ...value });
+    });
+    if (invalidFields.length > 0) {
+        throw new ValidationError(invalidFields);
     }
-    
-    const treeResponse = await fetch(
-        `https://api.github.com/repos/${owner}/${repo}/git/trees`,
-        {
-            method: 'POST',
-            headers: {
-                'Authorization': `Bearer ${token}`,
-                'Accept': 'application/vnd.github.v3+json',
-                'Content-Type': 'application/json',
-                'X-GitHub-Api-Version': '2022-11-28'
-            },
-            body: JSON.stringify({
-                base_tree: baseTreeSha,
-                tree: tree
-            })
-        }
-    );
-    
-    if (!treeResponse.ok) {
-        const error = await treeResponse.json();
-        throw new Error(`Failed to create tree: ${error.message}`);
-    }
-    
-    return await treeResponse.json();
+    return records;
 }
 
-async function createCommit(token, owner, repo, message, treeSha, parentSha) {
-    const response = await fetch(
-        `https://api.github.com/repos/${owner}/${repo}/git/commits`,
-        {
-            method: 'POST',
-            headers: {
-                'Authorization': `Bearer ${token}`,
-                'Accept': 'application/vnd.github.v3+json',
-                'Content-Type': 'application/json',
-                'X-GitHub-Api-Version': '2022-11-28'
-            },
-            body: JSON.stringify({
-                message: message,
-                tree: treeSha,
-                parents: [parentSha]
-            })
-        }
-    );
-    
-    if (!response.ok) {
-        const error = await response.json();
-        throw new Error(`Failed to create commit: ${error.message}`);
-    }
-    
-    return await response.json();
-}
+// Audit handler: the activity log, filtered, as JSON or as CSV with ?format=csv (requires audit:read)
+// Filters: from, to, actor, entity, type (the event action), entityId, ip, limit
+async function handleAudit(req, res) {
+    if (req.method !== 'GET') {
+        throw new MethodNotAllowedError(['GET']);
+    }
 
-async function updateReference(token, owner, repo, commitSha, branch = 'main') {
-    const response = await fetch(
-        `https://api.github.com/repos/${owner}/${repo}/git/refs/heads/${branch}`,
-        {
-            method: 'PATCH',
-            headers: {
-                'Authorization': `Bearer ${token}`,
-                'Accept': 'application/vnd.github.v3+json',
-                'Content-Type': 'application/json',
-                'X-GitHub-Api-Version': '2022-11-28'
-            },
-            body: JSON.stringify({
-                sha: commitSha
-            })
-        }
-    );
-    
-    if (!response.ok) {
-        const error = await response.json();
-        throw new Error(`Failed to update reference: ${error.message}`);
-    }
-    
-    return await response.json();
-}
+    const user = requireUser(req);
+    if (!(await can(user, 'audit:read'))) {
+        throw forbidden('audit:read');
+    }
+
+    const { from, to, actor, entity, type, entityId, ip, limit, format } = req.query;
 
+    try {
+        const events = await readAudit({ from, to, actor, entity, action: type, entityId, ip, limit });
+
+        if (format === 'csv') {
+            res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+            res.setHeader('Content-Disposition', `attachment; filename="activity-${new Date().toISOString().slice(0, 10)}.csv"`);
+            return res.status(200).send(auditToCsv(events));
+        }
+
+        return res.status(200).json({ events });
+    } catch (error) {
+        if (error instanceof RangeError) {
+            throw new BadRequestError(error.message, { code: 'INVALID_FILTER' });
+        }
+        throw error;
+    }
+}
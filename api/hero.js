@@ -1,203 +1,131 @@
 // API route: /api/hero
-// Handles hero images CRUD operations via GitHub API
-
-import { verifyToken } from './auth/jwt.js';
-
-export default async function handler(req, res) {
-    // Security headers
-    res.setHeader('X-Content-Type-Options', 'nosniff');
-    res.setHeader('X-Frame-Options', 'DENY');
-    res.setHeader('X-XSS-Protection', '1; mode=block');
-    
-    // CORS - restrict to your domain only
-    const allowedOrigin = process.env.ALLOWED_ORIGIN || 'https://shreeadvaya.vercel.app';
-    const origin = req.headers.origin;
-    
-    if (origin && (origin === allowedOrigin || origin.includes('localhost'))) {
-        res.setHeader('Access-Control-Allow-Origin', origin);
-    } else {
-        res.setHeader('Access-Control-Allow-Origin', allowedOrigin);
-    }
-    
-    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
-    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
-    res.setHeader('Access-Control-Allow-Credentials', 'true');
-
-    if (req.method === 'OPTIONS') {
-        return res.status(200).end();
-    }
-
+// Handles hero images CRUD operations via the configured storage backend
+
+import { can, forbidden } from './auth/permissions.js';
+import { recordAudit, diffFields } from './audit/log.js';
+import { commitMessage, commitAuthor } from './audit/commit.js';
+import { BadRequestError, MethodNotAllowedError, NotFoundError, PreconditionRequiredError, ValidationError } from './http/errors.js';
+import { createHandler, requireUser } from './http/pipeline.js';
+import { createId } from './storage/ids.js';
+import { requireStorage } from './storage/index.js';
+import { VersionConflictError, toETag, parseIfMatch, ifMatchSatisfied, versionConflict, staleWriteConflict, pickRecords } from './storage/versions.js';
+import { validate } from './validation/schema.js';
+import { heroSlideSchema } from './validation/schemas.js';
+
+export default createHandler({
+    methods: ['GET', 'POST', 'PUT', 'DELETE'],
+    allowHeaders: ['Content-Type', 'Authorization', 'If-Match'],
+    exposeHeaders: ['ETag']
+}, handleHero);
+
+async function handleHero(req, res) {
     // Verify authentication for write operations
+    let actor = null;
     if (req.method !== 'GET') {
-        const authHeader = req.headers.authorization;
-        const token = authHeader?.replace('Bearer ', '');
-        
-        if (!token) {
-            return res.status(401).json({ error: 'Unauthorized. Please login.' });
-        }
-
-        const verification = verifyToken(token);
-        if (!verification.valid) {
-            return res.status(401).json({ error: 'Unauthorized. Invalid or expired token.' });
-        }
-    }
-
-    // Parse request body for POST/PUT requests
-    let body = {};
-    if (req.method === 'POST' || req.method === 'PUT') {
-        try {
-            body = typeof req.body === 'string' ? JSON.parse(req.body) : req.body;
-        } catch (e) {
-            return res.status(400).json({ error: 'Invalid JSON body' });
+        actor = requireUser(req);
+        if (!(await can(actor, 'hero:write'))) {
+            throw forbidden('hero:write');
         }
     }
 
-    const { method, query } = req;
-    const GITHUB_TOKEN = process.env.GITHUB_TOKEN;
-    // Use Vercel's built-in env vars if available, otherwise fallback to custom env vars or defaults
-    const GITHUB_OWNER = process.env.VERCEL_GIT_REPO_OWNER || process.env.GITHUB_OWNER || 'your-username';
-    const GITHUB_REPO = process.env.VERCEL_GIT_REPO_SLUG || process.env.GITHUB_REPO || 'ShreeAdvaya';
+    const { method, query, body } = req;
+    const storage = requireStorage();
     const DATA_FILE = 'data/hero.json';
 
-    if (!GITHUB_TOKEN) {
-        return res.status(500).json({ error: 'GitHub token not configured' });
+    // Writes must name the version they were based on (the ETag from the last GET)
+    const ifMatch = parseIfMatch(req.headers['if-match']);
+    if (method !== 'GET' && !ifMatch) {
+        throw new PreconditionRequiredError('If-Match header required. Reload the data and try again.');
+    }
+
+    // Only declared fields with the right types reach the stored record
+    let record = body;
+    if (method === 'POST' || method === 'PUT') {
+        const checked = validate(heroSlideSchema, body, { partial: method === 'PUT' });
+        if (!checked.valid) {
+            throw new ValidationError(checked.errors.map(error => ({ entity: 'hero', id: query.id, ...error })));
+        }
+        record = checked.value;
     }
 
     try {
         if (method === 'GET') {
-            const heroes = await getFileFromGitHub(GITHUB_TOKEN, GITHUB_OWNER, GITHUB_REPO, DATA_FILE);
+            const { data: heroes, sha } = await storage.readJSON(DATA_FILE, []);
+            res.setHeader('ETag', toETag(sha));
             return res.status(200).json(heroes);
         }
 
         if (method === 'POST') {
-            const heroes = await getFileFromGitHub(GITHUB_TOKEN, GITHUB_OWNER, GITHUB_REPO, DATA_FILE);
+            const { data: heroes, sha } = await storage.readJSON(DATA_FILE, []);
+            if (!ifMatchSatisfied(ifMatch, sha)) {
+                throw versionConflict('hero', sha, []);
+            }
             const newItem = {
-                id: Date.now().toString(),
-                ...body,
+                id: createId(),
+                ...record,
                 createdAt: new Date().toISOString()
             };
+            const message = commitMessage([{ entity: 'hero', key: 'id', before: heroes, after: [...heroes, newItem] }]);
             heroes.push(newItem);
-            await saveFileToGitHub(GITHUB_TOKEN, GITHUB_OWNER, GITHUB_REPO, DATA_FILE, heroes);
+            const saved = await storage.writeJSON(DATA_FILE, heroes, message, sha, await commitAuthor(actor));
+            res.setHeader('ETag', toETag(saved.sha));
+            await recordAudit(req, actor, [{ action: 'create', entity: 'hero', entityId: newItem.id, changes: diffFields(null, newItem) }]);
             return res.status(201).json(newItem);
         }
 
         if (method === 'PUT') {
             const { id } = req.query;
             if (!id) {
-                return res.status(400).json({ error: 'Hero image ID is required' });
+                throw new BadRequestError('Hero image ID is required');
             }
 
-            const heroes = await getFileFromGitHub(GITHUB_TOKEN, GITHUB_OWNER, GITHUB_REPO, DATA_FILE);
+            const { data: heroes, sha } = await storage.readJSON(DATA_FILE, []);
+            if (!ifMatchSatisfied(ifMatch, sha)) {
+                throw versionConflict('hero', sha, pickRecords(heroes, [id]));
+            }
             const index = heroes.findIndex(h => h.id === id);
             
             if (index === -1) {
-                return res.status(404).json({ error: 'Hero image not found' });
+                throw new NotFoundError('Hero image not found');
             }
 
-            heroes[index] = { ...heroes[index], ...body, updatedAt: new Date().toISOString() };
-            await saveFileToGitHub(GITHUB_TOKEN, GITHUB_OWNER, GITHUB_REPO, DATA_FILE, heroes);
+            const previous = heroes[index];
+            const before = [...heroes];
+            heroes[index] = { ...previous, ...record, updatedAt: new Date().toISOString() };
+            const message = commitMessage([{ entity: 'hero', key: 'id', before, after: heroes }]);
+            const saved = await storage.writeJSON(DATA_FILE, heroes, message, sha, await commitAuthor(actor));
+            res.setHeader('ETag', toETag(saved.sha));
+            await recordAudit(req, actor, [{ action: 'update', entity: 'hero', entityId: id, changes: diffFields(previous, heroes[index]) }]);
             return res.status(200).json(heroes[index]);
         }
 
         if (method === 'DELETE') {
             const { id } = req.query;
             if (!id) {
-                return res.status(400).json({ error: 'Hero image ID is required' });
+                throw new BadRequestError('Hero image ID is required');
+            }
+            const { data: heroes, sha } = await storage.readJSON(DATA_FILE, []);
+            if (!ifMatchSatisfied(ifMatch, sha)) {
+                throw versionConflict('hero', sha, pickRecords(heroes, [id]));
             }
-            const heroes = await getFileFromGitHub(GITHUB_TOKEN, GITHUB_OWNER, GITHUB_REPO, DATA_FILE);
             const filtered = heroes.filter(h => h.id !== id);
             
             if (filtered.length === heroes.length) {
-                return res.status(404).json({ error: 'Hero image not found' });
+                throw new NotFoundError('Hero image not found');
             }
 
-            await saveFileToGitHub(GITHUB_TOKEN, GITHUB_OWNER, GITHUB_REPO, DATA_FILE, filtered);
+            const message = commitMessage([{ entity: 'hero', key: 'id', before: heroes, after: filtered }]);
+            const saved = await storage.writeJSON(DATA_FILE, filtered, message, sha, await commitAuthor(actor));
+            res.setHeader('ETag', toETag(saved.sha));
+            await recordAudit(req, actor, [{ action: 'delete', entity: 'hero', entityId: id, changes: diffFields(heroes.find(h => h.id === id), null) }]);
             return res.status(200).json({ success: true });
         }
 
-        return res.status(405).json({ error: 'Method not allowed' });
+        throw new MethodNotAllowedError(['GET', 'POST', 'PUT', 'DELETE']);
     } catch (error) {
-        return res.status(500).json({ error: error.message || 'Internal server error' });
-    }
-}
-
-async function getFileFromGitHub(token, owner, repo, path) {
-    try {
-        const response = await fetch(
-            `https://api.github.com/repos/${owner}/${repo}/contents/${path}`,
-            {
-                headers: {
-                    'Authorization': `Bearer ${token}`, // Works with both classic and fine-grained tokens
-                    'Accept': 'application/vnd.github.v3+json',
-                    'X-GitHub-Api-Version': '2022-11-28' // Required for fine-grained tokens
-                }
-            }
-        );
-
-        if (response.status === 404) {
-            return [];
-        }
-
-        if (!response.ok) {
-            throw new Error(`GitHub API error: ${response.statusText}`);
-        }
-
-        const data = await response.json();
-        const content = Buffer.from(data.content, 'base64').toString('utf-8');
-        return JSON.parse(content);
-    } catch (error) {
-        // Return empty array on error to prevent crashes
-        return [];
-    }
-}
-
-async function saveFileToGitHub(token, owner, repo, path, data) {
-    let sha = null;
-    try {
-        const response = await fetch(
-            `https://api.github.com/repos/${owner}/${repo}/contents/${path}`,
-            {
-                headers: {
-                    'Authorization': `Bearer ${token}`, // Works with both classic and fine-grained tokens
-                    'Accept': 'application/vnd.github.v3+json',
-                    'X-GitHub-Api-Version': '2022-11-28' // Required for fine-grained tokens
-                }
-            }
-        );
-        if (response.ok) {
-            const fileData = await response.json();
-            sha = fileData.sha;
-        }
-    } catch (error) {
-        // File doesn't exist yet
-    }
-
-    const content = JSON.stringify(data, null, 2);
-    const encodedContent = Buffer.from(content).toString('base64');
-
-    const response = await fetch(
-        `https://api.github.com/repos/${owner}/${repo}/contents/${path}`,
-        {
-            method: 'PUT',
-            headers: {
-                'Authorization': `Bearer ${token}`, // Works with both classic and fine-grained tokens
-                'Accept': 'application/vnd.github.v3+json',
-                'Content-Type': 'application/json',
-                'X-GitHub-Api-Version': '2022-11-28' // Required for fine-grained tokens
-            },
-            body: JSON.stringify({
-                message: `Update ${path} via admin panel - ${new Date().toISOString()}`,
-                content: encodedContent,
-                sha: sha
-            })
+        if (error instanceof VersionConflictError) {
+            throw await staleWriteConflict(storage, 'hero', DATA_FILE, query.id ? [query.id] : []);
         }
-    );
-
-    if (!response.ok) {
-        const error = await response.json();
-        throw new Error(`GitHub API error: ${error.message || response.statusText}`);
+        throw error;
     }
-
-    return await response.json();
 }
-
@@ -0,0 +1,69 @@
+// Cross-origin access to the API
+// Only origins on the allow-list are answered with CORS headers, and writes sent from any
+// other origin are refused. ALLOWED_ORIGINS (comma-separated, exact origins) sets the list;
+// without it each Vercel environment gets its own default:
+//   production  - ALLOWED_ORIGIN (or shreeadvaya.vercel.app) and the project's production domain
+//   preview     - the above plus the preview deployment's own URLs
+//   development - the above plus http://localhost:3000 and http://127.0.0.1:3000
+
+const DEFAULT_ORIGIN = 'https://shreeadvaya.vercel.app';
+const DEVELOPMENT_ORIGINS = ['http://localhost:3000', 'http://127.0.0.1:3000'];
+
+function normalizeOrigin(value) {
+    try {
+        return new URL(value.includes('://') ? value : `https://${value}`).origin;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Environment the deployment runs in: 'production', 'preview' or 'development'
+ */
+export function getEnvironment() {
+    if (process.env.VERCEL_ENV) {
+        return process.env.VERCEL_ENV;
+    }
+    return process.env.NODE_ENV === 'production' ? 'production' : 'development';
+}
+
+/**
+ * Origins allowed to call the API from a browser
+ */
+export function getAllowedOrigins() {
+    const configured = (process.env.ALLOWED_ORIGINS || '').split(',').map(origin => origin.trim()).filter(Boolean);
+    if (configured.length > 0) {
+        return [...new Set(configured.map(normalizeOrigin).filter(Boolean))];
+    }
+
+    const origins = [process.env.ALLOWED_ORIGIN || DEFAULT_ORIGIN];
+    if (process.env.VERCEL_PROJECT_PRODUCTION_URL) {
+        origins.push(process.env.VERCEL_PROJECT_PRODUCTION_URL);
+    }
+
+    const environment = getEnvironment();
+    if (environment === 'preview' || environment === 'development') {
+        if (process.env.VERCEL_URL) {
+            origins.push(process.env.VERCEL_URL);
+        }
+        if (process.env.VERCEL_BRANCH_URL) {
+            origins.push(process.env.VERCEL_BRANCH_URL);
+        }
+    }
+    if (environment === 'development') {
+        origins.push(...DEVELOPMENT_ORIGINS);
+    }
+    return [...new Set(origins.map(normalizeOrigin).filter(Boolean))];
+}
+
+/**
+ * Whether a request's Origin header is on the allow-list
+ * Requests without an Origin (same-origin GETs, server-to-server calls) are not cross-origin
+ */
+export function isOriginAllowed(origin) {
+    if (!origin) {
+        return true;
+    }
+    const normalized = normalizeOrigin(origin);
+    return normalized !== null && getAllowedOrigins().includes(normalized);
+}
@@ -0,0 +1,161 @@
+// Errors API routes throw instead of writing ad-hoc responses
+// The pipeline turns them into the standard envelope:
+//   { error: message, code: 'MACHINE_READABLE_CODE', requestId, ...details }
+// Messages of these errors are written for the admin panel's users. Anything else that
+// reaches the pipeline is logged with the request ID and answered with a generic message,
+// so internals such as GitHub API responses never leak to the client
+
+/**
+ * Base class; status is the HTTP status, code a stable identifier clients can branch on
+ */
+export class ApiError extends Error {
+    constructor(status, code, message, details = {}) {
+        super(message);
+        this.name = 'ApiError';
+        this.status = status;
+        this.code = code;
+        this.details = details;
+    }
+}
+
+/**
+ * 400 - the request itself is malformed (bad JSON, missing parameter)
+ */
+export class BadRequestError extends ApiError {
+    constructor(message, { code = 'BAD_REQUEST', ...details } = {}) {
+        super(400, code, message, details);
+        this.name = 'BadRequestError';
+    }
+}
+
+/**
+ * 422 - the body is well-formed but fails the entity schema
+ * fields: [{ field, message, ...location }] where location names the entity and record
+ */
+export class ValidationError extends ApiError {
+    constructor(fields) {
+        const summary = fields.map(item => `${item.field} ${item.message}`).slice(0, 3).join('; ');
+        super(422, 'VALIDATION_FAILED', `Validation failed: ${summary}${fields.length > 3 ? '; ...' : ''}`, { fields });
+        this.name = 'ValidationError';
+    }
+}
+
+/**
+ * 401 - no valid session; codes: UNAUTHENTICATED, INVALID_CREDENTIALS, TWO_FACTOR_INVALID, ...
+ */
+export class AuthError extends ApiError {
+    constructor(message = 'Unauthorized. Please login.', { code = 'UNAUTHENTICATED', ...details } = {}) {
+        super(401, code, message, details);
+        this.name = 'AuthError';
+    }
+}
+
+/**
+ * 403 - signed in, but the role lacks a permission (or the origin is not allowed)
+ */
+export class ForbiddenError extends ApiError {
+    constructor(message, { code = 'PERMISSION_DENIED', ...details } = {}) {
+        super(403, code, message, details);
+        this.name = 'ForbiddenError';
+    }
+}
+
+/**
+ * 404 - the record or resource does not exist
+ */
+export class NotFoundError extends ApiError {
+    constructor(message, { code = 'NOT_FOUND', ...details } = {}) {
+        super(404, code, message, details);
+        this.name = 'NotFoundError';
+    }
+}
+
+/**
+ * 409 - the request clashes with the stored state
+ * VERSION_CONFLICT carries { conflicts } for the admin panel's conflict resolution
+ */
+export class ConflictError extends ApiError {
+    constructor(message, { code = 'CONFLICT', ...details } = {}) {
+        super(409, code, message, details);
+        this.name = 'ConflictError';
+    }
+}
+
+/**
+ * 410 - a link or token that existed has expired or was used
+ */
+export class GoneError extends ApiError {
+    constructor(message, { code = 'GONE', ...details } = {}) {
+        super(410, code, message, details);
+        this.name = 'GoneError';
+    }
+}
+
+/**
+ * 405 - the route does not accept this method
+ */
+export class MethodNotAllowedError extends ApiError {
+    constructor(allowed = []) {
+        super(405, 'METHOD_NOT_ALLOWED', 'Method not allowed');
+        this.name = 'MethodNotAllowedError';
+        this.allowed = allowed;
+    }
+}
+
+/**
+ * 428 - a write did not say which version it was based on (If-Match)
+ */
+export class PreconditionRequiredError extends ApiError {
+    constructor(message) {
+        super(428, 'PRECONDITION_REQUIRED', message);
+        this.name = 'PreconditionRequiredError';
+    }
+}
+
+/**
+ * 429 - too many attempts; retryAfter is in seconds and sent as Retry-After
+ */
+export class RateLimitError extends ApiError {
+    constructor(message, retryAfter, details = {}) {
+        super(429, 'RATE_LIMITED', message, { retryAfter, ...details });
+        this.name = 'RateLimitError';
+        this.retryAfter = retryAfter;
+    }
+}
+
+/**
+ * Upstream storage (GitHub or the local disk) failed or is not configured
+ * The message is safe to show; internalMessage and cause are only logged
+ * STORAGE_UNAVAILABLE (502) is worth retrying, STORAGE_NOT_CONFIGURED (503) is not
+ */
+export class StorageError extends ApiError {
+    constructor(internalMessage, { code = 'STORAGE_UNAVAILABLE', status = 502, message, cause } = {}) {
+        super(status, code, message || 'The storage service is not responding. Try again in a moment.');
+        this.name = 'StorageError';
+        this.internalMessage = internalMessage;
+        if (cause) {
+            this.cause = cause;
+        }
+    }
+}
+
+/**
+ * Envelope for an error thrown while handling a request
+ * Unknown errors become INTERNAL_ERROR without their message
+ */
+export function toErrorResponse(error, requestId) {
+    if (error instanceof ApiError) {
+        return {
+            status: error.status,
+            body: { error: error.message, code: error.code, requestId, ...error.details }
+        };
+    }
+    return {
+        status: 500,
+        body: {
+            error: 'Something went wrong on the server. Try again, and mention the request ID if it keeps happening.',
+            code: 'INTERNAL_ERROR',
+            requestId
+        }
+    };
+}
@@ -0,0 +1,205 @@
+// Request pipeline shared by every API route
+// A route is its handler wrapped in middleware: request IDs, security headers, CORS with
+// the origin allow-list, OPTIONS preflights, JSON body parsing and access token verification.
+// Each middleware is (req, res, next) and either answers the request or calls next().
+// Handlers and middleware throw the errors in errors.js; the pipeline answers them with the
+// standard envelope { error, code, requestId, ...details }
+
+import crypto from 'crypto';
+import { verifyToken } from '../auth/jwt.js';
+import { isOriginAllowed } from './cors.js';
+import { AuthError, BadRequestError, ForbiddenError, MethodNotAllowedError, RateLimitError, toErrorResponse } from './errors.js';
+
+const DEFAULT_ALLOW_HEADERS = ['Content-Type', 'Authorization'];
+const BODY_METHODS = ['POST', 'PUT', 'PATCH', 'DELETE'];
+// Incoming X-Request-Id values are reused only when they look like an ID
+const REQUEST_ID_PATTERN = /^[\w.:-]{8,64}$/;
+
+/**
+ * The signed-in user set by authenticate(); throws AuthError when there is none
+ */
+export function requireUser(req) {
+    if (!req.user) {
+        throw new AuthError(req.authError);
+    }
+    return req.user;
+}
+
+/**
+ * Access token from the Authorization header, or null
+ */
+export function bearerToken(req) {
+    const header = req.headers.authorization;
+    if (!header || !header.startsWith('Bearer ')) {
+        return null;
+    }
+    return header.slice('Bearer '.length).trim() || null;
+}
+
+/**
+ * Answer a request with the error envelope
+ */
+export function sendError(req, res, error) {
+    const { status, body } = toErrorResponse(error, req.id);
+    if (status >= 500) {
+        console.error(`[${req.id}] ${req.method} ${req.url || ''} failed:`, error);
+    }
+    if (error instanceof MethodNotAllowedError && error.allowed.length > 0) {
+        res.setHeader('Allow', error.allowed.join(', '));
+    }
+    if (error instanceof RateLimitError && error.retryAfter) {
+        res.setHeader('Retry-After', String(error.retryAfter));
+    }
+    return res.status(status).json(body);
+}
+
+/**
+ * Run middleware in order; the last one is usually the route handler
+ */
+export function compose(...middleware) {
+    return async function handler(req, res) {
+        const run = async (index) => {
+            const step = middleware[index];
+            if (step) {
+                await step(req, res, () => run(index + 1));
+            }
+        };
+
+        try {
+            await run(0);
+        } catch (error) {
+            if (!res.headersSent) {
+                sendError(req, res, error);
+            } else {
+                console.error(`[${req.id}] ${req.method} ${req.url || ''} failed after responding:`, error);
+            }
+        }
+    };
+}
+
+/**
+ * Tag the request with an ID, returned in X-Request-Id and in error responses
+ */
+export function requestId() {
+    return (req, res, next) => {
+        const incoming = req.headers['x-request-id'];
+        req.id = typeof incoming === 'string' && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+        res.setHeader('X-Request-Id', req.id);
+        return next();
+    };
+}
+
+export function securityHeaders() {
+    return (req, res, next) => {
+        res.setHeader('X-Content-Type-Options', 'nosniff');
+        res.setHeader('X-Frame-Options', 'DENY');
+        res.setHeader('X-XSS-Protection', '1; mode=block');
+        return next();
+    };
+}
+
+/**
+ * CORS for allow-listed origins; answers preflights itself
+ * Writes from other origins are refused so a foreign page cannot use the session cookie
+ */
+export function cors({ methods, allowHeaders = DEFAULT_ALLOW_HEADERS, exposeHeaders = [] }) {
+    return (req, res, next) => {
+        const origin = req.headers.origin;
+        const allowed = isOriginAllowed(origin);
+
+        if (origin && allowed) {
+            res.setHeader('Access-Control-Allow-Origin', origin);
+            res.setHeader('Access-Control-Allow-Methods', [...methods, 'OPTIONS'].join(', '));
+            res.setHeader('Access-Control-Allow-Headers', allowHeaders.join(', '));
+            res.setHeader('Access-Control-Expose-Headers', [...exposeHeaders, 'X-Request-Id'].join(', '));
+            res.setHeader('Access-Control-Allow-Credentials', 'true');
+        }
+        res.setHeader('Vary', 'Origin');
+
+        if (!allowed && (req.method === 'OPTIONS' || BODY_METHODS.includes(req.method))) {
+            throw new ForbiddenError('Origin not allowed', { code: 'ORIGIN_NOT_ALLOWED' });
+        }
+        if (req.method === 'OPTIONS') {
+            return res.status(204).end();
+        }
+        return next();
+    };
+}
+
+/**
+ * Parse a JSON request body into req.body ({} when there is none)
+ */
+export function jsonBody() {
+    return (req, res, next) => {
+        let body;
+        try {
+            // The platform's body getter throws on malformed JSON
+            body = req.body;
+            if (typeof body === 'string') {
+                body = body.trim() ? JSON.parse(body) : undefined;
+            } else if (Buffer.isBuffer(body)) {
+                body = body.length > 0 ? JSON.parse(body.toString('utf-8')) : undefined;
+            }
+        } catch (error) {
+            throw new BadRequestError('Invalid JSON body', { code: 'INVALID_JSON' });
+        }
+        Object.defineProperty(req, 'body', { value: body ?? {}, writable: true, configurable: true, enumerable: true });
+        return next();
+    };
+}
+
+/**
+ * Verify the bearer token, if any, and set req.user ({ username, role }) or req.authError
+ * Routes decide which requests need a user (see requireUser)
+ */
+export function authenticate() {
+    return (req, res, next) => {
+        req.user = null;
+        const token = bearerToken(req);
+        if (!token) {
+            req.authError = 'Unauthorized. Please login.';
+            return next();
+        }
+        const verification = verifyToken(token);
+        if (verification.valid) {
+            req.user = verification.user;
+        } else {
+            req.authError = 'Unauthorized. Invalid or expired token.';
+        }
+        return next();
+    };
+}
+
+/**
+ * Only let the listed methods through
+ */
+export function allowMethods(methods) {
+    return (req, res, next) => {
+        if (!methods.includes(req.method)) {
+            throw new MethodNotAllowedError(methods);
+        }
+        return next();
+    };
+}
+
+/**
+ * Build a route: the standard middleware followed by the handler
+ * options:
+ *   methods        - methods the route accepts (others get 405 unless checkMethods is false)
+ *   allowHeaders   - request headers browsers may send (Content-Type, Authorization by default)
+ *   exposeHeaders  - response headers browsers may read, e.g. ETag
+ *   parseBody      - parse JSON bodies (false for routes that read the raw stream)
+ *   checkMethods   - false when the handler routes methods itself (e.g. per ?action)
+ */
+export function createHandler(options, handler) {
+    const { methods, allowHeaders, exposeHeaders, parseBody = true, checkMethods = true } = options;
+    return compose(
+        requestId(),
+        securityHeaders(),
+        cors({ methods, allowHeaders, exposeHeaders }),
+        ...(checkMethods ? [allowMethods(methods)] : []),
+        ...(parseBody ? [jsonBody()] : []),
+        authenticate(),
+        (req, res) => handler(req, res)
+    );
+}
@@ -0,0 +1,202 @@
+// API route: /api/inventory
+// Stock levels of products and variants, and adjustments to them
+//   GET  /api/inventory[?status=low-stock]  - { threshold, items: [{ productId, name, sku, quantity, madeToOrder, stockStatus }] }
+//   POST /api/inventory                     - { adjustments: [{ productId, sku?, change | quantity, reason, note? }] }
+// An adjustment changes a quantity by a number of pieces (change: -2 after a sale) or sets it
+// after a count (quantity: 12); every one is recorded in the activity log with its reason.
+// Adjustments are applied all or nothing, like batch saves. Changes are applied to the latest
+// stock, so If-Match is optional; when sent, the adjustments are refused if products changed
+
+import { can, forbidden } from './auth/permissions.js';
+import { recordAudit } from './audit/log.js';
+import { cleanChangeNote, commitAuthor } from './audit/commit.js';
+import { BadRequestError, MethodNotAllowedError, ValidationError } from './http/errors.js';
+import { createHandler, requireUser } from './http/pipeline.js';
+import { STOCK_STATUSES, getLowStockThreshold, hasVariants, stockRows, withStockStatus } from './inventory/stock.js';
+import { requireStorage } from './storage/index.js';
+import { failed, rejectedBatch } from './storage/operations.js';
+import { VersionConflictError, toETag, parseIfMatch, ifMatchSatisfied, versionConflict, staleWriteConflict, pickRecords } from './storage/versions.js';
+import { validate } from './validation/schema.js';
+import { stockAdjustmentSchema } from './validation/schemas.js';
+
+const DATA_FILE = 'data/products.json';
+// Adjustments are reapplied to the latest stock when someone else saved products meanwhile
+const WRITE_ATTEMPTS = 3;
+
+export default createHandler({
+    methods: ['GET', 'POST'],
+    allowHeaders: ['Content-Type', 'Authorization', 'If-Match'],
+    exposeHeaders: ['ETag']
+}, handleInventory);
+
+async function handleInventory(req, res) {
+    // Stock levels are for the team only; the site reads stockStatus from the products
+    const actor = requireUser(req);
+    const storage = requireStorage();
+
+    if (req.method === 'GET') {
+        const { status } = req.query;
+        if (status && !STOCK_STATUSES.includes(status)) {
+            throw new BadRequestError(`Unknown stock status. Use one of: ${STOCK_STATUSES.join(', ')}`, { code: 'INVALID_STATUS' });
+        }
+        const { data: products, sha } = await storage.readJSON(DATA_FILE, []);
+        const threshold = getLowStockThreshold();
+        const items = stockRows(products, threshold).filter(item => !status || item.stockStatus === status);
+        res.setHeader('ETag', toETag(sha));
+        return res.status(200).json({ threshold, items });
+    }
+
+    if (req.method !== 'POST') {
+        throw new MethodNotAllowedError(['GET', 'POST']);
+    }
+    if (!(await can(actor, 'inventory:write'))) {
+        throw forbidden('inventory:write');
+    }
+
+    const checked = validate(stockAdjustmentSchema, req.body);
+    if (!checked.valid) {
+        throw new ValidationError(checked.errors.map(error => ({ entity: 'inventory', ...error })));
+    }
+    const { adjustments } = checked.value;
+    const unclear = adjustments
+        .map((adjustment, index) => ({ adjustment, index }))
+        .filter(({ adjustment }) => (adjustment.change === undefined) === (adjustment.quantity === undefined));
+    if (unclear.length > 0) {
+        throw new ValidationError(unclear.map(({ index }) => ({
+            entity: 'inventory',
+            field: `adjustments[${index}]`,
+            message: 'must have either change or quantity'
+        })));
+    }
+
+    const ifMatch = parseIfMatch(req.headers['if-match']);
+    const author = await commitAuthor(actor);
+    const productIds = [...new Set(adjustments.map(adjustment => adjustment.productId))];
+
+    for (let attempt = 1; ; attempt++) {
+        const { data: products, sha } = await storage.readJSON(DATA_FILE, []);
+        if (ifMatch && !ifMatchSatisfied(ifMatch, sha)) {
+            throw versionConflict('products', sha, pickRecords(products, productIds));
+        }
+
+        const { records, operations } = applyAdjustments(products, adjustments);
+        const rejected = rejectedBatch(operations);
+        if (rejected) {
+            throw rejected;
+        }
+
+        let saved;
+        try {
+            saved = await storage.writeJSON(DATA_FILE, records, adjustmentMessage(records, operations), sha, author);
+        } catch (error) {
+            if (error instanceof VersionConflictError) {
+                if (!ifMatch && attempt < WRITE_ATTEMPTS) {
+                    continue;
+                }
+                throw await staleWriteConflict(storage, 'products', DATA_FILE, productIds);
+            }
+            throw error;
+        }
+
+        await recordAudit(req, actor, operations.map(operation => ({
+            action: 'adjust',
+            entity: 'inventory',
+            entityId: operation.sku || operation.productId,
+            changes: [{ field: 'quantity', before: operation.before, after: operation.after }],
+            details: {
+                productId: operation.productId,
+                reason: operation.reason,
+                ...(operation.note ? { note: operation.note } : {})
+            }
+        })));
+
+        const touched = [...new Set(operations.map(operation => operation.productId))];
+        res.setHeader('ETag', toETag(saved.sha));
+        return res.status(200).json({
+            success: true,
+            operations,
+            products: records.filter(product => touched.includes(product.id))
+        });
+    }
+}
+
+/**
+ * Apply adjustments to a copy of the products, in order
+ * Returns { records, operations } with one operation per adjustment:
+ *   { entity, op: 'adjust', index, productId, sku, before, after, reason, note, ok } or a failure
+ */
+function applyAdjustments(products, adjustments) {
+    const operations = [];
+    const records = products.map(product => (
+        hasVariants(product) ? { ...product, variants: product.variants.map(variant => ({ ...variant })) } : { ...product }
+    ));
+    const changed = new Set();
+
+    adjustments.forEach((adjustment, index) => {
+        const { productId, sku, change, quantity, reason } = adjustment;
+        const fail = (code, error) => operations.push(failed('inventory', 'adjust', { index, productId, sku: sku || null }, code, error));
+        const product = records.find(record => record.id === productId);
+        if (!product) {
+            return fail('NOT_FOUND', `No product with id ${productId}`);
+        }
+
+        let item = product;
+        if (sku) {
+            item = (product.variants || []).find(variant => variant.sku === sku);
+            if (!item) {
+                return fail('NOT_FOUND', `${product.name} has no variant with SKU ${sku}`);
+            }
+        } else if (hasVariants(product)) {
+            return fail('SKU_REQUIRED', `${product.name} keeps its stock in its variants; name the variant's SKU`);
+        }
+        const name = sku ? `${product.name} (${sku})` : product.name;
+        if (item.madeToOrder) {
+            return fail('MADE_TO_ORDER', `${name} is made to order and keeps no stock`);
+        }
+
+        // Items that kept no quantity so far start from none
+        const tracked = Number.isInteger(item.quantity);
+        const before = tracked ? item.quantity : 0;
+        const after = change !== undefined ? before + change : quantity;
+        if (after < 0) {
+            return fail('INSUFFICIENT_STOCK', `${name} has only ${before} in stock`);
+        }
+
+        item.quantity = after;
+        changed.add(product.id);
+        operations.push({
+            entity: 'inventory',
+            op: 'adjust',
+            index,
+            productId,
+            sku: sku || null,
+            before: tracked ? before : null,
+            after,
+            reason,
+            ...(adjustment.note ? { note: cleanChangeNote(adjustment.note) } : {}),
+            ok: true
+        });
+    });
+
+    const now = new Date().toISOString();
+    return {
+        records: records.map(product => changed.has(product.id) ? withStockStatus({ ...product, updatedAt: now }) : product),
+        operations
+    };
+}
+
+/**
+ * Commit message naming the adjusted items, e.g. "Adjust stock of SILK-RED (sale)",
+ * with one line per adjustment in the body
+ */
+function adjustmentMessage(products, operations) {
+    const nameOf = operation => operation.sku || products.find(product => product.id === operation.productId)?.name || operation.productId;
+    const reasons = [...new Set(operations.map(operation => operation.reason))].join(', ');
+    const subject = operations.length === 1
+        ? `Adjust stock of ${nameOf(operations[0])} (${reasons})`
+        : `Adjust stock of ${operations.length} items (${reasons})`;
+    const lines = operations.map(operation => (
+        `${nameOf(operation)}: ${operation.before ?? 0} -> ${operation.after} (${operation.reason})${operation.note ? ` ${operation.note}` : ''}`
+    ));
+    return `${subject}\n\n${lines.join('\n')}`;
+}
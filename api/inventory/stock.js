@@ -0,0 +1,74 @@
+// Stock levels of products and their variants
+// A product or variant may hold a quantity and may be made to order. Its stockStatus is worked
+// out by the server whenever it is saved, so the site and the admin panel only read it:
+//   made-to-order - madeToOrder is set; the quantity, if any, is not used
+//   sold-out      - quantity is 0
+//   low-stock     - quantity is at most LOW_STOCK_THRESHOLD (default 3)
+//   in-stock      - more than that, or no quantity kept at all
+// A product with variants holds its stock in the variants and takes the best status among
+// those that are on sale
+
+// Best first, so a product with variants can pick its own status from theirs
+export const STOCK_STATUSES = ['in-stock', 'low-stock', 'made-to-order', 'sold-out'];
+
+const DEFAULT_LOW_STOCK_THRESHOLD = 3;
+
+/**
+ * Quantity at or below which stock counts as low
+ */
+export function getLowStockThreshold() {
+    const value = parseInt(process.env.LOW_STOCK_THRESHOLD, 10);
+    return Number.isInteger(value) && value >= 0 ? value : DEFAULT_LOW_STOCK_THRESHOLD;
+}
+
+/**
+ * Whether a product keeps its stock in its variants rather than on itself
+ */
+export function hasVariants(product) {
+    return Array.isArray(product.variants) && product.variants.length > 0;
+}
+
+function itemStatus(item, threshold) {
+    if (item.madeToOrder) {
+        return 'made-to-order';
+    }
+    if (!Number.isInteger(item.quantity)) {
+        return 'in-stock';
+    }
+    if (item.quantity <= 0) {
+        return 'sold-out';
+    }
+    return item.quantity <= threshold ? 'low-stock' : 'in-stock';
+}
+
+/**
+ * Copy of a product with stockStatus set on it and on each of its variants
+ */
+export function withStockStatus(product, threshold = getLowStockThreshold()) {
+    if (!hasVariants(product)) {
+        return { ...product, stockStatus: itemStatus(product, threshold) };
+    }
+    const variants = product.variants.map(variant => ({ ...variant, stockStatus: itemStatus(variant, threshold) }));
+    const onSale = variants.filter(variant => variant.available !== false).map(variant => variant.stockStatus);
+    const stockStatus = STOCK_STATUSES.find(status => onSale.includes(status)) || 'sold-out';
+    return { ...product, variants, stockStatus };
+}
+
+/**
+ * One row per stock-holding item: each variant of a product that has them, otherwise the product
+ * [{ productId, name, sku, quantity, madeToOrder, stockStatus }]; sku is null for products
+ */
+export function stockRows(products, threshold = getLowStockThreshold()) {
+    return products.flatMap(stored => {
+        const product = withStockStatus(stored, threshold);
+        const items = hasVariants(product) ? product.variants : [product];
+        return items.map(item => ({
+            productId: product.id,
+            name: product.name,
+            sku: item === product ? null : item.sku,
+            quantity: Number.isInteger(item.quantity) ? item.quantity : null,
+            madeToOrder: !!item.madeToOrder,
+            stockStatus: item.stockStatus
+        }));
+    });
+}
@@ -0,0 +1,53 @@
+// Key-value store selection, for server state that must not be published: sessions and other
+// short-lived records. The content storage backend is a git repository, so it is not used for these.
+// KV_REST_API_URL and KV_REST_API_TOKEN (set by Vercel KV or an Upstash Redis database) select
+// the REST store shared by every instance; without them state is kept in the running process,
+// which only suits `vercel dev` and tests. With NODE_ENV=production the REST store is required
+
+import { StorageError } from '../http/errors.js';
+import { memoryStore } from './memory.js';
+import { restStore } from './rest.js';
+
+function isRestConfigured() {
+    return !!(process.env.KV_REST_API_URL || process.env.KV_REST_API_TOKEN);
+}
+
+/**
+ * Why the store cannot be used with the current settings, or null
+ */
+export function getKVConfigError() {
+    if (isRestConfigured()) {
+        return restStore.getConfigError();
+    }
+    if (process.env.NODE_ENV === 'production') {
+        return 'KV_REST_API_URL and KV_REST_API_TOKEN are not set. Connect a Vercel KV or Upstash Redis database';
+    }
+    return null;
+}
+
+// Reported when the function starts, not first when someone tries to sign in
+if (getKVConfigError()) {
+    console.error(`Key-value store is not configured: ${getKVConfigError()}. Sign-in will fail.`);
+}
+
+/**
+ * Get the configured store, or StorageError (KV_NOT_CONFIGURED) when it cannot be used
+ *
+ * Every store implements:
+ *   get(key)                  -> value | null
+ *   set(key, value, ttlMs)    -> forget the value after ttlMs (kept until deleted when omitted)
+ *   take(key)                 -> value | null, removed in the same step so only one caller gets it
+ *   delete(key)
+ *   list(prefix)              -> [{ key, value }] for live keys starting with prefix
+ *   push(key, values, ttlMs)  -> append values to the list at key
+ *   range(key)                -> every value in the list at key, oldest first
+ *
+ * Values are anything JSON can hold
+ */
+export function getKV() {
+    const configError = getKVConfigError();
+    if (configError) {
+        throw new StorageError(configError, { code: 'KV_NOT_CONFIGURED', status: 503, message: configError });
+    }
+    return isRestConfigured() ? restStore : memoryStore;
+}
@@ -0,0 +1,79 @@
+// In-memory key-value store
+// Values live in this process only: fine for `vercel dev` and tests, but each serverless
+// instance keeps its own, so production uses the shared REST store (see index.js).
+// Keys can come from request input (login attempt counters are keyed by username), so the
+// store holds at most maxKeys of them and forgets the oldest first
+
+const DEFAULT_MAX_KEYS = 10000;
+
+export function createMemoryStore({ maxKeys = DEFAULT_MAX_KEYS } = {}) {
+    const entries = new Map();
+
+    function live(key) {
+        const entry = entries.get(key);
+        if (entry && entry.expiresAt !== null && entry.expiresAt <= Date.now()) {
+            entries.delete(key);
+            return null;
+        }
+        return entry || null;
+    }
+
+    function put(key, value, ttlMs) {
+        // Re-inserted so the Map's order stays oldest-written first
+        entries.delete(key);
+        if (entries.size >= maxKeys) {
+            [...entries.keys()].forEach(live);
+        }
+        while (entries.size >= maxKeys) {
+            entries.delete(entries.keys().next().value);
+        }
+        entries.set(key, { value, expiresAt: ttlMs ? Date.now() + ttlMs : null });
+    }
+
+    const copy = value => value === undefined ? null : structuredClone(value);
+
+    return {
+        async get(key) {
+            const entry = live(key);
+            return entry ? copy(entry.value) : null;
+        },
+
+        async set(key, value, ttlMs) {
+            put(key, copy(value), ttlMs);
+        },
+
+        async take(key) {
+            const entry = live(key);
+            entries.delete(key);
+            return entry ? entry.value : null;
+        },
+
+        async delete(key) {
+            entries.delete(key);
+        },
+
+        async list(prefix) {
+            const results = [];
+            for (const key of [...entries.keys()]) {
+                const entry = key.startsWith(prefix) ? live(key) : null;
+                if (entry) {
+                    results.push({ key, value: copy(entry.value) });
+                }
+            }
+            return results;
+        },
+
+        async push(key, values, ttlMs) {
+            const entry = live(key);
+            const list = entry && Array.isArray(entry.value) ? entry.value : [];
+            put(key, [...list, ...copy(values)], ttlMs);
+        },
+
+        async range(key) {
+            const entry = live(key);
+            return entry && Array.isArray(entry.value) ? copy(entry.value) : [];
+        }
+    };
+}
+
+export const memoryStore = createMemoryStore();
@@ -0,0 +1,116 @@
+// Redis key-value store over the Upstash REST API (what Vercel KV provides)
+// Every serverless instance talks to the same database, so sessions and counters are shared.
+// Values are stored as JSON strings; lists hold one JSON string per item
+
+import { StorageError } from '../http/errors.js';
+
+// SCAN and MGET work through the keyspace in pages of this size
+const SCAN_COUNT = 200;
+
+function getConfig() {
+    return {
+        url: (process.env.KV_REST_API_URL || '').replace(/\/+$/, ''),
+        token: process.env.KV_REST_API_TOKEN
+    };
+}
+
+async function command(...args) {
+    const { url, token } = getConfig();
+    let response;
+    try {
+        response = await fetch(url, {
+            method: 'POST',
+            headers: { 'Authorization': `Bearer ${token}`, 'Content-Type': 'application/json' },
+            body: JSON.stringify(args.map(String))
+        });
+    } catch (error) {
+        // Network failure or timeout reaching the database
+        throw new StorageError(`KV request failed: ${args[0]}: ${error.message}`, { cause: error });
+    }
+
+    const body = await response.json().catch(() => ({}));
+    if (!response.ok || body.error) {
+        throw new StorageError(`KV error: ${args[0]}: ${body.error || response.statusText}`);
+    }
+    return body.result;
+}
+
+function parse(raw) {
+    if (raw === null || raw === undefined) {
+        return null;
+    }
+    try {
+        return JSON.parse(raw);
+    } catch (error) {
+        throw new StorageError(`KV value is not valid JSON: ${error.message}`, { cause: error });
+    }
+}
+
+// SCAN MATCH treats these as glob syntax
+function escapePattern(prefix) {
+    return prefix.replace(/[*?[\]\\]/g, '\\$&');
+}
+
+export const restStore = {
+    getConfigError() {
+        const { url, token } = getConfig();
+        if (!url || !token) {
+            return 'KV_REST_API_URL and KV_REST_API_TOKEN must be set';
+        }
+        return null;
+    },
+
+    async get(key) {
+        return parse(await command('GET', key));
+    },
+
+    async set(key, value, ttlMs) {
+        const expiry = ttlMs ? ['PX', Math.max(1, Math.ceil(ttlMs))] : [];
+        await command('SET', key, JSON.stringify(value), ...expiry);
+    },
+
+    // GETDEL reads and removes the key in one step, so only one caller can get the value
+    async take(key) {
+        return parse(await command('GETDEL', key));
+    },
+
+    async delete(key) {
+        await command('DEL', key);
+    },
+
+    async list(prefix) {
+        const keys = [];
+        let cursor = '0';
+        do {
+            const [next, page] = await command('SCAN', cursor, 'MATCH', `${escapePattern(prefix)}*`, 'COUNT', SCAN_COUNT);
+            keys.push(...page);
+            cursor = String(next);
+        } while (cursor !== '0');
+
+        const results = [];
+        const unique = [...new Set(keys)];
+        for (let start = 0; start < unique.length; start += SCAN_COUNT) {
+            const page = unique.slice(start, start + SCAN_COUNT);
+            const values = await command('MGET', ...page);
+            page.forEach((key, index) => {
+                // Keys that expired between SCAN and MGET come back as null
+                if (values[index] !== null) {
+                    results.push({ key, value: parse(values[index]) });
+                }
+            });
+        }
+        return results;
+    },
+
+    // RPUSH appends atomically, so concurrent writers never overwrite each other's items
+    async push(key, values, ttlMs) {
+        await command('RPUSH', key, ...values.map(value => JSON.stringify(value)));
+        if (ttlMs) {
+            await command('PEXPIRE', key, Math.ceil(ttlMs));
+        }
+    },
+
+    async range(key) {
+        return (await command('LRANGE', key, 0, -1)).map(parse);
+    }
+};
@@ -0,0 +1,74 @@
+// Prices of products and their variants, in rupees
+// price is what an item normally sells for; mrp, when higher, is the maximum retail price shown
+// struck through. A product's discount ({ type: 'percent' | 'flat', value, startsAt, endsAt })
+// applies to the product and each of its variants while it runs. The server works out pricing
+// on every product and variant it saves:
+//   { price, mrp, salePrice, saleStartsAt, saleEndsAt, effectivePrice }
+// salePrice applies from saleStartsAt until saleEndsAt (null: no limit) and effectivePrice is
+// the price at the time pricing was worked out. The site reads the stored data, so it compares
+// the sale window with the current time itself rather than relying on effectivePrice
+
+/**
+ * A price as a number; older records hold numeric strings such as "4999". null when unset
+ */
+export function toAmount(value) {
+    if (typeof value === 'string' && value.trim() !== '') {
+        value = Number(value);
+    }
+    return typeof value === 'number' && Number.isFinite(value) ? value : null;
+}
+
+/**
+ * Whether a discount applies at a point in time
+ */
+export function discountActive(discount, now = new Date()) {
+    if (!discount) {
+        return false;
+    }
+    const time = now.getTime();
+    return (!discount.startsAt || Date.parse(discount.startsAt) <= time) &&
+        (!discount.endsAt || time < Date.parse(discount.endsAt));
+}
+
+/**
+ * Price after a discount, rounded to whole rupees and never below 0
+ */
+export function discountedPrice(price, discount) {
+    const off = discount.type === 'percent' ? price * Math.min(discount.value, 100) / 100 : discount.value;
+    return Math.max(0, Math.round(price - off));
+}
+
+function itemPricing(price, mrp, discount, now) {
+    const salePrice = discount && price !== null ? discountedPrice(price, discount) : null;
+    const onSale = salePrice !== null && salePrice < price;
+    return {
+        price,
+        mrp: mrp !== null && price !== null && mrp > price ? mrp : null,
+        salePrice: onSale ? salePrice : null,
+        saleStartsAt: onSale ? discount.startsAt || null : null,
+        saleEndsAt: onSale ? discount.endsAt || null : null,
+        effectivePrice: onSale && discountActive(discount, now) ? salePrice : price
+    };
+}
+
+/**
+ * Copy of a product with numeric prices and pricing set on it and on each of its variants
+ * Variants without their own price or mrp use the product's
+ */
+export function withPricing(product, now = new Date()) {
+    const price = toAmount(product.price);
+    const mrp = toAmount(product.mrp);
+    const discount = product.discount || null;
+    const priced = {
+        ...product,
+        ...(price !== null ? { price } : {}),
+        pricing: itemPricing(price, mrp, discount, now)
+    };
+    if (Array.isArray(product.variants) && product.variants.length > 0) {
+        priced.variants = product.variants.map(variant => ({
+            ...variant,
+            pricing: itemPricing(toAmount(variant.price) ?? price, toAmount(variant.mrp) ?? mrp, discount, now)
+        }));
+    }
+    return priced;
+}
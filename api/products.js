@@ -1,85 +1,85 @@
 // API route: /api/products
-// Handles product CRUD operations via GitHub API
-
-import { verifyToken } from './auth/jwt.js';
-
-export default async function handler(req, res) {
-    // Security headers
-    res.setHeader('X-Content-Type-Options', 'nosniff');
-    res.setHeader('X-Frame-Options', 'DENY');
-    res.setHeader('X-XSS-Protection', '1; mode=block');
-    
-    // CORS - restrict to your domain only
-    const allowedOrigin = process.env.ALLOWED_ORIGIN || 'https://shreeadvaya.vercel.app';
-    const origin = req.headers.origin;
-    
-    if (origin && (origin === allowedOrigin || origin.includes('localhost'))) {
-        res.setHeader('Access-Control-Allow-Origin', origin);
-    } else {
-        res.setHeader('Access-Control-Allow-Origin', allowedOrigin);
-    }
-    
-    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
-    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
-    res.setHeader('Access-Control-Allow-Credentials', 'true');
-
-    if (req.method === 'OPTIONS') {
-        return res.status(200).end();
-    }
-
+// Handles product CRUD operations via the configured storage backend
+
+import { can, forbidden } from './auth/permissions.js';
+import { recordAudit, diffFields } from './audit/log.js';
+import { commitMessage, commitAuthor } from './audit/commit.js';
+import { loadAttributes } from './catalog/attributes.js';
+import { loadCategories } from './catalog/categories.js';
+import { BadRequestError, MethodNotAllowedError, NotFoundError, PreconditionRequiredError, ValidationError } from './http/errors.js';
+import { createHandler, requireUser } from './http/pipeline.js';
+import { withStockStatus } from './inventory/stock.js';
+import { withPricing } from './pricing/price.js';
+import { createId } from './storage/ids.js';
+import { requireStorage } from './storage/index.js';
+import { VersionConflictError, toETag, parseIfMatch, ifMatchSatisfied, versionConflict, staleWriteConflict, pickRecords } from './storage/versions.js';
+import { validate } from './validation/schema.js';
+import { productSchemaFor } from './validation/schemas.js';
+
+// Stock status and pricing are worked out on every saved product
+const prepareProduct = product => withPricing(withStockStatus(product));
+
+export default createHandler({
+    methods: ['GET', 'POST', 'PUT', 'DELETE'],
+    allowHeaders: ['Content-Type', 'Authorization', 'If-Match'],
+    exposeHeaders: ['ETag']
+}, handleProducts);
+
+async function handleProducts(req, res) {
     // Verify authentication for write operations
+    let actor = null;
     if (req.method !== 'GET') {
-        const authHeader = req.headers.authorization;
-        const token = authHeader?.replace('Bearer ', '');
-        
-        if (!token) {
-            return res.status(401).json({ error: 'Unauthorized. Please login.' });
-        }
-
-        const verification = verifyToken(token);
-        if (!verification.valid) {
-            return res.status(401).json({ error: 'Unauthorized. Invalid or expired token.' });
+        actor = requireUser(req);
+        if (!(await can(actor, 'products:write'))) {
+            throw forbidden('products:write');
         }
     }
 
-    // Parse request body for POST/PUT requests
-    let body = {};
-    if (req.method === 'POST' || req.method === 'PUT') {
-        try {
-            body = typeof req.body === 'string' ? JSON.parse(req.body) : req.body;
-        } catch (e) {
-            return res.status(400).json({ error: 'Invalid JSON body' });
-        }
-    }
-
-    const { method, query } = req;
-    const GITHUB_TOKEN = process.env.GITHUB_TOKEN;
-    // Use Vercel's built-in env vars if available, otherwise fallback to custom env vars or defaults
-    const GITHUB_OWNER = process.env.VERCEL_GIT_REPO_OWNER || process.env.GITHUB_OWNER || 'your-username';
-    const GITHUB_REPO = process.env.VERCEL_GIT_REPO_SLUG || process.env.GITHUB_REPO || 'ShreeAdvaya';
+    const { method, query, body } = req;
+    const storage = requireStorage();
     const DATA_FILE = 'data/products.json';
 
-    if (!GITHUB_TOKEN) {
-        return res.status(500).json({ error: 'GitHub token not configured. Please set GITHUB_TOKEN in Vercel environment variables.' });
+    // Writes must name the version they were based on (the ETag from the last GET)
+    const ifMatch = parseIfMatch(req.headers['if-match']);
+    if (method !== 'GET' && !ifMatch) {
+        throw new PreconditionRequiredError('If-Match header required. Reload the data and try again.');
+    }
+
+    // Only declared fields with the right types reach the stored record, with attributes and category from the catalog
+    let record = body;
+    if (method === 'POST' || method === 'PUT') {
+        const checked = validate(productSchemaFor(await loadAttributes(), await loadCategories()), body, { partial: method === 'PUT' });
+        if (!checked.valid) {
+            throw new ValidationError(checked.errors.map(error => ({ entity: 'products', id: query.id, ...error })));
+        }
+        record = checked.value;
     }
 
     try {
         if (method === 'GET') {
             // Get all products
-            const products = await getFileFromGitHub(GITHUB_TOKEN, GITHUB_OWNER, GITHUB_REPO, DATA_FILE);
-            return res.status(200).json(products);
+            const { data: products, sha } = await storage.readJSON(DATA_FILE, []);
+            res.setHeader('ETag', toETag(sha));
+            // Prices as of now, so discounts start and end on time
+            return res.status(200).json(products.map(product => withPricing(product)));
         }
 
         if (method === 'POST') {
             // Add new product
-            const products = await getFileFromGitHub(GITHUB_TOKEN, GITHUB_OWNER, GITHUB_REPO, DATA_FILE);
-            const newProduct = {
-                id: Date.now().toString(),
-                ...body,
+            const { data: products, sha } = await storage.readJSON(DATA_FILE, []);
+            if (!ifMatchSatisfied(ifMatch, sha)) {
+                throw versionConflict('products', sha, []);
+            }
+            const newProduct = prepareProduct({
+                id: createId(),
+                ...record,
                 createdAt: new Date().toISOString()
-            };
+            });
+            const message = commitMessage([{ entity: 'products', key: 'id', before: products, after: [...products, newProduct] }]);
             products.push(newProduct);
-            await saveFileToGitHub(GITHUB_TOKEN, GITHUB_OWNER, GITHUB_REPO, DATA_FILE, products);
+            const saved = await storage.writeJSON(DATA_FILE, products, message, sha, await commitAuthor(actor));
+            res.setHeader('ETag', toETag(saved.sha));
+            await recordAudit(req, actor, [{ action: 'create', entity: 'products', entityId: newProduct.id, changes: diffFields(null, newProduct) }]);
             return res.status(201).json(newProduct);
         }
 
@@ -87,18 +87,26 @@ export default async function handler(req, res) {
             // Update product - ID comes from query string
             const { id } = query;
             if (!id) {
-                return res.status(400).json({ error: 'Product ID is required' });
+                throw new BadRequestError('Product ID is required');
             }
 
-            const products = await getFileFromGitHub(GITHUB_TOKEN, GITHUB_OWNER, GITHUB_REPO, DATA_FILE);
+            const { data: products, sha } = await storage.readJSON(DATA_FILE, []);
+            if (!ifMatchSatisfied(ifMatch, sha)) {
+                throw versionConflict('products', sha, pickRecords(products, [id]));
+            }
             const index = products.findIndex(p => p.id === id);
             
             if (index === -1) {
-                return res.status(404).json({ error: 'Product not found' });
+                throw new NotFoundError('Product not found');
             }
 
-            products[index] = { ...products[index], ...body, updatedAt: new Date().toISOString() };
-            await saveFileToGitHub(GITHUB_TOKEN, GITHUB_OWNER, GITHUB_REPO, DATA_FILE, products);
+            const previous = products[index];
+            const before = [...products];
+            products[index] = prepareProduct({ ...previous, ...record, updatedAt: new Date().toISOString() });
+            const message = commitMessage([{ entity: 'products', key: 'id', before, after: products }]);
+            const saved = await storage.writeJSON(DATA_FILE, products, message, sha, await commitAuthor(actor));
+            res.setHeader('ETag', toETag(saved.sha));
+            await recordAudit(req, actor, [{ action: 'update', entity: 'products', entityId: id, changes: diffFields(previous, products[index]) }]);
             return res.status(200).json(products[index]);
         }
 
@@ -106,107 +114,31 @@ export default async function handler(req, res) {
             // Delete product - ID comes from query string
             const { id } = query;
             if (!id) {
-                return res.status(400).json({ error: 'Product ID is required' });
+                throw new BadRequestError('Product ID is required');
             }
 
-            const products = await getFileFromGitHub(GITHUB_TOKEN, GITHUB_OWNER, GITHUB_REPO, DATA_FILE);
+            const { data: products, sha } = await storage.readJSON(DATA_FILE, []);
+            if (!ifMatchSatisfied(ifMatch, sha)) {
+                throw versionConflict('products', sha, pickRecords(products, [id]));
+            }
             const filtered = products.filter(p => p.id !== id);
             
             if (filtered.length === products.length) {
-                return res.status(404).json({ error: 'Product not found' });
+                throw new NotFoundError('Product not found');
             }
 
-            await saveFileToGitHub(GITHUB_TOKEN, GITHUB_OWNER, GITHUB_REPO, DATA_FILE, filtered);
+            const message = commitMessage([{ entity: 'products', key: 'id', before: products, after: filtered }]);
+            const saved = await storage.writeJSON(DATA_FILE, filtered, message, sha, await commitAuthor(actor));
+            res.setHeader('ETag', toETag(saved.sha));
+            await recordAudit(req, actor, [{ action: 'delete', entity: 'products', entityId: id, changes: diffFields(products.find(p => p.id === id), null) }]);
             return res.status(200).json({ success: true });
         }
 
-        return res.status(405).json({ error: 'Method not allowed' });
-    } catch (error) {
-        return res.status(500).json({ error: error.message || 'Internal server error' });
-    }
-}
-
-// Helper functions
-async function getFileFromGitHub(token, owner, repo, path) {
-    try {
-        const response = await fetch(
-            `https://api.github.com/repos/${owner}/${repo}/contents/${path}`,
-            {
-                headers: {
-                    'Authorization': `Bearer ${token}`, // Works with both classic and fine-grained tokens
-                    'Accept': 'application/vnd.github.v3+json',
-                    'X-GitHub-Api-Version': '2022-11-28' // Required for fine-grained tokens
-                }
-            }
-        );
-
-        if (response.status === 404) {
-            // File doesn't exist, return empty array
-            return [];
-        }
-
-        if (!response.ok) {
-            const errorText = await response.text();
-            throw new Error(`GitHub API error: ${response.status} ${errorText}`);
-        }
-
-        const data = await response.json();
-        const content = Buffer.from(data.content, 'base64').toString('utf-8');
-        return JSON.parse(content);
+        throw new MethodNotAllowedError(['GET', 'POST', 'PUT', 'DELETE']);
     } catch (error) {
-        // Return empty array on error to prevent crashes
-        return [];
-    }
-}
-
-async function saveFileToGitHub(token, owner, repo, path, data) {
-    // First, get the current file to get its SHA
-    let sha = null;
-    try {
-        const response = await fetch(
-            `https://api.github.com/repos/${owner}/${repo}/contents/${path}`,
-            {
-                headers: {
-                    'Authorization': `Bearer ${token}`, // Works with both classic and fine-grained tokens
-                    'Accept': 'application/vnd.github.v3+json',
-                    'X-GitHub-Api-Version': '2022-11-28' // Required for fine-grained tokens
-                }
-            }
-        );
-        if (response.ok) {
-            const fileData = await response.json();
-            sha = fileData.sha;
+        if (error instanceof VersionConflictError) {
+            throw await staleWriteConflict(storage, 'products', DATA_FILE, query.id ? [query.id] : []);
         }
-    } catch (error) {
-        // File doesn't exist yet, that's okay
+        throw error;
     }
-
-    const content = JSON.stringify(data, null, 2);
-    const encodedContent = Buffer.from(content).toString('base64');
-
-    const response = await fetch(
-        `https://api.github.com/repos/${owner}/${repo}/contents/${path}`,
-        {
-            method: 'PUT',
-            headers: {
-                'Authorization': `Bearer ${token}`, // Works with both classic and fine-grained tokens
-                'Accept': 'application/vnd.github.v3+json',
-                'Content-Type': 'application/json',
-                'X-GitHub-Api-Version': '2022-11-28' // Required for fine-grained tokens
-            },
-            body: JSON.stringify({
-                message: `Update ${path} via admin panel - ${new Date().toISOString()}`,
-                content: encodedContent,
-                sha: sha
-            })
-        }
-    );
-
-    if (!response.ok) {
-        const error = await response.json();
-        throw new Error(`GitHub API error: ${error.message || response.statusText}`);
-    }
-
-    return await response.json();
 }
-
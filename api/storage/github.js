@@ -0,0 +1,429 @@
+// GitHub storage adapter
+// Reads and writes repository files through the GitHub contents and Git Data APIs
+
+import { StorageError } from '../http/errors.js';
+import { parseStoredJSON } from './json.js';
+import { VersionConflictError } from './versions.js';
+
+const GITHUB_API = 'https://api.github.com';
+
+function getConfig() {
+    return {
+        token: process.env.GITHUB_TOKEN,
+        // Use Vercel's built-in env vars if available, otherwise fallback to custom env vars or defaults
+        owner: process.env.VERCEL_GIT_REPO_OWNER || process.env.GITHUB_OWNER || 'your-username',
+        repo: process.env.VERCEL_GIT_REPO_SLUG || process.env.GITHUB_REPO || 'ShreeAdvaya'
+    };
+}
+
+function githubHeaders(token, withBody = false) {
+    const headers = {
+        'Authorization': `Bearer ${token}`, // Works with both classic and fine-grained tokens
+        'Accept': 'application/vnd.github.v3+json',
+        'X-GitHub-Api-Version': '2022-11-28' // Required for fine-grained tokens
+    };
+    if (withBody) {
+        headers['Content-Type'] = 'application/json';
+    }
+    return headers;
+}
+
+async function githubRequest(path, { method = 'GET', body } = {}) {
+    const { token } = getConfig();
+    try {
+        return await fetch(`${GITHUB_API}${path}`, {
+            method,
+            headers: githubHeaders(token, body !== undefined),
+            body: body !== undefined ? JSON.stringify(body) : undefined
+        });
+    } catch (error) {
+        // Network failure or timeout reaching GitHub
+        throw new StorageError(`GitHub request failed: ${method} ${path}: ${error.message}`, { cause: error });
+    }
+}
+
+function contentsPath(path) {
+    const { owner, repo } = getConfig();
+    return `/repos/${owner}/${repo}/contents/${path}`;
+}
+
+/**
+ * Get the SHA of a file, or null if it does not exist yet
+ */
+async function getFileSHA(path) {
+    try {
+        const response = await githubRequest(contentsPath(path));
+        if (response.ok) {
+            const fileData = await response.json();
+            return fileData.sha;
+        }
+    } catch (error) {
+        // File doesn't exist yet
+    }
+    return null;
+}
+
+async function putFile(path, encodedContent, message, sha, author) {
+    const response = await githubRequest(contentsPath(path), {
+        method: 'PUT',
+        body: {
+            message: message,
+            content: encodedContent,
+            sha: sha,
+            author: author
+        }
+    });
+
+    // 409: sha no longer matches; 422: file appeared although we expected it missing
+    if (response.status === 409 || (response.status === 422 && !sha)) {
+        throw new VersionConflictError(path, await getFileSHA(path));
+    }
+
+    if (!response.ok) {
+        const error = await response.json();
+        throw new StorageError(`GitHub API error: ${error.message || response.statusText}`);
+    }
+
+    return await response.json();
+}
+
+/**
+ * Text of a file from the contents API
+ * Files over 1 MB come without content and are read as blobs instead
+ */
+async function fileText(file) {
+    if (file.encoding === 'base64' && file.content) {
+        return Buffer.from(file.content, 'base64').toString('utf-8');
+    }
+    const { owner, repo } = getConfig();
+    const response = await githubRequest(`/repos/${owner}/${repo}/git/blobs/${file.sha}`);
+    if (!response.ok) {
+        throw new StorageError(`Failed to read blob ${file.sha} for ${file.path}: ${response.status}`);
+    }
+    const blob = await response.json();
+    return Buffer.from(blob.content, 'base64').toString('utf-8');
+}
+
+/**
+ * Make sure every file still has the version the caller based its changes on
+ */
+async function assertTreeVersions(treeSha, expectedShas) {
+    const { owner, repo } = getConfig();
+    const response = await githubRequest(`/repos/${owner}/${repo}/git/trees/${treeSha}?recursive=1`);
+
+    if (!response.ok) {
+        throw new StorageError('Failed to read current tree');
+    }
+
+    const { tree } = await response.json();
+    for (const [path, expectedSha] of Object.entries(expectedShas)) {
+        const entry = tree.find(item => item.path === path && item.type === 'blob');
+        const currentSha = entry ? entry.sha : null;
+        if (currentSha !== expectedSha) {
+            throw new VersionConflictError(path, currentSha);
+        }
+    }
+}
+
+async function getCurrentCommit() {
+    const { owner, repo } = getConfig();
+
+    // Try to get default branch from repo info, fallback to main/master
+    let branch = 'main';
+    try {
+        const repoResponse = await githubRequest(`/repos/${owner}/${repo}`);
+        if (repoResponse.ok) {
+            const repoData = await repoResponse.json();
+            branch = repoData.default_branch || 'main';
+        }
+    } catch (e) {
+        // Fallback to main if repo info fetch fails
+        branch = 'main';
+    }
+
+    let response = await githubRequest(`/repos/${owner}/${repo}/git/refs/heads/${branch}`);
+
+    if (!response.ok && branch === 'main') {
+        // Try master branch as fallback
+        response = await githubRequest(`/repos/${owner}/${repo}/git/refs/heads/master`);
+        branch = 'master';
+    }
+
+    if (!response.ok) {
+        throw new StorageError('Failed to get current commit reference');
+    }
+
+    const ref = await response.json();
+    const commitSha = ref.object.sha;
+
+    const commitResponse = await githubRequest(`/repos/${owner}/${repo}/git/commits/${commitSha}`);
+
+    if (!commitResponse.ok) {
+        throw new StorageError('Failed to get current commit');
+    }
+
+    const commit = await commitResponse.json();
+    return { sha: commitSha, treeSha: commit.tree.sha, branch: branch };
+}
+
+async function createTree(baseTreeSha, files) {
+    const { owner, repo } = getConfig();
+    const tree = [];
+    // Blob SHA of each file, its version once the commit lands
+    const shas = {};
+
+    for (const [path, data] of Object.entries(files)) {
+        const content = JSON.stringify(data, null, 2);
+        const encodedContent = Buffer.from(content).toString('base64');
+
+        const blobResponse = await githubRequest(`/repos/${owner}/${repo}/git/blobs`, {
+            method: 'POST',
+            body: {
+                content: encodedContent,
+                encoding: 'base64'
+            }
+        });
+
+        if (!blobResponse.ok) {
+            throw new StorageError(`Failed to create blob for ${path}`);
+        }
+
+        const blob = await blobResponse.json();
+        shas[path] = blob.sha;
+        tree.push({
+            path: path,
+            mode: '100644',
+            type: 'blob',
+            sha: blob.sha
+        });
+    }
+
+    // base_tree keeps every file we are not touching
+    const treeResponse = await githubRequest(`/repos/${owner}/${repo}/git/trees`, {
+        method: 'POST',
+        body: {
+            base_tree: baseTreeSha,
+            tree: tree
+        }
+    });
+
+    if (!treeResponse.ok) {
+        const error = await treeResponse.json();
+        throw new StorageError(`Failed to create tree: ${error.message}`);
+    }
+
+    return { ...(await treeResponse.json()), shas };
+}
+
+// author: { name, email } of the signed-in user; GitHub uses the token's owner when it is missing
+async function createCommit(message, treeSha, parentSha, author) {
+    const { owner, repo } = getConfig();
+    const response = await githubRequest(`/repos/${owner}/${repo}/git/commits`, {
+        method: 'POST',
+        body: {
+            message: message,
+            tree: treeSha,
+            parents: [parentSha],
+            author: author
+        }
+    });
+
+    if (!response.ok) {
+        const error = await response.json();
+        throw new StorageError(`Failed to create commit: ${error.message}`);
+    }
+
+    return await response.json();
+}
+
+async function updateReference(commitSha, branch = 'main') {
+    const { owner, repo } = getConfig();
+    const response = await githubRequest(`/repos/${owner}/${repo}/git/refs/heads/${branch}`, {
+        method: 'PATCH',
+        body: {
+            sha: commitSha
+        }
+    });
+
+    // Without force, GitHub refuses a non fast-forward update when the branch moved
+    if (response.status === 422) {
+        throw new VersionConflictError(`refs/heads/${branch}`);
+    }
+
+    if (!response.ok) {
+        const error = await response.json();
+        throw new StorageError(`Failed to update reference: ${error.message}`);
+    }
+
+    return await response.json();
+}
+
+/**
+ * Summarize a commit's changed files, keeping only the requested paths
+ */
+function commitEntry(commit, paths) {
+    const files = (commit.files || [])
+        .filter(file => paths.includes(file.filename))
+        .map(file => ({
+            path: file.filename,
+            additions: file.additions,
+            deletions: file.deletions
+        }));
+    return {
+        id: commit.sha,
+        message: commit.commit.message,
+        author: commit.commit.author?.name || null,
+        date: commit.commit.author?.date || null,
+        files: files
+    };
+}
+
+export const githubStorage = {
+    name: 'github',
+
+    /**
+     * Returns an error message when the adapter cannot be used, otherwise null
+     */
+    getConfigError() {
+        if (!getConfig().token) {
+            return 'GitHub token not configured. Please set GITHUB_TOKEN in Vercel environment variables.';
+        }
+        return null;
+    },
+
+    /**
+     * Read and parse a JSON file
+     * Returns { data, sha }; data is the fallback only when the file does not exist.
+     * Failed requests and unparseable files throw StorageError
+     */
+    async readJSON(path, fallback) {
+        const response = await githubRequest(contentsPath(path));
+
+        if (response.status === 404) {
+            return { data: fallback, sha: null };
+        }
+
+        if (!response.ok) {
+            const errorText = await response.text();
+            throw new StorageError(`GitHub API error reading ${path}: ${response.status} ${errorText}`);
+        }
+
+        const file = await response.json();
+        return { data: parseStoredJSON(path, await fileText(file), fallback), sha: file.sha };
+    },
+
+    /**
+     * Read and parse a JSON file as it was at an earlier version (a commit SHA)
+     * Returns the fallback when the file did not exist at that version
+     */
+    async readJSONAt(path, version, fallback) {
+        const response = await githubRequest(`${contentsPath(path)}?ref=${encodeURIComponent(version)}`);
+
+        if (response.status === 404) {
+            return fallback;
+        }
+
+        if (!response.ok) {
+            const errorText = await response.text();
+            throw new StorageError(`GitHub API error: ${response.status} ${errorText}`);
+        }
+
+        const file = await response.json();
+        return parseStoredJSON(path, await fileText(file), fallback);
+    },
+
+    /**
+     * List the most recent commits touching any of the given files, newest first
+     * Returns [{ id, message, author, date, files: [{ path, additions, deletions }] }]
+     */
+    async listHistory(paths, limit = 20) {
+        const { owner, repo } = getConfig();
+        const commits = new Map();
+
+        // One query per file, so commits touching only other files in the folder cannot fill the page
+        for (const path of paths) {
+            const response = await githubRequest(`/repos/${owner}/${repo}/commits?path=${encodeURIComponent(path)}&per_page=${limit}`);
+            if (!response.ok) {
+                throw new StorageError(`Failed to list commits: ${response.status}`);
+            }
+            for (const commit of await response.json()) {
+                commits.set(commit.sha, commit);
+            }
+        }
+
+        const newest = [...commits.values()]
+            .sort((a, b) => new Date(b.commit.author?.date) - new Date(a.commit.author?.date))
+            .slice(0, limit);
+
+        // The list endpoint omits changed files, so fetch each commit's details
+        const history = [];
+        for (const commit of newest) {
+            const response = await githubRequest(`/repos/${owner}/${repo}/commits/${commit.sha}`);
+            if (!response.ok) {
+                throw new StorageError(`Failed to get commit ${commit.sha}`);
+            }
+            const entry = commitEntry(await response.json(), paths);
+            if (entry.files.length > 0) {
+                history.push(entry);
+            }
+        }
+        return history;
+    },
+
+    /**
+     * Write a single JSON file as its own commit
+     * When expectedSha is given (null for a missing file), throws VersionConflictError if the file changed
+     * author: { name, email } the commit is attributed to (optional)
+     */
+    async writeJSON(path, data, message, expectedSha, author) {
+        const sha = expectedSha !== undefined ? expectedSha : await getFileSHA(path);
+        const content = JSON.stringify(data, null, 2);
+        const encodedContent = Buffer.from(content).toString('base64');
+        const result = await putFile(
+            path,
+            encodedContent,
+            message || `Update ${path} via admin panel - ${new Date().toISOString()}`,
+            sha,
+            author
+        );
+        return { sha: result.content?.sha || null };
+    },
+
+    /**
+     * Write several JSON files in a single commit using the Git Data API
+     * files: { 'data/products.json': [...], ... }
+     * expectedShas: { 'data/products.json': sha, ... } - throws VersionConflictError if any changed
+     * author: { name, email } the commit is attributed to (optional)
+     */
+    async writeFiles(files, message, expectedShas = {}, author) {
+        const currentCommit = await getCurrentCommit();
+        const branch = currentCommit.branch || 'main';
+
+        if (Object.keys(expectedShas).length > 0) {
+            await assertTreeVersions(currentCommit.treeSha, expectedShas);
+        }
+
+        // Create tree with all file updates
+        const tree = await createTree(currentCommit.treeSha, files);
+
+        // Create commit
+        const commit = await createCommit(message, tree.sha, currentCommit.sha, author);
+
+        // Update reference (push commit)
+        await updateReference(commit.sha, branch);
+
+        return { commitSha: commit.sha, shas: tree.shas };
+    },
+
+    /**
+     * Store a binary file (e.g. an uploaded image) and return its public URL
+     */
+    async uploadFile(path, buffer, message, author) {
+        const { owner, repo } = getConfig();
+        const sha = await getFileSHA(path);
+        await putFile(path, buffer.toString('base64'), message, sha, author);
+        return {
+            url: `https://raw.githubusercontent.com/${owner}/${repo}/main/${path}`
+        };
+    }
+};
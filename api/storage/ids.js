@@ -0,0 +1,45 @@
+// IDs of records created by the server
+// An ID is 20 lowercase base-36 characters: the creation time in milliseconds, a counter for
+// IDs made in the same millisecond and a random part. IDs therefore sort by creation time and
+// do not collide, even between server instances. Records saved before this scheme keep their
+// numeric IDs. The admin panel names records it has not saved yet temp_...
+
+import crypto from 'crypto';
+
+const TIME_LENGTH = 9;
+const SEQUENCE_LENGTH = 3;
+const RANDOM_LENGTH = 8;
+const MAX_SEQUENCE = Math.pow(36, SEQUENCE_LENGTH) - 1;
+const TEMP_ID_PREFIX = 'temp_';
+
+let lastTime = 0;
+let sequence = 0;
+
+/**
+ * A new record ID, greater than every ID this instance created before
+ */
+export function createId() {
+    // Never go back in time, even when the clock does
+    const now = Date.now();
+    if (now > lastTime) {
+        lastTime = now;
+        sequence = 0;
+    } else if (sequence < MAX_SEQUENCE) {
+        sequence++;
+    } else {
+        lastTime++;
+        sequence = 0;
+    }
+
+    const random = crypto.randomBytes(6).readUIntBE(0, 6) % Math.pow(36, RANDOM_LENGTH);
+    return lastTime.toString(36).padStart(TIME_LENGTH, '0') +
+        sequence.toString(36).padStart(SEQUENCE_LENGTH, '0') +
+        random.toString(36).padStart(RANDOM_LENGTH, '0');
+}
+
+/**
+ * Whether an ID was made up by the admin panel for a record that is not saved yet
+ */
+export function isTempId(id) {
+    return typeof id === 'string' && id.startsWith(TEMP_ID_PREFIX);
+}
@@ -0,0 +1,52 @@
+// Storage backend selection
+// STORAGE_BACKEND=github (default) stores data in the GitHub repository,
+// STORAGE_BACKEND=local reads and writes the working tree on disk
+
+import { StorageError } from '../http/errors.js';
+import { githubStorage } from './github.js';
+import { localFileStorage } from './local.js';
+
+const backends = {
+    github: githubStorage,
+    local: localFileStorage
+};
+
+/**
+ * Get the configured storage adapter
+ *
+ * Every adapter implements:
+ *   getConfigError()                                 -> string | null
+ *   readJSON(path, fallback)                         -> { data, sha }
+ *   readJSONAt(path, version, fallback)              -> data as of an earlier version
+ *   listHistory(paths, limit)                        -> [{ id, message, author, date, files }]
+ *   writeJSON(path, data, msg, expectedSha, author)  -> { sha }
+ *   writeFiles(files, msg, expectedShas, author)     -> { commitSha, shas: { path: sha } }
+ *   uploadFile(path, buffer, msg, author)            -> { url }
+ *
+ * Reads return the fallback only for files that do not exist; a file that cannot be read
+ * or parsed throws instead, so a failed read can never be saved over the real data.
+ * Writes given an expected SHA throw VersionConflictError (see versions.js) when the file changed;
+ * author ({ name, email }, optional) is the user the change is attributed to;
+ * failures of the backend itself throw StorageError (see ../http/errors.js)
+ */
+export function getStorage() {
+    const name = (process.env.STORAGE_BACKEND || 'github').toLowerCase();
+    const storage = backends[name];
+    if (!storage) {
+        throw new Error(`Unknown STORAGE_BACKEND "${name}". Use one of: ${Object.keys(backends).join(', ')}`);
+    }
+    return storage;
+}
+
+/**
+ * The storage adapter, or StorageError (STORAGE_NOT_CONFIGURED) when it cannot be used
+ * The configuration message names the missing setting, so it is shown to the admin
+ */
+export function requireStorage() {
+    const storage = getStorage();
+    const configError = storage.getConfigError();
+    if (configError) {
+        throw new StorageError(configError, { code: 'STORAGE_NOT_CONFIGURED', status: 503, message: configError });
+    }
+    return storage;
+}
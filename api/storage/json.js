@@ -0,0 +1,39 @@
+// Parsing of stored JSON files, shared by the storage adapters
+// A file that exists but cannot be used must never be mistaken for a missing one: callers
+// would start from the fallback and save it over the real data
+
+import { StorageError } from '../http/errors.js';
+
+function kindOf(value) {
+    if (Array.isArray(value)) {
+        return 'array';
+    }
+    return value !== null && typeof value === 'object' ? 'object' : null;
+}
+
+/**
+ * Parse a stored file's text; when the fallback is a list or an object, the file must hold
+ * the same kind of value. Throws StorageError (STORAGE_DATA_INVALID) otherwise
+ */
+export function parseStoredJSON(path, text, fallback) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (error) {
+        throw invalidData(path, `is not valid JSON (${error.message})`, error);
+    }
+
+    const expected = kindOf(fallback);
+    if (expected && kindOf(data) !== expected) {
+        throw invalidData(path, `should hold an ${expected}`);
+    }
+    return data;
+}
+
+function invalidData(path, problem, cause) {
+    return new StorageError(`${path} ${problem}`, {
+        code: 'STORAGE_DATA_INVALID',
+        message: `${path} could not be read, so nothing was changed. Fix or restore the file, then try again.`,
+        cause
+    });
+}
@@ -0,0 +1,254 @@
+// Local filesystem storage adapter
+// Reads and writes data/*.json and assets/ directly on disk, for offline development and testing
+
+import crypto from 'crypto';
+import { promises as fs } from 'fs';
+import path from 'path';
+import { NotFoundError, StorageError } from '../http/errors.js';
+import { parseStoredJSON } from './json.js';
+import { VersionConflictError } from './versions.js';
+
+function getRoot() {
+    return path.resolve(process.env.LOCAL_STORAGE_ROOT || process.cwd());
+}
+
+/**
+ * Resolve a repository-relative path, refusing anything outside the storage root
+ */
+function resolvePath(relativePath) {
+    const root = getRoot();
+    const fullPath = path.resolve(root, relativePath);
+    if (fullPath !== root && !fullPath.startsWith(root + path.sep)) {
+        throw new Error(`Path outside storage root: ${relativePath}`);
+    }
+    return fullPath;
+}
+
+/**
+ * Same SHA git (and the GitHub contents API) reports for a blob,
+ * so version tokens look identical across adapters
+ */
+function blobSHA(buffer) {
+    return crypto
+        .createHash('sha1')
+        .update(`blob ${buffer.length}\0`)
+        .update(buffer)
+        .digest('hex');
+}
+
+async function currentSHA(fullPath) {
+    try {
+        return blobSHA(await fs.readFile(fullPath));
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            return null;
+        }
+        throw error;
+    }
+}
+
+async function assertVersion(relativePath, fullPath, expectedSha) {
+    if (expectedSha === undefined) {
+        return;
+    }
+    const sha = await currentSHA(fullPath);
+    if (sha !== expectedSha) {
+        throw new VersionConflictError(relativePath, sha);
+    }
+}
+
+async function writeAtomic(fullPath, buffer) {
+    await fs.mkdir(path.dirname(fullPath), { recursive: true });
+    const tempPath = `${fullPath}.${process.pid}.tmp`;
+    await fs.writeFile(tempPath, buffer);
+    await fs.rename(tempPath, fullPath);
+}
+
+// Every write is journaled here so history and revert work without git
+const HISTORY_DIR = '.local-history';
+
+/**
+ * Rough line-level change counts between two versions of a file
+ */
+function lineStats(before, after) {
+    const remaining = new Map();
+    for (const line of before ? before.toString('utf-8').split('\n') : []) {
+        remaining.set(line, (remaining.get(line) || 0) + 1);
+    }
+    let additions = 0;
+    for (const line of after.toString('utf-8').split('\n')) {
+        if (remaining.get(line) > 0) {
+            remaining.set(line, remaining.get(line) - 1);
+        } else {
+            additions++;
+        }
+    }
+    const deletions = [...remaining.values()].reduce((sum, count) => sum + count, 0);
+    return { additions, deletions };
+}
+
+async function readHistoryLog() {
+    try {
+        return JSON.parse(await fs.readFile(resolvePath(`${HISTORY_DIR}/log.json`), 'utf-8'));
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            return [];
+        }
+        throw error;
+    }
+}
+
+/**
+ * Record a set of written files as one history entry and return its id
+ * entries: [[relativePath, previousBuffer | null, buffer], ...]
+ */
+async function recordHistory(entries, message, author) {
+    const files = [];
+    for (const [relativePath, previous, buffer] of entries) {
+        const sha = blobSHA(buffer);
+        await writeAtomic(resolvePath(`${HISTORY_DIR}/objects/${sha}`), buffer);
+        files.push({ path: relativePath, sha, ...lineStats(previous, buffer) });
+    }
+
+    const date = new Date().toISOString();
+    const id = crypto
+        .createHash('sha1')
+        .update(`${date}\0${message || ''}\0${files.map(file => file.sha).join(',')}`)
+        .digest('hex');
+
+    const log = await readHistoryLog();
+    log.unshift({ id, message: message || '', author: author?.name || null, date, files });
+    await writeAtomic(resolvePath(`${HISTORY_DIR}/log.json`), Buffer.from(JSON.stringify(log, null, 2)));
+    return id;
+}
+
+async function readExisting(fullPath) {
+    try {
+        return await fs.readFile(fullPath);
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            return null;
+        }
+        throw error;
+    }
+}
+
+export const localFileStorage = {
+    name: 'local',
+
+    /**
+     * Returns an error message when the adapter cannot be used, otherwise null
+     */
+    getConfigError() {
+        return null;
+    },
+
+    /**
+     * Read and parse a JSON file
+     * Returns { data, sha }; data is the fallback only when the file does not exist.
+     * Unreadable or unparseable files throw StorageError
+     */
+    async readJSON(relativePath, fallback) {
+        let buffer;
+        try {
+            buffer = await fs.readFile(resolvePath(relativePath));
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return { data: fallback, sha: null };
+            }
+            throw new StorageError(`Error reading ${relativePath}: ${error.message}`, { cause: error });
+        }
+        return { data: parseStoredJSON(relativePath, buffer.toString('utf-8'), fallback), sha: blobSHA(buffer) };
+    },
+
+    /**
+     * Write a single JSON file
+     * When expectedSha is given (null for a missing file), throws VersionConflictError if the file changed
+     * author: { name, email } shown in the history (optional)
+     */
+    async writeJSON(relativePath, data, message, expectedSha, author) {
+        const fullPath = resolvePath(relativePath);
+        await assertVersion(relativePath, fullPath, expectedSha);
+        const previous = await readExisting(fullPath);
+        const buffer = Buffer.from(JSON.stringify(data, null, 2));
+        await writeAtomic(fullPath, buffer);
+        await recordHistory([[relativePath, previous, buffer]], message, author);
+        return { sha: blobSHA(buffer) };
+    },
+
+    /**
+     * Write several JSON files
+     * files: { 'data/products.json': [...], ... }
+     * expectedShas: { 'data/products.json': sha, ... } - throws VersionConflictError if any changed
+     * author: { name, email } shown in the history (optional)
+     */
+    async writeFiles(files, message, expectedShas = {}, author) {
+        for (const [relativePath, expectedSha] of Object.entries(expectedShas)) {
+            await assertVersion(relativePath, resolvePath(relativePath), expectedSha);
+        }
+
+        // Resolve every path first so a bad path fails before anything is written
+        const entries = Object.entries(files).map(([relativePath, data]) => [
+            relativePath,
+            resolvePath(relativePath),
+            Buffer.from(JSON.stringify(data, null, 2))
+        ]);
+        const written = [];
+        const shas = {};
+        for (const [relativePath, fullPath, buffer] of entries) {
+            written.push([relativePath, await readExisting(fullPath), buffer]);
+            await writeAtomic(fullPath, buffer);
+            shas[relativePath] = blobSHA(buffer);
+        }
+        return { commitSha: await recordHistory(written, message, author), shas };
+    },
+
+    /**
+     * Read and parse a JSON file as it was at an earlier version (a history entry id)
+     * Only versions written through this adapter are known
+     */
+    async readJSONAt(relativePath, version, fallback) {
+        const log = await readHistoryLog();
+        const index = log.findIndex(entry => entry.id === version);
+        if (index === -1) {
+            throw new NotFoundError(`Unknown version: ${version}`, { code: 'VERSION_NOT_FOUND' });
+        }
+
+        // The file as of that entry is its most recent write at or before it
+        const entry = log.slice(index).find(item => item.files.some(file => file.path === relativePath));
+        if (!entry) {
+            return fallback;
+        }
+        const { sha } = entry.files.find(file => file.path === relativePath);
+        const buffer = await fs.readFile(resolvePath(`${HISTORY_DIR}/objects/${sha}`));
+        return parseStoredJSON(relativePath, buffer.toString('utf-8'), fallback);
+    },
+
+    /**
+     * List the most recent history entries touching any of the given files, newest first
+     * Returns [{ id, message, author, date, files: [{ path, additions, deletions }] }]
+     */
+    async listHistory(paths, limit = 20) {
+        const log = await readHistoryLog();
+        return log
+            .map(entry => ({
+                id: entry.id,
+                message: entry.message,
+                author: entry.author,
+                date: entry.date,
+                files: entry.files
+                    .filter(file => paths.includes(file.path))
+                    .map(({ path: filePath, additions, deletions }) => ({ path: filePath, additions, deletions }))
+            }))
+            .filter(entry => entry.files.length > 0)
+            .slice(0, limit);
+    },
+
+    /**
+     * Store a binary file (e.g. an uploaded image) and return its public URL
+     */
+    async uploadFile(relativePath, buffer) {
+        await writeAtomic(resolvePath(relativePath), buffer);
+        return { url: `/${relativePath}` };
+    }
+};
@@ -0,0 +1,84 @@
+// Batch operations (create, update, delete) applied to a stored collection
+// Every operation is checked against the records as read and gets a result:
+//   { entity, op, id, ok: true }  or  { entity, op, id, ok: false, code, error }
+// Creates also carry their position in the request (index) and, when the admin panel sent
+// one, the temp_ ID they replace (tempId). Nothing is changed in place, and callers write a
+// batch only when every result is ok, so a save is all or nothing
+
+import { ApiError } from '../http/errors.js';
+import { createId, isTempId } from './ids.js';
+
+/**
+ * Apply a section's changes ({ create, update, delete }) to a copy of its records
+ * prepare, when given, sets fields the server works out on each created or updated record
+ * Returns { records, operations }
+ */
+export function applyCollectionChanges(entity, records, changes, { prepare = record => record } = {}) {
+    const operations = [];
+    const now = new Date().toISOString();
+    const exists = id => records.some(record => record.id === id);
+    let next = [...records];
+
+    (changes.update || []).forEach(update => {
+        if (!exists(update.id)) {
+            operations.push(failed(entity, 'update', { id: update.id }, 'NOT_FOUND', `No ${entity} record with id ${update.id}`));
+            return;
+        }
+        next = next.map(record => record.id === update.id ? prepare({ ...record, ...update, updatedAt: now }) : record);
+        operations.push({ entity, op: 'update', id: update.id, ok: true });
+    });
+
+    (changes.create || []).forEach((item, index) => {
+        const { id: tempId, ...fields } = item;
+        const record = prepare({ id: createId(), ...fields, createdAt: now });
+        next.push(record);
+        operations.push({ entity, op: 'create', index, id: record.id, ...(isTempId(tempId) ? { tempId } : {}), ok: true });
+    });
+
+    (changes.delete || []).forEach(id => {
+        // Records created and deleted before saving never reached the server
+        if (isTempId(id)) {
+            operations.push({ entity, op: 'delete', id, ok: true });
+            return;
+        }
+        if (!exists(id)) {
+            operations.push(failed(entity, 'delete', { id }, 'NOT_FOUND', `No ${entity} record with id ${id}`));
+            return;
+        }
+        next = next.filter(record => record.id !== id);
+        operations.push({ entity, op: 'delete', id, ok: true });
+    });
+
+    return { records: next, operations };
+}
+
+/**
+ * Real IDs of the records a batch created, keyed by the temp_ ID the admin panel gave them
+ */
+export function createdIds(operations) {
+    return Object.fromEntries(operations
+        .filter(operation => operation.op === 'create' && operation.tempId)
+        .map(operation => [operation.tempId, operation.id]));
+}
+
+/**
+ * Result of an operation that cannot be applied
+ * target: { id } or { index } for creates
+ */
+export function failed(entity, op, target, code, error) {
+    return { entity, op, ...target, ok: false, code, error };
+}
+
+/**
+ * 422 (BATCH_REJECTED) listing every operation, when any of them failed; null otherwise
+ */
+export function rejectedBatch(operations) {
+    const failures = operations.filter(operation => !operation.ok);
+    if (failures.length === 0) {
+        return null;
+    }
+    const summary = failures.slice(0, 3).map(operation => operation.error).join('; ');
+    return new ApiError(422, 'BATCH_REJECTED',
+        `${failures.length} of ${operations.length} changes could not be applied, so nothing was saved: ${summary}${failures.length > 3 ? '; ...' : ''}`,
+        { operations });
+}
@@ -0,0 +1,55 @@
+// Guard against batch saves that remove most of a collection
+// Such a save usually comes from a client that started from an empty or partial copy of the
+// data, so it is refused until the editor confirms it (confirmShrink: true in the batch).
+// BATCH_MAX_SHRINK sets the fraction of a collection one save may remove (default 0.5)
+
+import { ConflictError } from '../http/errors.js';
+
+const DEFAULT_MAX_SHRINK = 0.5;
+
+/**
+ * Fraction of a collection's records a save may remove without confirmation
+ */
+export function getMaxShrink() {
+    const value = parseFloat(process.env.BATCH_MAX_SHRINK);
+    return Number.isFinite(value) && value >= 0 && value <= 1 ? value : DEFAULT_MAX_SHRINK;
+}
+
+/**
+ * Collections that would lose more than the allowed fraction of their records
+ * lists: [{ entity, before, after }]
+ * Returns { products: { before: 40, after: 2 }, ... }, empty when every save is within bounds
+ */
+export function findShrinkage(lists, maxShrink = getMaxShrink()) {
+    const shrinkage = {};
+    for (const { entity, before, after } of lists) {
+        const from = Array.isArray(before) ? before.length : 0;
+        const to = Array.isArray(after) ? after.length : 0;
+        if (from > 0 && (from - to) / from > maxShrink) {
+            shrinkage[entity] = { before: from, after: to };
+        }
+    }
+    return shrinkage;
+}
+
+/**
+ * Throw a 409 (SHRINK_CONFIRMATION_REQUIRED) unless the save is within bounds or confirmed
+ */
+export function assertShrinkConfirmed(lists, confirmed) {
+    if (confirmed) {
+        return;
+    }
+    const shrinkage = findShrinkage(lists);
+    const entities = Object.keys(shrinkage);
+    if (entities.length === 0) {
+        return;
+    }
+    const summary = entities
+        .map(entity => `${shrinkage[entity].before - shrinkage[entity].after} of ${shrinkage[entity].before} ${entity}`)
+        .join(', ');
+    throw new ConflictError(`This save would remove ${summary}. Confirm to save anyway.`, {
+        code: 'SHRINK_CONFIRMATION_REQUIRED',
+        shrinkage,
+        maxShrink: getMaxShrink()
+    });
+}
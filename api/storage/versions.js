@@ -0,0 +1,104 @@
+// Version tokens for optimistic concurrency control
+// A file's version is its blob SHA; clients echo it back in If-Match on writes
+
+import { ConflictError } from '../http/errors.js';
+
+const VERSION_CONFLICT = 'VERSION_CONFLICT';
+
+/**
+ * Thrown by storage adapters when a file changed since the expected version
+ * Routes answer it with versionConflict() so the client learns which entity changed
+ */
+export class VersionConflictError extends ConflictError {
+    constructor(path, currentSha = null) {
+        super(`${path} was changed by someone else`, { code: VERSION_CONFLICT });
+        this.name = 'VersionConflictError';
+        this.path = path;
+        this.currentSha = currentSha;
+    }
+}
+
+/**
+ * Format a file SHA as an ETag header value
+ * Missing files get the "none" version so they can still be matched
+ */
+export function toETag(sha) {
+    return `"${sha || 'none'}"`;
+}
+
+/**
+ * Parse an If-Match header into a list of versions
+ * Returns null when the header is absent
+ */
+export function parseIfMatch(header) {
+    if (!header || typeof header !== 'string') {
+        return null;
+    }
+    return header
+        .split(',')
+        .map(tag => tag.trim().replace(/^W\//, '').replace(/^"(.*)"$/, '$1'))
+        .filter(Boolean);
+}
+
+/**
+ * Check whether the current file version is one the client has seen
+ */
+export function ifMatchSatisfied(versions, sha) {
+    if (!versions) {
+        return false;
+    }
+    return versions.includes('*') || versions.includes(sha || 'none');
+}
+
+/**
+ * One entity's entry in a 409 response
+ * records: [{ id, current }] with the server's copy of each record the request touched
+ * (current is null when the record no longer exists)
+ */
+export function conflictEntry(sha, records) {
+    return {
+        version: sha || 'none',
+        records: records
+    };
+}
+
+/**
+ * 409 error for the given entities, thrown by routes
+ * conflicts: { products: conflictEntry(...), ... }
+ */
+export function conflictError(conflicts) {
+    const entities = Object.keys(conflicts);
+    const message = entities.length > 0
+        ? `Conflict: ${entities.join(', ')} changed since you loaded ${entities.length > 1 ? 'them' : 'it'}. Reload and review before saving.`
+        : 'Conflict: the data changed while saving. Reload and save again.';
+    return new ConflictError(message, {
+        code: VERSION_CONFLICT,
+        conflicts
+    });
+}
+
+/**
+ * 409 error about a single entity
+ */
+export function versionConflict(entity, sha, records) {
+    return conflictError({ [entity]: conflictEntry(sha, records) });
+}
+
+/**
+ * 409 error for a write the storage adapter refused because the file changed after it was read
+ * The file is read again so the response carries the server copies of the records the request touched
+ */
+export async function staleWriteConflict(storage, entity, path, ids, key = 'id') {
+    const { data, sha } = await storage.readJSON(path, []);
+    return versionConflict(entity, sha, pickRecords(Array.isArray(data) ? data : [], ids, key));
+}
+
+/**
+ * Server copies of the records a request touched, for a conflict response
+ */
+export function pickRecords(collection, ids, key = 'id') {
+    return ids.map(id => ({
+        id,
+        current: collection.find(item => item[key] === id) || null
+    }));
+}
@@ -1,153 +1,94 @@
 // API route: /api/upload
-// Handles file uploads and saves them to GitHub repository
+// Handles file uploads and saves them through the configured storage backend
 // Using multipart form data (no base64 bloat)
 
+import { can, forbidden } from './auth/permissions.js';
+import { recordAudit } from './audit/log.js';
+import { commitAuthor } from './audit/commit.js';
+import { BadRequestError } from './http/errors.js';
+import { createHandler, requireUser } from './http/pipeline.js';
+import { requireStorage } from './storage/index.js';
+
+// Folders under assets/ that uploads may go to
+const UPLOAD_FOLDERS = ['images', 'products', 'gallery', 'hero'];
+// Accepted image types; the stored file's extension always comes from here, never from the client
+const IMAGE_EXTENSIONS = {
+    'image/jpeg': 'jpg',
+    'image/jpg': 'jpg',
+    'image/png': 'png',
+    'image/gif': 'gif',
+    'image/webp': 'webp'
+};
+
 export const config = {
     api: {
         bodyParser: false, // Disable default body parser to handle multipart
     },
 };
 
-export default async function handler(req, res) {
-    res.setHeader('Access-Control-Allow-Origin', '*');
-    res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
-    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+export default createHandler({ methods: ['POST'], parseBody: false }, handleUpload);
 
-    if (req.method === 'OPTIONS') {
-        return res.status(200).end();
-    }
+async function handleUpload(req, res) {
+    const user = requireUser(req);
 
-    if (req.method !== 'POST') {
-        return res.status(405).json({ error: 'Method not allowed' });
+    if (!(await can(user, 'media:upload'))) {
+        throw forbidden('media:upload');
     }
 
-    // Verify authentication
-    const authHeader = req.headers.authorization;
-    const token = authHeader?.replace('Bearer ', '');
+    const storage = requireStorage();
+
+    // Parse multipart form data
+    const { files, folder } = await parseMultipartForm(req);
     
-    if (!token || !(await verifyToken(token))) {
-        return res.status(401).json({ error: 'Unauthorized. Please login.' });
+    if (!files || files.length === 0) {
+        throw new BadRequestError('No images provided');
     }
 
-    const GITHUB_TOKEN = process.env.GITHUB_TOKEN;
-    const GITHUB_OWNER = process.env.VERCEL_GIT_REPO_OWNER || process.env.GITHUB_OWNER || 'Giridharsalana';
-    const GITHUB_REPO = process.env.VERCEL_GIT_REPO_SLUG || process.env.GITHUB_REPO || 'Shree-Advaya';
-
-    if (!GITHUB_TOKEN) {
-        return res.status(500).json({ error: 'GitHub token not configured' });
+    const targetFolder = folder || 'images';
+    if (!UPLOAD_FOLDERS.includes(targetFolder)) {
+        throw new BadRequestError(`Unknown upload folder. Use one of: ${UPLOAD_FOLDERS.join(', ')}`);
+    }
+    // Check every file first so a rejected file does not leave the others half uploaded
+    const unsupported = files.find(file => !IMAGE_EXTENSIONS[(file.mimetype || '').toLowerCase()]);
+    if (unsupported) {
+        throw new BadRequestError(`${unsupported.filename || 'A file'} is not a supported image. Upload JPEG, PNG, GIF or WebP files.`);
     }
 
-    try {
-        // Parse multipart form data
-        const { files, folder } = await parseMultipartForm(req);
-        
-        if (!files || files.length === 0) {
-            return res.status(400).json({ error: 'No images provided' });
-        }
-
-        const targetFolder = folder || 'images';
-        const uploadedFiles = [];
-
-        // Process each file
-        for (const file of files) {
-            const { buffer, filename, mimetype } = file;
-            
-            // Get extension from mimetype or filename
-            let extension = 'jpg';
-            if (mimetype) {
-                const mimeMap = {
-                    'image/jpeg': 'jpg',
-                    'image/jpg': 'jpg',
-                    'image/png': 'png',
-                    'image/gif': 'gif',
-                    'image/webp': 'webp',
-                    'image/svg+xml': 'svg',
-                    'image/bmp': 'bmp',
-                    'image/x-icon': 'ico',
-                };
-                extension = mimeMap[mimetype] || extension;
-            } else if (filename) {
-                const parts = filename.split('.');
-                if (parts.length > 1) {
-                    extension = parts[parts.length - 1].toLowerCase();
-                }
-            }
-
-            const fileName = `image-${Date.now()}-${Math.random().toString(36).substr(2, 9)}.${extension}`;
-            const filePath = `assets/${targetFolder}/${fileName}`;
-            
-            // Convert buffer to base64 for GitHub API
-            const fileContent = buffer.toString('base64');
-            
-            // Check if file already exists
-            let sha = null;
-            try {
-                const checkResponse = await fetch(
-                    `https://api.github.com/repos/${GITHUB_OWNER}/${GITHUB_REPO}/contents/${filePath}`,
-                    {
-                        headers: {
-                            'Authorization': `Bearer ${GITHUB_TOKEN}`,
-                            'Accept': 'application/vnd.github.v3+json',
-                            'X-GitHub-Api-Version': '2022-11-28'
-                        }
-                    }
-                );
-                if (checkResponse.ok) {
-                    const fileData = await checkResponse.json();
-                    sha = fileData.sha;
-                }
-            } catch (error) {
-                // File doesn't exist, that's fine
-            }
-
-            // Upload file to GitHub
-            const uploadResponse = await fetch(
-                `https://api.github.com/repos/${GITHUB_OWNER}/${GITHUB_REPO}/contents/${filePath}`,
-                {
-                    method: 'PUT',
-                    headers: {
-                        'Authorization': `Bearer ${GITHUB_TOKEN}`,
-                        'Accept': 'application/vnd.github.v3+json',
-                        'Content-Type': 'application/json',
-                        'X-GitHub-Api-Version': '2022-11-28'
-                    },
-                    body: JSON.stringify({
-                        message: `Upload ${fileName} via admin panel`,
-                        content: fileContent,
-                        sha: sha
-                    })
-                }
-            );
+    const author = await commitAuthor(user);
+    const uploadedFiles = [];
+    const uploadEvents = [];
 
-            if (!uploadResponse.ok) {
-                const error = await uploadResponse.json();
-                console.error('GitHub upload error:', error);
-                throw new Error(`Failed to upload ${fileName}: ${error.message || uploadResponse.statusText}`);
-            }
+    // Process each file
+    for (const file of files) {
+        const { buffer, filename, mimetype } = file;
+        const extension = IMAGE_EXTENSIONS[mimetype.toLowerCase()];
+        const fileName = `image-${Date.now()}-${Math.random().toString(36).substr(2, 9)}.${extension}`;
+        const filePath = `assets/${targetFolder}/${fileName}`;
+        
+        const { url } = await storage.uploadFile(filePath, buffer, `Upload ${fileName} via admin panel`, author);
+        
+        uploadedFiles.push({
+            filename: fileName,
+            path: filePath,
+            url: url,
+            size: buffer.length
+        });
+        uploadEvents.push({
+            action: 'upload',
+            entity: 'media',
+            entityId: filePath,
+            details: { originalName: filename || null, type: mimetype || null, size: buffer.length }
+        });
+    }
 
-            const uploadResult = await uploadResponse.json();
-            
-            // Generate the raw file URL
-            const rawUrl = `https://raw.githubusercontent.com/${GITHUB_OWNER}/${GITHUB_REPO}/main/${filePath}`;
-            
-            uploadedFiles.push({
-                filename: fileName,
-                path: filePath,
-                url: rawUrl,
-                size: buffer.length
-            });
-        }
+    await recordAudit(req, user, uploadEvents);
 
-        return res.status(200).json({
-            success: true,
-            files: uploadedFiles,
-            message: `Successfully uploaded ${uploadedFiles.length} file(s)`
-        });
+    return res.status(200).json({
+        success: true,
+        files: uploadedFiles,
+        message: `Successfully uploaded ${uploadedFiles.length} file(s)`
+    });
 
-    } catch (error) {
-        console.error('Upload API Error:', error);
-        return res.status(500).json({ error: error.message || 'Failed to upload files' });
-    }
 }
 
 // Parse multipart form data manually (no dependencies needed)
@@ -156,13 +97,13 @@ async function parseMultipartForm(req) {
         const contentType = req.headers['content-type'] || '';
         
         if (!contentType.includes('multipart/form-data')) {
-            return reject(new Error('Content-Type must be multipart/form-data'));
+            return reject(new BadRequestError('Content-Type must be multipart/form-data'));
         }
 
         // Extract boundary
         const boundary = contentType.split('boundary=')[1];
         if (!boundary) {
-            return reject(new Error('No boundary found in Content-Type'));
+            return reject(new BadRequestError('No boundary found in Content-Type'));
         }
 
         const chunks = [];
@@ -277,17 +218,3 @@ function parsePartHeaders(headers) {
     
     return part;
 }
-
-async function verifyToken(token) {
-    if (!token) return false;
-    
-    try {
-        const tokenTimestamp = parseInt(token.slice(-8), 36);
-        const currentTime = Date.now();
-        const oneHour = 60 * 60 * 1000;
-        
-        return (currentTime - tokenTimestamp) <= oneHour;
-    } catch (error) {
-        return false;
-    }
-}
@@ -0,0 +1,186 @@
+// JSON schema validation for stored records
+// Supports the subset of JSON Schema the catalog needs: type, required, properties,
+// additionalProperties, readOnly, items, enum, pattern, format and min/max bounds, plus:
+//   uniqueBy    - the name of a field that must differ between the objects of an array
+//   nullable    - null is accepted, so an update can clear an optional field
+//   constraints - rules between an object's fields: [{ field, message, valid(object) }],
+//                 checked once its fields are valid on their own
+
+const FORMATS = {
+    email: value => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value),
+    // Relative asset path, absolute URL or an uploaded data URL
+    image: value => /^(https?:\/\/|data:image\/|\/?[\w.-]+\/)/.test(value),
+    uri: value => value === '' || /^https?:\/\//.test(value),
+    // ISO 8601 with a time zone, as sent by toISOString()
+    'date-time': value => /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:\d{2})$/.test(value) && !Number.isNaN(Date.parse(value))
+};
+
+const FORMAT_NAMES = {
+    email: 'email address',
+    image: 'image path or URL',
+    uri: 'URL starting with http:// or https://',
+    'date-time': 'date and time such as 2026-11-01T00:00:00+05:30'
+};
+
+function typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (Number.isInteger(value)) return 'integer';
+    return typeof value;
+}
+
+/**
+ * Numbers arrive as strings from form inputs; accept them when they parse cleanly
+ */
+function coerce(schema, value) {
+    if ((schema.type === 'number' || schema.type === 'integer') && typeof value === 'string' && value.trim() !== '') {
+        const number = Number(value);
+        if (!Number.isNaN(number)) {
+            return number;
+        }
+    }
+    return value;
+}
+
+function matchesType(type, value) {
+    const actual = typeOf(value);
+    if (type === 'number') {
+        return actual === 'number' || actual === 'integer';
+    }
+    return actual === type;
+}
+
+function check(schema, input, path, errors, partial) {
+    const value = coerce(schema, input);
+    const field = path || '(root)';
+
+    if (value === null && schema.nullable) {
+        return null;
+    }
+
+    if (schema.type && !matchesType(schema.type, value)) {
+        errors.push({ field, message: `must be ${schema.type === 'integer' ? 'a whole number' : `a ${schema.type}`}` });
+        return value;
+    }
+
+    if (schema.enum && !schema.enum.includes(value)) {
+        errors.push({ field, message: `must be one of: ${schema.enum.join(', ')}` });
+    }
+
+    if (typeof value === 'string') {
+        if (schema.minLength !== undefined && value.trim().length < schema.minLength) {
+            errors.push({ field, message: schema.minLength === 1 ? 'is required' : `must be at least ${schema.minLength} characters` });
+        }
+        if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+            errors.push({ field, message: `must be at most ${schema.maxLength} characters` });
+        }
+        if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+            errors.push({ field, message: schema.patternMessage || 'has an invalid format' });
+        }
+        if (schema.format && value !== '' && !FORMATS[schema.format](value)) {
+            errors.push({ field, message: `must be a valid ${FORMAT_NAMES[schema.format]}` });
+        }
+    }
+
+    if (typeof value === 'number') {
+        if (schema.minimum !== undefined && value < schema.minimum) {
+            errors.push({ field, message: `must be at least ${schema.minimum}` });
+        }
+        if (schema.maximum !== undefined && value > schema.maximum) {
+            errors.push({ field, message: `must be at most ${schema.maximum}` });
+        }
+    }
+
+    if (Array.isArray(value)) {
+        if (schema.minItems !== undefined && value.length < schema.minItems) {
+            errors.push({ field, message: `must have at least ${schema.minItems} item(s)` });
+        }
+        if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+            errors.push({ field, message: `must have at most ${schema.maxItems} items` });
+        }
+        if (schema.uniqueBy) {
+            checkUnique(schema.uniqueBy, value, path, errors);
+        }
+        if (schema.items) {
+            return value.map((item, index) => check(schema.items, item, `${path}[${index}]`, errors, false));
+        }
+    }
+
+    if (schema.type === 'object' && schema.properties) {
+        const errorCount = errors.length;
+        const output = checkObject(schema, value, path, errors, partial);
+        if (schema.constraints && errors.length === errorCount) {
+            const prefix = path ? `${path}.` : '';
+            schema.constraints
+                .filter(constraint => !constraint.valid(output))
+                .forEach(constraint => errors.push({ field: `${prefix}${constraint.field}`, message: constraint.message }));
+        }
+        return output;
+    }
+
+    return value;
+}
+
+/**
+ * Objects of an array must not share a value of key (compared without case)
+ */
+function checkUnique(key, items, path, errors) {
+    const seen = new Set();
+    items.forEach((item, index) => {
+        const value = item && typeof item[key] === 'string' ? item[key].trim().toLowerCase() : null;
+        if (!value) {
+            return;
+        }
+        if (seen.has(value)) {
+            errors.push({ field: `${path}[${index}].${key}`, message: `must be unique (${item[key]} is used more than once)` });
+        }
+        seen.add(value);
+    });
+}
+
+function checkObject(schema, input, path, errors, partial) {
+    const output = {};
+    const prefix = path ? `${path}.` : '';
+
+    if (!partial) {
+        for (const key of schema.required || []) {
+            if (input[key] === undefined || input[key] === null) {
+                errors.push({ field: `${prefix}${key}`, message: 'is required' });
+            }
+        }
+    }
+
+    for (const [key, value] of Object.entries(input)) {
+        const property = schema.properties[key];
+        if (!property) {
+            if (schema.additionalProperties === false) {
+                errors.push({ field: `${prefix}${key}`, message: 'is not a recognised field' });
+            } else {
+                output[key] = value;
+            }
+            continue;
+        }
+        // Server-managed fields (id, timestamps) are ignored rather than rejected
+        if (property.readOnly || value === undefined) {
+            continue;
+        }
+        output[key] = check(property, value, `${prefix}${key}`, errors, false);
+    }
+
+    return output;
+}
+
+/**
+ * Validate input against a schema
+ * partial: skip required checks at the top level (for updates that merge into a record)
+ * Returns { valid, value, errors: [{ field, message }] } where value has numbers coerced
+ * and read-only fields removed
+ */
+export function validate(schema, input, { partial = false } = {}) {
+    const errors = [];
+    if (typeOf(input) !== 'object') {
+        return { valid: false, value: input, errors: [{ field: '(root)', message: 'must be an object' }] };
+    }
+    const value = check(schema, input, '', errors, partial);
+    return { valid: errors.length === 0, value, errors };
+}
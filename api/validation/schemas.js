@@ -0,0 +1,401 @@
+// Declared schemas for every stored entity
+// Write routes validate request bodies against these before anything is saved
+
+import { PERMISSIONS } from '../auth/permissions.js';
+import { ATTRIBUTE_TYPES, OPTION_TYPES } from '../catalog/attributes.js';
+
+const serverManaged = {
+    id: { type: 'string', readOnly: true },
+    createdAt: { type: 'string', readOnly: true },
+    updatedAt: { type: 'string', readOnly: true }
+};
+
+const imageUrl = { type: 'string', format: 'image', minLength: 1 };
+
+// Stock held of a product or variant; stockStatus is worked out by the server (see inventory/stock.js)
+const stockFields = {
+    quantity: { type: 'integer', minimum: 0, maximum: 100000 },
+    madeToOrder: { type: 'boolean' },
+    stockStatus: { type: 'string', readOnly: true }
+};
+
+// Prices in rupees; pricing is worked out by the server (see pricing/price.js)
+const amount = { type: 'number', minimum: 0, maximum: 10000000 };
+const priceFields = {
+    // Maximum retail price, shown struck through when above the selling price
+    mrp: { ...amount, nullable: true },
+    pricing: { type: 'object', readOnly: true }
+};
+
+export const DISCOUNT_TYPES = ['percent', 'flat'];
+
+// Discount on a product and all its variants, for a limited time when startsAt or endsAt is set
+export const discountSchema = {
+    type: 'object',
+    required: ['type', 'value'],
+    additionalProperties: false,
+    nullable: true,
+    properties: {
+        type: { type: 'string', enum: DISCOUNT_TYPES },
+        value: amount,
+        startsAt: { type: 'string', format: 'date-time' },
+        endsAt: { type: 'string', format: 'date-time' }
+    },
+    constraints: [
+        { field: 'value', message: 'must be at most 100 for a percent discount', valid: discount => discount.type !== 'percent' || discount.value <= 100 },
+        {
+            field: 'endsAt',
+            message: 'must be after startsAt',
+            valid: discount => !discount.startsAt || !discount.endsAt || Date.parse(discount.endsAt) > Date.parse(discount.startsAt)
+        }
+    ]
+};
+
+// Blouse options a saree can be sold with
+export const BLOUSE_OPTIONS = ['unstitched', 'stitched', 'none'];
+
+// One version of a product a customer can ask for, identified by its SKU
+// Price, MRP and images fall back to the product's own when a variant has none
+export const productVariantSchema = {
+    type: 'object',
+    required: ['sku'],
+    additionalProperties: false,
+    properties: {
+        sku: {
+            type: 'string',
+            pattern: '^[A-Za-z0-9][A-Za-z0-9._-]{0,39}$',
+            patternMessage: 'must be 1-40 letters, numbers, dots, hyphens or underscores'
+        },
+        attributes: {
+            type: 'object',
+            additionalProperties: false,
+            properties: {
+                colour: { type: 'string', maxLength: 50 },
+                blouse: { type: 'string', enum: BLOUSE_OPTIONS },
+                length: { type: 'string', maxLength: 20 }
+            }
+        },
+        swatch: { type: 'string', pattern: '^#[0-9a-fA-F]{6}$', patternMessage: 'must be a colour such as #8b1a1a' },
+        price: amount,
+        ...priceFields,
+        images: { type: 'array', maxItems: 20, items: imageUrl },
+        available: { type: 'boolean' },
+        ...stockFields
+    }
+};
+
+export const productSchema = {
+    type: 'object',
+    required: ['name', 'category', 'price', 'images'],
+    additionalProperties: false,
+    properties: {
+        ...serverManaged,
+        name: { type: 'string', minLength: 1, maxLength: 200 },
+        category: { type: 'string', minLength: 1, maxLength: 50 },
+        price: amount,
+        ...priceFields,
+        discount: discountSchema,
+        images: { type: 'array', minItems: 1, maxItems: 20, items: imageUrl },
+        image: imageUrl,
+        alt: { type: 'string', maxLength: 300 },
+        variants: { type: 'array', maxItems: 50, uniqueBy: 'sku', items: productVariantSchema },
+        // Values for the attribute catalog, checked against it by productSchemaFor
+        attributes: { type: 'object' },
+        ...stockFields
+    }
+};
+
+const attributeKey = {
+    type: 'string',
+    pattern: '^[a-z][a-z0-9-]{1,29}$',
+    patternMessage: 'must be 2-30 lowercase letters, numbers or hyphens, starting with a letter'
+};
+
+// Attribute in the catalog products hold values for (see catalog/attributes.js)
+export const attributeSchema = {
+    type: 'object',
+    required: ['key', 'label', 'type'],
+    additionalProperties: false,
+    properties: {
+        key: attributeKey,
+        label: { type: 'string', minLength: 1, maxLength: 50 },
+        type: { type: 'string', enum: ATTRIBUTE_TYPES },
+        options: {
+            type: 'array',
+            maxItems: 100,
+            uniqueBy: 'value',
+            items: {
+                type: 'object',
+                required: ['value', 'label'],
+                additionalProperties: false,
+                properties: {
+                    value: attributeKey,
+                    label: { type: 'string', minLength: 1, maxLength: 50 }
+                }
+            }
+        },
+        filterable: { type: 'boolean' },
+        description: { type: 'string', maxLength: 200 }
+    },
+    constraints: [
+        {
+            field: 'options',
+            message: 'must have at least one option for a select or multiselect attribute',
+            valid: attribute => !OPTION_TYPES.includes(attribute.type) || (attribute.options || []).length > 0
+        }
+    ]
+};
+
+// Values each attribute type takes on a product
+function attributeValueSchema(attribute) {
+    const options = (attribute.options || []).map(option => option.value);
+    switch (attribute.type) {
+        case 'select':
+            return { type: 'string', enum: options };
+        case 'multiselect':
+            return { type: 'array', maxItems: options.length, items: { type: 'string', enum: options } };
+        case 'boolean':
+            return { type: 'boolean' };
+        case 'textarea':
+            return { type: 'string', maxLength: 2000 };
+        default:
+            return { type: 'string', maxLength: 200 };
+    }
+}
+
+const categorySlug = {
+    type: 'string',
+    pattern: '^[a-z][a-z0-9-]{1,49}$',
+    patternMessage: 'must be 2-50 lowercase letters, numbers or hyphens, starting with a letter'
+};
+
+// Category in the taxonomy products are filed under (see catalog/categories.js)
+export const categorySchema = {
+    type: 'object',
+    required: ['slug', 'name'],
+    additionalProperties: false,
+    properties: {
+        slug: categorySlug,
+        name: { type: 'string', minLength: 1, maxLength: 60 },
+        description: { type: 'string', maxLength: 500 },
+        image: { type: 'string', format: 'image', maxLength: 500 },
+        // Slug of the top-level category this one sits under; routes check it against the taxonomy
+        parent: { ...categorySlug, nullable: true },
+        sortOrder: { type: 'integer', minimum: 0, maximum: 10000 }
+    }
+};
+
+/**
+ * Product schema whose attributes must be in the catalog and hold values of the right type,
+ * and whose category must be one of categories once any are defined
+ */
+export function productSchemaFor(attributes, categories = []) {
+    const category = categories.length > 0
+        ? { type: 'string', enum: categories.map(c => c.slug) }
+        : productSchema.properties.category;
+    return {
+        ...productSchema,
+        properties: {
+            ...productSchema.properties,
+            category,
+            attributes: {
+                type: 'object',
+                additionalProperties: false,
+                properties: Object.fromEntries(attributes.map(attribute => [attribute.key, attributeValueSchema(attribute)]))
+            }
+        }
+    };
+}
+
+export const galleryItemSchema = {
+    type: 'object',
+    required: ['image', 'alt'],
+    additionalProperties: false,
+    properties: {
+        ...serverManaged,
+        image: imageUrl,
+        alt: { type: 'string', minLength: 1, maxLength: 300 }
+    }
+};
+
+export const heroSlideSchema = {
+    type: 'object',
+    required: ['image'],
+    additionalProperties: false,
+    properties: {
+        ...serverManaged,
+        image: imageUrl,
+        alt: { type: 'string', maxLength: 300 }
+    }
+};
+
+const shortText = { type: 'string', maxLength: 200 };
+const socialLink = { type: 'string', format: 'uri', maxLength: 500 };
+
+export const contentSchema = {
+    type: 'object',
+    additionalProperties: false,
+    properties: {
+        updatedAt: { type: 'string', readOnly: true },
+        siteName: shortText,
+        pageTitle: shortText,
+        metaDescription: { type: 'string', maxLength: 500 },
+        logo: { type: 'string', format: 'image' },
+        favicon: { type: 'string', format: 'image' },
+        footerCompanyName: shortText,
+        copyrightText: shortText,
+        designerLink: socialLink,
+        designerName: shortText,
+        hero: {
+            type: 'object',
+            additionalProperties: false,
+            properties: {
+                title: shortText,
+                subtitle: { type: 'string', maxLength: 500 }
+            }
+        },
+        features: {
+            type: 'array',
+            maxItems: 12,
+            items: {
+                type: 'object',
+                required: ['title'],
+                additionalProperties: false,
+                properties: {
+                    icon: { type: 'string', maxLength: 100 },
+                    title: { type: 'string', minLength: 1, maxLength: 100 },
+                    description: { type: 'string', maxLength: 300 }
+                }
+            }
+        },
+        social: {
+            type: 'object',
+            additionalProperties: false,
+            properties: {
+                facebook: socialLink,
+                instagram: socialLink,
+                twitter: socialLink,
+                youtube: socialLink,
+                pinterest: socialLink
+            }
+        },
+        about: { type: 'string', maxLength: 5000 },
+        email: { type: 'string', format: 'email', maxLength: 200 },
+        phone: { type: 'string', pattern: '^[+0-9 ()-]*$', patternMessage: 'may only contain digits, spaces and + ( ) -', maxLength: 30 },
+        whatsapp: { type: 'string', pattern: '^[0-9]*$', patternMessage: 'must contain digits only, including the country code', maxLength: 20 }
+    }
+};
+
+const roleName = {
+    type: 'string',
+    pattern: '^[a-z][a-z0-9_-]{1,29}$',
+    patternMessage: 'must be 2-30 lowercase letters, numbers, hyphens or underscores, starting with a letter'
+};
+
+// Reasons a stock level may be changed for, recorded with every adjustment
+export const STOCK_ADJUSTMENT_REASONS = ['sale', 'restock', 'return', 'damaged', 'correction'];
+
+// Stock adjustments posted to /api/inventory; each one either changes the quantity by a
+// number of pieces (change) or sets it after a count (quantity)
+export const stockAdjustmentSchema = {
+    type: 'object',
+    required: ['adjustments'],
+    additionalProperties: false,
+    properties: {
+        adjustments: {
+            type: 'array',
+            minItems: 1,
+            maxItems: 100,
+            items: {
+                type: 'object',
+                required: ['productId', 'reason'],
+                additionalProperties: false,
+                properties: {
+                    productId: { type: 'string', minLength: 1, maxLength: 100 },
+                    sku: productVariantSchema.properties.sku,
+                    change: { type: 'integer', minimum: -100000, maximum: 100000 },
+                    quantity: stockFields.quantity,
+                    reason: { type: 'string', enum: STOCK_ADJUSTMENT_REASONS },
+                    note: { type: 'string', maxLength: 300 }
+                }
+            }
+        }
+    }
+};
+
+// Shape of a user as submitted by the admin panel; the stored record holds passwordHash instead
+export const userSchema = {
+    type: 'object',
+    required: ['username', 'password'],
+    additionalProperties: false,
+    properties: {
+        username: {
+            type: 'string',
+            pattern: '^[a-zA-Z0-9_]{3,20}$',
+            patternMessage: 'must be 3-20 characters and contain only letters, numbers, and underscores'
+        },
+        password: { type: 'string', minLength: 6, maxLength: 200 },
+        email: { type: 'string', format: 'email', maxLength: 200 },
+        // Must also name an existing role; routes check that against the role list
+        role: roleName,
+        createdAt: { type: 'string', readOnly: true },
+        isDefault: { type: 'boolean', readOnly: true }
+    }
+};
+
+// Custom role as edited in the Users tab
+export const roleSchema = {
+    type: 'object',
+    required: ['name', 'permissions'],
+    additionalProperties: false,
+    properties: {
+        name: roleName,
+        description: { type: 'string', maxLength: 200 },
+        permissions: { type: 'array', maxItems: Object.keys(PERMISSIONS).length, items: { type: 'string', enum: Object.keys(PERMISSIONS) } },
+        builtIn: { type: 'boolean', readOnly: true }
+    }
+};
+
+// Invitation sent from the Users tab; the invitee chooses their own password
+export const invitationSchema = {
+    type: 'object',
+    required: ['username', 'email'],
+    additionalProperties: false,
+    properties: {
+        username: userSchema.properties.username,
+        email: userSchema.properties.email,
+        role: roleName
+    }
+};
+
+// Password chosen from an invitation or reset link
+export const setPasswordSchema = {
+    type: 'object',
+    required: ['token', 'password'],
+    additionalProperties: false,
+    properties: {
+        token: { type: 'string', minLength: 1, maxLength: 200 },
+        password: userSchema.properties.password
+    }
+};
+
+// Optional note an editor adds to a batch save; it becomes the body of the commit message
+export const changeNoteSchema = {
+    type: 'object',
+    additionalProperties: false,
+    properties: {
+        note: { type: 'string', maxLength: 1000 }
+    }
+};
+
+// Schema for each batch section / single-item route
+export const schemas = {
+    products: productSchema,
+    gallery: galleryItemSchema,
+    hero: heroSlideSchema,
+    content: contentSchema,
+    users: userSchema,
+    roles: roleSchema,
+    attributes: attributeSchema,
+    categories: categorySchema
+};
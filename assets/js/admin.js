@@ -1,7 +1,10 @@
 // Admin Panel JavaScript
 const API_BASE = '/api';
 const STORAGE_KEY = 'admin_token';
+const TOKEN_EXPIRY_KEY = 'admin_token_expires';
 const THEME_KEY = 'admin_theme';
+// Renew the access token this long before it expires
+const REFRESH_MARGIN = 60 * 1000;
 
 // Theme Management
 function initTheme() {
@@ -90,6 +93,41 @@ const originalData = {
     users: []
 };
 
+// ETag of the last response from each endpoint
+const responseETags = {};
+
+// Version each section's pending edits are based on, sent back as If-Match when saving.
+// Pinned while a section has pending changes so edits made by others in the meantime are detected.
+const dataVersions = {
+    products: null,
+    gallery: null,
+    hero: null,
+    content: null
+};
+
+function hasPendingChanges(section) {
+    const changes = pendingChanges[section];
+    if (section === 'content') {
+        return !!changes.update;
+    }
+    return changes.create.length + changes.update.length + changes.delete.length > 0;
+}
+
+// Snapshot of each section at its pinned version, the "original" column when resolving conflicts
+const baseData = {
+    products: [],
+    gallery: [],
+    hero: [],
+    content: {}
+};
+
+function trackDataVersion(section, endpoint) {
+    if (!hasPendingChanges(section) || !dataVersions[section]) {
+        dataVersions[section] = responseETags[endpoint] || null;
+        baseData[section] = JSON.parse(JSON.stringify(originalData[section]));
+    }
+}
+
 // Get current user role
 function getUserRole() {
     const userStr = localStorage.getItem('admin_user');
@@ -104,16 +142,46 @@ function getUserRole() {
     return 'viewer';
 }
 
-// Check if user has permission
-function hasPermission(action) {
-    const role = getUserRole();
-    if (role === 'admin') return true;
-    if (role === 'editor') {
-        // Editors can edit content but not manage users
-        return action !== 'manage_users';
+// Permission each tab's write actions need (the server enforces the same matrix)
+const TAB_PERMISSIONS = {
+    products: 'products:write',
+    attributes: 'catalog:manage',
+    categories: 'catalog:manage',
+    gallery: 'gallery:write',
+    hero: 'hero:write',
+    content: 'content:write',
+    users: 'users:manage'
+};
+
+// Tabs that cannot be opened at all without a permission
+const RESTRICTED_TABS = {
+    users: 'users:manage',
+    activity: 'audit:read'
+};
+
+// Permissions of the signed-in user, as reported by the server for their role
+function getUserPermissions() {
+    const userStr = localStorage.getItem('admin_user');
+    if (userStr) {
+        try {
+            const user = JSON.parse(userStr);
+            return Array.isArray(user.permissions) ? user.permissions : [];
+        } catch (e) {
+            return [];
+        }
     }
-    // Viewers can only view
-    return false;
+    return [];
+}
+
+// Check if user has permission, e.g. hasPermission('products:write')
+function hasPermission(permission) {
+    return getUserPermissions().includes(permission);
+}
+
+// Tooltip for controls the user's role cannot use
+function editingNotAllowedTitle() {
+    const role = getUserRole();
+    return `${role.charAt(0).toUpperCase()}${role.slice(1)} role: Editing not allowed`;
 }
 
 // Image Upload Functionality
@@ -123,7 +191,12 @@ function hasPermission(action) {
  */
 async function uploadImagesToAPI(files, folder = 'images') {
     try {
-        const token = localStorage.getItem(STORAGE_KEY);
+        if (!hasPermission('media:upload')) {
+            showNotification('Your role does not allow uploading images.', 'error');
+            return null;
+        }
+
+        const token = await getFreshToken();
         if (!token) {
             showNotification('Not authenticated. Please login again.', 'error');
             return null;
@@ -327,6 +400,11 @@ document.addEventListener('DOMContentLoaded', async () => {
     // Set initial theme toggle visibility
     handleThemeToggleVisibility();
     
+    // Invitation and reset links go straight to choosing a password
+    if (await openSetPasswordFromLink()) {
+        return;
+    }
+    
     const isAuthenticated = await checkAuth();
     if (isAuthenticated) {
         showDashboard();
@@ -364,124 +442,68 @@ document.addEventListener('DOMContentLoaded', async () => {
 
 // Apply role-based access control - gray out elements instead of hiding
 function applyRoleBasedAccess() {
-    const role = getUserRole();
-    const isAdmin = role === 'admin';
-    const canEdit = hasPermission('edit');
-    
-    // Gray out User Management tab for non-admins (keep visible but disabled)
-    const usersTab = document.querySelector('a[data-tab="users"]');
-    if (usersTab) {
-        if (!isAdmin) {
-            usersTab.classList.add('disabled-tab');
-            usersTab.style.opacity = '0.5';
-            usersTab.style.pointerEvents = 'none';
-            usersTab.style.cursor = 'not-allowed';
-            usersTab.title = 'Admin access required';
-        } else {
-            usersTab.classList.remove('disabled-tab');
-            usersTab.style.opacity = '1';
-            usersTab.style.pointerEvents = 'auto';
-            usersTab.style.cursor = 'pointer';
-            usersTab.title = '';
-        }
-    }
-    
-    // Gray out add buttons for non-editors (keep visible but disabled)
-    const addButtons = document.querySelectorAll('.add-button-container button');
-    addButtons.forEach(btn => {
-        if (canEdit) {
-            btn.classList.remove('disabled-btn');
-            btn.disabled = false;
-            btn.style.opacity = '1';
-            btn.style.cursor = 'pointer';
-            btn.title = '';
+    // Gray out tabs the user has no permission to open (keep visible but disabled)
+    Object.entries(RESTRICTED_TABS).forEach(([tabName, permission]) => {
+        const tab = document.querySelector(`a[data-tab="${tabName}"]`);
+        if (!tab) return;
+        if (!hasPermission(permission)) {
+            tab.classList.add('disabled-tab');
+            tab.style.opacity = '0.5';
+            tab.style.pointerEvents = 'none';
+            tab.style.cursor = 'not-allowed';
+            tab.title = `Permission required: ${permission}`;
         } else {
-            btn.classList.add('disabled-btn');
-            btn.disabled = true;
-            btn.style.opacity = '0.5';
-            btn.style.cursor = 'not-allowed';
-            btn.title = `${role === 'viewer' ? 'Viewer' : 'Editor'} role: Editing not allowed`;
+            tab.classList.remove('disabled-tab');
+            tab.style.opacity = '1';
+            tab.style.pointerEvents = 'auto';
+            tab.style.cursor = 'pointer';
+            tab.title = '';
         }
     });
     
-    // Gray out content form save button for non-editors
-    const contentForm = document.getElementById('contentForm');
-    if (contentForm) {
-        const saveBtn = contentForm.querySelector('button[type="submit"]');
-        if (saveBtn) {
-            if (canEdit) {
-                saveBtn.classList.remove('disabled-btn');
-                saveBtn.disabled = false;
-                saveBtn.style.opacity = '1';
-                saveBtn.style.cursor = 'pointer';
-                saveBtn.title = '';
-            } else {
-                saveBtn.classList.add('disabled-btn');
-                saveBtn.disabled = true;
-                saveBtn.style.opacity = '0.5';
-                saveBtn.style.cursor = 'not-allowed';
-                saveBtn.title = `${role === 'viewer' ? 'Viewer' : 'Editor'} role: Editing not allowed`;
-            }
-        }
-    }
+    // Buttons inside a tab follow that tab's permission
+    const tabPermissionFor = element => {
+        const tab = element.closest('.tab-content');
+        return tab ? TAB_PERMISSIONS[tab.id.replace(/Tab$/, '')] : null;
+    };
     
-    // Gray out add feature button for non-editors
-    const addFeatureBtn = document.querySelector('button[onclick="addFeatureField()"]');
-    if (addFeatureBtn) {
-        if (canEdit) {
-            addFeatureBtn.classList.remove('disabled-btn');
-            addFeatureBtn.disabled = false;
-            addFeatureBtn.style.opacity = '1';
-            addFeatureBtn.style.cursor = 'pointer';
-            addFeatureBtn.title = '';
-        } else {
-            addFeatureBtn.classList.add('disabled-btn');
-            addFeatureBtn.disabled = true;
-            addFeatureBtn.style.opacity = '0.5';
-            addFeatureBtn.style.cursor = 'not-allowed';
-            addFeatureBtn.title = `${role === 'viewer' ? 'Viewer' : 'Editor'} role: Editing not allowed`;
-        }
-    }
+    // Gray out add buttons, edit/delete buttons in cards, the content save button and add feature button
+    const controls = [
+        ...document.querySelectorAll('.add-button-container button'),
+        ...document.querySelectorAll('.item-card-actions .btn-primary, .item-card-actions .btn-danger'),
+        ...document.querySelectorAll('#contentForm button[type="submit"], button[onclick="addFeatureField()"]')
+    ];
+    controls.forEach(btn => {
+        const permission = tabPermissionFor(btn);
+        setControlAccess(btn, !permission || hasPermission(permission));
+    });
     
-    // Gray out save all changes button for non-editors
+    // Gray out save all changes button for users who cannot write anything
     const saveAllBtn = document.getElementById('saveAllBtn');
     if (saveAllBtn) {
-        if (canEdit) {
-            saveAllBtn.classList.remove('disabled-btn');
-            saveAllBtn.disabled = false;
-            saveAllBtn.style.opacity = '1';
-            saveAllBtn.style.cursor = 'pointer';
-            saveAllBtn.title = '';
-        } else {
-            saveAllBtn.classList.add('disabled-btn');
-            saveAllBtn.disabled = true;
-            saveAllBtn.style.opacity = '0.5';
-            saveAllBtn.style.cursor = 'not-allowed';
-            saveAllBtn.title = `${role === 'viewer' ? 'Viewer' : 'Editor'} role: Editing not allowed`;
-        }
-    }
-    
-    // Gray out all edit/delete buttons in cards
-    const editButtons = document.querySelectorAll('.item-card-actions .btn-primary, .item-card-actions .btn-danger');
-    editButtons.forEach(btn => {
-        if (canEdit) {
-            btn.classList.remove('disabled-btn');
-            btn.disabled = false;
-            btn.style.opacity = '1';
-            btn.style.cursor = 'pointer';
-            btn.title = '';
-        } else {
-            btn.classList.add('disabled-btn');
-            btn.disabled = true;
-            btn.style.opacity = '0.5';
-            btn.style.cursor = 'not-allowed';
-            btn.title = `${role === 'viewer' ? 'Viewer' : 'Editor'} role: Editing not allowed`;
-        }
-    });
+        setControlAccess(saveAllBtn, Object.values(TAB_PERMISSIONS).some(hasPermission));
+    }
+}
+
+function setControlAccess(btn, allowed) {
+    if (allowed) {
+        btn.classList.remove('disabled-btn');
+        btn.disabled = false;
+        btn.style.opacity = '1';
+        btn.style.cursor = 'pointer';
+        btn.title = '';
+    } else {
+        btn.classList.add('disabled-btn');
+        btn.disabled = true;
+        btn.style.opacity = '0.5';
+        btn.style.cursor = 'not-allowed';
+        btn.title = editingNotAllowedTitle();
+    }
 }
 
 async function checkAuth() {
-    const token = localStorage.getItem(STORAGE_KEY);
+    // An expired or missing access token can still be renewed from the refresh cookie
+    const token = await getFreshToken();
     if (!token) {
         return false;
     }
@@ -501,25 +523,119 @@ async function checkAuth() {
             const data = await response.json();
             // Update user display if user info available
             if (data.user) {
-                localStorage.setItem('admin_user', JSON.stringify(data.user));
-                const userDisplay = document.getElementById('currentUser');
-                if (userDisplay) {
-                    userDisplay.textContent = `👤 ${data.user.username}`;
-                }
+                setCurrentUser(data.user);
             }
+            scheduleTokenRefresh();
             return true;
         } else {
-            localStorage.removeItem(STORAGE_KEY);
-            localStorage.removeItem('admin_user');
+            clearSession();
             return false;
         }
     } catch (error) {
-        localStorage.removeItem(STORAGE_KEY);
-        localStorage.removeItem('admin_user');
+        clearSession();
         return false;
     }
 }
 
+// Session Management
+
+let refreshTimer = null;
+let refreshInFlight = null;
+
+function setCurrentUser(user) {
+    localStorage.setItem('admin_user', JSON.stringify(user));
+    const userDisplay = document.getElementById('currentUser');
+    if (userDisplay) {
+        userDisplay.textContent = `👤 ${user.username}`;
+    }
+}
+
+/**
+ * Store the access token from a login or refresh response and plan its renewal
+ */
+function storeSession(data) {
+    localStorage.setItem(STORAGE_KEY, data.token);
+    localStorage.setItem(TOKEN_EXPIRY_KEY, String(Date.now() + (data.expiresIn || 900) * 1000));
+    if (data.user) {
+        setCurrentUser(data.user);
+    }
+    scheduleTokenRefresh();
+}
+
+function clearSession() {
+    clearTimeout(refreshTimer);
+    refreshTimer = null;
+    localStorage.removeItem(STORAGE_KEY);
+    localStorage.removeItem(TOKEN_EXPIRY_KEY);
+    localStorage.removeItem('admin_user');
+}
+
+/**
+ * Renew the access token shortly before it expires, so open modals and
+ * pending changes are never interrupted by a login screen
+ */
+function scheduleTokenRefresh() {
+    clearTimeout(refreshTimer);
+    const expiresAt = parseInt(localStorage.getItem(TOKEN_EXPIRY_KEY), 10);
+    if (!expiresAt) {
+        return;
+    }
+    const delay = Math.max(expiresAt - Date.now() - REFRESH_MARGIN, 0);
+    refreshTimer = setTimeout(() => {
+        refreshSession().then(ok => {
+            if (!ok) {
+                showNotification('Your session has ended. Please login again - pending changes are kept.', 'warning');
+            }
+        });
+    }, delay);
+}
+
+/**
+ * Trade the httpOnly refresh cookie for a new access token
+ * Concurrent callers share one request. Resolves to true on success
+ */
+function refreshSession() {
+    if (!refreshInFlight) {
+        refreshInFlight = (async () => {
+            try {
+                const response = await fetch(`${API_BASE}/auth?action=refresh`, {
+                    method: 'POST',
+                    credentials: 'same-origin'
+                });
+                if (!response.ok) {
+                    return false;
+                }
+                storeSession(await response.json());
+                return true;
+            } catch (error) {
+                console.error('Session refresh failed:', error);
+                return false;
+            } finally {
+                refreshInFlight = null;
+            }
+        })();
+    }
+    return refreshInFlight;
+}
+
+/**
+ * Current access token, renewed first if it is about to expire
+ * Returns null when there is no session left
+ */
+async function getFreshToken() {
+    const token = localStorage.getItem(STORAGE_KEY);
+    const expiresAt = parseInt(localStorage.getItem(TOKEN_EXPIRY_KEY), 10);
+    // Timers are throttled in background tabs, so check on use as well
+    if (token && expiresAt && expiresAt - Date.now() > REFRESH_MARGIN) {
+        return token;
+    }
+    if (await refreshSession()) {
+        return localStorage.getItem(STORAGE_KEY);
+    }
+    // Tokens from before expiry tracking have no recorded expiry; let the server decide
+    return expiresAt ? null : token;
+}
+
 function showLogin() {
     document.getElementById('loginScreen').style.display = 'flex';
     document.getElementById('adminDashboard').style.display = 'none';
@@ -549,6 +665,7 @@ document.getElementById('loginForm')?.addEventListener('submit', async (e) => {
     submitBtn.disabled = true;
     submitBtn.textContent = 'Logging in...';
     errorMsg.classList.remove('show');
+    showLoginNotice('');
 
     try {
         // Use consolidated auth endpoint with login action
@@ -564,19 +681,10 @@ document.getElementById('loginForm')?.addEventListener('submit', async (e) => {
         const data = await response.json();
 
         if (response.ok && data.success) {
-            localStorage.setItem(STORAGE_KEY, data.token);
-            // Store user info if available
-            if (data.user) {
-                localStorage.setItem('admin_user', JSON.stringify(data.user));
-                const userDisplay = document.getElementById('currentUser');
-                if (userDisplay) {
-                    userDisplay.textContent = `👤 ${data.user.username}`;
-                }
-            }
-            showDashboard();
-            setupEventListeners();
-            loadData();
+            enterDashboard(data);
             errorMsg.classList.remove('show');
+        } else if (response.ok && (data.twoFactorRequired || data.twoFactorSetupRequired)) {
+            showTwoFactorStep(data);
         } else {
             errorMsg.textContent = data.error || 'Invalid credentials';
             errorMsg.classList.add('show');
@@ -590,181 +698,703 @@ document.getElementById('loginForm')?.addEventListener('submit', async (e) => {
     }
 });
 
-// Logout
-document.getElementById('logoutBtn')?.addEventListener('click', () => {
-    localStorage.removeItem(STORAGE_KEY);
-    localStorage.removeItem('admin_user');
-    showLogin();
-    const usernameInput = document.getElementById('username');
-    const passwordInput = document.getElementById('password');
-    if (usernameInput) usernameInput.value = '';
-    if (passwordInput) passwordInput.value = '';
+/**
+ * Start the dashboard after a completed login
+ */
+function enterDashboard(data) {
+    // Store token and user info; the refresh token arrives as an httpOnly cookie
+    storeSession(data);
+    showDashboard();
+    setupEventListeners();
+    loadData();
+}
+
+// Password Reset and Invitations
+
+// Token from the invitation or reset link being completed
+let setPasswordToken = null;
+
+/**
+ * Show one box of the login screen (login, 2FA, reset request or set password)
+ */
+function showLoginBox(boxId) {
+    ['loginBox', 'twoFactorBox', 'passwordResetBox', 'setPasswordBox'].forEach(id => {
+        document.getElementById(id).style.display = id === boxId ? 'block' : 'none';
+    });
+}
+
+function showLoginNotice(message) {
+    const notice = document.getElementById('loginNotice');
+    notice.textContent = message;
+    notice.style.display = message ? 'block' : 'none';
+}
+
+document.getElementById('forgotPasswordBtn')?.addEventListener('click', () => {
+    document.getElementById('passwordResetUsername').value = document.getElementById('username').value;
+    document.getElementById('passwordResetNotice').style.display = 'none';
+    document.getElementById('passwordResetError').classList.remove('show');
+    showLoginBox('passwordResetBox');
+    document.getElementById('passwordResetUsername').focus();
 });
 
-// Tab navigation
-document.querySelectorAll('.nav-tab').forEach(tab => {
-    tab.addEventListener('click', (e) => {
-        e.preventDefault();
-        
-        // Check if tab is disabled (grayed out)
-        if (tab.style.pointerEvents === 'none') {
-            return; // Don't allow navigation to disabled tabs
-        }
-        
-        const targetTab = tab.getAttribute('data-tab');
-        
-        // Update active tab
-        document.querySelectorAll('.nav-tab').forEach(t => t.classList.remove('active'));
-        tab.classList.add('active');
-        
-        // Show correct content
-        document.querySelectorAll('.tab-content').forEach(content => {
-            content.classList.remove('active');
-        });
-        document.getElementById(`${targetTab}Tab`).classList.add('active');
-        
-        // Load data for the active tab if needed
-        if (targetTab === 'users') {
-            loadUsers();
-        }
+document.querySelectorAll('.back-to-login-btn').forEach(btn => {
+    btn.addEventListener('click', () => {
+        setPasswordToken = null;
+        showLoginBox('loginBox');
     });
 });
 
-// API Functions with retry logic
-async function apiCall(endpoint, method = 'GET', data = null, retryCount = 0) {
-    const MAX_RETRIES = 3;
-    const RETRY_DELAY = 1000; // 1 second
-    
-    try {
-        const token = localStorage.getItem(STORAGE_KEY);
-        if (!token) {
-            // Redirect to login if no token
-            showLogin();
-            throw new Error('Not authenticated');
-        }
+document.getElementById('passwordResetForm')?.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const username = document.getElementById('passwordResetUsername').value.trim();
+    const notice = document.getElementById('passwordResetNotice');
+    const errorMsg = document.getElementById('passwordResetError');
+    const submitBtn = e.target.querySelector('button[type="submit"]');
 
-        const options = {
-            method,
+    submitBtn.disabled = true;
+    submitBtn.textContent = 'Sending...';
+    notice.style.display = 'none';
+    errorMsg.classList.remove('show');
+
+    try {
+        const response = await fetch(`${API_BASE}/auth?action=password-reset-request`, {
+            method: 'POST',
             headers: {
-                'Content-Type': 'application/json',
-                'Authorization': `Bearer ${token}`
-            }
-        };
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({ username })
+        });
+        const data = await response.json();
 
-        if (data) {
-            options.body = JSON.stringify(data);
+        if (response.ok && data.success) {
+            notice.textContent = data.message;
+            notice.style.display = 'block';
+        } else {
+            errorMsg.textContent = data.error || 'Could not send the reset link';
+            errorMsg.classList.add('show');
         }
+    } catch (error) {
+        errorMsg.textContent = 'Request failed. Please try again.';
+        errorMsg.classList.add('show');
+    } finally {
+        submitBtn.disabled = false;
+        submitBtn.textContent = 'Send Reset Link';
+    }
+});
 
-        const response = await fetch(`${API_BASE}${endpoint}`, options);
-        
-        // Handle 401 Unauthorized
-        if (response.status === 401) {
-            localStorage.removeItem(STORAGE_KEY);
-            localStorage.removeItem('admin_user');
-            showLogin();
-            throw new Error('Session expired. Please login again.');
-        }
-        
-        // Retry on server errors (5xx)
-        if (response.status >= 500 && response.status < 600 && retryCount < MAX_RETRIES) {
-            const delay = RETRY_DELAY * Math.pow(2, retryCount); // Exponential backoff
-            console.log(`Server error ${response.status}. Retrying in ${delay}ms... (Attempt ${retryCount + 1}/${MAX_RETRIES})`);
-            await new Promise(resolve => setTimeout(resolve, delay));
-            return await apiCall(endpoint, method, data, retryCount + 1);
-        }
+/**
+ * Open the set-password step when the page was reached from an invitation or reset link
+ * (admin#set-password=TOKEN). Returns false for a normal visit
+ */
+async function openSetPasswordFromLink() {
+    const match = window.location.hash.match(/^#set-password=(.+)$/);
+    if (!match) {
+        return false;
+    }
 
-        // Check if response is JSON
-        const contentType = response.headers.get('content-type');
-        let result;
-        
-        if (contentType && contentType.includes('application/json')) {
-            try {
-                const text = await response.text();
-                if (!text || text.trim() === '') {
-                    throw new Error('Empty response from server');
-                }
-                result = JSON.parse(text);
-            } catch (parseError) {
-                // Retry on parse errors if we have retries left
-                if (retryCount < MAX_RETRIES) {
-                    const delay = RETRY_DELAY * Math.pow(2, retryCount);
-                    console.log(`Parse error. Retrying in ${delay}ms... (Attempt ${retryCount + 1}/${MAX_RETRIES})`);
-                    await new Promise(resolve => setTimeout(resolve, delay));
-                    return await apiCall(endpoint, method, data, retryCount + 1);
-                }
-                throw new Error('Invalid JSON response from server: ' + parseError.message);
-            }
-        } else {
-            const text = await response.text();
-            throw new Error(`Server error: ${response.status} ${response.statusText}`);
-        }
+    setPasswordToken = decodeURIComponent(match[1]);
+    // Keep the token out of the address bar and browser history
+    history.replaceState(null, '', window.location.pathname + window.location.search);
 
-        if (!response.ok) {
-            throw new Error(result.error || `API request failed: ${response.status}`);
-        }
+    showLogin();
+    showLoginBox('setPasswordBox');
+    const title = document.getElementById('setPasswordTitle');
+    const intro = document.getElementById('setPasswordIntro');
+    const form = document.getElementById('setPasswordForm');
+    intro.textContent = 'Checking your link...';
+    form.style.display = 'none';
 
-        return result;
-    } catch (error) {
-        // Retry on network errors
-        if ((error.name === 'TypeError' || error.message.includes('fetch')) && retryCount < MAX_RETRIES) {
-            const delay = RETRY_DELAY * Math.pow(2, retryCount);
-            console.log(`Network error. Retrying in ${delay}ms... (Attempt ${retryCount + 1}/${MAX_RETRIES})`);
-            await new Promise(resolve => setTimeout(resolve, delay));
-            return await apiCall(endpoint, method, data, retryCount + 1);
-        }
-        
-        // Only show notification on final failure
-        if (retryCount >= MAX_RETRIES || !error.message.includes('Session expired')) {
-            showNotification(error.message, 'error');
+    try {
+        const response = await fetch(`${API_BASE}/auth?action=set-password&token=${encodeURIComponent(setPasswordToken)}`);
+        const data = await response.json();
+
+        if (response.ok && data.success) {
+            const isInvite = data.type === 'invite';
+            title.textContent = isInvite ? 'Welcome' : 'Reset Password';
+            intro.textContent = isInvite
+                ? `Choose a password to activate your account "${data.username}".`
+                : `Choose a new password for "${data.username}".`;
+            form.style.display = 'block';
+            document.getElementById('newPassword').focus();
+        } else {
+            intro.textContent = data.error || 'This link cannot be used.';
         }
-        throw error;
+    } catch (error) {
+        intro.textContent = 'Could not check the link. Please reload the page to try again.';
     }
+    return true;
 }
 
-// Load all data
-async function loadData() {
-    try {
-        await Promise.all([
-            loadProducts(),
-            loadGallery(),
-            loadHeroImages(),
-            loadContent(),
-            loadUsers()
-        ]);
-    } catch (error) {
-        console.error('Error loading data:', error);
+document.getElementById('setPasswordForm')?.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const password = document.getElementById('newPassword').value;
+    const confirmation = document.getElementById('confirmPassword').value;
+    const errorMsg = document.getElementById('setPasswordError');
+    const submitBtn = e.target.querySelector('button[type="submit"]');
+
+    errorMsg.classList.remove('show');
+    if (password !== confirmation) {
+        errorMsg.textContent = 'Passwords do not match';
+        errorMsg.classList.add('show');
+        return;
     }
-}
 
-// Products Management
-async function loadProducts() {
+    submitBtn.disabled = true;
+    submitBtn.textContent = 'Saving...';
+
     try {
-        const products = await apiCall('/products');
-        originalData.products = JSON.parse(JSON.stringify(products)); // Deep copy
-        
-        // Merge with pending changes
-        const displayProducts = getDisplayProducts();
-        const container = document.getElementById('productsList');
+        const response = await fetch(`${API_BASE}/auth?action=set-password`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({ token: setPasswordToken, password })
+        });
+        const data = await response.json();
+
+        if (response.ok && data.success) {
+            setPasswordToken = null;
+            e.target.reset();
+            showLoginBox('loginBox');
+            document.getElementById('username').value = data.username;
+            document.getElementById('password').focus();
+            showLoginNotice(data.message);
+        } else if (response.status === 422 && data.fields) {
+            errorMsg.textContent = data.fields.map(field => `${field.field === 'password' ? 'Password' : field.field} ${field.message}`).join('; ');
+            errorMsg.classList.add('show');
+        } else {
+            errorMsg.textContent = data.error || 'Could not set the password';
+            errorMsg.classList.add('show');
+        }
+    } catch (error) {
+        errorMsg.textContent = 'Request failed. Please try again.';
+        errorMsg.classList.add('show');
+    } finally {
+        submitBtn.disabled = false;
+        submitBtn.textContent = 'Set Password';
+    }
+});
+
+// Two-Factor Authentication
+
+let twoFactorChallenge = null;
+let useRecoveryCode = false;
+
+/**
+ * Second login step: ask for a code, or walk through required enrollment
+ */
+function showTwoFactorStep(data) {
+    twoFactorChallenge = data.challenge;
+    useRecoveryCode = false;
+    document.getElementById('loginBox').style.display = 'none';
+    document.getElementById('twoFactorBox').style.display = 'block';
+    document.getElementById('twoFactorError').classList.remove('show');
+    document.getElementById('twoFactorForm').style.display = data.twoFactorRequired ? 'block' : 'none';
+    document.getElementById('twoFactorEnrollStep').style.display = data.twoFactorSetupRequired ? 'block' : 'none';
+    updateTwoFactorMode();
+
+    if (data.twoFactorRequired) {
+        document.getElementById('twoFactorCode').focus();
+        return;
+    }
+
+    const container = document.getElementById('loginEnrollment');
+    startTwoFactorEnrollment(container, document.getElementById('twoFactorError'), { challenge: twoFactorChallenge }, result => {
+        renderRecoveryCodes(container, result.recoveryCodes, 'Continue to dashboard', () => {
+            hideTwoFactorStep();
+            enterDashboard(result);
+        });
+    });
+}
+
+function hideTwoFactorStep() {
+    twoFactorChallenge = null;
+    document.getElementById('twoFactorBox').style.display = 'none';
+    document.getElementById('loginBox').style.display = 'block';
+    document.getElementById('twoFactorCode').value = '';
+    document.getElementById('loginEnrollment').innerHTML = '';
+}
+
+function updateTwoFactorMode() {
+    const input = document.getElementById('twoFactorCode');
+    document.getElementById('twoFactorCodeLabel').textContent = useRecoveryCode ? 'Recovery code' : 'Authentication code';
+    input.placeholder = useRecoveryCode ? 'XXXXX-XXXXX' : '6-digit code from your app';
+    input.inputMode = useRecoveryCode ? 'text' : 'numeric';
+    input.value = '';
+    document.getElementById('twoFactorModeToggle').textContent = useRecoveryCode ? 'Use an authentication code instead' : 'Use a recovery code instead';
+}
+
+document.getElementById('twoFactorModeToggle')?.addEventListener('click', () => {
+    useRecoveryCode = !useRecoveryCode;
+    updateTwoFactorMode();
+});
+
+document.getElementById('twoFactorBackBtn')?.addEventListener('click', hideTwoFactorStep);
+
+document.getElementById('twoFactorForm')?.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const code = document.getElementById('twoFactorCode').value.trim();
+    const errorMsg = document.getElementById('twoFactorError');
+    const submitBtn = e.target.querySelector('button[type="submit"]');
+
+    submitBtn.disabled = true;
+    submitBtn.textContent = 'Verifying...';
+    errorMsg.classList.remove('show');
+
+    try {
+        const payload = useRecoveryCode
+            ? { challenge: twoFactorChallenge, recoveryCode: code }
+            : { challenge: twoFactorChallenge, code };
+        const response = await fetch(`${API_BASE}/auth?action=2fa-verify`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify(payload)
+        });
+        const data = await response.json();
+
+        if (response.ok && data.success) {
+            hideTwoFactorStep();
+            enterDashboard(data);
+            if (data.recoveryCodesLeft !== undefined) {
+                showNotification(`Recovery code used. ${data.recoveryCodesLeft} recovery code${data.recoveryCodesLeft === 1 ? '' : 's'} left.`, 'warning');
+            }
+        } else {
+            errorMsg.textContent = data.error || 'Invalid code';
+            errorMsg.classList.add('show');
+        }
+    } catch (error) {
+        errorMsg.textContent = 'Verification failed. Please try again.';
+        errorMsg.classList.add('show');
+    } finally {
+        submitBtn.disabled = false;
+        submitBtn.textContent = 'Verify';
+    }
+});
+
+/**
+ * POST to a 2FA endpoint, with the access token or (during required enrollment) the login challenge
+ */
+async function twoFactorRequest(action, body) {
+    if (!body.challenge) {
+        return apiCall(`/auth?action=${action}`, 'POST', body);
+    }
+    const response = await fetch(`${API_BASE}/auth?action=${action}`, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json'
+        },
+        body: JSON.stringify(body)
+    });
+    const data = await response.json();
+    if (!response.ok) {
+        throw new Error(data.error || `Request failed: ${response.status}`);
+    }
+    return data;
+}
+
+/**
+ * Create a pending secret and show it with a confirmation form
+ * onEnabled receives the response carrying the recovery codes
+ */
+async function startTwoFactorEnrollment(container, errorMsg, auth, onEnabled) {
+    container.innerHTML = '<p>Preparing two-factor setup...</p>';
+    let setup;
+    try {
+        setup = await twoFactorRequest('2fa-setup', { ...auth });
+    } catch (error) {
         container.innerHTML = '';
+        errorMsg.textContent = error.message;
+        errorMsg.classList.add('show');
+        return;
+    }
 
-        if (displayProducts.length === 0) {
-            container.innerHTML = '<p>No products found. Add your first product!</p>';
-            return;
+    const groupedSecret = setup.secret.match(/.{1,4}/g).join(' ');
+    container.innerHTML = `
+        <ol class="two-factor-steps">
+            <li>
+                Add this account to an authenticator app such as Google Authenticator, Authy or 1Password.
+                On this phone, <a href="${escapeHtml(setup.uri)}">open it in your authenticator app</a>; otherwise enter this setup key:
+                <code class="two-factor-secret">${escapeHtml(groupedSecret)}</code>
+            </li>
+            <li>Enter the 6-digit code the app shows.</li>
+        </ol>
+        <form class="two-factor-enroll-form">
+            <div class="form-group">
+                <input type="text" required placeholder="6-digit code" autocomplete="one-time-code" inputmode="numeric">
+            </div>
+            <button type="submit" class="btn btn-primary">Turn On 2FA</button>
+        </form>
+    `;
+
+    container.querySelector('form').addEventListener('submit', async (e) => {
+        e.preventDefault();
+        const submitBtn = e.target.querySelector('button[type="submit"]');
+        submitBtn.disabled = true;
+        errorMsg.classList.remove('show');
+        try {
+            const result = await twoFactorRequest('2fa-enable', { ...auth, code: e.target.querySelector('input').value.trim() });
+            onEnabled(result);
+        } catch (error) {
+            errorMsg.textContent = error.message;
+            errorMsg.classList.add('show');
+            submitBtn.disabled = false;
+        }
+    });
+}
+
+/**
+ * Show freshly issued recovery codes; they cannot be displayed again
+ */
+function renderRecoveryCodes(container, codes, doneLabel, onDone) {
+    container.innerHTML = `
+        <p><strong>Two-factor authentication is on.</strong> Save these recovery codes somewhere safe. Each one signs you in once if you lose your device, and they will not be shown again.</p>
+        <ul class="recovery-codes">
+            ${codes.map(code => `<li><code>${escapeHtml(code)}</code></li>`).join('')}
+        </ul>
+        <div class="modal-actions">
+            <button type="button" class="btn btn-secondary recovery-copy-btn"><i class="fas fa-copy"></i> Copy Codes</button>
+            <button type="button" class="btn btn-primary recovery-done-btn">${escapeHtml(doneLabel)}</button>
+        </div>
+    `;
+    container.querySelector('.recovery-copy-btn').addEventListener('click', async () => {
+        try {
+            await navigator.clipboard.writeText(codes.join('\n'));
+            showNotification('Recovery codes copied', 'success');
+        } catch (error) {
+            showNotification('Could not copy - please write the codes down', 'warning');
         }
+    });
+    container.querySelector('.recovery-done-btn').addEventListener('click', onDone);
+}
 
-        displayProducts.forEach(product => {
-            const card = createProductCard(product);
-            container.appendChild(card);
+/**
+ * 2FA settings for the signed-in user
+ */
+async function openTwoFactorModal() {
+    const content = document.getElementById('twoFactorModalContent');
+    const errorMsg = document.getElementById('twoFactorModalError');
+    errorMsg.classList.remove('show');
+    content.innerHTML = '<p>Loading...</p>';
+    document.getElementById('twoFactorModal').classList.add('active');
+
+    let status;
+    try {
+        status = await apiCall('/auth?action=2fa-status');
+    } catch (error) {
+        content.innerHTML = '';
+        errorMsg.textContent = error.message;
+        errorMsg.classList.add('show');
+        return;
+    }
+
+    if (!status.enabled) {
+        content.innerHTML = `
+            <p>Protect your account with a code from an authenticator app in addition to your password.</p>
+            <div class="modal-actions">
+                <button type="button" class="btn btn-primary" id="startTwoFactorBtn"><i class="fas fa-shield-alt"></i> Set Up 2FA</button>
+            </div>
+        `;
+        document.getElementById('startTwoFactorBtn').addEventListener('click', () => {
+            startTwoFactorEnrollment(content, errorMsg, {}, result => {
+                renderRecoveryCodes(content, result.recoveryCodes, 'Done', () => closeModal('twoFactorModal'));
+            });
         });
+        return;
+    }
+
+    const canDisable = !status.required;
+    content.innerHTML = `
+        <p><i class="fas fa-check-circle" style="color: #4CAF50;"></i> Two-factor authentication is on. ${status.recoveryCodesLeft} recovery code${status.recoveryCodesLeft === 1 ? '' : 's'} left.</p>
+        ${canDisable ? `
+            <form id="disableTwoFactorForm">
+                <div class="form-group">
+                    <label>To turn it off, enter a current code or a recovery code</label>
+                    <input type="text" required placeholder="Code" autocomplete="one-time-code">
+                </div>
+                <div class="modal-actions">
+                    <button type="submit" class="btn btn-danger">Turn Off 2FA</button>
+                </div>
+            </form>
+        ` : '<p class="form-hint">Two-factor authentication is required for admin accounts.</p>'}
+    `;
+
+    document.getElementById('disableTwoFactorForm')?.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        errorMsg.classList.remove('show');
+        try {
+            await apiCall('/auth?action=2fa-disable', 'POST', { code: e.target.querySelector('input').value.trim() });
+            showNotification('Two-factor authentication turned off', 'success');
+            closeModal('twoFactorModal');
+        } catch (error) {
+            errorMsg.textContent = error.message;
+            errorMsg.classList.add('show');
+        }
+    });
+}
+
+// Logout
+document.getElementById('logoutBtn')?.addEventListener('click', async () => {
+    try {
+        // Revoke the refresh token so this session cannot be resumed
+        await fetch(`${API_BASE}/auth?action=logout`, { method: 'POST', credentials: 'same-origin' });
+    } catch (error) {
+        console.error('Logout request failed:', error);
+    }
+    clearSession();
+    showLogin();
+    const usernameInput = document.getElementById('username');
+    const passwordInput = document.getElementById('password');
+    if (usernameInput) usernameInput.value = '';
+    if (passwordInput) passwordInput.value = '';
+});
+
+document.getElementById('activityFilters')?.addEventListener('submit', (e) => {
+    e.preventDefault();
+    loadActivity();
+});
+
+// Tab navigation
+document.querySelectorAll('.nav-tab').forEach(tab => {
+    tab.addEventListener('click', (e) => {
+        e.preventDefault();
         
-        // Apply role-based access after loading
-        applyRoleBasedAccess();
+        // Check if tab is disabled (grayed out)
+        if (tab.style.pointerEvents === 'none') {
+            return; // Don't allow navigation to disabled tabs
+        }
+        
+        const targetTab = tab.getAttribute('data-tab');
+        
+        // Update active tab
+        document.querySelectorAll('.nav-tab').forEach(t => t.classList.remove('active'));
+        tab.classList.add('active');
+        
+        // Show correct content
+        document.querySelectorAll('.tab-content').forEach(content => {
+            content.classList.remove('active');
+        });
+        document.getElementById(`${targetTab}Tab`).classList.add('active');
+        
+        // Load data for the active tab if needed
+        if (targetTab === 'users') {
+            loadUsers();
+        } else if (targetTab === 'attributes') {
+            loadAttributes();
+        } else if (targetTab === 'categories') {
+            loadCategories();
+        } else if (targetTab === 'history') {
+            loadHistory();
+        } else if (targetTab === 'activity') {
+            loadActivity();
+        }
+    });
+});
+
+// API error codes (see api/http/errors.js) and how the panel reacts to them
+// Temporary failures are retried with backoff; everything else is reported right away
+const API_MAX_RETRIES = 3;
+const API_RETRY_DELAY = 1000; // 1 second
+const RETRYABLE_ERROR_CODES = ['STORAGE_UNAVAILABLE', 'INTERNAL_ERROR'];
+// Rate limits are waited out only when the wait is short
+const MAX_RATE_LIMIT_WAIT = 10; // seconds
+
+const API_ERROR_MESSAGES = {
+    PERMISSION_DENIED: error => error.details.permission
+        ? `Your role cannot do this (it needs the ${error.details.permission} permission). Ask an admin for access.`
+        : error.message,
+    ORIGIN_NOT_ALLOWED: () => 'This address is not allowed to use the admin API. Add it to ALLOWED_ORIGINS.',
+    VALIDATION_FAILED: error => `Some values are not valid. ${error.message}`,
+    VERSION_CONFLICT: () => 'Someone else changed this since you loaded it. Reload and try again.',
+    NOT_FOUND: error => `${error.message}. It may have been deleted by someone else.`,
+    RATE_LIMITED: error => error.message,
+    STORAGE_UNAVAILABLE: () => 'The storage service is not responding, so nothing was saved. Try again in a moment.',
+    STORAGE_NOT_CONFIGURED: error => `Storage is not set up on the server: ${error.message}`,
+    STORAGE_DATA_INVALID: error => error.message,
+    SHRINK_CONFIRMATION_REQUIRED: () => 'This save removes most of a collection and needs your confirmation.',
+    BATCH_REJECTED: error => error.message
+};
+
+/**
+ * How long to wait before retrying a failed request, or null when it should not be retried
+ */
+function apiRetryDelay(error, retryCount) {
+    if (error.code === 'RATE_LIMITED') {
+        const wait = error.details.retryAfter;
+        return wait && wait <= MAX_RATE_LIMIT_WAIT ? wait * 1000 : null;
+    }
+    // Responses without a code come from the platform, e.g. a gateway timeout
+    const retryable = error.code ? RETRYABLE_ERROR_CODES.includes(error.code) : error.status >= 500;
+    return retryable ? API_RETRY_DELAY * Math.pow(2, retryCount) : null;
+}
+
+/**
+ * Message to show for a failed API call; server errors carry the request ID for support
+ */
+function apiErrorMessage(error) {
+    const describe = error.code && API_ERROR_MESSAGES[error.code];
+    const message = describe ? describe(error) : error.message;
+    return error.status >= 500 && error.requestId ? `${message} (Request ID: ${error.requestId})` : message;
+}
+
+// API Functions with retry logic
+async function apiCall(endpoint, method = 'GET', data = null, retryCount = 0, extraHeaders = {}, sessionRenewed = false) {
+    try {
+        const token = await getFreshToken();
+        if (!token) {
+            // Redirect to login if no token
+            showLogin();
+            throw new Error('Not authenticated');
+        }
+
+        const options = {
+            method,
+            headers: {
+                'Content-Type': 'application/json',
+                'Authorization': `Bearer ${token}`,
+                ...extraHeaders
+            }
+        };
+
+        if (data) {
+            options.body = JSON.stringify(data);
+        }
+
+        const response = await fetch(`${API_BASE}${endpoint}`, options);
+        
+        // Handle 401 Unauthorized - renew the session once before giving up
+        if (response.status === 401) {
+            if (!sessionRenewed && await refreshSession()) {
+                return await apiCall(endpoint, method, data, retryCount, extraHeaders, true);
+            }
+            clearSession();
+            showLogin();
+            throw new Error('Session expired. Please login again.');
+        }
+
+        // Check if response is JSON
+        const contentType = response.headers.get('content-type');
+        let result = {};
+        
+        if (contentType && contentType.includes('application/json')) {
+            try {
+                const text = await response.text();
+                if (!text || text.trim() === '') {
+                    throw new Error('Empty response from server');
+                }
+                result = JSON.parse(text);
+            } catch (parseError) {
+                // Retry on parse errors if we have retries left
+                if (retryCount < API_MAX_RETRIES) {
+                    const delay = API_RETRY_DELAY * Math.pow(2, retryCount);
+                    console.log(`Parse error. Retrying in ${delay}ms... (Attempt ${retryCount + 1}/${API_MAX_RETRIES})`);
+                    await new Promise(resolve => setTimeout(resolve, delay));
+                    return await apiCall(endpoint, method, data, retryCount + 1, extraHeaders, sessionRenewed);
+                }
+                throw new Error('Invalid JSON response from server: ' + parseError.message);
+            }
+        } else if (response.ok) {
+            throw new Error(`Server error: ${response.status} ${response.statusText}`);
+        }
+
+        if (!response.ok) {
+            // Error envelope: { error, code, requestId, ...details }
+            const apiError = new Error(result.error || `API request failed: ${response.status} ${response.statusText}`);
+            apiError.status = response.status;
+            apiError.code = result.code || null;
+            apiError.requestId = result.requestId || response.headers.get('X-Request-Id');
+            apiError.details = result;
+
+            const delay = apiRetryDelay(apiError, retryCount);
+            if (delay !== null && retryCount < API_MAX_RETRIES) {
+                console.log(`${apiError.code || `Server error ${response.status}`}. Retrying in ${delay}ms... (Attempt ${retryCount + 1}/${API_MAX_RETRIES})`);
+                await new Promise(resolve => setTimeout(resolve, delay));
+                return await apiCall(endpoint, method, data, retryCount + 1, extraHeaders, sessionRenewed);
+            }
+            throw apiError;
+        }
+
+        const etag = response.headers.get('ETag');
+        if (etag) {
+            responseETags[endpoint] = etag;
+        }
+
+        return result;
+    } catch (error) {
+        // Retried calls report their own failure
+        if (error.notified) {
+            throw error;
+        }
+
+        // Retry on network errors
+        if ((error.name === 'TypeError' || error.message.includes('fetch')) && retryCount < API_MAX_RETRIES) {
+            const delay = API_RETRY_DELAY * Math.pow(2, retryCount);
+            console.log(`Network error. Retrying in ${delay}ms... (Attempt ${retryCount + 1}/${API_MAX_RETRIES})`);
+            await new Promise(resolve => setTimeout(resolve, delay));
+            return await apiCall(endpoint, method, data, retryCount + 1, extraHeaders, sessionRenewed);
+        }
+        
+        // Only show notification on final failure
+        if (retryCount >= API_MAX_RETRIES || !error.message.includes('Session expired')) {
+            showNotification(apiErrorMessage(error), 'error');
+        }
+        error.notified = true;
+        throw error;
+    }
+}
+
+// Load all data
+async function loadData() {
+    try {
+        await Promise.all([
+            // Product cards name attribute options and categories, so the catalog comes first
+            Promise.all([loadAttributes(), loadCategories()]).then(loadProducts),
+            loadGallery(),
+            loadHeroImages(),
+            loadContent(),
+            loadUsers()
+        ]);
+    } catch (error) {
+        console.error('Error loading data:', error);
+    }
+}
+
+// Products Management
+async function loadProducts() {
+    try {
+        const products = await apiCall('/products');
+        originalData.products = JSON.parse(JSON.stringify(products)); // Deep copy
+        trackDataVersion('products', '/products');
+        renderProducts();
     } catch (error) {
         document.getElementById('productsList').innerHTML = 
             '<p class="error">Error loading products. Make sure API is configured.</p>';
     }
 }
 
+// Show the products with pending changes applied
+function renderProducts() {
+    const displayProducts = getDisplayProducts();
+    const container = document.getElementById('productsList');
+    container.innerHTML = '';
+    renderCategories();
+
+    if (displayProducts.length === 0) {
+        container.innerHTML = '<p>No products found. Add your first product!</p>';
+        return;
+    }
+
+    displayProducts.forEach(product => {
+        const card = createProductCard(product);
+        container.appendChild(card);
+    });
+    filterProducts();
+    
+    // Apply role-based access after loading
+    applyRoleBasedAccess();
+}
+
 // Get products with pending changes applied
 function getDisplayProducts() {
     let products = JSON.parse(JSON.stringify(originalData.products));
@@ -786,28 +1416,76 @@ function getDisplayProducts() {
     return products;
 }
 
-// Escape HTML to prevent XSS
+// Characters that could end a text node or a quoted attribute value
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+// Escape HTML to prevent XSS, safe in text and in single- or double-quoted attributes
 function escapeHtml(text) {
     if (text == null) return ''; // Handle null/undefined
-    if (typeof text !== 'string') {
-        // Convert to string for non-string types (numbers, etc.)
-        text = String(text);
+    return String(text).replace(/[&<>"']/g, char => HTML_ESCAPES[char]);
+}
+
+// Stock statuses worked out by the server (see api/inventory/stock.js)
+const STOCK_STATUS_LABELS = {
+    'in-stock': 'In stock',
+    'low-stock': 'Low stock',
+    'sold-out': 'Sold out',
+    'made-to-order': 'Made to order'
+};
+
+// Items holding a product's stock: its variants on sale, or the product itself
+function stockItems(product) {
+    const variants = (product.variants || []).filter(variant => variant.available !== false);
+    return product.variants && product.variants.length > 0 ? variants : [product];
+}
+
+// Statuses a product matches in the stock filter: its own, its variants' and "restock"
+// when anything is running low or sold out
+function productStockTags(product) {
+    const statuses = [product.stockStatus, ...stockItems(product).map(item => item.stockStatus)].filter(Boolean);
+    const tags = new Set(statuses);
+    if (tags.has('low-stock') || tags.has('sold-out')) {
+        tags.add('restock');
     }
-    const div = document.createElement('div');
-    div.textContent = text;
-    return div.innerHTML;
+    return [...tags];
+}
+
+function productStockHTML(product) {
+    const items = stockItems(product);
+    const counted = items.filter(item => Number.isInteger(item.quantity) && !item.madeToOrder);
+    const badge = product.stockStatus
+        ? `<span class="stock-badge stock-${escapeHtml(product.stockStatus)}">${escapeHtml(STOCK_STATUS_LABELS[product.stockStatus] || product.stockStatus)}</span>`
+        : '';
+    const total = counted.length > 0 ? `Stock: ${counted.reduce((sum, item) => sum + item.quantity, 0)} ` : '';
+    // Name the variants that need restocking
+    const low = items[0] === product ? [] : items
+        .filter(item => item.stockStatus === 'low-stock' || item.stockStatus === 'sold-out')
+        .map(item => `${escapeHtml(item.sku)} (${item.quantity})`);
+    const lowList = low.length > 0 ? `<div class="stock-low-items">Restock: ${low.join(', ')}</div>` : '';
+    return total || badge ? `<div>${total}${badge}</div>${lowList}` : '';
+}
+
+// Stock is adjusted on the server right away, so only saved products can be adjusted
+function stockButtonHTML(product) {
+    const saved = originalData.products.some(p => p.id === product.id);
+    const title = !hasPermission('inventory:write') ? editingNotAllowedTitle() : (saved ? '' : 'Save the product before adjusting its stock');
+    const productId = escapeHtml(String(product.id)).replace(/'/g, "\\'");
+    return title
+        ? `<button class="btn btn-secondary disabled-btn" disabled style="opacity: 0.5; cursor: not-allowed;" title="${escapeHtml(title)}"><i class="fas fa-boxes"></i> Stock</button>`
+        : `<button class="btn btn-secondary" onclick="openStockModal('${productId}')"><i class="fas fa-boxes"></i> Stock</button>`;
 }
 
 function createProductCard(product) {
     const card = document.createElement('div');
-    card.className = 'item-card';
-    const canEdit = hasPermission('edit');
+    const stockTags = productStockTags(product);
+    card.className = stockTags.includes('restock') ? 'item-card item-card-low-stock' : 'item-card';
+    card.dataset.stock = stockTags.join(' ');
+    const canEdit = hasPermission('products:write');
     const productId = escapeHtml(String(product.id));
     const disabledAttr = canEdit ? '' : 'disabled';
     const disabledClass = canEdit ? '' : 'disabled-btn';
     const disabledStyle = canEdit ? '' : 'style="opacity: 0.5; cursor: not-allowed;"';
-    const role = getUserRole();
-    const disabledTitle = canEdit ? '' : `title="${role === 'viewer' ? 'Viewer' : 'Editor'} role: Editing not allowed"`;
+    const disabledTitle = canEdit ? '' : `title="${editingNotAllowedTitle()}"`;
     
     const actionsHTML = `
         <div class="item-card-actions">
@@ -817,6 +1495,7 @@ function createProductCard(product) {
             <button class="btn btn-danger ${disabledClass}" ${disabledAttr} ${disabledStyle} ${disabledTitle} onclick="${canEdit ? `deleteProduct('${productId.replace(/'/g, "\\'")}')` : 'return false;'}">
                 <i class="fas fa-trash"></i> Delete
             </button>
+            ${stockButtonHTML(product)}
         </div>
     `;
     
@@ -827,9 +1506,13 @@ function createProductCard(product) {
     const productImage = escapeHtml(productImages[0]);
     const productAlt = escapeHtml(product.alt || product.name || '');
     const productName = escapeHtml(product.name || '');
-    const productCategory = escapeHtml(product.category || '');
-    const productPrice = escapeHtml(String(product.price || ''));
+    const productCategory = escapeHtml(categoryDisplayName(product.category));
+    const productPrice = escapeHtml(formatPrice(product.price));
+    const mrp = product.mrp ? `<div>MRP: ${escapeHtml(formatPrice(product.mrp))}</div>` : '';
+    const discount = product.discount ? `<div class="item-card-discount">Discount: ${escapeHtml(describeDiscount(product.discount))}</div>` : '';
     const imageCount = productImages.length > 1 ? `<div class="item-card-image-count">${productImages.length} images</div>` : '<div class="item-card-image-count"></div>';
+    const variantCount = product.variants && product.variants.length > 0 ? `<div>Variants: ${product.variants.length}</div>` : '';
+    const attributes = productAttributeSummary(product);
     
     card.innerHTML = `
         <img src="${productImage}" alt="${productAlt}" onerror="this.src='assets/images/product-1.webp'">
@@ -837,7 +1520,12 @@ function createProductCard(product) {
             <div class="item-card-title">${productName}</div>
             <div class="item-card-info">
                 <div>Category: ${productCategory}</div>
-                <div>Price: ₹${productPrice}</div>
+                <div>Price: ${productPrice}</div>
+                ${mrp}
+                ${discount}
+                ${variantCount}
+                ${attributes ? `<div class="item-card-attributes">${escapeHtml(attributes)}</div>` : ''}
+                ${productStockHTML(product)}
             </div>
             ${imageCount}
             ${actionsHTML}
@@ -921,23 +1609,186 @@ function handleProductImageUpload(event, imageIndex, previewId) {
         return;
     }
     
-    const reader = new FileReader();
-    reader.onload = (e) => {
-        const preview = document.getElementById(previewId);
-        preview.innerHTML = `<img src="${e.target.result}" alt="Preview" style="max-width: 150px; border-radius: 8px;">`;
+    const reader = new FileReader();
+    reader.onload = (e) => {
+        const preview = document.getElementById(previewId);
+        preview.innerHTML = `<img src="${e.target.result}" alt="Preview" style="max-width: 150px; border-radius: 8px;">`;
+        
+        // Store the base64 data URL
+        if (!window.productImagesData) window.productImagesData = {};
+        window.productImagesData[imageIndex] = e.target.result;
+        
+        // Clear URL input since we have uploaded image
+        const urlInput = event.target.closest('.product-image-field').querySelector('.product-image-url');
+        urlInput.value = '';
+    };
+    reader.onerror = () => {
+        showNotification('Error reading file. Please try again.', 'error');
+    };
+    reader.readAsDataURL(file);
+}
+
+// Product Variants Management
+const BLOUSE_OPTION_LABELS = {
+    unstitched: 'Unstitched blouse piece',
+    stitched: 'Stitched blouse',
+    none: 'Without blouse'
+};
+
+let productVariantCounter = 0;
+
+// stockLocked: the variant is saved, so its quantity changes through Adjust stock only
+function addProductVariantField(variant = {}, { stockLocked = false } = {}) {
+    const container = document.getElementById('productVariantsContainer');
+    const variantIndex = productVariantCounter++;
+    const attributes = variant.attributes || {};
+    const blouseOptions = Object.entries(BLOUSE_OPTION_LABELS)
+        .map(([value, label]) => `<option value="${value}" ${attributes.blouse === value ? 'selected' : ''}>${label}</option>`)
+        .join('');
+    
+    const variantField = document.createElement('div');
+    variantField.className = 'product-variant-field';
+    variantField.innerHTML = `
+        <div class="product-variant-header">
+            <h4>Variant</h4>
+            <button type="button" class="btn btn-danger btn-sm" onclick="removeProductVariantField(this)">
+                <i class="fas fa-times"></i> Remove
+            </button>
+        </div>
+        <div class="product-variant-grid">
+            <div>
+                <label for="variantSku_${variantIndex}">SKU *</label>
+                <input type="text" id="variantSku_${variantIndex}" class="variant-sku" value="${escapeHtml(variant.sku || '')}" placeholder="SILK-RED-ST">
+            </div>
+            <div>
+                <label for="variantColour_${variantIndex}">Colour</label>
+                <input type="text" id="variantColour_${variantIndex}" class="variant-colour" value="${escapeHtml(attributes.colour || '')}" placeholder="Maroon">
+            </div>
+            <div>
+                <label for="variantSwatch_${variantIndex}">Swatch colour</label>
+                <input type="text" id="variantSwatch_${variantIndex}" class="variant-swatch" value="${escapeHtml(variant.swatch || '')}" placeholder="#8b1a1a">
+            </div>
+            <div>
+                <label for="variantBlouse_${variantIndex}">Blouse</label>
+                <select id="variantBlouse_${variantIndex}" class="variant-blouse">
+                    <option value="">Not specified</option>
+                    ${blouseOptions}
+                </select>
+            </div>
+            <div>
+                <label for="variantLength_${variantIndex}">Length</label>
+                <input type="text" id="variantLength_${variantIndex}" class="variant-length" value="${escapeHtml(attributes.length || '')}" placeholder="6.3 m">
+            </div>
+            <div>
+                <label for="variantPrice_${variantIndex}">Price (₹)</label>
+                <input type="number" id="variantPrice_${variantIndex}" class="variant-price" value="${escapeHtml(variant.price ?? '')}" placeholder="Product price">
+            </div>
+            <div>
+                <label for="variantMrp_${variantIndex}">MRP (₹)</label>
+                <input type="number" id="variantMrp_${variantIndex}" class="variant-mrp" value="${escapeHtml(variant.mrp ?? '')}" placeholder="Product MRP">
+            </div>
+            <div>
+                <label for="variantQuantity_${variantIndex}">Stock</label>
+                <input type="number" id="variantQuantity_${variantIndex}" class="variant-quantity" min="0" step="1" value="${escapeHtml(variant.quantity ?? '')}" placeholder="Not counted"
+                    ${stockLocked ? 'readonly title="Use Adjust stock on the product card to change it"' : ''}>
+            </div>
+        </div>
+        <div class="product-variant-images">
+            <label for="variantImages_${variantIndex}">Images (one path or URL per line; leave empty to use the product images)</label>
+            <textarea id="variantImages_${variantIndex}" class="variant-images" rows="2">${escapeHtml((variant.images || []).join('\n'))}</textarea>
+        </div>
+        <label class="variant-available">
+            <input type="checkbox" class="variant-available-input" ${variant.available === false ? '' : 'checked'}>
+            Available to order
+        </label>
+        <label class="variant-available">
+            <input type="checkbox" class="variant-made-to-order-input" ${variant.madeToOrder ? 'checked' : ''}>
+            Made to order
+        </label>
+    `;
+    
+    container.appendChild(variantField);
+}
+
+function removeProductVariantField(button) {
+    button.closest('.product-variant-field').remove();
+}
+
+// Variants as entered in the product modal; blank rows are left out
+function getVariantsFromForm() {
+    const variants = [];
+    document.querySelectorAll('.product-variant-field').forEach(field => {
+        const value = selector => field.querySelector(selector).value.trim();
+        const attributes = {};
+        if (value('.variant-colour')) attributes.colour = value('.variant-colour');
+        if (value('.variant-blouse')) attributes.blouse = value('.variant-blouse');
+        if (value('.variant-length')) attributes.length = value('.variant-length');
+        const images = value('.variant-images').split('\n').map(line => line.trim()).filter(Boolean);
+        const available = field.querySelector('.variant-available-input').checked;
         
-        // Store the base64 data URL
-        if (!window.productImagesData) window.productImagesData = {};
-        window.productImagesData[imageIndex] = e.target.result;
+        if (!value('.variant-sku') && Object.keys(attributes).length === 0 && !value('.variant-price') && !value('.variant-mrp') && !value('.variant-quantity') && images.length === 0) {
+            return;
+        }
         
-        // Clear URL input since we have uploaded image
-        const urlInput = event.target.closest('.product-image-field').querySelector('.product-image-url');
-        urlInput.value = '';
-    };
-    reader.onerror = () => {
-        showNotification('Error reading file. Please try again.', 'error');
-    };
-    reader.readAsDataURL(file);
+        const variant = { sku: value('.variant-sku'), attributes, available };
+        if (value('.variant-swatch')) variant.swatch = value('.variant-swatch');
+        if (value('.variant-price')) variant.price = value('.variant-price');
+        if (value('.variant-mrp')) variant.mrp = value('.variant-mrp');
+        if (value('.variant-quantity')) variant.quantity = value('.variant-quantity');
+        if (field.querySelector('.variant-made-to-order-input').checked) variant.madeToOrder = true;
+        if (images.length > 0) variant.images = images;
+        variants.push(variant);
+    });
+    return variants;
+}
+
+// Product Pricing
+// Indian-style rupee amounts, e.g. ₹12,999
+const PRICE_FORMAT = new Intl.NumberFormat('en-IN', { style: 'currency', currency: 'INR', minimumFractionDigits: 0, maximumFractionDigits: 2 });
+
+function formatPrice(amount) {
+    const value = Number(amount);
+    return amount !== '' && amount != null && Number.isFinite(value) ? PRICE_FORMAT.format(value) : '';
+}
+
+// ISO date-time as a datetime-local input value, in the browser's time zone
+function toDateTimeInput(iso) {
+    if (!iso) return '';
+    const date = new Date(iso);
+    return new Date(date.getTime() - date.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+}
+
+function updateDiscountFields() {
+    const hasDiscount = !!document.getElementById('productDiscountType').value;
+    ['productDiscountValue', 'productDiscountStart', 'productDiscountEnd'].forEach(id => {
+        document.getElementById(id).disabled = !hasDiscount;
+    });
+}
+
+// Discount as entered in the product modal, or null for none
+function getDiscountFromForm() {
+    const type = document.getElementById('productDiscountType').value;
+    if (!type) return null;
+    const discount = { type, value: document.getElementById('productDiscountValue').value.trim() };
+    const startsAt = document.getElementById('productDiscountStart').value;
+    const endsAt = document.getElementById('productDiscountEnd').value;
+    if (startsAt) discount.startsAt = new Date(startsAt).toISOString();
+    if (endsAt) discount.endsAt = new Date(endsAt).toISOString();
+    return discount;
+}
+
+// Summary of a discount for the product card, e.g. "10% off until 31/10/2026"
+function describeDiscount(discount) {
+    const amount = discount.type === 'percent' ? `${discount.value}% off` : `${formatPrice(discount.value)} off`;
+    const from = discount.startsAt ? ` from ${new Date(discount.startsAt).toLocaleDateString()}` : '';
+    const until = discount.endsAt ? ` until ${new Date(discount.endsAt).toLocaleDateString()}` : '';
+    return `${amount}${from}${until}`;
+}
+
+function setProductStockLocked(locked) {
+    const quantityInput = document.getElementById('productQuantity');
+    quantityInput.readOnly = locked;
+    document.getElementById('productQuantityHint').style.display = locked ? 'block' : 'none';
 }
 
 function openProductModal(productId = null) {
@@ -955,6 +1806,13 @@ function openProductModal(productId = null) {
     
     // Add at least one image field
     addProductImageField();
+    
+    productVariantCounter = 0;
+    document.getElementById('productVariantsContainer').innerHTML = '';
+    setProductStockLocked(false);
+    updateDiscountFields();
+    renderProductAttributeFields();
+    populateProductCategorySelect();
 
     if (productId) {
         title.textContent = 'Edit Product';
@@ -965,6 +1823,7 @@ function openProductModal(productId = null) {
         document.getElementById('productId').value = '';
     }
 
+    renderFieldErrors('products', productId);
     modal.classList.add('active');
 }
 
@@ -980,9 +1839,20 @@ async function loadProductData(productId) {
         
         document.getElementById('productId').value = product.id;
         document.getElementById('productName').value = product.name;
+        populateProductCategorySelect(product.category);
         document.getElementById('productCategory').value = product.category;
         document.getElementById('productPrice').value = product.price;
+        document.getElementById('productMrp').value = product.mrp ?? '';
+        const discount = product.discount || {};
+        document.getElementById('productDiscountType').value = discount.type || '';
+        document.getElementById('productDiscountValue').value = discount.value ?? '';
+        document.getElementById('productDiscountStart').value = toDateTimeInput(discount.startsAt);
+        document.getElementById('productDiscountEnd').value = toDateTimeInput(discount.endsAt);
+        updateDiscountFields();
         document.getElementById('productAlt').value = product.alt || '';
+        document.getElementById('productQuantity').value = product.quantity ?? '';
+        document.getElementById('productMadeToOrder').checked = !!product.madeToOrder;
+        renderProductAttributeFields(product.attributes);
         
         // Load images - support both images array and single image (backward compatibility)
         const container = document.getElementById('productImagesContainer');
@@ -1002,6 +1872,14 @@ async function loadProductData(productId) {
             // Add one empty field
             addProductImageField();
         }
+        
+        // Stock of saved products and variants is changed through Adjust stock
+        const savedProduct = originalData.products.find(p => p.id === product.id);
+        const savedSkus = (savedProduct?.variants || []).map(variant => variant.sku);
+        setProductStockLocked(!!savedProduct);
+        document.getElementById('productVariantsContainer').innerHTML = '';
+        productVariantCounter = 0;
+        (product.variants || []).forEach(variant => addProductVariantField(variant, { stockLocked: savedSkus.includes(variant.sku) }));
     } catch (error) {
         showNotification('Error loading product', 'error');
     }
@@ -1044,17 +1922,30 @@ document.getElementById('productForm')?.addEventListener('submit', async (e) =>
         price: document.getElementById('productPrice').value,
         images: productImages, // Always use images array
         image: productImages[0], // Keep for backward compatibility
-        alt: document.getElementById('productAlt').value
+        alt: document.getElementById('productAlt').value,
+        variants: getVariantsFromForm(),
+        madeToOrder: document.getElementById('productMadeToOrder').checked,
+        // null clears an MRP or discount the product had
+        mrp: document.getElementById('productMrp').value.trim() || null,
+        discount: getDiscountFromForm(),
+        attributes: getAttributesFromForm()
     };
+    const quantity = document.getElementById('productQuantity').value.trim();
+    if (quantity) {
+        productData.quantity = quantity;
+    }
     
     // Clear image data after use
     window.productImagesData = {};
 
     try {
-        if (productId) {
-            // Remove from create if it was a new item
-            pendingChanges.products.create = pendingChanges.products.create.filter(p => p.id !== productId);
-            
+        clearRecordErrors('products', productId);
+        const createIndex = pendingChanges.products.create.findIndex(p => p.id === productId);
+        if (productId && createIndex !== -1) {
+            // Still a new item, so it stays queued as a create
+            pendingChanges.products.create[createIndex] = { ...productData, id: productId };
+            showNotification('Product changes saved locally. Click "Save All Changes" to commit.', 'info');
+        } else if (productId) {
             // Add to update queue
             const existingUpdateIndex = pendingChanges.products.update.findIndex(p => p.id === productId);
             if (existingUpdateIndex !== -1) {
@@ -1075,35 +1966,567 @@ document.getElementById('productForm')?.addEventListener('submit', async (e) =>
         loadProducts();
         updatePendingCount();
     } catch (error) {
-        showNotification('Error saving product', 'error');
+        showNotification('Error saving product', 'error');
+    }
+});
+
+async function deleteProduct(productId) {
+    if (!confirm('Are you sure you want to delete this product?')) return;
+
+    try {
+        // Remove from create queue if it's a new item
+        pendingChanges.products.create = pendingChanges.products.create.filter(p => p.id !== productId);
+        
+        // Remove from update queue
+        pendingChanges.products.update = pendingChanges.products.update.filter(p => p.id !== productId);
+        
+        // Add to delete queue (if not already there)
+        if (!pendingChanges.products.delete.includes(productId) && !productId.startsWith('temp_')) {
+            pendingChanges.products.delete.push(productId);
+        }
+        
+        showNotification('Product marked for deletion. Click "Save All Changes" to commit.', 'info');
+        loadProducts();
+        updatePendingCount();
+    } catch (error) {
+        showNotification('Error deleting product', 'error');
+    }
+}
+
+function editProduct(productId) {
+    openProductModal(productId);
+}
+
+// Stock Adjustments
+// Sent right away rather than queued with pending changes: each adjustment is recorded with
+// its reason and applies to the latest stock, even when someone else changed it meanwhile
+function stockCountText(item) {
+    if (item.madeToOrder) return 'made to order';
+    return Number.isInteger(item.quantity) ? `${item.quantity} in stock` : 'stock not counted';
+}
+
+function openStockModal(productId) {
+    const product = originalData.products.find(p => p.id === productId);
+    if (!product) {
+        showNotification('Product not found', 'error');
+        return;
+    }
+    // The adjusted products replace the saved ones, which pending edits are based on
+    if (hasPendingChanges('products')) {
+        showNotification('Save or discard your product changes before adjusting stock.', 'warning');
+        return;
+    }
+    const variants = product.variants || [];
+    if (variants.length === 0 && product.madeToOrder) {
+        showNotification(`${product.name} is made to order and keeps no stock.`, 'info');
+        return;
+    }
+
+    document.getElementById('stockForm').reset();
+    document.getElementById('stockError').classList.remove('show');
+    document.getElementById('stockProductId').value = product.id;
+    document.getElementById('stockModalProduct').textContent = variants.length > 0
+        ? product.name
+        : `${product.name}: ${stockCountText(product)}`;
+    document.getElementById('stockItem').innerHTML = variants.map(variant => {
+        const colour = variant.attributes?.colour ? ` · ${variant.attributes.colour}` : '';
+        return `<option value="${escapeHtml(variant.sku)}" ${variant.madeToOrder ? 'disabled' : ''}>${escapeHtml(`${variant.sku}${colour} (${stockCountText(variant)})`)}</option>`;
+    }).join('');
+    document.getElementById('stockItemGroup').style.display = variants.length > 0 ? 'block' : 'none';
+    document.getElementById('stockModal').classList.add('active');
+}
+
+// Take the adjusted products as saved; their new version is the base of later edits
+function applyStockAdjustment(response) {
+    (response.products || []).forEach(product => {
+        const index = originalData.products.findIndex(p => p.id === product.id);
+        if (index !== -1) {
+            originalData.products[index] = product;
+        }
+    });
+    trackDataVersion('products', '/inventory');
+    renderProducts();
+}
+
+document.getElementById('stockForm')?.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const errorMsg = document.getElementById('stockError');
+    const submitBtn = e.target.querySelector('button[type="submit"]');
+    const mode = document.getElementById('stockMode').value;
+    const adjustment = {
+        productId: document.getElementById('stockProductId').value,
+        [mode]: document.getElementById('stockAmount').value,
+        reason: document.getElementById('stockReason').value
+    };
+    if (document.getElementById('stockItemGroup').style.display !== 'none') {
+        adjustment.sku = document.getElementById('stockItem').value;
+    }
+    const note = document.getElementById('stockNote').value.trim();
+    if (note) {
+        adjustment.note = note;
+    }
+
+    errorMsg.classList.remove('show');
+    submitBtn.disabled = true;
+    try {
+        const response = await apiCall('/inventory', 'POST', { adjustments: [adjustment] });
+        applyStockAdjustment(response);
+        closeModal('stockModal');
+        showNotification('Stock updated', 'success');
+    } catch (error) {
+        const fields = error.details?.fields;
+        const failures = (error.details?.operations || []).filter(operation => !operation.ok);
+        if (fields) {
+            errorMsg.textContent = fields.map(field => `${field.field} ${field.message}`).join('; ');
+        } else {
+            errorMsg.textContent = failures.length > 0 ? failures.map(operation => operation.error).join('; ') : (error.message || 'Failed to adjust stock');
+        }
+        errorMsg.classList.add('show');
+    } finally {
+        submitBtn.disabled = false;
+    }
+});
+
+// Product Attributes
+// The catalog is saved on the server right away, like roles; product values for it are
+// queued with the product's other changes
+
+// Attributes from the server: [{ key, label, type, options, filterable, description }]
+let attributeCatalog = [];
+
+const ATTRIBUTE_TYPE_LABELS = {
+    select: 'Choice of one option',
+    multiselect: 'Choice of several options',
+    boolean: 'Yes or no',
+    text: 'Short text',
+    textarea: 'Long text'
+};
+
+async function loadAttributes() {
+    const container = document.getElementById('attributesList');
+    try {
+        attributeCatalog = await apiCall('/attributes');
+        if (!container) {
+            return;
+        }
+        container.innerHTML = attributeCatalog.length === 0 ? '<p>No attributes yet. Add fabric, weave or region to describe your products.</p>' : '';
+        attributeCatalog.forEach(attribute => container.appendChild(createAttributeCard(attribute)));
+        applyRoleBasedAccess();
+    } catch (error) {
+        if (container) {
+            container.innerHTML = '<p class="error">Error loading attributes.</p>';
+        }
+    }
+}
+
+function usesOptions(attribute) {
+    return attribute.type === 'select' || attribute.type === 'multiselect';
+}
+
+function createAttributeCard(attribute) {
+    const card = document.createElement('div');
+    card.className = 'item-card';
+    
+    const safeKey = escapeHtml(attribute.key).replace(/'/g, "\\'");
+    const options = usesOptions(attribute)
+        ? `<div class="role-permission-list">${(attribute.options || []).map(option => `<span class="role-permission">${escapeHtml(option.label)}</span>`).join('')}</div>`
+        : '';
+    
+    card.innerHTML = `
+        <div class="item-card-body">
+            <div class="item-card-title">${escapeHtml(attribute.label)}</div>
+            <div class="item-card-info">
+                <div>Key: <code>${escapeHtml(attribute.key)}</code></div>
+                <div>Type: ${escapeHtml(ATTRIBUTE_TYPE_LABELS[attribute.type] || attribute.type)}</div>
+                ${attribute.filterable ? '<div><i class="fas fa-filter"></i> Filter on the site</div>' : ''}
+                ${attribute.description ? `<div>${escapeHtml(attribute.description)}</div>` : ''}
+            </div>
+            ${options}
+            <div class="item-card-actions">
+                <button class="btn btn-primary" onclick="openAttributeModal('${safeKey}')">
+                    <i class="fas fa-edit"></i> Edit
+                </button>
+                <button class="btn btn-danger" onclick="deleteAttribute('${safeKey}')">
+                    <i class="fas fa-trash"></i> Delete
+                </button>
+            </div>
+        </div>
+    `;
+    return card;
+}
+
+// Option value for a label, e.g. "Silk Cotton" -> silk-cotton
+function attributeOptionValue(label) {
+    const value = label.toLowerCase().normalize('NFKD').replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 30);
+    return /^[a-z][a-z0-9-]{1,29}$/.test(value) ? value : `option-${value}`.slice(0, 30).replace(/-+$/, '');
+}
+
+// Saved options keep their value when renamed, so products holding them stay valid
+function addAttributeOptionField(option = null) {
+    const field = document.createElement('div');
+    field.className = 'attribute-option-field';
+    if (option) {
+        field.dataset.value = option.value;
+    }
+    field.innerHTML = `
+        <input type="text" class="attribute-option-label" maxlength="50" value="${escapeHtml(option ? option.label : '')}" placeholder="e.g. Kanjivaram">
+        <button type="button" class="btn btn-danger btn-sm" onclick="this.closest('.attribute-option-field').remove()" title="Remove option">
+            <i class="fas fa-times"></i>
+        </button>
+    `;
+    document.getElementById('attributeOptionsContainer').appendChild(field);
+}
+
+function updateAttributeOptionsField() {
+    const type = document.getElementById('attributeType').value;
+    document.getElementById('attributeOptionsGroup').style.display = usesOptions({ type }) ? 'block' : 'none';
+}
+
+function getAttributeOptionsFromForm() {
+    return [...document.querySelectorAll('.attribute-option-field')]
+        .map(field => {
+            const label = field.querySelector('.attribute-option-label').value.trim();
+            return label ? { value: field.dataset.value || attributeOptionValue(label), label } : null;
+        })
+        .filter(Boolean);
+}
+
+function openAttributeModal(key = null) {
+    const attribute = key ? attributeCatalog.find(a => a.key === key) : null;
+    const keyInput = document.getElementById('attributeKey');
+    
+    document.getElementById('attributeForm').reset();
+    document.getElementById('attributeError').classList.remove('show');
+    document.getElementById('attributeModalTitle').textContent = attribute ? 'Edit Attribute' : 'Add Attribute';
+    document.getElementById('attributeOriginalKey').value = attribute ? attribute.key : '';
+    keyInput.value = attribute ? attribute.key : '';
+    keyInput.disabled = !!attribute; // Products hold their values by key
+    document.getElementById('attributeLabel').value = attribute ? attribute.label : '';
+    document.getElementById('attributeType').value = attribute ? attribute.type : 'select';
+    document.getElementById('attributeDescription').value = attribute ? attribute.description || '' : '';
+    document.getElementById('attributeFilterable').checked = !!attribute?.filterable;
+    
+    document.getElementById('attributeOptionsContainer').innerHTML = '';
+    const options = attribute?.options || [];
+    options.forEach(option => addAttributeOptionField(option));
+    if (options.length === 0) {
+        addAttributeOptionField();
+    }
+    updateAttributeOptionsField();
+    
+    document.getElementById('attributeModal').classList.add('active');
+}
+
+// Suggest a key from the name of a new attribute
+document.getElementById('attributeLabel')?.addEventListener('input', (e) => {
+    const keyInput = document.getElementById('attributeKey');
+    if (!keyInput.disabled) {
+        keyInput.value = attributeOptionValue(e.target.value);
+    }
+});
+
+document.getElementById('attributeForm')?.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const originalKey = document.getElementById('attributeOriginalKey').value;
+    const errorMsg = document.getElementById('attributeError');
+    const submitBtn = e.target.querySelector('button[type="submit"]');
+    const attribute = {
+        key: originalKey || document.getElementById('attributeKey').value.trim(),
+        label: document.getElementById('attributeLabel').value.trim(),
+        type: document.getElementById('attributeType').value,
+        filterable: document.getElementById('attributeFilterable').checked,
+        description: document.getElementById('attributeDescription').value.trim()
+    };
+    if (usesOptions(attribute)) {
+        attribute.options = getAttributeOptionsFromForm();
+    }
+    
+    errorMsg.classList.remove('show');
+    submitBtn.disabled = true;
+    try {
+        const endpoint = originalKey ? `/attributes?key=${encodeURIComponent(originalKey)}` : '/attributes';
+        await apiCall(endpoint, originalKey ? 'PUT' : 'POST', attribute, 0, { 'If-Match': responseETags['/attributes'] });
+        showNotification(`Attribute "${attribute.label}" saved`, 'success');
+        closeModal('attributeModal');
+        await loadAttributes();
+        renderProducts();
+    } catch (error) {
+        const fields = error.details?.fields;
+        errorMsg.textContent = fields ? fields.map(field => `${field.field} ${field.message}`).join('; ') : (error.message || 'Failed to save attribute');
+        errorMsg.classList.add('show');
+    } finally {
+        submitBtn.disabled = false;
+    }
+});
+
+async function deleteAttribute(key) {
+    const attribute = attributeCatalog.find(a => a.key === key);
+    if (!confirm(`Delete attribute "${attribute ? attribute.label : key}"? This cannot be undone.`)) {
+        return;
+    }
+    try {
+        await apiCall(`/attributes?key=${encodeURIComponent(key)}`, 'DELETE', null, 0, { 'If-Match': responseETags['/attributes'] });
+        showNotification(`Attribute "${attribute ? attribute.label : key}" deleted`, 'success');
+        await loadAttributes();
+        renderProducts();
+    } catch (error) {
+        showNotification('Error deleting attribute: ' + error.message, 'error');
+    }
+}
+
+// Typed inputs for every attribute in the catalog, filled with a product's values
+function renderProductAttributeFields(values = {}) {
+    const container = document.getElementById('productAttributesContainer');
+    if (attributeCatalog.length === 0) {
+        container.innerHTML = '<small class="form-hint">No attributes defined yet.</small>';
+        return;
+    }
+    container.innerHTML = attributeCatalog.map(attribute => {
+        const id = `productAttribute_${attribute.key}`;
+        const value = values ? values[attribute.key] : undefined;
+        const hint = attribute.description ? `<small class="form-hint">${escapeHtml(attribute.description)}</small>` : '';
+        const options = attribute.options || [];
+        let input;
+        if (attribute.type === 'select') {
+            input = `<select id="${id}">
+                <option value="">Not specified</option>
+                ${options.map(option => `<option value="${escapeHtml(option.value)}" ${value === option.value ? 'selected' : ''}>${escapeHtml(option.label)}</option>`).join('')}
+            </select>`;
+        } else if (attribute.type === 'multiselect') {
+            const selected = Array.isArray(value) ? value : [];
+            input = `<div id="${id}" class="attribute-choices">
+                ${options.map(option => `<label><input type="checkbox" value="${escapeHtml(option.value)}" ${selected.includes(option.value) ? 'checked' : ''}> ${escapeHtml(option.label)}</label>`).join('')}
+            </div>`;
+        } else if (attribute.type === 'boolean') {
+            input = `<select id="${id}">
+                <option value="">Not specified</option>
+                <option value="true" ${value === true ? 'selected' : ''}>Yes</option>
+                <option value="false" ${value === false ? 'selected' : ''}>No</option>
+            </select>`;
+        } else if (attribute.type === 'textarea') {
+            input = `<textarea id="${id}" rows="3" maxlength="2000">${escapeHtml(value || '')}</textarea>`;
+        } else {
+            input = `<input type="text" id="${id}" maxlength="200" value="${escapeHtml(value || '')}">`;
+        }
+        return `<div class="product-attribute-field" data-key="${escapeHtml(attribute.key)}" data-type="${escapeHtml(attribute.type)}">
+            <label for="${id}">${escapeHtml(attribute.label)}</label>
+            ${input}
+            ${hint}
+        </div>`;
+    }).join('');
+}
+
+// Attribute values as entered in the product modal; unset attributes are left out
+function getAttributesFromForm() {
+    const attributes = {};
+    document.querySelectorAll('.product-attribute-field').forEach(field => {
+        const { key, type } = field.dataset;
+        const input = document.getElementById(`productAttribute_${key}`);
+        if (type === 'multiselect') {
+            const selected = [...input.querySelectorAll('input:checked')].map(option => option.value);
+            if (selected.length > 0) attributes[key] = selected;
+        } else if (type === 'boolean') {
+            if (input.value) attributes[key] = input.value === 'true';
+        } else if (input.value.trim()) {
+            attributes[key] = input.value.trim();
+        }
+    });
+    return attributes;
+}
+
+// Option values of a product's choice attributes for its card, e.g. "Silk · Zari · Kanjivaram"
+function productAttributeSummary(product) {
+    const values = product.attributes || {};
+    return attributeCatalog
+        .filter(attribute => usesOptions(attribute) && values[attribute.key] !== undefined)
+        .flatMap(attribute => [].concat(values[attribute.key])
+            .map(value => (attribute.options.find(option => option.value === value) || { label: value }).label))
+        .join(' · ');
+}
+
+// Product Categories
+// The taxonomy is saved on the server right away, like the attribute catalog; products name
+// their category by slug and are queued with the product's other changes
+
+// Categories from the server, in display order: [{ slug, name, description, image, parent, sortOrder }]
+let categoryCatalog = [];
+
+async function loadCategories() {
+    try {
+        categoryCatalog = await apiCall('/categories');
+        renderCategories();
+    } catch (error) {
+        const container = document.getElementById('categoriesList');
+        if (container) {
+            container.innerHTML = '<p class="error">Error loading categories.</p>';
+        }
+    }
+}
+
+// Category cards count products with pending changes applied, so renderProducts refreshes them too
+function renderCategories() {
+    const container = document.getElementById('categoriesList');
+    if (!container) {
+        return;
+    }
+    container.innerHTML = categoryCatalog.length === 0 ? '<p>No categories yet. Add one so products can be filed under it.</p>' : '';
+    orderedCategories().forEach(category => container.appendChild(createCategoryCard(category)));
+    applyRoleBasedAccess();
+}
+
+// Top-level categories, each followed by its subcategories
+function orderedCategories() {
+    return categoryCatalog
+        .filter(category => !category.parent)
+        .flatMap(category => [category, ...categoryCatalog.filter(child => child.parent === category.slug)]);
+}
+
+// Name shown for a product's category, e.g. "Silk Sarees › Kanjivaram Silk"; unknown slugs as they are
+function categoryDisplayName(slug) {
+    const category = categoryCatalog.find(c => c.slug === slug);
+    if (!category) {
+        return slug || '';
+    }
+    const parent = category.parent ? categoryCatalog.find(c => c.slug === category.parent) : null;
+    return parent ? `${parent.name} › ${category.name}` : category.name;
+}
+
+function createCategoryCard(category) {
+    const card = document.createElement('div');
+    card.className = 'item-card' + (category.parent ? ' category-card-child' : '');
+    
+    const safeSlug = escapeHtml(category.slug).replace(/'/g, "\\'");
+    const productCount = getDisplayProducts().filter(product => product.category === category.slug).length;
+    const parent = category.parent ? categoryCatalog.find(c => c.slug === category.parent) : null;
+    const image = category.image
+        ? `<img src="${escapeHtml(category.image)}" alt="${escapeHtml(category.name)}" onerror="this.style.display='none'">`
+        : '';
+    
+    card.innerHTML = `
+        ${image}
+        <div class="item-card-body">
+            <div class="item-card-title">${escapeHtml(category.name)}</div>
+            <div class="item-card-info">
+                <div>Slug: <code>${escapeHtml(category.slug)}</code></div>
+                ${parent ? `<div>Under: ${escapeHtml(parent.name)}</div>` : ''}
+                <div>Products: ${productCount}</div>
+                <div>Sort order: ${escapeHtml(String(category.sortOrder || 0))}</div>
+                ${category.description ? `<div class="category-card-description">${escapeHtml(category.description)}</div>` : ''}
+            </div>
+            <div class="item-card-actions">
+                <button class="btn btn-primary" onclick="openCategoryModal('${safeSlug}')">
+                    <i class="fas fa-edit"></i> Edit
+                </button>
+                <button class="btn btn-danger" onclick="deleteCategory('${safeSlug}')">
+                    <i class="fas fa-trash"></i> Delete
+                </button>
+            </div>
+        </div>
+    `;
+    return card;
+}
+
+// Slug for a category name, e.g. "Silk Sarees" -> silk-sarees
+function categorySlugFor(name) {
+    const slug = name.toLowerCase().normalize('NFKD').replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 50);
+    return /^[a-z][a-z0-9-]{1,49}$/.test(slug) ? slug : `category-${slug}`.slice(0, 50).replace(/-+$/, '');
+}
+
+function openCategoryModal(slug = null) {
+    const category = slug ? categoryCatalog.find(c => c.slug === slug) : null;
+    const slugInput = document.getElementById('categorySlug');
+    const parentSelect = document.getElementById('categoryParent');
+    // Nesting is one level deep, so a category with subcategories stays top level
+    const hasChildren = !!category && categoryCatalog.some(c => c.parent === category.slug);
+    
+    document.getElementById('categoryForm').reset();
+    document.getElementById('categoryError').classList.remove('show');
+    document.getElementById('categoryModalTitle').textContent = category ? 'Edit Category' : 'Add Category';
+    document.getElementById('categoryOriginalSlug').value = category ? category.slug : '';
+    slugInput.value = category ? category.slug : '';
+    slugInput.disabled = !!category; // Products name their category by slug
+    document.getElementById('categoryName').value = category ? category.name : '';
+    document.getElementById('categoryDescription').value = category ? category.description || '' : '';
+    document.getElementById('categoryImage').value = category ? category.image || '' : '';
+    document.getElementById('categorySortOrder').value = category ? category.sortOrder || 0 : 0;
+    
+    parentSelect.innerHTML = '<option value="">None (top-level category)</option>' + categoryCatalog
+        .filter(c => !c.parent && c.slug !== slug)
+        .map(c => `<option value="${escapeHtml(c.slug)}">${escapeHtml(c.name)}</option>`)
+        .join('');
+    parentSelect.value = category?.parent || '';
+    parentSelect.disabled = hasChildren;
+    
+    document.getElementById('categoryModal').classList.add('active');
+}
+
+// Suggest a slug from the name of a new category
+document.getElementById('categoryName')?.addEventListener('input', (e) => {
+    const slugInput = document.getElementById('categorySlug');
+    if (!slugInput.disabled) {
+        slugInput.value = categorySlugFor(e.target.value);
+    }
+});
+
+document.getElementById('categoryForm')?.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const originalSlug = document.getElementById('categoryOriginalSlug').value;
+    const errorMsg = document.getElementById('categoryError');
+    const submitBtn = e.target.querySelector('button[type="submit"]');
+    const category = {
+        slug: originalSlug || document.getElementById('categorySlug').value.trim(),
+        name: document.getElementById('categoryName').value.trim(),
+        description: document.getElementById('categoryDescription').value.trim(),
+        image: document.getElementById('categoryImage').value.trim(),
+        parent: document.getElementById('categoryParent').value || null,
+        sortOrder: parseInt(document.getElementById('categorySortOrder').value, 10) || 0
+    };
+    
+    errorMsg.classList.remove('show');
+    submitBtn.disabled = true;
+    try {
+        const endpoint = originalSlug ? `/categories?slug=${encodeURIComponent(originalSlug)}` : '/categories';
+        await apiCall(endpoint, originalSlug ? 'PUT' : 'POST', category, 0, { 'If-Match': responseETags['/categories'] });
+        showNotification(`Category "${category.name}" saved`, 'success');
+        closeModal('categoryModal');
+        await loadCategories();
+        renderProducts();
+    } catch (error) {
+        const fields = error.details?.fields;
+        errorMsg.textContent = fields ? fields.map(field => `${field.field} ${field.message}`).join('; ') : (error.message || 'Failed to save category');
+        errorMsg.classList.add('show');
+    } finally {
+        submitBtn.disabled = false;
     }
 });
 
-async function deleteProduct(productId) {
-    if (!confirm('Are you sure you want to delete this product?')) return;
-
+async function deleteCategory(slug) {
+    const category = categoryCatalog.find(c => c.slug === slug);
+    if (!confirm(`Delete category "${category ? category.name : slug}"? This cannot be undone.`)) {
+        return;
+    }
     try {
-        // Remove from create queue if it's a new item
-        pendingChanges.products.create = pendingChanges.products.create.filter(p => p.id !== productId);
-        
-        // Remove from update queue
-        pendingChanges.products.update = pendingChanges.products.update.filter(p => p.id !== productId);
-        
-        // Add to delete queue (if not already there)
-        if (!pendingChanges.products.delete.includes(productId) && !productId.startsWith('temp_')) {
-            pendingChanges.products.delete.push(productId);
-        }
-        
-        showNotification('Product marked for deletion. Click "Save All Changes" to commit.', 'info');
-        loadProducts();
-        updatePendingCount();
+        await apiCall(`/categories?slug=${encodeURIComponent(slug)}`, 'DELETE', null, 0, { 'If-Match': responseETags['/categories'] });
+        showNotification(`Category "${category ? category.name : slug}" deleted`, 'success');
+        await loadCategories();
+        renderProducts();
     } catch (error) {
-        showNotification('Error deleting product', 'error');
+        showNotification('Error deleting category: ' + error.message, 'error');
     }
 }
 
-function editProduct(productId) {
-    openProductModal(productId);
+// Category choices in the product modal, subcategories indented under their parent
+// A product still filed under a category that is not in the taxonomy keeps it as a choice
+function populateProductCategorySelect(current = '') {
+    const select = document.getElementById('productCategory');
+    const options = orderedCategories().map(category => {
+        const indent = category.parent ? '&nbsp;&nbsp;&nbsp;&nbsp;' : '';
+        return `<option value="${escapeHtml(category.slug)}">${indent}${escapeHtml(category.name)}</option>`;
+    });
+    if (current && !categoryCatalog.some(category => category.slug === current)) {
+        options.push(`<option value="${escapeHtml(current)}">${escapeHtml(current)} (not in catalog)</option>`);
+    }
+    select.innerHTML = '<option value="">Select a category</option>' + options.join('');
 }
 
 // Gallery Management
@@ -1111,29 +2534,34 @@ async function loadGallery() {
     try {
         const gallery = await apiCall('/gallery');
         originalData.gallery = JSON.parse(JSON.stringify(gallery)); // Deep copy
-        
-        const displayGallery = getDisplayGallery();
-        const container = document.getElementById('galleryList');
-        container.innerHTML = '';
-
-        if (displayGallery.length === 0) {
-            container.innerHTML = '<p>No gallery images found. Add your first image!</p>';
-            return;
-        }
-
-        displayGallery.forEach(item => {
-            const card = createGalleryCard(item);
-            container.appendChild(card);
-        });
-        
-        // Apply role-based access after loading
-        applyRoleBasedAccess();
+        trackDataVersion('gallery', '/gallery');
+        renderGallery();
     } catch (error) {
         document.getElementById('galleryList').innerHTML = 
             '<p class="error">Error loading gallery. Make sure API is configured.</p>';
     }
 }
 
+// Show the gallery images with pending changes applied
+function renderGallery() {
+    const displayGallery = getDisplayGallery();
+    const container = document.getElementById('galleryList');
+    container.innerHTML = '';
+
+    if (displayGallery.length === 0) {
+        container.innerHTML = '<p>No gallery images found. Add your first image!</p>';
+        return;
+    }
+
+    displayGallery.forEach(item => {
+        const card = createGalleryCard(item);
+        container.appendChild(card);
+    });
+    
+    // Apply role-based access after loading
+    applyRoleBasedAccess();
+}
+
 function getDisplayGallery() {
     let gallery = JSON.parse(JSON.stringify(originalData.gallery));
     
@@ -1153,13 +2581,12 @@ function getDisplayGallery() {
 function createGalleryCard(item) {
     const card = document.createElement('div');
     card.className = 'item-card';
-    const canEdit = hasPermission('edit');
+    const canEdit = hasPermission('gallery:write');
     const itemId = escapeHtml(String(item.id));
     const disabledAttr = canEdit ? '' : 'disabled';
     const disabledClass = canEdit ? '' : 'disabled-btn';
     const disabledStyle = canEdit ? '' : 'style="opacity: 0.5; cursor: not-allowed;"';
-    const role = getUserRole();
-    const disabledTitle = canEdit ? '' : `title="${role === 'viewer' ? 'Viewer' : 'Editor'} role: Editing not allowed"`;
+    const disabledTitle = canEdit ? '' : `title="${editingNotAllowedTitle()}"`;
     
     const actionsHTML = `
         <div class="item-card-actions">
@@ -1200,6 +2627,7 @@ function openGalleryModal(itemId = null) {
         document.getElementById('galleryId').value = '';
     }
 
+    renderFieldErrors('gallery', itemId);
     modal.classList.add('active');
 }
 
@@ -1225,8 +2653,12 @@ document.getElementById('galleryForm')?.addEventListener('submit', async (e) =>
     uploadedImages.gallery = null;
 
     try {
-        if (itemId) {
-            pendingChanges.gallery.create = pendingChanges.gallery.create.filter(g => g.id !== itemId);
+        clearRecordErrors('gallery', itemId);
+        const createIndex = pendingChanges.gallery.create.findIndex(g => g.id === itemId);
+        if (itemId && createIndex !== -1) {
+            pendingChanges.gallery.create[createIndex] = { ...galleryData, id: itemId };
+            showNotification('Gallery changes saved locally. Click "Save All Changes" to commit.', 'info');
+        } else if (itemId) {
             const existingUpdateIndex = pendingChanges.gallery.update.findIndex(g => g.id === itemId);
             if (existingUpdateIndex !== -1) {
                 pendingChanges.gallery.update[existingUpdateIndex] = { ...galleryData, id: itemId };
@@ -1278,29 +2710,34 @@ async function loadHeroImages() {
     try {
         const heroes = await apiCall('/hero');
         originalData.hero = JSON.parse(JSON.stringify(heroes)); // Deep copy
-        
-        const displayHeroes = getDisplayHeroes();
-        const container = document.getElementById('heroList');
-        container.innerHTML = '';
-
-        if (displayHeroes.length === 0) {
-            container.innerHTML = '<p>No hero images found. Add your first hero image!</p>';
-            return;
-        }
-
-        displayHeroes.forEach(item => {
-            const card = createHeroCard(item);
-            container.appendChild(card);
-        });
-        
-        // Apply role-based access after loading
-        applyRoleBasedAccess();
+        trackDataVersion('hero', '/hero');
+        renderHeroImages();
     } catch (error) {
         document.getElementById('heroList').innerHTML = 
             '<p class="error">Error loading hero images. Make sure API is configured.</p>';
     }
 }
 
+// Show the hero images with pending changes applied
+function renderHeroImages() {
+    const displayHeroes = getDisplayHeroes();
+    const container = document.getElementById('heroList');
+    container.innerHTML = '';
+
+    if (displayHeroes.length === 0) {
+        container.innerHTML = '<p>No hero images found. Add your first hero image!</p>';
+        return;
+    }
+
+    displayHeroes.forEach(item => {
+        const card = createHeroCard(item);
+        container.appendChild(card);
+    });
+    
+    // Apply role-based access after loading
+    applyRoleBasedAccess();
+}
+
 function getDisplayHeroes() {
     let heroes = JSON.parse(JSON.stringify(originalData.hero));
     
@@ -1320,13 +2757,12 @@ function getDisplayHeroes() {
 function createHeroCard(item) {
     const card = document.createElement('div');
     card.className = 'item-card';
-    const canEdit = hasPermission('edit');
+    const canEdit = hasPermission('hero:write');
     const itemId = escapeHtml(String(item.id));
     const disabledAttr = canEdit ? '' : 'disabled';
     const disabledClass = canEdit ? '' : 'disabled-btn';
     const disabledStyle = canEdit ? '' : 'style="opacity: 0.5; cursor: not-allowed;"';
-    const role = getUserRole();
-    const disabledTitle = canEdit ? '' : `title="${role === 'viewer' ? 'Viewer' : 'Editor'} role: Editing not allowed"`;
+    const disabledTitle = canEdit ? '' : `title="${editingNotAllowedTitle()}"`;
     
     const actionsHTML = `
         <div class="item-card-actions">
@@ -1366,6 +2802,7 @@ function openHeroModal(itemId = null) {
         document.getElementById('heroId').value = '';
     }
 
+    renderFieldErrors('hero', itemId);
     modal.classList.add('active');
 }
 
@@ -1390,8 +2827,12 @@ document.getElementById('heroForm')?.addEventListener('submit', async (e) => {
     uploadedImages.hero = null;
 
     try {
-        if (itemId) {
-            pendingChanges.hero.create = pendingChanges.hero.create.filter(h => h.id !== itemId);
+        clearRecordErrors('hero', itemId);
+        const createIndex = pendingChanges.hero.create.findIndex(h => h.id === itemId);
+        if (itemId && createIndex !== -1) {
+            pendingChanges.hero.create[createIndex] = { ...heroData, id: itemId };
+            showNotification('Hero image changes saved locally. Click "Save All Changes" to commit.', 'info');
+        } else if (itemId) {
             const existingUpdateIndex = pendingChanges.hero.update.findIndex(h => h.id === itemId);
             if (existingUpdateIndex !== -1) {
                 pendingChanges.hero.update[existingUpdateIndex] = { ...heroData, id: itemId };
@@ -1438,6 +2879,7 @@ async function loadContent() {
         let content = null;
         try {
             content = await apiCall('/data?action=content');
+            trackDataVersion('content', '/data?action=content');
         } catch (apiError) {
             // Fall back to localStorage if API fails
             const savedContent = localStorage.getItem('site_content');
@@ -1632,6 +3074,7 @@ document.getElementById('contentForm')?.addEventListener('submit', async (e) =>
     uploadedImages.favicon = null;
 
     try {
+        clearRecordErrors('content', 'content');
         pendingChanges.content.update = contentData;
         showNotification('Content changes saved locally. Click "Save All Changes" to commit.', 'info');
         updatePendingCount();
@@ -1640,6 +3083,117 @@ document.getElementById('contentForm')?.addEventListener('submit', async (e) =>
     }
 });
 
+// Inline validation errors
+
+// Field errors from the last rejected save, keyed by "<section>:<record id>"
+let validationErrors = {};
+
+// Form and input for each field the server validates
+const FORM_FIELDS = {
+    products: {
+        form: 'productForm',
+        open: id => openProductModal(id),
+        fields: {
+            name: 'productName', category: 'productCategory', price: 'productPrice', mrp: 'productMrp',
+            discount: 'productDiscountType', 'discount.value': 'productDiscountValue',
+            'discount.startsAt': 'productDiscountStart', 'discount.endsAt': 'productDiscountEnd',
+            quantity: 'productQuantity', madeToOrder: 'productMadeToOrder',
+            images: 'productImagesContainer', image: 'productImagesContainer', alt: 'productAlt', variants: 'productVariantsContainer',
+            attributes: 'productAttributesContainer'
+        }
+    },
+    gallery: {
+        form: 'galleryForm',
+        open: id => openGalleryModal(id),
+        fields: { image: 'galleryImage', alt: 'galleryAlt' }
+    },
+    hero: {
+        form: 'heroForm',
+        open: id => openHeroModal(id),
+        fields: { image: 'heroImage' }
+    },
+    content: {
+        form: 'contentForm',
+        open: () => document.querySelector('.nav-tab[data-tab="content"]')?.click(),
+        fields: {
+            siteName: 'siteName', pageTitle: 'pageTitle', metaDescription: 'metaDescription',
+            logo: 'logoUrl', favicon: 'faviconUrl',
+            footerCompanyName: 'footerCompanyName', copyrightText: 'copyrightText',
+            designerLink: 'designerLink', designerName: 'designerName',
+            'hero.title': 'heroTitle', 'hero.subtitle': 'heroSubtitle', features: 'featuresForm',
+            'social.facebook': 'socialFacebook', 'social.instagram': 'socialInstagram', 'social.twitter': 'socialTwitter',
+            'social.youtube': 'socialYouTube', 'social.pinterest': 'socialPinterest',
+            about: 'aboutText', email: 'contactEmail', phone: 'contactPhone', whatsapp: 'whatsappNumber'
+        }
+    },
+    users: {
+        form: 'userForm',
+        open: username => openUserModal(username),
+        fields: { username: 'userName', password: 'userPassword', email: 'userEmail', role: 'userRole' }
+    }
+};
+
+// Map a 422 response back onto the queued records and show the first one that needs fixing
+function showValidationErrors(fields) {
+    validationErrors = {};
+    
+    fields.forEach(error => {
+        let recordId = error.id;
+        if (error.op === 'create') {
+            const item = pendingChanges[error.entity].create[error.index];
+            recordId = item && (error.entity === 'users' ? item.username : item.id);
+        }
+        const key = `${error.entity}:${recordId}`;
+        (validationErrors[key] = validationErrors[key] || []).push(error);
+    });
+    
+    const count = Object.keys(validationErrors).length;
+    showNotification(`${count} change(s) need fixing before they can be saved. Your pending changes were kept.`, 'error');
+    
+    const [firstKey] = Object.keys(validationErrors);
+    if (firstKey) {
+        const separator = firstKey.indexOf(':');
+        const section = firstKey.slice(0, separator);
+        const recordId = firstKey.slice(separator + 1);
+        if (FORM_FIELDS[section]) {
+            FORM_FIELDS[section].open(recordId);
+            if (section === 'content') {
+                renderFieldErrors('content', 'content');
+            }
+        }
+    }
+}
+
+function clearRecordErrors(section, recordId) {
+    delete validationErrors[`${section}:${recordId}`];
+}
+
+// Show the stored errors for a record next to the matching inputs of its form
+function renderFieldErrors(section, recordId) {
+    const config = FORM_FIELDS[section];
+    const form = document.getElementById(config.form);
+    if (!form) return;
+    
+    form.querySelectorAll('.field-error').forEach(el => el.remove());
+    form.querySelectorAll('.input-error').forEach(el => el.classList.remove('input-error'));
+    
+    const errors = validationErrors[`${section}:${recordId}`] || [];
+    errors.forEach(error => {
+        // Nested paths such as features[2].title fall back to their top-level field
+        const inputId = config.fields[error.field] || config.fields[error.field.split(/[.[]/)[0]];
+        const input = inputId ? document.getElementById(inputId) : null;
+        const target = input ? input.closest('.form-group') || input.parentElement : form;
+        
+        if (input) {
+            input.classList.add('input-error');
+        }
+        const message = document.createElement('small');
+        message.className = 'field-error';
+        message.textContent = input ? error.message : `${error.field} ${error.message}`;
+        target.appendChild(message);
+    });
+}
+
 // Modal functions
 function closeModal(modalId) {
     document.getElementById(modalId).classList.remove('active');
@@ -1754,24 +3308,28 @@ function setupEventListeners() {
     document.getElementById('discardAllBtn')?.addEventListener('click', discardAllChanges);
     // Confirm Save button in preview modal
     document.getElementById('confirmSaveBtn')?.addEventListener('click', confirmAndSave);
+    document.getElementById('resolveConflictsBtn')?.addEventListener('click', resolveConflictsAndSave);
     
     // Search functionality
     document.getElementById('searchProducts')?.addEventListener('input', filterProducts);
+    document.getElementById('productStockFilter')?.addEventListener('change', filterProducts);
     document.getElementById('searchGallery')?.addEventListener('input', filterGallery);
     document.getElementById('searchUsers')?.addEventListener('input', filterUsers);
 }
 
-// Filter Products
-function filterProducts(e) {
-    const searchTerm = e.target.value.toLowerCase().trim();
+// Filter Products by search term and stock level
+function filterProducts() {
+    const searchTerm = (document.getElementById('searchProducts')?.value || '').toLowerCase().trim();
+    const stock = document.getElementById('productStockFilter')?.value || '';
     const productCards = document.querySelectorAll('#productsList .item-card');
     
     productCards.forEach(card => {
         const name = card.querySelector('.item-card-title')?.textContent.toLowerCase() || '';
         const category = card.querySelector('.item-card-info')?.textContent.toLowerCase() || '';
         const matches = name.includes(searchTerm) || category.includes(searchTerm);
+        const inStockFilter = !stock || (card.dataset.stock || '').split(' ').includes(stock);
         
-        card.style.display = matches ? '' : 'none';
+        card.style.display = matches && inStockFilter ? '' : 'none';
     });
 }
 
@@ -1835,7 +3393,9 @@ function updatePendingCount() {
 function saveToLocalStorage() {
     try {
         localStorage.setItem('admin_pending_changes', JSON.stringify(pendingChanges));
+        localStorage.setItem('admin_pending_versions', JSON.stringify(dataVersions));
         localStorage.setItem('admin_pending_timestamp', new Date().toISOString());
+        localStorage.setItem('admin_pending_base', JSON.stringify(baseData));
     } catch (error) {
         console.error('Error saving to localStorage:', error);
     }
@@ -1855,6 +3415,16 @@ function restoreFromLocalStorage() {
             if (hoursSince < 24) {
                 const parsed = JSON.parse(savedChanges);
                 Object.assign(pendingChanges, parsed);
+                
+                // Restored edits are still based on the versions they were made against
+                const savedVersions = localStorage.getItem('admin_pending_versions');
+                if (savedVersions) {
+                    Object.assign(dataVersions, JSON.parse(savedVersions));
+                }
+                const savedBase = localStorage.getItem('admin_pending_base');
+                if (savedBase) {
+                    Object.assign(baseData, JSON.parse(savedBase));
+                }
                 updatePendingCount();
                 
                 if (Object.values(parsed).some(v => v && (Array.isArray(v.create) ? v.create.length > 0 : v))) {
@@ -1874,7 +3444,9 @@ function restoreFromLocalStorage() {
 function clearLocalStorage() {
     try {
         localStorage.removeItem('admin_pending_changes');
+        localStorage.removeItem('admin_pending_versions');
         localStorage.removeItem('admin_pending_timestamp');
+        localStorage.removeItem('admin_pending_base');
     } catch (error) {
         console.error('Error clearing localStorage:', error);
     }
@@ -1990,10 +3562,27 @@ async function discardAllChanges() {
     await loadData();
 }
 
+// Take a successful batch save into the local copy of the data without reloading it
+// Each saved section is replaced by the records the server stored, which carry their real IDs
+// and the fields the server works out (pricing, stock status), and moves to its new version,
+// so editing can go on straight away
+function applySavedBatch(result) {
+    const { versions = {}, records = {} } = result;
+    
+    ['products', 'gallery', 'hero', 'content'].forEach(section => {
+        if (!versions[section] || records[section] === undefined) return;
+        originalData[section] = records[section];
+        dataVersions[section] = versions[section];
+        baseData[section] = JSON.parse(JSON.stringify(originalData[section]));
+    });
+}
+
 // Save all pending changes in a single batch commit
-async function saveAllChanges() {
+// confirmShrink: the editor agreed to a save that removes most of a collection
+async function saveAllChanges({ confirmShrink = false } = {}) {
     const saveBtn = document.getElementById('saveAllBtn');
     const originalText = saveBtn.innerHTML;
+    let shrinkConfirmed = false;
     
     saveBtn.disabled = true;
     saveBtn.innerHTML = '<i class="fas fa-spinner fa-spin"></i> Saving...';
@@ -2007,10 +3596,8 @@ async function saveAllChanges() {
             pendingChanges.products.update.length > 0 || 
             pendingChanges.products.delete.length > 0) {
             batchData.products = {
-                create: pendingChanges.products.create.map(item => {
-                    const { id, ...itemData } = item; // Remove temp ID
-                    return itemData;
-                }),
+                // New items keep their temp ID so the server can report their real ID
+                create: pendingChanges.products.create,
                 update: pendingChanges.products.update,
                 delete: pendingChanges.products.delete.filter(id => !id.startsWith('temp_'))
             };
@@ -2021,10 +3608,8 @@ async function saveAllChanges() {
             pendingChanges.gallery.update.length > 0 || 
             pendingChanges.gallery.delete.length > 0) {
             batchData.gallery = {
-                create: pendingChanges.gallery.create.map(item => {
-                    const { id, ...itemData } = item; // Remove temp ID
-                    return itemData;
-                }),
+                // New items keep their temp ID so the server can report their real ID
+                create: pendingChanges.gallery.create,
                 update: pendingChanges.gallery.update,
                 delete: pendingChanges.gallery.delete.filter(id => !id.startsWith('temp_'))
             };
@@ -2035,83 +3620,572 @@ async function saveAllChanges() {
             pendingChanges.hero.update.length > 0 || 
             pendingChanges.hero.delete.length > 0) {
             batchData.hero = {
-                create: pendingChanges.hero.create.map(item => {
-                    const { id, ...itemData } = item; // Remove temp ID
-                    return itemData;
-                }),
+                // New items keep their temp ID so the server can report their real ID
+                create: pendingChanges.hero.create,
                 update: pendingChanges.hero.update,
                 delete: pendingChanges.hero.delete.filter(id => !id.startsWith('temp_'))
             };
         }
         
-        // Content
-        if (pendingChanges.content.update) {
-            batchData.content = {
-                update: pendingChanges.content.update
-            };
+        // Content
+        if (pendingChanges.content.update) {
+            batchData.content = {
+                update: pendingChanges.content.update
+            };
+        }
+        
+        // Users
+        if (pendingChanges.users.create.length > 0 || 
+            pendingChanges.users.update.length > 0 || 
+            pendingChanges.users.delete.length > 0) {
+            batchData.users = {
+                create: pendingChanges.users.create,
+                update: pendingChanges.users.update,
+                delete: pendingChanges.users.delete
+            };
+        }
+        
+        // Optional note from the preview modal, saved as the body of the commit message
+        const changeNote = document.getElementById('changeNote')?.value.trim();
+        if (changeNote) {
+            batchData.note = changeNote;
+        }
+        if (confirmShrink) {
+            batchData.confirmShrink = true;
+        }
+        
+        // Send the versions the changes are based on so the server can reject stale saves
+        const ifMatch = Object.keys(batchData)
+            .filter(section => section in dataVersions && dataVersions[section])
+            .map(section => dataVersions[section])
+            .join(', ');
+        
+        // Send batch request
+        try {
+            const result = await apiCall('/data?action=batch', 'POST', batchData, 0, ifMatch ? { 'If-Match': ifMatch } : {});
+            
+            // Save content to localStorage as fallback (for main page to read)
+            if (pendingChanges.content.update) {
+                try {
+                    // Merge with existing content to preserve all fields
+                    const existingContent = originalData.content || {};
+                    const mergedContent = { ...existingContent, ...pendingChanges.content.update };
+                    localStorage.setItem('site_content', JSON.stringify(mergedContent));
+                } catch (e) {
+                    console.error('Error saving to localStorage:', e);
+                }
+            }
+            
+            // Take the saved changes into the local copy of the data, then clear them
+            applySavedBatch(result);
+            pendingChanges.products = { create: [], update: [], delete: [] };
+            pendingChanges.gallery = { create: [], update: [], delete: [] };
+            pendingChanges.hero = { create: [], update: [], delete: [] };
+            pendingChanges.users = { create: [], update: [], delete: [] };
+            pendingChanges.content.update = null;
+            
+            const changeNoteInput = document.getElementById('changeNote');
+            if (changeNoteInput) changeNoteInput.value = '';
+            
+            updatePendingCount();
+            showNotification('All changes saved successfully in a single commit!', 'success');
+            
+            // Show the saved state; users are reloaded since the server fills in their accounts
+            renderProducts();
+            renderGallery();
+            renderHeroImages();
+            if (batchData.users) {
+                await loadUsers();
+            }
+        } catch (apiError) {
+            // Keep the queue so nothing is lost; it stays backed up in localStorage
+            if (apiError.code === 'VERSION_CONFLICT' && apiError.details.conflicts) {
+                showConflictModal(apiError.details.conflicts);
+                return;
+            }
+            if (apiError.code === 'VALIDATION_FAILED') {
+                showValidationErrors(apiError.details.fields);
+                return;
+            }
+            if (apiError.code === 'SHRINK_CONFIRMATION_REQUIRED') {
+                shrinkConfirmed = confirm(`${apiError.message}\n\nOnly continue if you meant to delete that many items.`);
+                return;
+            }
+            console.error('API save failed, pending changes kept:', apiError);
+            showNotification('Error saving changes: ' + apiErrorMessage(apiError) + '. Your pending changes were kept.', 'error');
+        }
+        
+    } catch (error) {
+        console.error('Error saving changes:', error);
+        showNotification('Error saving changes: ' + error.message, 'error');
+    } finally {
+        saveBtn.disabled = false;
+        saveBtn.innerHTML = originalText;
+        // Send the same save again, confirmed, once the button is back to normal
+        if (shrinkConfirmed) {
+            await saveAllChanges({ confirmShrink: true });
+        }
+    }
+}
+
+// Conflict Resolution
+
+// Conflicts from the last failed save, keyed by section
+let activeConflicts = {};
+
+const CONFLICT_SECTIONS = {
+    products: { label: 'Product', icon: 'fa-box' },
+    gallery: { label: 'Gallery image', icon: 'fa-images' },
+    hero: { label: 'Hero image', icon: 'fa-image' },
+    content: { label: 'Site content', icon: 'fa-file-alt' }
+};
+
+// Fields the server maintains itself, never offered for merging
+const CONFLICT_IGNORED_FIELDS = ['id', 'createdAt', 'updatedAt', 'stockStatus', 'pricing'];
+
+function sameValue(a, b) {
+    return JSON.stringify(a === undefined ? null : a) === JSON.stringify(b === undefined ? null : b);
+}
+
+function formatConflictValue(value) {
+    if (value === undefined || value === null || value === '') {
+        return '<span class="conflict-empty">—</span>';
+    }
+    let text = typeof value === 'string' ? value : JSON.stringify(value);
+    if (text.length > 120) {
+        text = text.slice(0, 117) + '...';
+    }
+    return escapeHtml(text);
+}
+
+// Pair every conflicting record with the editor's pending change and the version it was based on
+function describeConflicts(conflicts) {
+    const items = [];
+    
+    Object.entries(conflicts).forEach(([section, entry]) => {
+        if (!CONFLICT_SECTIONS[section]) return;
+        
+        (entry.records || []).forEach(record => {
+            const theirs = record.current;
+            
+            if (section === 'content') {
+                items.push({ section, id: 'content', kind: 'update', original: baseData.content, theirs, mine: pendingChanges.content.update });
+                return;
+            }
+            
+            const original = (baseData[section] || []).find(item => item.id === record.id) || null;
+            const mine = pendingChanges[section].update.find(item => item.id === record.id);
+            
+            if (mine) {
+                items.push({ section, id: record.id, kind: theirs ? 'update' : 'theirs-deleted', original, theirs, mine });
+            } else if (pendingChanges[section].delete.includes(record.id) && theirs) {
+                items.push({ section, id: record.id, kind: 'mine-deleted', original, theirs, mine: null });
+            }
+        });
+    });
+    
+    return items;
+}
+
+function conflictFields(item) {
+    const keys = new Set([...Object.keys(item.theirs || {}), ...Object.keys(item.mine || {})]);
+    return [...keys].filter(key =>
+        !CONFLICT_IGNORED_FIELDS.includes(key) &&
+        key in item.mine &&
+        !sameValue(item.mine[key], item.theirs[key])
+    );
+}
+
+function recordTitle(item) {
+    const record = item.mine || item.theirs || item.original || {};
+    const name = record.name || record.alt || record.title || item.id;
+    return `${CONFLICT_SECTIONS[item.section].label}: ${escapeHtml(name)}`;
+}
+
+function renderConflictItem(item, index) {
+    let html = `<div class="conflict-record" data-index="${index}">`;
+    html += `<h4 class="conflict-record-title"><i class="fas ${CONFLICT_SECTIONS[item.section].icon}"></i> ${recordTitle(item)}</h4>`;
+    
+    if (item.kind === 'theirs-deleted') {
+        html += '<p class="conflict-note">Someone else deleted this record after you edited it.</p>';
+        html += `<label class="conflict-choice"><input type="radio" name="conflict_${index}" value="theirs" checked> Accept their deletion</label>`;
+        html += `<label class="conflict-choice"><input type="radio" name="conflict_${index}" value="mine"> Keep my version as a new record</label>`;
+        return html + '</div>';
+    }
+    
+    if (item.kind === 'mine-deleted') {
+        html += '<p class="conflict-note">You deleted this record, but someone else changed it in the meantime.</p>';
+        html += `<label class="conflict-choice"><input type="radio" name="conflict_${index}" value="mine" checked> Delete it anyway</label>`;
+        html += `<label class="conflict-choice"><input type="radio" name="conflict_${index}" value="theirs"> Keep their version</label>`;
+        return html + '</div>';
+    }
+    
+    const fields = conflictFields(item);
+    if (fields.length === 0) {
+        html += '<p class="conflict-note">Their changes match yours. Nothing to resolve.</p>';
+        return html + '</div>';
+    }
+    
+    html += '<table class="conflict-table"><thead><tr><th>Field</th><th>Original</th><th>Theirs</th><th>Mine</th></tr></thead><tbody>';
+    fields.forEach(field => {
+        const original = item.original ? item.original[field] : undefined;
+        const theyChanged = !sameValue(item.theirs[field], original);
+        const iChanged = !sameValue(item.mine[field], original);
+        // Take whichever side actually changed the field; when both did, default to mine
+        const pick = iChanged || !theyChanged ? 'mine' : 'theirs';
+        const rowClass = theyChanged && iChanged ? ' class="conflict-both"' : '';
+        
+        html += `<tr${rowClass}>`;
+        html += `<td class="conflict-field">${escapeHtml(field)}</td>`;
+        html += `<td>${formatConflictValue(original)}</td>`;
+        html += `<td><label class="conflict-choice"><input type="radio" name="conflict_${index}_${escapeHtml(field)}" value="theirs"${pick === 'theirs' ? ' checked' : ''}> ${formatConflictValue(item.theirs[field])}</label></td>`;
+        html += `<td><label class="conflict-choice"><input type="radio" name="conflict_${index}_${escapeHtml(field)}" value="mine"${pick === 'mine' ? ' checked' : ''}> ${formatConflictValue(item.mine[field])}</label></td>`;
+        html += '</tr>';
+    });
+    html += '</tbody></table>';
+    
+    return html + '</div>';
+}
+
+// Show a three-way view of every record that changed on the server since it was loaded
+function showConflictModal(conflicts) {
+    activeConflicts = conflicts;
+    const items = describeConflicts(conflicts);
+    const container = document.getElementById('conflictContent');
+    
+    if (items.length === 0) {
+        container.innerHTML = '<p class="preview-empty">Someone else saved changes, but none of them touch the records you edited. Save again to apply yours on top.</p>';
+    } else {
+        container.innerHTML = items.map((item, index) => renderConflictItem(item, index)).join('');
+    }
+    
+    container.dataset.count = items.length;
+    document.getElementById('conflictModal').classList.add('active');
+}
+
+function readConflictChoice(name) {
+    const input = document.querySelector(`#conflictContent input[name="${CSS.escape(name)}"]:checked`);
+    return input ? input.value : 'mine';
+}
+
+// Apply the editor's choices to the pending queue, rebase it on the server version and save again
+async function resolveConflictsAndSave() {
+    const items = describeConflicts(activeConflicts);
+    
+    items.forEach((item, index) => {
+        const section = item.section;
+        
+        if (item.kind === 'theirs-deleted') {
+            pendingChanges[section].update = pendingChanges[section].update.filter(u => u.id !== item.id);
+            if (readConflictChoice(`conflict_${index}`) === 'mine') {
+                const { id, ...data } = { ...item.original, ...item.mine };
+                pendingChanges[section].create.push({ ...data, id: 'temp_' + Date.now() + '_' + index });
+            }
+            return;
+        }
+        
+        if (item.kind === 'mine-deleted') {
+            if (readConflictChoice(`conflict_${index}`) === 'theirs') {
+                pendingChanges[section].delete = pendingChanges[section].delete.filter(id => id !== item.id);
+            }
+            return;
+        }
+        
+        const merged = { ...item.mine };
+        conflictFields(item).forEach(field => {
+            if (readConflictChoice(`conflict_${index}_${field}`) === 'theirs') {
+                if (field in item.theirs) {
+                    merged[field] = item.theirs[field];
+                } else {
+                    delete merged[field];
+                }
+            }
+        });
+        
+        if (section === 'content') {
+            pendingChanges.content.update = merged;
+        } else {
+            const updateIndex = pendingChanges[section].update.findIndex(u => u.id === item.id);
+            pendingChanges[section].update[updateIndex] = merged;
+        }
+    });
+    
+    Object.entries(activeConflicts).forEach(([section, entry]) => {
+        if (!CONFLICT_SECTIONS[section]) return;
+        
+        // Records deleted on both sides need no further action
+        if (section !== 'content') {
+            const goneIds = (entry.records || []).filter(r => !r.current).map(r => r.id);
+            pendingChanges[section].delete = pendingChanges[section].delete.filter(id => !goneIds.includes(id));
+        }
+        
+        // A conflict without records came from a save that raced another one; the next
+        // attempt reports the touched records, so only rebase once they have been reviewed
+        const touched = section === 'content' ||
+            pendingChanges[section].update.length > 0 ||
+            pendingChanges[section].delete.some(id => !id.startsWith('temp_'));
+        if ((entry.records || []).length === 0 && touched) {
+            return;
+        }
+        
+        dataVersions[section] = `"${entry.version}"`;
+        (entry.records || []).forEach(record => {
+            if (section === 'content') {
+                baseData.content = record.current || {};
+                return;
+            }
+            baseData[section] = baseData[section].filter(item => item.id !== record.id);
+            if (record.current) {
+                baseData[section].push(record.current);
+            }
+        });
+    });
+    
+    activeConflicts = {};
+    updatePendingCount();
+    closeModal('conflictModal');
+    
+    if (!Object.keys(pendingChanges).some(section => hasPendingChanges(section))) {
+        showNotification('Nothing left to save after resolving conflicts.', 'info');
+        await loadData();
+        return;
+    }
+    
+    await saveAllChanges();
+}
+
+// Version History
+
+// Current version of each section when the history was loaded, sent as If-Match when restoring
+let historyVersions = {};
+
+const HISTORY_SECTIONS = {
+    products: 'Products',
+    gallery: 'Gallery',
+    hero: 'Hero Images',
+    content: 'Content'
+};
+
+async function loadHistory() {
+    const container = document.getElementById('historyList');
+    container.innerHTML = '<p><i class="fas fa-spinner fa-spin"></i> Loading history...</p>';
+    
+    try {
+        const response = await apiCall('/data?action=history');
+        historyVersions = response.versions || {};
+        const entries = response.entries || [];
+        
+        if (entries.length === 0) {
+            container.innerHTML = '<p>No saved versions yet.</p>';
+            return;
         }
         
-        // Users
-        if (pendingChanges.users.create.length > 0 || 
-            pendingChanges.users.update.length > 0 || 
-            pendingChanges.users.delete.length > 0) {
-            batchData.users = {
-                create: pendingChanges.users.create,
-                update: pendingChanges.users.update,
-                delete: pendingChanges.users.delete
-            };
+        container.innerHTML = '';
+        entries.forEach((entry, index) => {
+            container.appendChild(createHistoryEntry(entry, index === 0));
+        });
+    } catch (error) {
+        container.innerHTML = '<p class="error">Error loading history.</p>';
+    }
+}
+
+function createHistoryEntry(entry, isLatest) {
+    const item = document.createElement('div');
+    item.className = 'history-entry';
+    
+    const date = entry.date ? new Date(entry.date).toLocaleString() : 'Unknown date';
+    const author = escapeHtml(entry.author || 'Unknown');
+    const [subject, ...body] = (entry.message || '').split('\n');
+    const message = escapeHtml(subject);
+    const note = escapeHtml(body.join('\n').trim());
+    const version = escapeHtml(entry.id);
+    
+    let changes = '';
+    Object.entries(entry.changes || {}).forEach(([section, stats]) => {
+        if (!HISTORY_SECTIONS[section]) return;
+        changes += `<span class="history-change">${HISTORY_SECTIONS[section]} <span class="preview-create">+${stats.additions}</span> <span class="preview-delete">−${stats.deletions}</span></span>`;
+    });
+    
+    let actions = '';
+    if (!isLatest) {
+        Object.keys(entry.changes || {}).forEach(section => {
+            if (!HISTORY_SECTIONS[section]) return;
+            const disabled = hasPermission(TAB_PERMISSIONS[section]) ? '' : `disabled style="opacity: 0.5; cursor: not-allowed;" title="${editingNotAllowedTitle()}"`;
+            actions += `<button class="btn btn-secondary" ${disabled} onclick="revertToVersion('${section}', '${version}')">
+                <i class="fas fa-undo"></i> Restore ${HISTORY_SECTIONS[section]}
+            </button>`;
+        });
+    }
+    
+    item.innerHTML = `
+        <div class="history-entry-header">
+            <span class="history-date"><i class="fas fa-clock"></i> ${escapeHtml(date)}</span>
+            <span class="history-author"><i class="fas fa-user"></i> ${author}</span>
+            <code class="history-version">${version.slice(0, 7)}</code>
+            ${isLatest ? '<span class="history-current">Current</span>' : ''}
+        </div>
+        <div class="history-message">${message}</div>
+        ${note ? `<div class="history-note">${note}</div>` : ''}
+        <div class="history-changes">${changes}</div>
+        ${actions ? `<div class="item-card-actions">${actions}</div>` : ''}
+    `;
+    return item;
+}
+
+async function revertToVersion(section, version, { confirmShrink = false } = {}) {
+    if (hasPendingChanges(section)) {
+        showNotification(`Save or discard your pending ${HISTORY_SECTIONS[section]} changes before restoring an older version.`, 'error');
+        return;
+    }
+    
+    if (!confirmShrink && !confirm(`Restore ${HISTORY_SECTIONS[section]} to version ${version.slice(0, 7)}? This is saved as a new version and can itself be undone.`)) {
+        return;
+    }
+    
+    try {
+        await apiCall('/data?action=revert', 'POST', { entity: section, version, confirmShrink }, 0, {
+            'If-Match': `"${historyVersions[section] || 'none'}"`
+        });
+        showNotification(`${HISTORY_SECTIONS[section]} restored to version ${version.slice(0, 7)}.`, 'success');
+        await loadData();
+    } catch (error) {
+        if (error.code === 'VERSION_CONFLICT') {
+            showNotification(`${HISTORY_SECTIONS[section]} changed since the history was loaded. Review the latest history and try again.`, 'error');
+        } else if (error.code === 'SHRINK_CONFIRMATION_REQUIRED') {
+            if (confirm(`${error.message}\n\nOnly continue if you meant to restore a version with that many fewer items.`)) {
+                return revertToVersion(section, version, { confirmShrink: true });
+            }
+        } else if (error.code === 'VALIDATION_FAILED') {
+            showNotification('This version cannot be restored: ' + apiErrorMessage(error), 'error');
+        } else {
+            showNotification('Error restoring version: ' + error.message, 'error');
         }
+    }
+    
+    await loadHistory();
+}
+
+// Activity Log
+const ACTIVITY_ENTITIES = {
+    products: 'Product',
+    inventory: 'Stock',
+    attributes: 'Attribute',
+    categories: 'Category',
+    gallery: 'Gallery image',
+    hero: 'Hero image',
+    content: 'Content',
+    media: 'Upload',
+    users: 'User',
+    roles: 'Role',
+    settings: 'Security settings'
+};
+
+function getActivityQuery() {
+    const params = new URLSearchParams({ action: 'audit' });
+    const filters = {
+        from: document.getElementById('activityFrom').value,
+        to: document.getElementById('activityTo').value,
+        actor: document.getElementById('activityActor').value.trim(),
+        entity: document.getElementById('activityEntity').value,
+        type: document.getElementById('activityType').value
+    };
+    Object.entries(filters).forEach(([name, value]) => {
+        if (value) params.set(name, value);
+    });
+    return params;
+}
+
+async function loadActivity() {
+    const container = document.getElementById('activityList');
+    container.innerHTML = '<p><i class="fas fa-spinner fa-spin"></i> Loading activity...</p>';
+    
+    try {
+        const response = await apiCall(`/data?${getActivityQuery()}`);
+        const events = response.events || [];
         
-        // Save content to localStorage as fallback (for main page to read)
-        if (pendingChanges.content.update) {
-            try {
-                // Merge with existing content to preserve all fields
-                const existingContent = originalData.content || {};
-                const mergedContent = { ...existingContent, ...pendingChanges.content.update };
-                localStorage.setItem('site_content', JSON.stringify(mergedContent));
-            } catch (e) {
-                console.error('Error saving to localStorage:', e);
-            }
+        if (events.length === 0) {
+            container.innerHTML = '<p>No activity matches these filters.</p>';
+            return;
         }
         
-        // Send batch request
-        try {
-            const result = await apiCall('/data?action=batch', 'POST', batchData);
-            
-            // Clear pending changes
-            pendingChanges.products = { create: [], update: [], delete: [] };
-            pendingChanges.gallery = { create: [], update: [], delete: [] };
-            pendingChanges.hero = { create: [], update: [], delete: [] };
-            pendingChanges.users = { create: [], update: [], delete: [] };
-            pendingChanges.content.update = null;
-            
-            updatePendingCount();
-            showNotification('All changes saved successfully in a single commit!', 'success');
-            
-            // Reload data to reflect changes
-            await loadData();
-        } catch (apiError) {
-            // If API call fails, still keep localStorage save (already done above)
-            console.error('API save failed, but changes saved to localStorage:', apiError);
-            showNotification('Changes saved locally. API unavailable, but main page will use saved content.', 'info');
-            
-            // Clear pending changes even if API failed (since we saved to localStorage)
-            pendingChanges.products = { create: [], update: [], delete: [] };
-            pendingChanges.gallery = { create: [], update: [], delete: [] };
-            pendingChanges.hero = { create: [], update: [], delete: [] };
-            pendingChanges.users = { create: [], update: [], delete: [] };
-            pendingChanges.content.update = null;
-            
-            updatePendingCount();
-            await loadData();
+        container.innerHTML = '';
+        events.forEach(event => container.appendChild(createActivityEntry(event)));
+    } catch (error) {
+        container.innerHTML = `<p class="error">Error loading activity: ${escapeHtml(error.message)}</p>`;
+    }
+}
+
+function formatActivityValue(value) {
+    if (value === null || value === undefined || value === '') {
+        return '<span class="activity-empty">(empty)</span>';
+    }
+    const text = typeof value === 'string' ? value : JSON.stringify(value);
+    return escapeHtml(text.length > 200 ? `${text.slice(0, 200)}…` : text);
+}
+
+function createActivityEntry(event) {
+    const item = document.createElement('div');
+    item.className = 'history-entry';
+    
+    const date = new Date(event.timestamp).toLocaleString();
+    const entity = ACTIVITY_ENTITIES[event.entity] || event.entity;
+    const target = event.entityId ? ` <code class="history-version">${escapeHtml(String(event.entityId))}</code>` : '';
+    // Stock adjustments say why they were made
+    const reason = event.details?.reason
+        ? ` <span class="activity-reason">${escapeHtml(event.details.reason)}${event.details.note ? `: ${escapeHtml(event.details.note)}` : ''}</span>`
+        : '';
+    
+    let changes = '';
+    if (event.changes && event.changes.length > 0) {
+        const rows = event.changes.map(change => `
+            <tr>
+                <td>${escapeHtml(change.field)}</td>
+                <td>${formatActivityValue(change.before)}</td>
+                <td>${formatActivityValue(change.after)}</td>
+            </tr>`).join('');
+        changes = `<table class="activity-changes">
+            <thead><tr><th>Field</th><th>Before</th><th>After</th></tr></thead>
+            <tbody>${rows}</tbody>
+        </table>`;
+    }
+    
+    item.innerHTML = `
+        <div class="history-entry-header">
+            <span class="history-date"><i class="fas fa-clock"></i> ${escapeHtml(date)}</span>
+            <span class="history-author"><i class="fas fa-user"></i> ${escapeHtml(event.actor)}${event.role ? ` (${escapeHtml(event.role)})` : ''}</span>
+            <span class="activity-ip"><i class="fas fa-network-wired"></i> ${escapeHtml(event.ip || 'unknown')}</span>
+        </div>
+        <div class="history-message"><span class="activity-action">${escapeHtml(event.action)}</span> ${escapeHtml(entity)}${target}${reason}</div>
+        ${changes}
+    `;
+    return item;
+}
+
+async function exportActivityCsv() {
+    const params = getActivityQuery();
+    params.set('format', 'csv');
+    
+    try {
+        const token = await getFreshToken();
+        const response = await fetch(`${API_BASE}/data?${params}`, {
+            headers: token ? { 'Authorization': `Bearer ${token}` } : {}
+        });
+        if (!response.ok) {
+            const data = await response.json().catch(() => ({}));
+            throw new Error(data.error || `Export failed (${response.status})`);
         }
         
+        const blob = await response.blob();
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `activity-${new Date().toISOString().slice(0, 10)}.csv`;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        URL.revokeObjectURL(url);
     } catch (error) {
-        console.error('Error saving changes:', error);
-        showNotification('Error saving changes: ' + error.message, 'error');
-    } finally {
-        saveBtn.disabled = false;
-        saveBtn.innerHTML = originalText;
+        showNotification(`Could not export activity: ${error.message}`, 'error');
     }
 }
 
@@ -2146,7 +4220,7 @@ function getDisplayUsers() {
 
 async function loadUsers() {
     // Only load users if user is admin
-    if (!hasPermission('manage_users')) {
+    if (!hasPermission('users:manage')) {
         const container = document.getElementById('usersList');
         if (container) {
             container.innerHTML = '';
@@ -2154,6 +4228,9 @@ async function loadUsers() {
         return;
     }
     
+    loadSecuritySettings();
+    loadRoles();
+    
     try {
         const response = await apiCall('/auth?action=users');
         originalData.users = JSON.parse(JSON.stringify(response.users || [])); // Deep copy
@@ -2208,7 +4285,17 @@ function createUserCard(user) {
             <div class="item-card-info">
                 <div>Role: ${userRole}</div>
                 <div>Email: ${userEmail}</div>
+                <div>2FA: ${user.twoFactorEnabled ? `On <button class="btn btn-secondary btn-sm" onclick="resetUserTwoFactor('${safeUsername}')"><i class="fas fa-redo"></i> Reset</button>` : 'Off'}</div>
             </div>
+            ${user.invited ? `
+                <div class="user-invited">
+                    <i class="fas fa-envelope"></i> Invitation pending
+                    <button class="btn btn-secondary btn-sm" onclick="resendInvitation('${safeUsername}')">
+                        <i class="fas fa-paper-plane"></i> Resend
+                    </button>
+                </div>
+            ` : ''}
+            ${renderLockoutStatus(user.lockout, safeUsername)}
             <div class="item-card-actions">
                 <button class="btn btn-primary ${editDisabledClass}" ${editDisabledAttr} ${editDisabledStyle} ${editTitle} onclick="${user.isDefault ? 'return false;' : `editUser('${safeUsername}')`}">
                     <i class="fas fa-edit"></i> Edit
@@ -2222,6 +4309,305 @@ function createUserCard(user) {
     return card;
 }
 
+// Role Management
+
+// Roles and the permission catalog from the server
+let roleData = { roles: [], permissions: {} };
+
+async function loadRoles() {
+    const container = document.getElementById('rolesList');
+    try {
+        const response = await apiCall('/auth?action=roles');
+        roleData = { roles: response.roles || [], permissions: response.permissions || {} };
+        populateRoleSelect();
+        if (!container) {
+            return;
+        }
+        container.innerHTML = '';
+        roleData.roles.forEach(role => container.appendChild(createRoleCard(role)));
+    } catch (error) {
+        if (container) {
+            container.innerHTML = '<p class="error">Error loading roles.</p>';
+        }
+    }
+}
+
+function createRoleCard(role) {
+    const card = document.createElement('div');
+    card.className = 'item-card';
+    
+    const name = escapeHtml(role.name);
+    const safeName = name.replace(/'/g, "\\'");
+    const permissions = role.permissions.length > 0
+        ? role.permissions.map(permission => `<span class="role-permission" title="${escapeHtml(roleData.permissions[permission] || '')}">${escapeHtml(permission)}</span>`).join('')
+        : '<span class="form-hint">No write access</span>';
+    const actions = role.builtIn
+        ? '<div class="form-hint"><i class="fas fa-lock"></i> Built-in role</div>'
+        : `<div class="item-card-actions">
+                <button class="btn btn-primary" onclick="openRoleModal('${safeName}')">
+                    <i class="fas fa-edit"></i> Edit
+                </button>
+                <button class="btn btn-danger" onclick="deleteRole('${safeName}')">
+                    <i class="fas fa-trash"></i> Delete
+                </button>
+            </div>`;
+    
+    card.innerHTML = `
+        <div class="item-card-body">
+            <div class="item-card-title">${name}</div>
+            <div class="item-card-info">${escapeHtml(role.description || '')}</div>
+            <div class="role-permission-list">${permissions}</div>
+            ${actions}
+        </div>
+    `;
+    return card;
+}
+
+/**
+ * Offer every defined role in the user form, keeping the current selection
+ */
+function populateRoleSelect() {
+    if (roleData.roles.length === 0) {
+        return;
+    }
+    ['userRole', 'inviteRole'].forEach(id => {
+        const select = document.getElementById(id);
+        if (!select) {
+            return;
+        }
+        const current = select.value;
+        select.innerHTML = roleData.roles
+            .map(role => `<option value="${escapeHtml(role.name)}">${escapeHtml(role.name.charAt(0).toUpperCase() + role.name.slice(1))}</option>`)
+            .join('');
+        select.value = roleData.roles.some(role => role.name === current) ? current : 'editor';
+    });
+}
+
+function openRoleModal(name = null) {
+    const role = name ? roleData.roles.find(r => r.name === name) : null;
+    const nameInput = document.getElementById('roleName');
+    
+    document.getElementById('roleForm').reset();
+    document.getElementById('roleError').classList.remove('show');
+    document.getElementById('roleModalTitle').textContent = role ? 'Edit Role' : 'Add Role';
+    document.getElementById('roleOriginalName').value = role ? role.name : '';
+    nameInput.value = role ? role.name : '';
+    nameInput.disabled = !!role; // Role names identify the role on user records
+    document.getElementById('roleDescription').value = role ? role.description || '' : '';
+    
+    document.getElementById('rolePermissions').innerHTML = Object.entries(roleData.permissions).map(([permission, description]) => `
+        <label class="role-permission-option">
+            <input type="checkbox" value="${escapeHtml(permission)}" ${role && role.permissions.includes(permission) ? 'checked' : ''}>
+            <span><strong>${escapeHtml(permission)}</strong> - ${escapeHtml(description)}</span>
+        </label>
+    `).join('');
+    
+    document.getElementById('roleModal').classList.add('active');
+}
+
+document.getElementById('roleForm')?.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const originalName = document.getElementById('roleOriginalName').value;
+    const errorMsg = document.getElementById('roleError');
+    const role = {
+        name: originalName || document.getElementById('roleName').value.trim(),
+        description: document.getElementById('roleDescription').value.trim(),
+        permissions: [...document.querySelectorAll('#rolePermissions input:checked')].map(input => input.value)
+    };
+    
+    errorMsg.classList.remove('show');
+    try {
+        await apiCall('/auth?action=roles', originalName ? 'PUT' : 'POST', role);
+        showNotification(`Role "${role.name}" saved`, 'success');
+        closeModal('roleModal');
+        loadRoles();
+    } catch (error) {
+        errorMsg.textContent = error.message || 'Failed to save role';
+        errorMsg.classList.add('show');
+    }
+});
+
+async function deleteRole(name) {
+    if (!confirm(`Delete role "${name}"? This cannot be undone.`)) {
+        return;
+    }
+    try {
+        await apiCall('/auth?action=roles', 'DELETE', { name });
+        showNotification(`Role "${name}" deleted`, 'success');
+        loadRoles();
+    } catch (error) {
+        showNotification('Error deleting role: ' + error.message, 'error');
+    }
+}
+
+async function loadSecuritySettings() {
+    const checkbox = document.getElementById('requireAdminTwoFactor');
+    if (!checkbox) {
+        return;
+    }
+    try {
+        const response = await apiCall('/auth?action=settings');
+        checkbox.checked = !!response.settings.requireAdminTwoFactor;
+    } catch (error) {
+        console.error('Error loading security settings:', error);
+    }
+}
+
+/**
+ * Security settings apply immediately rather than with "Save All Changes"
+ */
+async function updateRequireAdminTwoFactor(required) {
+    const checkbox = document.getElementById('requireAdminTwoFactor');
+    try {
+        await apiCall('/auth?action=settings', 'PUT', { requireAdminTwoFactor: required });
+        showNotification(required ? 'Admins must now use two-factor authentication' : 'Two-factor authentication is now optional for admins', 'success');
+    } catch (error) {
+        checkbox.checked = !required;
+        showNotification('Error saving setting: ' + error.message, 'error');
+    }
+}
+
+/**
+ * Turn off 2FA for another user who lost their device
+ */
+async function resetUserTwoFactor(username) {
+    if (!confirm(`Reset two-factor authentication for "${username}"? They will sign in with just their password until they set it up again.`)) {
+        return;
+    }
+    try {
+        await apiCall('/auth?action=2fa-disable', 'POST', { username });
+        showNotification(`Two-factor authentication reset for ${username}`, 'success');
+        loadUsers();
+    } catch (error) {
+        showNotification('Error resetting 2FA: ' + error.message, 'error');
+    }
+}
+
+/**
+ * Failed login status for a user card, with an Unlock button while attempts are counted
+ */
+function renderLockoutStatus(lockout, safeUsername) {
+    if (!lockout || !lockout.failures) {
+        return '';
+    }
+    let status = `${lockout.failures} failed login attempt${lockout.failures === 1 ? '' : 's'}`;
+    if (lockout.lockedUntil) {
+        status = `Locked until ${new Date(lockout.lockedUntil).toLocaleTimeString()} (${status})`;
+    } else if (lockout.retryAt) {
+        status += `, next try after ${new Date(lockout.retryAt).toLocaleTimeString()}`;
+    }
+    return `
+        <div class="user-lockout ${lockout.lockedUntil ? 'locked' : ''}">
+            <i class="fas fa-lock"></i> ${escapeHtml(status)}
+            <button class="btn btn-secondary btn-sm" onclick="unlockUserLogin('${safeUsername}')">
+                <i class="fas fa-unlock"></i> Unlock
+            </button>
+        </div>
+    `;
+}
+
+/**
+ * Clear a user's failed login attempts right away (not queued with pending changes)
+ */
+async function unlockUserLogin(username) {
+    try {
+        await apiCall('/auth?action=unlock', 'POST', { username });
+        showNotification(`Login unlocked for ${username}`, 'success');
+        loadUsers();
+    } catch (error) {
+        showNotification('Error unlocking user: ' + error.message, 'error');
+    }
+}
+
+function openInviteModal() {
+    document.getElementById('inviteForm').reset();
+    document.getElementById('inviteForm').style.display = 'block';
+    document.getElementById('inviteResult').style.display = 'none';
+    document.getElementById('inviteError').classList.remove('show');
+    populateRoleSelect();
+    document.getElementById('inviteModal').classList.add('active');
+}
+
+/**
+ * Outcome of an invitation; when the email could not be sent, show the link to pass on by hand
+ */
+function showInviteResult(response) {
+    const result = document.getElementById('inviteResult');
+    document.getElementById('inviteForm').style.display = 'none';
+    result.innerHTML = `
+        <p class="${response.emailSent ? 'success-message' : 'form-hint'}">${escapeHtml(response.message)}</p>
+        ${response.emailSent ? '' : `
+            <div class="form-group">
+                <label>Invitation link (valid until ${escapeHtml(new Date(response.expiresAt).toLocaleString())})</label>
+                <input type="text" class="invite-link" readonly value="${escapeHtml(response.inviteUrl)}">
+            </div>
+        `}
+        <div class="modal-actions">
+            ${response.emailSent ? '' : '<button type="button" class="btn btn-secondary invite-copy-btn"><i class="fas fa-copy"></i> Copy Link</button>'}
+            <button type="button" class="btn btn-primary" onclick="closeModal('inviteModal')">Done</button>
+        </div>
+    `;
+    result.querySelector('.invite-copy-btn')?.addEventListener('click', async () => {
+        try {
+            await navigator.clipboard.writeText(response.inviteUrl);
+            showNotification('Invitation link copied', 'success');
+        } catch (error) {
+            result.querySelector('.invite-link').select();
+            showNotification('Could not copy - select the link and copy it manually', 'warning');
+        }
+    });
+    result.style.display = 'block';
+}
+
+// Invitations are sent right away, not queued with pending changes
+document.getElementById('inviteForm')?.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const errorMsg = document.getElementById('inviteError');
+    const submitBtn = e.target.querySelector('button[type="submit"]');
+    const invitation = {
+        username: document.getElementById('inviteUsername').value.trim(),
+        email: document.getElementById('inviteEmail').value.trim(),
+        role: document.getElementById('inviteRole').value
+    };
+
+    errorMsg.classList.remove('show');
+    if (getDisplayUsers().some(u => u.username.toLowerCase() === invitation.username.toLowerCase())) {
+        errorMsg.textContent = 'Username already exists';
+        errorMsg.classList.add('show');
+        return;
+    }
+
+    submitBtn.disabled = true;
+    try {
+        const response = await apiCall('/auth?action=invite', 'POST', invitation);
+        showInviteResult(response);
+        loadUsers();
+    } catch (error) {
+        const fields = error.details?.fields;
+        errorMsg.textContent = fields ? fields.map(field => `${field.field} ${field.message}`).join('; ') : (error.message || 'Failed to invite user');
+        errorMsg.classList.add('show');
+    } finally {
+        submitBtn.disabled = false;
+    }
+});
+
+/**
+ * Send a pending invitation again with a fresh link; the previous link stops working
+ */
+async function resendInvitation(username) {
+    try {
+        const response = await apiCall('/auth?action=invite', 'POST', { username });
+        if (response.emailSent) {
+            showNotification(response.message, 'success');
+        } else {
+            openInviteModal();
+            showInviteResult(response);
+        }
+    } catch (error) {
+        showNotification('Error resending invitation: ' + error.message, 'error');
+    }
+}
+
 function openUserModal(username = null) {
     const modal = document.getElementById('userModal');
     const form = document.getElementById('userForm');
@@ -2254,6 +4640,7 @@ function openUserModal(username = null) {
         document.getElementById('passwordRequired').style.display = 'inline';
     }
 
+    renderFieldErrors('users', username);
     modal.classList.add('active');
 }
 
@@ -2295,10 +4682,19 @@ document.getElementById('userForm')?.addEventListener('submit', async (e) => {
     }
     
     try {
-        if (isEdit) {
-            // Remove from create if it was a new user
-            pendingChanges.users.create = pendingChanges.users.create.filter(u => u.username.toLowerCase() !== username.toLowerCase());
-            
+        clearRecordErrors('users', username);
+        const createIndex = pendingChanges.users.create.findIndex(u => u.username.toLowerCase() === username.toLowerCase());
+        if (isEdit && createIndex !== -1) {
+            // Still a new user, so it stays queued as a create
+            const existing = pendingChanges.users.create[createIndex];
+            pendingChanges.users.create[createIndex] = {
+                username,
+                password: password || existing.password,
+                email: email || `${username}@shreeadvaya.com`,
+                role
+            };
+            showNotification('User changes saved locally. Click "Save All Changes" to commit.', 'info');
+        } else if (isEdit) {
             // Add to update queue
             const updateData = { username, role, email };
             if (password) {
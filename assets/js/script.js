@@ -44,16 +44,13 @@ if (window.matchMedia) {
 // Initialize theme immediately (before DOM loads)
 initTheme();
 
-// Escape HTML to prevent XSS
+// Characters that could end a text node or a quoted attribute value
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+// Escape HTML to prevent XSS, safe in text and in single- or double-quoted attributes
 function escapeHtml(text) {
     if (text == null) return ''; // Handle null/undefined
-    if (typeof text !== 'string') {
-        // Convert to string for non-string types (numbers, etc.)
-        text = String(text);
-    }
-    const div = document.createElement('div');
-    div.textContent = text;
-    return div.innerHTML;
+    return String(text).replace(/[&<>"']/g, char => HTML_ESCAPES[char]);
 }
 
 // Load all dynamic content
@@ -88,10 +85,16 @@ async function fetchLocalData(filePath) {
 // Load Products
 async function loadProducts() {
     try {
-        const products = await fetchLocalData('/data/products.json');
+        const [products, attributes, categories] = await Promise.all([
+            fetchLocalData('/data/products.json'),
+            fetchLocalData('/data/attributes.json'),
+            fetchLocalData('/data/categories.json')
+        ]);
         if (!products) {
             throw new Error('Failed to load products');
         }
+        productAttributes = Array.isArray(attributes) ? attributes : [];
+        productCategories = Array.isArray(categories) ? categories : [];
         
         const productsGrid = document.getElementById('productsGrid');
         if (!productsGrid) return;
@@ -108,66 +111,32 @@ async function loadProducts() {
             card.className = 'product-card';
             card.setAttribute('data-category', escapeHtml(product.category || ''));
             
-            // Support both single image (backward compatibility) and multiple images
-            const productImages = product.images && Array.isArray(product.images) && product.images.length > 0 
-                ? product.images 
-                : (product.image ? [product.image] : ['assets/images/product-1.webp']);
-            
-            const productAlt = escapeHtml(product.alt || product.name || '');
             const productName = escapeHtml(product.name || '');
-            const productPrice = escapeHtml(String(product.price || ''));
-            const safeProductName = productName.replace(/'/g, "\\'");
             const cardId = `product-${product.id || index}`;
+            card.dataset.card = cardId;
             
-            // Build image carousel HTML if multiple images, otherwise single image
-            let imageHTML = '';
-            if (productImages.length > 1) {
-                // Multiple images - carousel
-                let slidesHTML = '';
-                let dotsHTML = '';
-                productImages.forEach((img, imgIndex) => {
-                    const safeImg = escapeHtml(img);
-                    const isActive = imgIndex === 0 ? 'active' : '';
-                    slidesHTML += `
-                        <div class="product-image-slide ${isActive}">
-                            <img src="${safeImg}" alt="${productAlt}" loading="lazy" onerror="this.src='assets/images/product-1.webp'">
-                        </div>
-                    `;
-                    dotsHTML += `<button class="product-image-dot ${isActive}" onclick="showProductImage('${cardId}', ${imgIndex})"></button>`;
-                });
-                
-                imageHTML = `
-                    <div class="product-image-carousel" id="${cardId}-carousel">
-                        ${slidesHTML}
-                        <button class="product-image-nav prev" onclick="changeProductImage('${cardId}', -1)">
-                            <i class="fas fa-chevron-left"></i>
-                        </button>
-                        <button class="product-image-nav next" onclick="changeProductImage('${cardId}', 1)">
-                            <i class="fas fa-chevron-right"></i>
-                        </button>
-                        <div class="product-image-dots">
-                            ${dotsHTML}
-                        </div>
-                    </div>
-                `;
-            } else {
-                // Single image - simple display
-                const safeImg = escapeHtml(productImages[0]);
-                imageHTML = `
-                    <img src="${safeImg}" alt="${productAlt}" loading="lazy" onerror="this.src='assets/images/product-1.webp'">
-                `;
-            }
+            // Start with the first variant that can be ordered, or else one that is on sale
+            const variants = Array.isArray(product.variants) ? product.variants : [];
+            const firstOrderable = variants.findIndex(isOrderable);
+            const firstAvailable = variants.findIndex(variant => variant.available !== false);
+            const selected = variants.length > 0 ? Math.max(firstOrderable !== -1 ? firstOrderable : firstAvailable, 0) : -1;
+            productStates[cardId] = { product, selected };
+            const variant = variants[selected] || null;
             
             card.innerHTML = `
+                <span class="product-stock-badge" hidden></span>
                 <div class="product-image">
-                    ${imageHTML}
+                    ${productImageHTML(cardId, productImages(product, variant), product.alt || product.name || '')}
                 </div>
                 <div class="product-info">
                     <h3>${productName}</h3>
-                    <p class="product-price">₹${productPrice}</p>
-                    <button class="btn btn-primary product-inquire-btn" onclick="openWhatsApp('${safeProductName}')">Inquire Now</button>
+                    <p class="product-price">${productPriceHTML(itemPrice(product, variant))}</p>
+                    ${productVariantsHTML(cardId, variants, selected)}
+                    ${productDetailsHTML(product)}
+                    <button class="btn btn-primary product-inquire-btn" onclick="inquireProduct('${cardId}')">Inquire Now</button>
                 </div>
             `;
+            showProductStock(card, stockStatusOf(product, variant));
             productsGrid.appendChild(card);
         });
         
@@ -175,8 +144,9 @@ async function loadProducts() {
         const newProductCards = document.querySelectorAll('.product-card');
         initProductCards(newProductCards);
         
-        // Dynamically generate category buttons from products
+        // Dynamically generate category buttons and attribute filters from products
         updateCategoryButtons(products);
+        updateAttributeFilters(products);
     } catch (error) {
         // Silently handle error - show fallback message
         const productsGrid = document.getElementById('productsGrid');
@@ -186,6 +156,353 @@ async function loadProducts() {
     }
 }
 
+// Product Variants
+// Selected variant of each product card, keyed by card id: { product, selected }
+const productStates = {};
+
+const BLOUSE_OPTION_LABELS = {
+    unstitched: 'Unstitched blouse piece',
+    stitched: 'Stitched blouse',
+    none: 'Without blouse'
+};
+
+// Images of a product, or of its selected variant when that has its own
+function productImages(product, variant) {
+    if (variant && Array.isArray(variant.images) && variant.images.length > 0) {
+        return variant.images;
+    }
+    // Support both single image (backward compatibility) and multiple images
+    return product.images && Array.isArray(product.images) && product.images.length > 0 
+        ? product.images 
+        : (product.image ? [product.image] : ['assets/images/product-1.webp']);
+}
+
+function variantPrice(product, variant) {
+    return variant && variant.price !== undefined ? variant.price : (product.price || '');
+}
+
+// Product Pricing
+// Indian-style rupee amounts, e.g. ₹12,999
+const PRICE_FORMAT = new Intl.NumberFormat('en-IN', { style: 'currency', currency: 'INR', minimumFractionDigits: 0, maximumFractionDigits: 2 });
+
+function formatPrice(amount) {
+    const value = Number(amount);
+    return amount !== '' && amount != null && Number.isFinite(value) ? PRICE_FORMAT.format(value) : '';
+}
+
+// Price of a product or its selected variant right now: { current, compareAt, percentOff }
+// The server works out pricing when a product is saved (see api/pricing/price.js); the sale
+// window is checked here because this page reads the stored data. compareAt is the MRP, or the
+// regular price during a sale, and is null when there is nothing to strike through
+function itemPrice(product, variant, now = new Date()) {
+    const item = variant || product;
+    const pricing = item.pricing || {
+        price: Number(variantPrice(product, variant)),
+        mrp: Number(item.mrp !== undefined ? item.mrp : product.mrp) || null,
+        salePrice: null
+    };
+    const time = now.getTime();
+    const onSale = pricing.salePrice != null &&
+        (!pricing.saleStartsAt || Date.parse(pricing.saleStartsAt) <= time) &&
+        (!pricing.saleEndsAt || time < Date.parse(pricing.saleEndsAt));
+    const current = onSale ? pricing.salePrice : pricing.price;
+    const compareAt = Math.max(pricing.mrp || 0, onSale ? pricing.price : 0);
+    if (!(compareAt > current)) {
+        return { current, compareAt: null, percentOff: 0 };
+    }
+    return { current, compareAt, percentOff: Math.round((compareAt - current) / compareAt * 100) };
+}
+
+function productPriceHTML(price) {
+    if (!price.compareAt) {
+        return escapeHtml(formatPrice(price.current));
+    }
+    const off = price.percentOff > 0 ? ` <span class="product-price-off">${price.percentOff}% off</span>` : '';
+    return `${escapeHtml(formatPrice(price.current))} <del class="product-price-compare">${escapeHtml(formatPrice(price.compareAt))}</del>${off}`;
+}
+
+// Readable description of a variant, e.g. "Maroon, Stitched blouse, 6.3 m"
+function variantLabel(variant) {
+    const attributes = variant.attributes || {};
+    return [attributes.colour, BLOUSE_OPTION_LABELS[attributes.blouse], attributes.length]
+        .filter(Boolean)
+        .join(', ') || variant.sku;
+}
+
+// Build image carousel HTML if multiple images, otherwise single image
+function productImageHTML(cardId, images, alt) {
+    const productAlt = escapeHtml(alt);
+    if (images.length <= 1) {
+        // Single image - simple display
+        const safeImg = escapeHtml(images[0]);
+        return `
+            <img src="${safeImg}" alt="${productAlt}" loading="lazy" onerror="this.src='assets/images/product-1.webp'">
+        `;
+    }
+    
+    // Multiple images - carousel
+    let slidesHTML = '';
+    let dotsHTML = '';
+    images.forEach((img, imgIndex) => {
+        const safeImg = escapeHtml(img);
+        const isActive = imgIndex === 0 ? 'active' : '';
+        slidesHTML += `
+            <div class="product-image-slide ${isActive}">
+                <img src="${safeImg}" alt="${productAlt}" loading="lazy" onerror="this.src='assets/images/product-1.webp'">
+            </div>
+        `;
+        dotsHTML += `<button class="product-image-dot ${isActive}" onclick="showProductImage('${cardId}', ${imgIndex})"></button>`;
+    });
+    
+    return `
+        <div class="product-image-carousel" id="${cardId}-carousel">
+            ${slidesHTML}
+            <button class="product-image-nav prev" onclick="changeProductImage('${cardId}', -1)">
+                <i class="fas fa-chevron-left"></i>
+            </button>
+            <button class="product-image-nav next" onclick="changeProductImage('${cardId}', 1)">
+                <i class="fas fa-chevron-right"></i>
+            </button>
+            <div class="product-image-dots">
+                ${dotsHTML}
+            </div>
+        </div>
+    `;
+}
+
+// Stock status of what a card offers: the selected variant, or the product itself
+// (worked out by the server when the product is saved; products saved before have none)
+function stockStatusOf(product, variant) {
+    return (variant ? variant.stockStatus : product.stockStatus) || 'in-stock';
+}
+
+function isOrderable(variant) {
+    return variant.available !== false && variant.stockStatus !== 'sold-out';
+}
+
+const STOCK_BADGES = {
+    'sold-out': 'Sold out',
+    'made-to-order': 'Made to order'
+};
+
+// Badge and enquiry button of a card for the stock of what it offers
+function showProductStock(card, status) {
+    const badge = card.querySelector('.product-stock-badge');
+    badge.textContent = STOCK_BADGES[status] || '';
+    badge.hidden = !STOCK_BADGES[status];
+    badge.className = `product-stock-badge ${status}`;
+    
+    const button = card.querySelector('.product-inquire-btn');
+    const soldOut = status === 'sold-out';
+    button.disabled = soldOut;
+    button.textContent = soldOut ? 'Sold Out' : 'Inquire Now';
+}
+
+// Swatches to choose a variant; variants that cannot be ordered are shown but disabled
+function productVariantsHTML(cardId, variants, selected) {
+    if (variants.length === 0) {
+        return '';
+    }
+    const swatches = variants.map((variant, index) => {
+        const label = escapeHtml(variantLabel(variant));
+        const unavailable = !isOrderable(variant);
+        const reason = variant.available === false ? ' (unavailable)' : ' (sold out)';
+        const swatchStyle = variant.swatch ? `style="--swatch-color: ${escapeHtml(variant.swatch)}"` : '';
+        const content = variant.swatch ? '' : escapeHtml((variant.attributes && variant.attributes.colour) || variant.sku);
+        return `<button type="button" class="variant-swatch ${variant.swatch ? 'has-color' : ''} ${index === selected ? 'active' : ''} ${unavailable ? 'unavailable' : ''}"
+            ${swatchStyle} title="${label}${unavailable ? reason : ''}" aria-label="${label}"
+            ${unavailable ? 'disabled' : ''} onclick="selectProductVariant('${cardId}', ${index})">${content}</button>`;
+    }).join('');
+    const current = variants[selected];
+    return `
+        <div class="product-variants" id="${cardId}-variants">${swatches}</div>
+        <p class="product-variant-label" id="${cardId}-variant-label">${current ? escapeHtml(variantLabel(current)) : ''}</p>
+    `;
+}
+
+// Switch a card to another variant: swatch, images, price and label
+function selectProductVariant(cardId, index) {
+    const state = productStates[cardId];
+    const variant = state && state.product.variants[index];
+    if (!variant || !isOrderable(variant)) return;
+    state.selected = index;
+    
+    const card = document.getElementById(`${cardId}-variants`).closest('.product-card');
+    card.querySelectorAll('.variant-swatch').forEach((swatch, i) => {
+        swatch.classList.toggle('active', i === index);
+    });
+    
+    const images = productImages(state.product, variant);
+    card.querySelector('.product-image').innerHTML = productImageHTML(cardId, images, state.product.alt || state.product.name || '');
+    delete productCarousels[cardId];
+    initProductCarousel(cardId, images.length);
+    
+    card.querySelector('.product-price').innerHTML = productPriceHTML(itemPrice(state.product, variant));
+    document.getElementById(`${cardId}-variant-label`).textContent = variantLabel(variant);
+    showProductStock(card, stockStatusOf(state.product, variant));
+}
+
+// WhatsApp enquiry naming the product and the chosen variant
+function inquireProduct(cardId) {
+    const state = productStates[cardId];
+    if (!state) return;
+    const variant = state.product.variants && state.product.variants[state.selected];
+    if (stockStatusOf(state.product, variant) === 'sold-out') return;
+    openWhatsApp(variant
+        ? `${state.product.name} (${variantLabel(variant)}, SKU ${variant.sku})`
+        : state.product.name || '');
+}
+
+// Product Attributes
+// Details such as fabric, weave and region, defined in data/attributes.json and held by
+// products by key (see api/catalog/attributes.js)
+let productAttributes = [];
+
+// Values a product holds for an attribute, as strings: ['silk'], ['wedding', 'festive'] or ['true']
+function attributeValues(product, key) {
+    const value = product.attributes ? product.attributes[key] : undefined;
+    if (value === undefined || value === null || value === '') {
+        return [];
+    }
+    return [].concat(value).map(String);
+}
+
+// Readable form of a stored value, e.g. kanjivaram -> Kanjivaram, true -> Yes
+function attributeValueLabel(attribute, value) {
+    if (attribute.type === 'boolean') {
+        return value === 'true' ? 'Yes' : 'No';
+    }
+    const option = (attribute.options || []).find(o => o.value === value);
+    return option ? option.label : value;
+}
+
+// Collapsible list of the product's attribute values, in catalog order
+function productDetailsHTML(product) {
+    const rows = productAttributes
+        .map(attribute => {
+            const values = attributeValues(product, attribute.key);
+            if (values.length === 0) return '';
+            const text = values.map(value => attributeValueLabel(attribute, value)).join(', ');
+            return `<dt>${escapeHtml(attribute.label)}</dt><dd${attribute.type === 'textarea' ? ' class="product-detail-long"' : ''}>${escapeHtml(text)}</dd>`;
+        })
+        .join('');
+    return rows ? `<details class="product-details"><summary>Details</summary><dl>${rows}</dl></details>` : '';
+}
+
+// Product Categories
+// Categories defined in data/categories.json, named by products by slug (see
+// api/catalog/categories.js). A top-level category can have subcategories one level deep
+let productCategories = [];
+
+function findCategory(slug) {
+    return productCategories.find(category => category.slug === slug) || null;
+}
+
+// Display name of a category; products filed under one that is not defined show their slug, e.g. hand-painted -> Hand painted
+function categoryName(slug) {
+    const category = findCategory(slug);
+    return category ? category.name : slug.charAt(0).toUpperCase() + slug.slice(1).replace(/-/g, ' ');
+}
+
+// Categories in display order: by sortOrder, then by name
+function sortedCategories(categories) {
+    return [...categories].sort((a, b) => (a.sortOrder || 0) - (b.sortOrder || 0) || a.name.localeCompare(b.name));
+}
+
+// Whether a product's category is the chosen one or one of its subcategories
+function inCategory(slug, chosen) {
+    if (slug === chosen) return true;
+    const category = findCategory(slug);
+    return !!category && category.parent === chosen;
+}
+
+// Cover image and description of the chosen category above the products
+function showCategoryIntro(slug) {
+    const intro = document.getElementById('categoryIntro');
+    if (!intro) return;
+    
+    const category = slug === 'all' ? null : findCategory(slug);
+    if (!category || (!category.description && !category.image)) {
+        intro.hidden = true;
+        intro.innerHTML = '';
+        return;
+    }
+    intro.innerHTML = `
+        ${category.image ? `<img src="${escapeHtml(category.image)}" alt="${escapeHtml(category.name)}" loading="lazy">` : ''}
+        <div class="category-intro-text">
+            <h3>${escapeHtml(category.name)}</h3>
+            ${category.description ? `<p>${escapeHtml(category.description)}</p>` : ''}
+        </div>
+    `;
+    intro.hidden = false;
+}
+
+// Show the subcategory buttons of a top-level category, with its "All" button chosen
+function showSubcategories(slug) {
+    const container = document.getElementById('productSubcategories');
+    if (!container) return;
+    
+    let shown = 0;
+    container.querySelectorAll('.category-btn').forEach(btn => {
+        const visible = btn.getAttribute('data-parent') === slug;
+        btn.hidden = !visible;
+        btn.classList.toggle('active', visible && btn.getAttribute('data-category') === slug);
+        if (visible) shown++;
+    });
+    container.hidden = shown === 0;
+}
+
+// Product Filters
+// Category chosen with the buttons and attribute values chosen in the filter dropdowns
+const productFilters = { category: 'all', attributes: {} };
+
+function cardMatchesFilters(card) {
+    const category = productFilters.category;
+    if (category !== 'all' && !inCategory(card.getAttribute('data-category'), category)) {
+        return false;
+    }
+    const state = productStates[card.dataset.card];
+    return Object.entries(productFilters.attributes)
+        .every(([key, value]) => !!state && attributeValues(state.product, key).includes(value));
+}
+
+// A dropdown for each filterable choice attribute, offering only values some product has
+function updateAttributeFilters(products) {
+    const container = document.getElementById('productAttributeFilters');
+    if (!container) return;
+    
+    productFilters.attributes = {};
+    const filters = productAttributes
+        .filter(attribute => attribute.filterable && ['select', 'multiselect', 'boolean'].includes(attribute.type))
+        .map(attribute => {
+            const present = new Set(products.flatMap(product => attributeValues(product, attribute.key)));
+            const values = attribute.type === 'boolean'
+                ? ['true', 'false'].filter(value => present.has(value))
+                : (attribute.options || []).map(option => option.value).filter(value => present.has(value));
+            if (values.length === 0) return '';
+            const label = escapeHtml(attribute.label);
+            const options = values.map(value => `<option value="${escapeHtml(value)}">${escapeHtml(attributeValueLabel(attribute, value))}</option>`).join('');
+            return `<select class="attribute-filter" data-attribute="${escapeHtml(attribute.key)}" aria-label="Filter by ${label}">
+                <option value="">${label}: All</option>
+                ${options}
+            </select>`;
+        })
+        .join('');
+    
+    container.innerHTML = filters;
+    container.hidden = !filters;
+    container.querySelectorAll('.attribute-filter').forEach(select => {
+        select.addEventListener('change', () => {
+            if (select.value) {
+                productFilters.attributes[select.dataset.attribute] = select.value;
+            } else {
+                delete productFilters.attributes[select.dataset.attribute];
+            }
+            filterProductCards(document.querySelectorAll('.product-card'));
+        });
+    });
+}
+
 // Load Gallery
 async function loadGallery() {
     try {
@@ -588,40 +905,48 @@ function initHeroSlideshow() {
     }
 }
 
-// Update category buttons dynamically from products
+// Update category buttons from the categories products are filed under
+// Top-level categories get a button when they or their subcategories have products; the
+// subcategories of the chosen one are shown in a row below
 function updateCategoryButtons(products) {
     const categoriesContainer = document.querySelector('.product-categories');
     if (!categoriesContainer) return;
     
     // Get unique categories from products
-    const categories = new Set();
-    products.forEach(product => {
-        if (product.category) {
-            categories.add(product.category);
-        }
-    });
+    const used = new Set(products.map(product => product.category).filter(Boolean));
+    const childrenOf = slug => sortedCategories(productCategories.filter(category => category.parent === slug && used.has(category.slug)));
+    
+    const topLevel = sortedCategories(productCategories.filter(category => !category.parent))
+        .filter(category => used.has(category.slug) || childrenOf(category.slug).length > 0);
+    // Products filed under a category that is not defined still get a button, after the rest
+    const undefinedSlugs = Array.from(used).filter(slug => !findCategory(slug)).sort();
     
     // Create category buttons (keep "All" button, add dynamic ones)
     let buttonsHTML = '<button class="category-btn active" data-category="all">All</button>';
-    
-    // Category display names mapping
-    const categoryNames = {
-        'silk': 'Silk Sarees',
-        'cotton': 'Cotton Sarees',
-        'designer': 'Designer Sarees',
-        'bridal': 'Bridal Sarees'
-    };
-    
-    // Sort categories for consistent display
-    const sortedCategories = Array.from(categories).sort();
-    
-    sortedCategories.forEach(category => {
-        const displayName = categoryNames[category] || category.charAt(0).toUpperCase() + category.slice(1).replace(/-/g, ' ');
-        buttonsHTML += `<button class="category-btn" data-category="${escapeHtml(category)}">${escapeHtml(displayName)}</button>`;
+    topLevel.forEach(category => {
+        buttonsHTML += `<button class="category-btn" data-category="${escapeHtml(category.slug)}">${escapeHtml(category.name)}</button>`;
+    });
+    undefinedSlugs.forEach(slug => {
+        buttonsHTML += `<button class="category-btn" data-category="${escapeHtml(slug)}">${escapeHtml(categoryName(slug))}</button>`;
     });
-    
     categoriesContainer.innerHTML = buttonsHTML;
     
+    const subcategoriesContainer = document.getElementById('productSubcategories');
+    if (subcategoriesContainer) {
+        subcategoriesContainer.innerHTML = topLevel
+            .filter(category => childrenOf(category.slug).length > 0)
+            .map(category => {
+                const parent = escapeHtml(category.slug);
+                return `<button class="category-btn" data-category="${parent}" data-parent="${parent}" hidden>All ${escapeHtml(category.name)}</button>` +
+                    childrenOf(category.slug)
+                        .map(child => `<button class="category-btn" data-category="${escapeHtml(child.slug)}" data-parent="${parent}" hidden>${escapeHtml(child.name)}</button>`)
+                        .join('');
+            })
+            .join('');
+        subcategoriesContainer.hidden = true;
+    }
+    showCategoryIntro('all');
+    
     // Reinitialize event listeners for new buttons
     const newProductCards = document.querySelectorAll('.product-card');
     if (newProductCards.length > 0) {
@@ -635,38 +960,46 @@ function initProductCards(cards) {
     
     categoryBtns.forEach((btn) => {
         btn.addEventListener("click", () => {
-            categoryBtns.forEach((b) => b.classList.remove("active"));
+            // Subcategory buttons leave their parent chosen in the row above
+            const isSubcategory = btn.hasAttribute("data-parent");
+            categoryBtns.forEach((b) => {
+                if (!isSubcategory || b.hasAttribute("data-parent")) b.classList.remove("active");
+            });
             btn.classList.add("active");
             
-            const category = btn.getAttribute("data-category");
-            
-            // First, hide all cards instantly without animation to prevent layout jumps
-            cards.forEach((card) => {
-                card.style.display = "none";
-                card.style.opacity = "0";
+            productFilters.category = btn.getAttribute("data-category");
+            if (!isSubcategory) showSubcategories(productFilters.category);
+            showCategoryIntro(productFilters.category);
+            filterProductCards(cards);
+        });
+    });
+}
+
+// Show the cards matching the chosen category and attribute filters
+function filterProductCards(cards) {
+    // First, hide all cards instantly without animation to prevent layout jumps
+    cards.forEach((card) => {
+        card.style.display = "none";
+        card.style.opacity = "0";
+        card.style.transform = "translateY(0)";
+        card.style.transition = "none";
+    });
+    
+    // Then show matching cards with animation
+    const visibleCards = Array.from(cards).filter(cardMatchesFilters);
+    
+    visibleCards.forEach((card, index) => {
+        card.style.display = "block";
+        card.style.opacity = "0";
+        card.style.transform = "translateY(20px)";
+        
+        // Use requestAnimationFrame for smoother animation
+        requestAnimationFrame(() => {
+            setTimeout(() => {
+                card.style.transition = "opacity 0.4s cubic-bezier(0.4, 0, 0.2, 1), transform 0.4s cubic-bezier(0.4, 0, 0.2, 1)";
+                card.style.opacity = "1";
                 card.style.transform = "translateY(0)";
-                card.style.transition = "none";
-            });
-            
-            // Then show matching cards with animation
-            const visibleCards = Array.from(cards).filter(card => 
-                category === "all" || card.getAttribute("data-category") === category
-            );
-            
-            visibleCards.forEach((card, index) => {
-                card.style.display = "block";
-                card.style.opacity = "0";
-                card.style.transform = "translateY(20px)";
-                
-                // Use requestAnimationFrame for smoother animation
-                requestAnimationFrame(() => {
-                    setTimeout(() => {
-                        card.style.transition = "opacity 0.4s cubic-bezier(0.4, 0, 0.2, 1), transform 0.4s cubic-bezier(0.4, 0, 0.2, 1)";
-                        card.style.opacity = "1";
-                        card.style.transform = "translateY(0)";
-                    }, index * 50);
-                });
-            });
+            }, index * 50);
         });
     });
 }
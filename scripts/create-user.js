@@ -3,10 +3,11 @@
  * Script to create a new user
  * Usage: node scripts/create-user.js <username> <password> <role>
  * 
- * This will generate a password hash and add the user to data/users.json
+ * This will generate a salted scrypt password hash and add the user to data/users.json
  */
 
 import { hashPassword } from '../api/auth/users.js';
+import { BUILT_IN_ROLE_NAMES } from '../api/auth/permissions.js';
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
@@ -15,18 +16,27 @@ const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
 const usersFile = path.join(__dirname, '../data/users.json');
+const rolesFile = path.join(__dirname, '../data/roles.json');
 
 // Get command line arguments
 const [,, username, password, role = 'admin'] = process.argv;
 
 if (!username || !password) {
     console.error('Usage: node scripts/create-user.js <username> <password> [role]');
-    console.error('Roles: admin, editor, viewer');
+    console.error(`Roles: ${BUILT_IN_ROLE_NAMES.join(', ')} (or a custom role from data/roles.json)`);
     process.exit(1);
 }
 
-// Validate role
-const validRoles = ['admin', 'editor', 'viewer'];
+// Validate role against the built-in roles and any custom roles in data/roles.json
+let validRoles = [...BUILT_IN_ROLE_NAMES];
+if (fs.existsSync(rolesFile)) {
+    try {
+        validRoles = validRoles.concat(JSON.parse(fs.readFileSync(rolesFile, 'utf8')).map(r => r.name));
+    } catch (error) {
+        console.error('Error reading roles file:', error);
+        process.exit(1);
+    }
+}
 if (!validRoles.includes(role)) {
     console.error(`Invalid role. Must be one of: ${validRoles.join(', ')}`);
     process.exit(1);
@@ -44,7 +54,7 @@ if (fs.existsSync(usersFile)) {
 }
 
 // Check if user already exists
-if (users.find(u => u.username === username)) {
+if (users.find(u => u.username.toLowerCase() === username.toLowerCase())) {
     console.error(`User "${username}" already exists!`);
     process.exit(1);
 }
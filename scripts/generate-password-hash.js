@@ -4,13 +4,7 @@
  * Usage: node scripts/generate-password-hash.js your-password
  */
 
-import crypto from 'crypto';
-
-function hashPassword(password) {
-    const salt = crypto.randomBytes(16).toString('hex');
-    const hash = crypto.pbkdf2Sync(password, salt, 10000, 64, 'sha512').toString('hex');
-    return `${salt}:${hash}`;
-}
+import { hashPassword } from '../api/auth/users.js';
 
 const password = process.argv[2];
 
@@ -0,0 +1,89 @@
+#!/usr/bin/env node
+/**
+ * Rotate the JWT signing keys
+ * Generates a new signing key and prepends it to the current JWT_SIGNING_KEYS,
+ * keeping the previous keys so tokens they signed stay valid until they expire
+ *
+ * Usage:
+ *   JWT_SIGNING_KEYS=... node scripts/rotate-jwt-keys.js [--keep 2]
+ *   node scripts/rotate-jwt-keys.js --init
+ *
+ * JWT_SIGNING_KEYS is also read from the .env file. --keep sets how many previous
+ * keys to retain (default 2). Access tokens last 15 minutes but refresh tokens last 24 hours,
+ * so a retired key ends every session still holding a refresh token it signed: keep a key
+ * until a day after the rotation that replaced it.
+ * --init starts a fresh key set and accepts tokens signed with ADMIN_PASSWORD until they expire
+ */
+
+import { readFileSync, existsSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import { generateKey, parseKeySet, formatKeySet, LEGACY_KID } from '../api/auth/keys.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+function loadEnvFile() {
+    const envPath = join(__dirname, '..', '.env');
+    if (!existsSync(envPath)) {
+        return;
+    }
+    const envContent = readFileSync(envPath, 'utf8');
+    for (const line of envContent.split('\n')) {
+        const [key, ...valueParts] = line.split('=');
+        const name = key.trim();
+        if ((name === 'JWT_SIGNING_KEYS' || name === 'ADMIN_PASSWORD') && !process.env[name]) {
+            process.env[name] = valueParts.join('=').trim();
+        }
+    }
+}
+
+const args = process.argv.slice(2);
+const init = args.includes('--init');
+const keepIndex = args.indexOf('--keep');
+const keep = keepIndex !== -1 ? parseInt(args[keepIndex + 1], 10) : 2;
+
+if (Number.isNaN(keep) || keep < 0) {
+    console.error('\n❌ Error: --keep must be a number of keys (0 or more)');
+    console.error('\nUsage:');
+    console.error('  node scripts/rotate-jwt-keys.js [--keep 2]');
+    console.error('  node scripts/rotate-jwt-keys.js --init');
+    process.exit(1);
+}
+
+try {
+    loadEnvFile();
+
+    let previous;
+    if (init) {
+        // Existing sessions were signed with ADMIN_PASSWORD; keep them valid through the switch
+        const adminPassword = process.env.ADMIN_PASSWORD;
+        previous = adminPassword ? [{ kid: LEGACY_KID, secret: adminPassword }] : [];
+    } else {
+        previous = parseKeySet(process.env.JWT_SIGNING_KEYS);
+        if (previous.length === 0) {
+            console.error('\n❌ Error: JWT_SIGNING_KEYS is not set');
+            console.error('   Run with --init to create the first key set.');
+            process.exit(1);
+        }
+    }
+
+    const key = generateKey();
+    const keys = [key, ...previous.slice(0, keep)];
+    const dropped = previous.slice(keep).map(k => k.kid);
+
+    console.log('\n✅ New Signing Key Generated!\n');
+    console.log(`🔑 Current key: ${key.kid}`);
+    if (keys.length > 1) {
+        console.log(`   Still accepted: ${keys.slice(1).map(k => k.kid).join(', ')}`);
+    }
+    if (dropped.length > 0) {
+        console.log(`   Retired: ${dropped.join(', ')} (tokens signed with these stop working, so sessions renewed with them in the last 24 hours end)`);
+    }
+    console.log('\n📝 Set this as JWT_SIGNING_KEYS in Vercel (or your .env file) and redeploy:');
+    console.log(`   ${formatKeySet(keys)}`);
+    console.log('\n🔒 Keep this value secret - anyone who has it can sign admin tokens.\n');
+} catch (error) {
+    console.error('\n❌ Rotation failed:', error.message);
+    process.exit(1);
+}
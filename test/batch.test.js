@@ -0,0 +1,107 @@
+// Stale saves are refused with the server's copy of every record they touch, and a
+// successful batch answers with the records as stored
+
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { after, before, test } from 'node:test';
+import { useTempStorage, removeTempStorage, request } from './helpers.js';
+
+let root;
+let data;
+let products;
+let storage;
+let headers;
+
+before(async () => {
+    root = useTempStorage();
+    data = (await import('../api/data.js')).default;
+    products = (await import('../api/products.js')).default;
+    const { requireStorage } = await import('../api/storage/index.js');
+    storage = requireStorage();
+    const { generateToken } = await import('../api/auth/jwt.js');
+    headers = { Authorization: `Bearer ${generateToken({ username: 'Admin', role: 'admin' })}` };
+});
+
+after(() => {
+    removeTempStorage(root);
+});
+
+function readFile(file) {
+    return JSON.parse(fs.readFileSync(path.join(root, 'data', file), 'utf8'));
+}
+
+function batch(body, ifMatch) {
+    return request(data, {
+        method: 'POST',
+        query: { action: 'batch' },
+        body,
+        headers: { ...headers, ...(ifMatch ? { 'If-Match': ifMatch } : {}) }
+    });
+}
+
+async function loadProducts() {
+    const res = await request(products, { headers });
+    return { list: res.body, etag: res.headers.etag };
+}
+
+test('answers a saved batch with the stored records, pricing included', async () => {
+    const { list, etag } = await loadProducts();
+
+    const res = await batch({ products: { update: [{ id: list[0].id, price: 1234 }] } }, etag);
+
+    assert.equal(res.statusCode, 200);
+    assert.notEqual(res.body.versions.products, etag);
+    const saved = res.body.records.products.find(product => product.id === list[0].id);
+    assert.equal(saved.price, 1234);
+    assert.equal(saved.pricing.price, 1234);
+    assert.deepEqual(res.body.records.products, readFile('products.json'));
+});
+
+test('a stale batch gets the current copy of the records it touches', async () => {
+    const { list, etag } = await loadProducts();
+    await batch({ products: { update: [{ id: list[0].id, name: 'Saved by someone else' }] } }, etag);
+
+    const res = await batch({ products: { update: [{ id: list[0].id, name: 'Mine' }] } }, etag);
+
+    assert.equal(res.statusCode, 409);
+    assert.equal(res.body.code, 'VERSION_CONFLICT');
+    const [record] = res.body.conflicts.products.records;
+    assert.equal(record.id, list[0].id);
+    assert.equal(record.current.name, 'Saved by someone else');
+});
+
+test('a stale single-record save gets the current copy of that record', async () => {
+    const { list, etag } = await loadProducts();
+    await request(products, { method: 'PUT', query: { id: list[1].id }, body: { ...list[1], name: 'First' }, headers: { ...headers, 'If-Match': etag } });
+
+    const res = await request(products, { method: 'PUT', query: { id: list[1].id }, body: { ...list[1], name: 'Second' }, headers: { ...headers, 'If-Match': etag } });
+
+    assert.equal(res.statusCode, 409);
+    const [record] = res.body.conflicts.products.records;
+    assert.equal(record.id, list[1].id);
+    assert.equal(record.current.name, 'First');
+});
+
+test('a users batch is refused when the user list changed before it was committed', async () => {
+    const writeFiles = storage.writeFiles;
+    // Another admin saves the user list between this batch reading and committing it
+    storage.writeFiles = async (...args) => {
+        storage.writeFiles = writeFiles;
+        const { data: users } = await storage.readJSON('data/users.json', []);
+        await storage.writeJSON('data/users.json', users.map(user => ({ ...user, email: 'other@example.com' })), 'Other save');
+        return writeFiles.apply(storage, args);
+    };
+    try {
+        const res = await batch({ users: { update: [{ username: 'Admin', email: 'mine@example.com' }] } });
+
+        assert.equal(res.statusCode, 409);
+        const [record] = res.body.conflicts.users.records;
+        assert.equal(record.id, 'Admin');
+        assert.deepEqual(Object.keys(record.current).sort(), ['email', 'role', 'username']);
+        assert.equal(record.current.email, 'other@example.com');
+        assert.ok(readFile('users.json').every(user => user.email === 'other@example.com'));
+    } finally {
+        storage.writeFiles = writeFiles;
+    }
+});
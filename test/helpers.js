@@ -0,0 +1,129 @@
+// Shared setup for the API tests
+// Routes run in-process against the local storage backend, on a copy of data/ in a temporary directory
+
+import crypto from 'crypto';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { Readable } from 'stream';
+import { fileURLToPath } from 'url';
+
+export const REPO_ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+export const ADMIN_PASSWORD = 'test-admin-password';
+
+/**
+ * Point the API at a fresh copy of data/ and return its directory
+ * Call before importing any route, since some modules read the environment when loaded
+ */
+export function useTempStorage() {
+    const root = fs.mkdtempSync(path.join(os.tmpdir(), 'api-test-'));
+    fs.cpSync(path.join(REPO_ROOT, 'data'), path.join(root, 'data'), { recursive: true });
+    process.env.STORAGE_BACKEND = 'local';
+    process.env.LOCAL_STORAGE_ROOT = root;
+    process.env.ADMIN_PASSWORD = ADMIN_PASSWORD;
+    process.env.MAIL_TRANSPORT = 'file';
+    process.env.MAIL_OUTBOX_DIR = path.join(root, '.mail-outbox');
+    delete process.env.NODE_ENV;
+    delete process.env.JWT_SIGNING_KEYS;
+    return root;
+}
+
+export function removeTempStorage(root) {
+    fs.rmSync(root, { recursive: true, force: true });
+}
+
+/**
+ * Call a route handler the way Vercel does and return the response
+ * body is a parsed JSON body, or a Buffer streamed as the raw request body (for parseBody: false routes)
+ */
+export async function request(handler, { method = 'GET', query = {}, body, headers = {} } = {}) {
+    const req = Buffer.isBuffer(body) ? Readable.from([body]) : {};
+    Object.assign(req, {
+        method,
+        query,
+        url: `/api?${new URLSearchParams(query)}`,
+        headers: { host: 'localhost:3000', ...lowerCaseKeys(headers) },
+        socket: { remoteAddress: '127.0.0.1' }
+    });
+    if (!Buffer.isBuffer(body)) {
+        req.body = body;
+    }
+
+    const res = {
+        statusCode: 200,
+        headers: {},
+        body: undefined,
+        headersSent: false,
+        setHeader(name, value) {
+            this.headers[name.toLowerCase()] = value;
+            return this;
+        },
+        getHeader(name) {
+            return this.headers[name.toLowerCase()];
+        },
+        status(code) {
+            this.statusCode = code;
+            return this;
+        },
+        json(value) {
+            this.body = value;
+            this.headersSent = true;
+            return this;
+        },
+        send(value) {
+            this.body = value;
+            this.headersSent = true;
+            return this;
+        },
+        end() {
+            this.headersSent = true;
+            return this;
+        }
+    };
+
+    await handler(req, res);
+    return res;
+}
+
+function lowerCaseKeys(headers) {
+    return Object.fromEntries(Object.entries(headers).map(([name, value]) => [name.toLowerCase(), value]));
+}
+
+/**
+ * Hash of every file under the given directories, to tell whether a request wrote anything
+ */
+export function snapshot(root, dirs) {
+    const hashes = {};
+    const walk = (dir) => {
+        if (!fs.existsSync(dir)) {
+            return;
+        }
+        for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+            const full = path.join(dir, entry.name);
+            if (entry.isDirectory()) {
+                walk(full);
+            } else {
+                hashes[path.relative(root, full)] = crypto.createHash('sha1').update(fs.readFileSync(full)).digest('hex');
+            }
+        }
+    };
+    dirs.forEach(dir => walk(path.join(root, dir)));
+    return hashes;
+}
+
+/**
+ * multipart/form-data body with text fields and files ({ field, filename, type, data })
+ */
+export function multipart(fields, files) {
+    const boundary = `----test${crypto.randomBytes(8).toString('hex')}`;
+    const chunks = [];
+    for (const [name, value] of Object.entries(fields)) {
+        chunks.push(Buffer.from(`--${boundary}\r\nContent-Disposition: form-data; name="${name}"\r\n\r\n${value}\r\n`));
+    }
+    for (const file of files) {
+        chunks.push(Buffer.from(`--${boundary}\r\nContent-Disposition: form-data; name="${file.field}"; filename="${file.filename}"\r\nContent-Type: ${file.type}\r\n\r\n`));
+        chunks.push(file.data, Buffer.from('\r\n'));
+    }
+    chunks.push(Buffer.from(`--${boundary}--\r\n`));
+    return { body: Buffer.concat(chunks), contentType: `multipart/form-data; boundary=${boundary}` };
+}
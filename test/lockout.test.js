@@ -0,0 +1,62 @@
+// Failed logins are throttled per username, whatever its case, until an admin unlocks it
+
+import assert from 'node:assert/strict';
+import { after, before, test } from 'node:test';
+import { ADMIN_PASSWORD, useTempStorage, removeTempStorage, request } from './helpers.js';
+
+let root;
+let auth;
+let adminToken;
+
+before(async () => {
+    root = useTempStorage();
+    auth = (await import('../api/auth.js')).default;
+    const { generateToken } = await import('../api/auth/jwt.js');
+    adminToken = generateToken({ username: 'Admin', role: 'admin' });
+});
+
+after(() => {
+    removeTempStorage(root);
+});
+
+function login(body) {
+    return request(auth, { method: 'POST', query: { action: 'login' }, body });
+}
+
+test('throttles a username after three failures, even with the right password', async () => {
+    for (let attempt = 0; attempt < 3; attempt++) {
+        const res = await login({ password: 'wrong-password' });
+        assert.equal(res.statusCode, 401);
+    }
+
+    const res = await login({ password: ADMIN_PASSWORD });
+
+    assert.equal(res.statusCode, 429);
+    assert.equal(res.body.code, 'RATE_LIMITED');
+    assert.ok(Number(res.headers['retry-after']) > 0);
+});
+
+test('counts failures against the username whatever its case', async () => {
+    await login({ username: 'Mallory', password: 'guess-1' });
+    await login({ username: 'MALLORY', password: 'guess-2' });
+    await login({ username: 'mallory', password: 'guess-3' });
+
+    const res = await login({ username: 'mallory', password: 'guess-4' });
+
+    assert.equal(res.statusCode, 429);
+});
+
+test('an admin can unlock a throttled username', async () => {
+    const unlock = await request(auth, {
+        method: 'POST',
+        query: { action: 'unlock' },
+        body: { username: 'admin' },
+        headers: { Authorization: `Bearer ${adminToken}` }
+    });
+    assert.equal(unlock.statusCode, 200);
+
+    const res = await login({ password: ADMIN_PASSWORD });
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.body.success, true);
+});
@@ -0,0 +1,109 @@
+// Restoring an earlier version is saved like any other change: checked against the current
+// schemas, with server-set fields recomputed, the shrink guard applied and conflicts reported
+
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { after, before, test } from 'node:test';
+import { useTempStorage, removeTempStorage, request } from './helpers.js';
+
+const PRODUCTS = 'data/products.json';
+
+let root;
+let data;
+let storage;
+let adminToken;
+
+before(async () => {
+    root = useTempStorage();
+    data = (await import('../api/data.js')).default;
+    const { requireStorage } = await import('../api/storage/index.js');
+    storage = requireStorage();
+    const { generateToken } = await import('../api/auth/jwt.js');
+    adminToken = generateToken({ username: 'Admin', role: 'admin' });
+});
+
+after(() => {
+    removeTempStorage(root);
+});
+
+function readProducts() {
+    return JSON.parse(fs.readFileSync(path.join(root, PRODUCTS), 'utf8'));
+}
+
+// Save products straight through the storage backend and return that save's version id
+async function saveVersion(products) {
+    const { sha } = await storage.readJSON(PRODUCTS, []);
+    await storage.writeFiles({ [PRODUCTS]: products }, 'Test save', { [PRODUCTS]: sha });
+    const history = await request(data, { query: { action: 'history' }, headers: { Authorization: `Bearer ${adminToken}` } });
+    return history.body.entries[0].id;
+}
+
+async function currentVersion() {
+    return `"${(await storage.readJSON(PRODUCTS, [])).sha}"`;
+}
+
+async function revert(version, { ifMatch, confirmShrink } = {}) {
+    return request(data, {
+        method: 'POST',
+        query: { action: 'revert' },
+        body: { entity: 'products', version, ...(confirmShrink ? { confirmShrink } : {}) },
+        headers: { Authorization: `Bearer ${adminToken}`, 'If-Match': ifMatch || await currentVersion() }
+    });
+}
+
+test('recomputes pricing and stock status on the records it brings back', async () => {
+    const original = readProducts();
+    const { pricing, stockStatus, ...first } = original[0];
+    const version = await saveVersion([{ ...first, name: 'Old name' }, ...original.slice(1)]);
+    await saveVersion(original);
+
+    const res = await revert(version);
+
+    assert.equal(res.statusCode, 200);
+    const restored = readProducts().find(product => product.id === first.id);
+    assert.equal(restored.name, 'Old name');
+    assert.ok(restored.pricing);
+    assert.ok(restored.stockStatus);
+});
+
+test('refuses a version whose changed records no longer pass validation', async () => {
+    const current = readProducts();
+    const version = await saveVersion([...current, { id: 'broken', name: '', price: 'not a price' }]);
+    await saveVersion(current);
+
+    const res = await revert(version);
+
+    assert.equal(res.statusCode, 422);
+    assert.ok(res.body.fields.some(field => field.id === 'broken'));
+    assert.deepEqual(readProducts(), current);
+});
+
+test('asks for confirmation before restoring a version that removes most products', async () => {
+    const current = readProducts();
+    const version = await saveVersion(current.slice(0, 1));
+    await saveVersion(current);
+
+    const refused = await revert(version);
+    assert.equal(refused.statusCode, 409);
+    assert.equal(refused.body.code, 'SHRINK_CONFIRMATION_REQUIRED');
+    assert.equal(readProducts().length, current.length);
+
+    const confirmed = await revert(version, { confirmShrink: true });
+    assert.equal(confirmed.statusCode, 200);
+    assert.equal(readProducts().length, 1);
+});
+
+test('lists the records it would change when products moved on since the history was read', async () => {
+    const current = readProducts();
+    const version = await saveVersion(current.map(product => ({ ...product, name: 'Renamed' })));
+    const stale = await currentVersion();
+    await saveVersion(current);
+
+    const res = await revert(version, { ifMatch: stale });
+
+    assert.equal(res.statusCode, 409);
+    assert.equal(res.body.code, 'VERSION_CONFLICT');
+    const { records } = res.body.conflicts.products;
+    assert.deepEqual(records.map(record => record.id).sort(), current.map(product => product.id).sort());
+});
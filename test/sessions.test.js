@@ -0,0 +1,75 @@
+// Refresh tokens work once: each renewal replaces the cookie, and a replaced or unknown
+// token ends the session instead of renewing it
+
+import assert from 'node:assert/strict';
+import { after, before, test } from 'node:test';
+import { ADMIN_PASSWORD, useTempStorage, removeTempStorage, request } from './helpers.js';
+
+let root;
+let auth;
+
+before(async () => {
+    root = useTempStorage();
+    auth = (await import('../api/auth.js')).default;
+});
+
+after(() => {
+    removeTempStorage(root);
+});
+
+// The admin_refresh=... pair from a response's Set-Cookie, as the browser would send it back
+function cookieFrom(res) {
+    return res.headers['set-cookie'].split(';')[0];
+}
+
+async function login() {
+    const res = await request(auth, { method: 'POST', query: { action: 'login' }, body: { password: ADMIN_PASSWORD } });
+    assert.equal(res.statusCode, 200);
+    return cookieFrom(res);
+}
+
+function refresh(cookie) {
+    return request(auth, { method: 'POST', query: { action: 'refresh' }, headers: { Cookie: cookie } });
+}
+
+test('a renewal replaces the refresh cookie', async () => {
+    const first = await login();
+
+    const res = await refresh(first);
+
+    assert.equal(res.statusCode, 200);
+    assert.ok(res.body.token);
+    assert.notEqual(cookieFrom(res), first);
+    assert.equal((await refresh(cookieFrom(res))).statusCode, 200);
+});
+
+test('a replaced refresh token ends the session for the current one too', async () => {
+    const first = await login();
+    const second = cookieFrom(await refresh(first));
+
+    const reused = await refresh(first);
+
+    assert.equal(reused.statusCode, 401);
+    assert.equal(reused.body.code, 'SESSION_ENDED');
+    assert.equal((await refresh(second)).statusCode, 401);
+});
+
+test('logging out ends the session', async () => {
+    const cookie = await login();
+
+    const logout = await request(auth, { method: 'POST', query: { action: 'logout' }, headers: { Cookie: cookie } });
+    assert.equal(logout.statusCode, 200);
+
+    assert.equal((await refresh(cookie)).statusCode, 401);
+});
+
+test('a validly signed refresh token that was never issued is refused', async () => {
+    const { generateRefreshToken } = await import('../api/auth/jwt.js');
+    const { REFRESH_COOKIE } = await import('../api/auth/sessions.js');
+    const forged = generateRefreshToken({ username: 'Admin' }, 'made-up-session', 'made-up-token');
+
+    const res = await refresh(`${REFRESH_COOKIE}=${forged}`);
+
+    assert.equal(res.statusCode, 401);
+    assert.equal(res.body.code, 'SESSION_ENDED');
+});
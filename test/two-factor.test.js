@@ -0,0 +1,125 @@
+// Two-factor sign-in: each code and each recovery code is accepted once, the secrets stay
+// out of the published users.json, and nothing works without TOTP_ENCRYPTION_KEY
+
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { after, before, test } from 'node:test';
+import { ADMIN_PASSWORD, useTempStorage, removeTempStorage, request } from './helpers.js';
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+let root;
+let auth;
+let adminToken;
+let secret;
+let enabledStep;
+let recoveryCodes;
+
+before(async () => {
+    root = useTempStorage();
+    process.env.TOTP_ENCRYPTION_KEY = 'test-totp-encryption-key';
+    auth = (await import('../api/auth.js')).default;
+    const { generateToken } = await import('../api/auth/jwt.js');
+    adminToken = generateToken({ username: 'Admin', role: 'admin' });
+});
+
+after(() => {
+    delete process.env.TOTP_ENCRYPTION_KEY;
+    removeTempStorage(root);
+});
+
+// What an authenticator app shows for a time step (RFC 6238)
+function codeAt(base32Secret, step) {
+    let bits = 0;
+    let value = 0;
+    const bytes = [];
+    for (const char of base32Secret) {
+        value = (value << 5) | BASE32_ALPHABET.indexOf(char);
+        bits += 5;
+        if (bits >= 8) {
+            bytes.push((value >>> (bits - 8)) & 255);
+            bits -= 8;
+        }
+    }
+    const counter = Buffer.alloc(8);
+    counter.writeBigUInt64BE(BigInt(step));
+    const hmac = crypto.createHmac('sha1', Buffer.from(bytes)).update(counter).digest();
+    const binary = hmac.readUInt32BE(hmac[hmac.length - 1] & 0x0f) & 0x7fffffff;
+    return String(binary % 1000000).padStart(6, '0');
+}
+
+function currentStep() {
+    return Math.floor(Date.now() / 30000);
+}
+
+function twoFactor(action, body, headers = { Authorization: `Bearer ${adminToken}` }) {
+    return request(auth, { method: 'POST', query: { action: `2fa-${action}` }, body, headers });
+}
+
+// Password step; returns the challenge to answer with a code
+async function challenge() {
+    const res = await request(auth, { method: 'POST', query: { action: 'login' }, body: { password: ADMIN_PASSWORD } });
+    assert.equal(res.body.twoFactorRequired, true);
+    return res.body.challenge;
+}
+
+test('enabling 2FA keeps the secret and recovery codes out of users.json', async () => {
+    const setup = await twoFactor('setup', {});
+    assert.equal(setup.statusCode, 200);
+    secret = setup.body.secret;
+    enabledStep = currentStep();
+
+    const enable = await twoFactor('enable', { code: codeAt(secret, enabledStep) });
+
+    assert.equal(enable.statusCode, 200);
+    recoveryCodes = enable.body.recoveryCodes;
+    assert.equal(recoveryCodes.length, 10);
+    const published = fs.readFileSync(path.join(root, 'data', 'users.json'), 'utf8');
+    const admin = JSON.parse(published).find(user => user.username === 'Admin');
+    assert.deepEqual(Object.keys(admin.totp), ['enabledAt']);
+    assert.ok(!published.includes(secret));
+});
+
+test('the code used to enable 2FA cannot sign in', async () => {
+    const res = await twoFactor('verify', { challenge: await challenge(), code: codeAt(secret, enabledStep) }, {});
+
+    assert.equal(res.statusCode, 401);
+    assert.equal(res.body.code, 'INVALID_TWO_FACTOR_CODE');
+});
+
+test('a code signs in once', async () => {
+    const code = codeAt(secret, enabledStep + 1);
+
+    const first = await twoFactor('verify', { challenge: await challenge(), code }, {});
+    const replayed = await twoFactor('verify', { challenge: await challenge(), code }, {});
+
+    assert.equal(first.statusCode, 200);
+    assert.ok(first.body.token);
+    assert.equal(replayed.statusCode, 401);
+});
+
+test('a recovery code signs in once, in any case and without the dash', async () => {
+    const code = recoveryCodes[0];
+
+    const first = await twoFactor('verify', { challenge: await challenge(), recoveryCode: code.replace('-', '').toLowerCase() }, {});
+    const replayed = await twoFactor('verify', { challenge: await challenge(), recoveryCode: code }, {});
+
+    assert.equal(first.statusCode, 200);
+    assert.equal(first.body.recoveryCodesLeft, 9);
+    assert.equal(replayed.statusCode, 401);
+});
+
+test('without TOTP_ENCRYPTION_KEY codes are not checked at all', async () => {
+    const pending = await challenge();
+    delete process.env.TOTP_ENCRYPTION_KEY;
+    try {
+        const res = await twoFactor('verify', { challenge: pending, code: codeAt(secret, currentStep()) }, {});
+
+        assert.equal(res.statusCode, 503);
+        assert.equal(res.body.code, 'TWO_FACTOR_NOT_CONFIGURED');
+    } finally {
+        process.env.TOTP_ENCRYPTION_KEY = 'test-totp-encryption-key';
+    }
+});
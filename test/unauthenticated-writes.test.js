@@ -0,0 +1,115 @@
+// Every write method of every API route is refused without a valid access token
+// Routes and their ?action values are listed here so a new route cannot be added untested;
+// the methods each route accepts are read from its CORS preflight answer
+
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { after, before, describe, test } from 'node:test';
+import jwt from 'jsonwebtoken';
+import { REPO_ROOT, useTempStorage, removeTempStorage, request, snapshot } from './helpers.js';
+
+const ROUTES = {
+    'attributes.js': {},
+    'auth.js': {
+        actions: ['login', 'refresh', 'logout', 'register', 'verify', 'users', 'roles', 'unlock', 'settings',
+            '2fa-verify', '2fa-status', '2fa-setup', '2fa-enable', '2fa-disable', 'invite', 'password-reset-request', 'set-password'],
+        // Reached before signing in; they check their own credentials or tokens instead
+        public: ['login', 'refresh', 'logout', 'verify', '2fa-verify', 'password-reset-request', 'set-password']
+    },
+    'batch.js': {},
+    'categories.js': {},
+    'data.js': { actions: ['content', 'batch', 'history', 'revert', 'audit'] },
+    'gallery.js': {},
+    'hero.js': {},
+    'inventory.js': {},
+    'products.js': {},
+    'upload.js': {}
+};
+const WRITE_METHODS = ['POST', 'PUT', 'PATCH', 'DELETE'];
+// Directories the site is published from; no unauthenticated request may change them
+const PUBLISHED_DIRS = ['data', 'assets'];
+
+// A body that would pass for a login, a registration or a record, so nothing is refused for being empty
+const BODY = {
+    username: 'mallory',
+    password: 'not-the-password',
+    role: 'admin',
+    email: 'mallory@example.com',
+    id: 'intruder',
+    name: 'Intruder',
+    products: [],
+    gallery: []
+};
+const AUTH_HEADERS = {
+    'no token': {},
+    'forged token': { Authorization: `Bearer ${jwt.sign({ username: 'Admin', role: 'admin' }, 'guessed-secret', { expiresIn: 900 })}` }
+};
+
+let root;
+
+/**
+ * Turned away before any handler ran: not signed in, method not accepted, or no such action
+ */
+function isRefused(res) {
+    return [401, 405].includes(res.statusCode) || (res.statusCode === 400 && /^Invalid action/.test(res.body?.error));
+}
+
+before(() => {
+    root = useTempStorage();
+});
+
+after(() => {
+    removeTempStorage(root);
+});
+
+test('every route in api/ is listed', () => {
+    const routes = fs.readdirSync(path.join(REPO_ROOT, 'api')).filter(name => name.endsWith('.js')).sort();
+    assert.deepEqual(routes, Object.keys(ROUTES).sort());
+});
+
+for (const [file, { actions = [], public: publicActions = [] }] of Object.entries(ROUTES)) {
+    describe(`/api/${file.replace(/\.js$/, '')}`, () => {
+        let handler;
+        let methods;
+
+        before(async () => {
+            handler = (await import(path.join(REPO_ROOT, 'api', file))).default;
+            const preflight = await request(handler, {
+                method: 'OPTIONS',
+                headers: { Origin: 'http://localhost:3000', 'Access-Control-Request-Method': 'POST' }
+            });
+            methods = preflight.headers['access-control-allow-methods'].split(', ').filter(method => WRITE_METHODS.includes(method));
+        });
+
+        test('accepts at least one write method', () => {
+            assert.ok(methods.length > 0);
+        });
+
+        for (const action of [undefined, ...actions]) {
+            const isPublic = publicActions.includes(action);
+
+            for (const [label, headers] of Object.entries(AUTH_HEADERS)) {
+                test(`${action ? `?action=${action}` : 'no action'} with ${label}`, async () => {
+                    for (const method of methods) {
+                        const before = snapshot(root, PUBLISHED_DIRS);
+                        const res = await request(handler, {
+                            method,
+                            query: action ? { action } : {},
+                            body: BODY,
+                            headers: { ...headers, 'If-Match': '"*"', 'Content-Type': 'application/json' }
+                        });
+                        const where = `${method} /api/${file} ${action || ''}`;
+
+                        if (isPublic) {
+                            assert.ok(res.statusCode < 500, `${where} answered ${res.statusCode}`);
+                        } else {
+                            assert.ok(isRefused(res), `${where} answered ${res.statusCode}: ${JSON.stringify(res.body)}`);
+                        }
+                        assert.deepEqual(snapshot(root, PUBLISHED_DIRS), before, `${where} changed published files`);
+                    }
+                });
+            }
+        }
+    });
+}
@@ -0,0 +1,72 @@
+// Uploads only land in the allowed assets/ folders, as images with an extension the server picks
+
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { after, before, test } from 'node:test';
+import { useTempStorage, removeTempStorage, request, snapshot, multipart } from './helpers.js';
+
+const PNG = Buffer.from('89504e470d0a1a0a0000000d49484452', 'hex');
+
+let root;
+let upload;
+let token;
+
+before(async () => {
+    root = useTempStorage();
+    upload = (await import('../api/upload.js')).default;
+    const { generateToken } = await import('../api/auth/jwt.js');
+    token = generateToken({ username: 'Admin', role: 'admin' });
+});
+
+after(() => {
+    removeTempStorage(root);
+});
+
+function send(fields, files) {
+    const { body, contentType } = multipart(fields, files);
+    return request(upload, {
+        method: 'POST',
+        body,
+        headers: { Authorization: `Bearer ${token}`, 'Content-Type': contentType }
+    });
+}
+
+test('stores an image under assets/images with the extension of its type', async () => {
+    const res = await send({}, [{ field: 'images', filename: 'photo.js', type: 'image/png', data: PNG }]);
+
+    assert.equal(res.statusCode, 200);
+    const [file] = res.body.files;
+    assert.match(file.path, /^assets\/images\/image-[\w-]+\.png$/);
+    assert.ok(fs.existsSync(path.join(root, file.path)));
+});
+
+test('accepts the other upload folders', async () => {
+    const res = await send({ folder: 'gallery' }, [{ field: 'images', filename: 'photo.webp', type: 'image/webp', data: PNG }]);
+
+    assert.equal(res.statusCode, 200);
+    assert.match(res.body.files[0].path, /^assets\/gallery\/image-[\w-]+\.webp$/);
+});
+
+for (const folder of ['../api', 'images/../../api', 'images/sub', '..', 'scripts']) {
+    test(`refuses folder ${folder}`, async () => {
+        const before = snapshot(root, ['.']);
+        const res = await send({ folder }, [{ field: 'images', filename: 'x.js', type: 'image/png', data: PNG }]);
+
+        assert.equal(res.statusCode, 400);
+        assert.deepEqual(snapshot(root, ['.']), before);
+    });
+}
+
+for (const type of ['image/svg+xml', 'text/html', 'application/javascript']) {
+    test(`refuses ${type} files`, async () => {
+        const before = snapshot(root, ['assets']);
+        const res = await send({}, [
+            { field: 'images', filename: 'ok.png', type: 'image/png', data: PNG },
+            { field: 'images', filename: 'bad.svg', type, data: Buffer.from('<script>alert(1)</script>') }
+        ]);
+
+        assert.equal(res.statusCode, 400);
+        assert.deepEqual(snapshot(root, ['assets']), before);
+    });
+}